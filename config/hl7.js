@@ -0,0 +1,24 @@
+// HL7 v2 interface for partner hospitals.
+// HL7_MLLP_ENABLED: start the MLLP listener (orders can still arrive over HTTP
+// when it's off). HL7_MLLP_PORT / HL7_MLLP_HOST: where it listens; loopback
+// unless a partner network is deliberately exposed.
+// HL7_SENDING_APPLICATION / HL7_SENDING_FACILITY: how we identify ourselves in MSH-3/MSH-4.
+const parseNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+const hl7Config = {
+  mllp: {
+    enabled: process.env.HL7_MLLP_ENABLED === 'true',
+    port: parseNumber(process.env.HL7_MLLP_PORT, 2575),
+    host: process.env.HL7_MLLP_HOST || '127.0.0.1'
+  },
+  sendingApplication: process.env.HL7_SENDING_APPLICATION || 'LABMATE360',
+  sendingFacility: process.env.HL7_SENDING_FACILITY || 'LABMATE360',
+  version: '2.5.1',
+  // How long to wait for a partner's ACK when delivering results
+  ackTimeoutMs: parseNumber(process.env.HL7_ACK_TIMEOUT_MS, 10000)
+};
+
+module.exports = hl7Config;
@@ -1,9 +1,13 @@
+const crypto = require('crypto');
 const Razorpay = require('razorpay');
 
 // Razorpay configuration
 const razorpayConfig = {
   key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_R79jO6N4F99QLG',
-  key_secret: process.env.RAZORPAY_KEY_SECRET || 'HgKjdH7mCViwebMQTIFmbx7R'
+  key_secret: process.env.RAZORPAY_KEY_SECRET || 'HgKjdH7mCViwebMQTIFmbx7R',
+  webhook_secret: process.env.RAZORPAY_WEBHOOK_SECRET || '',
+  // Point the SDK at a local stand-in of the Razorpay API (tests/dev)
+  api_url: process.env.RAZORPAY_API_URL || ''
 };
 
 // Initialize Razorpay instance
@@ -12,7 +16,56 @@ const razorpay = new Razorpay({
   key_secret: razorpayConfig.key_secret
 });
 
+if (razorpayConfig.api_url) {
+  razorpay.api.rq.defaults.baseURL = razorpayConfig.api_url;
+}
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expected, actual) => {
+  if (typeof actual !== 'string' || expected.length !== actual.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+};
+
+// Verify the checkout signature: HMAC-SHA256 of "order_id|payment_id" with the key secret
+const verifyPaymentSignature = (orderId, paymentId, signature) => {
+  if (!orderId || !paymentId || !signature) return false;
+  const expected = crypto
+    .createHmac('sha256', razorpayConfig.key_secret)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+  return signaturesMatch(expected, signature);
+};
+
+// Verify the X-Razorpay-Signature header against the raw webhook body
+const verifyWebhookSignature = (rawBody, signature) => {
+  if (!razorpayConfig.webhook_secret || !rawBody || !signature) return false;
+  const expected = crypto
+    .createHmac('sha256', razorpayConfig.webhook_secret)
+    .update(rawBody)
+    .digest('hex');
+  return signaturesMatch(expected, signature);
+};
+
+// Refund (part of) a captured payment. Amount is in INR.
+const createRefund = (paymentId, amount, notes = {}) => {
+  return razorpay.payments.refund(paymentId, {
+    amount: Math.round(amount * 100), // paise
+    speed: 'normal',
+    notes
+  });
+};
+
+// Refund Razorpay already has for one of our refund records (notes.refundId), if any
+const findRefund = async (paymentId, refundId) => {
+  const { items = [] } = await razorpay.payments.fetchMultipleRefund(paymentId, { count: 100 });
+  return items.find(r => r.notes?.refundId === refundId) || null;
+};
+
 module.exports = {
   razorpay,
-  razorpayConfig
+  razorpayConfig,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  createRefund,
+  findRefund
 };
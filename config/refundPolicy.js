@@ -0,0 +1,31 @@
+// Refund policy for cancelled bookings.
+// Tiers are checked in order; the first one whose minHoursBefore is met by the
+// time left until the appointment decides the refund percentage. Override the
+// defaults with REFUND_POLICY, a JSON array of { minHoursBefore, percent, label }.
+const defaultTiers = [
+  { minHoursBefore: 24, percent: 100, label: 'Full refund (cancelled more than 24 hours before appointment)' },
+  { minHoursBefore: 0, percent: 50, label: 'Partial refund (cancelled within 24 hours of appointment)' }
+];
+
+const parseTiers = () => {
+  if (!process.env.REFUND_POLICY) return defaultTiers;
+  try {
+    const tiers = JSON.parse(process.env.REFUND_POLICY);
+    if (!Array.isArray(tiers) || tiers.some(t => typeof t.minHoursBefore !== 'number' || typeof t.percent !== 'number')) {
+      throw new Error('Each tier needs numeric minHoursBefore and percent');
+    }
+    return tiers;
+  } catch (error) {
+    console.error('Invalid REFUND_POLICY, using default refund tiers:', error.message);
+    return defaultTiers;
+  }
+};
+
+const refundPolicy = {
+  // Highest threshold first so the most generous applicable tier wins
+  tiers: parseTiers().slice().sort((a, b) => b.minHoursBefore - a.minHoursBefore),
+  // Booking statuses that can still be cancelled for a refund
+  refundableStatuses: ['pending', 'confirmed']
+};
+
+module.exports = refundPolicy;
@@ -0,0 +1,16 @@
+// Rules for patients moving their own appointments.
+// RESCHEDULE_CUTOFF_HOURS: how long before the current appointment a patient
+// can still reschedule. RESCHEDULE_MAX: how many times a booking can be moved.
+const parseNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+const reschedulePolicy = {
+  cutoffHours: parseNumber(process.env.RESCHEDULE_CUTOFF_HOURS, 2),
+  maxReschedules: parseNumber(process.env.RESCHEDULE_MAX, 2),
+  // Booking statuses that can still be moved to another slot
+  reschedulableStatuses: ['pending', 'confirmed']
+};
+
+module.exports = reschedulePolicy;
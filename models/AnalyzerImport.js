@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// An uploaded analyzer result file and the values staged from it for review
+const analyzerImportSchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  analyzer: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  format: {
+    type: String,
+    enum: ['astm', 'csv'],
+    required: true
+  },
+  // Raw file as received; copied to testResults.machineResultFile when applied
+  file: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['staged', 'partially_applied', 'applied', 'discarded'],
+    default: 'staged'
+  },
+
+  // One entry per result value found in the file
+  records: [{
+    sampleId: { type: String, trim: true, default: '' },
+    code: { type: String, trim: true, default: '' },
+    value: { type: mongoose.Schema.Types.Mixed },
+    unit: { type: String, trim: true, default: '' },
+    referenceRange: { type: String, trim: true, default: '' },
+    analyzerFlag: { type: String, trim: true, default: '' },
+    resultedAt: { type: Date, default: null },
+    // Filled in when the record matches a sample and a mapping
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+    testId: { type: mongoose.Schema.Types.ObjectId, ref: 'Test', default: null },
+    label: { type: String, trim: true, default: '' },
+    status: {
+      type: String,
+      enum: ['matched', 'unknown_sample', 'unmapped_code', 'test_not_ordered', 'applied', 'rejected', 'failed'],
+      default: 'matched'
+    },
+    error: { type: String, default: '' }
+  }],
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+analyzerImportSchema.index({ labId: 1, createdAt: -1 });
+analyzerImportSchema.index({ 'records.bookingId': 1 });
+
+module.exports = mongoose.model('AnalyzerImport', analyzerImportSchema);
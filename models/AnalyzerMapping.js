@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Maps an analyzer's test code (e.g. "GLU") to a Test result field for one lab
+const analyzerMappingSchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  // Analyzer name as it appears in the ASTM header or chosen at upload; '' applies to every analyzer
+  analyzer: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  code: {
+    type: String,
+    required: [true, 'Analyzer test code is required'],
+    trim: true,
+    uppercase: true
+  },
+  testId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true
+  },
+  // Test.resultFields label the value is stored under
+  label: {
+    type: String,
+    required: [true, 'Result field label is required'],
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+analyzerMappingSchema.index({ labId: 1, analyzer: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('AnalyzerMapping', analyzerMappingSchema);
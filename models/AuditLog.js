@@ -10,7 +10,19 @@ const auditLogSchema = new mongoose.Schema({
             'result_entered',
             'report_uploaded',
             'report_verified',
-            'payment_processed'
+            'payment_processed',
+            'no_show',
+            'critical_alert',
+            'sample_received',
+            'sample_assigned',
+            'sample_in_process',
+            'sample_completed',
+            'sample_rejected',
+            'sample_recollected',
+            'sample_handoff',
+            'sample_stored',
+            'sample_retrieved',
+            'sample_disposed'
         ]
     },
     bookingId: {
@@ -30,7 +42,7 @@ const auditLogSchema = new mongoose.Schema({
     performedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        default: null // null for actions taken by scheduled jobs
     },
     labId: {
         type: mongoose.Schema.Types.ObjectId,
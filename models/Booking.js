@@ -45,6 +45,10 @@ const bookingSchema = new mongoose.Schema({
     price: {
       type: Number,
       required: true
+    },
+    discount: {
+      type: Number,
+      default: 0
     }
   }],
 
@@ -67,7 +71,7 @@ const bookingSchema = new mongoose.Schema({
 
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
 
@@ -90,10 +94,24 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Server-computed price snapshot at booking time
+  priceBreakdown: {
+    subtotal: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    taxRate: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    currency: { type: String, default: 'INR' },
+    pricedAt: { type: Date, default: null }
+  },
   paidAmount: {
     type: Number,
     default: 0
   },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   paymentDate: {
     type: Date,
     default: null
@@ -108,20 +126,117 @@ const bookingSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // PDF rendered from the verified results at publish time (services/reportService)
+  generatedReport: {
+    file: { type: String, default: null },
+    generatedAt: { type: Date, default: null },
+    generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  },
+
+  // Tamper-evident fingerprint of the published results (services/reportSignatureService)
+  reportSignature: {
+    code: { type: String, default: undefined }, // Public verification code printed on the report
+    hash: { type: String, default: null },
+    signature: { type: String, default: null },
+    algorithm: { type: String, default: null },
+    signedAt: { type: Date, default: null }
+  },
+
+  // Result versioning: every published version that was later amended is
+  // kept here unchanged (services/resultVersionService)
+  resultVersion: {
+    type: Number,
+    default: 1
+  },
+  resultVersions: [{
+    _id: false,
+    version: { type: Number, required: true },
+    testResults: { type: mongoose.Schema.Types.Mixed, default: [] },
+    publishedAt: { type: Date, default: null },
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reportFile: { type: String, default: null },
+    reportHash: { type: String, default: null },
+    reportSignature: { type: String, default: null },
+    // Why and by whom this version was superseded
+    amendmentReason: { type: String, trim: true, required: true },
+    supersededBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    supersededAt: { type: Date, default: Date.now }
+  }],
+  amendment: {
+    inProgress: { type: Boolean, default: false },
+    reason: { type: String, trim: true, default: '' },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    requestedAt: { type: Date, default: null }
+  },
 
   // Samples tracking for tests
   samples: [{
     sampleId: { type: String, required: true }, // Unique UUID for barcode tracking
     tests: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Test' }], // Direct tests
     packages: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Package' }], // Packages
+    // Lifecycle in services/sampleService; processing/partially_completed/verified
+    // are left over from samples collected before statuses were tracked
     status: {
       type: String,
-      enum: ['processing', 'partially_completed', 'completed', 'verified'],
-      default: 'processing'
+      enum: ['collected', 'received', 'assigned', 'in_process', 'completed', 'rejected', 'stored', 'retrieved', 'disposed', 'processing', 'partially_completed', 'verified'],
+      default: 'collected'
     },
     sampleType: { type: String, default: 'Blood' },
+    // Tube the sample was drawn into (services/specimenService) and the volume its tests need
+    container: { type: String, default: '' },
+    volumeMl: { type: Number, default: null },
     collectedAt: { type: Date, default: null },
-    collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Chain of custody: every time the sample changes hands or goes in/out of storage
+    custody: [{
+      _id: false,
+      action: { type: String, enum: ['collected', 'received', 'handoff', 'stored', 'retrieved', 'disposed'], required: true },
+      from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      // Storage location for stored/retrieved, e.g. "Fridge 2 / Rack A / 14"
+      location: { type: String, trim: true, default: '' },
+      recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      note: { type: String, trim: true, default: '' },
+      at: { type: Date, default: Date.now }
+    }],
+    receivedAt: { type: Date, default: null },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Where the sample is being run
+    bench: { type: String, trim: true, default: '' },
+    analyzer: { type: String, trim: true, default: '' },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    // Where the sample is kept after testing and until when (services/sampleStorageService)
+    storage: {
+      locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'StorageLocation', default: null },
+      position: { type: Number, default: null },
+      storedAt: { type: Date, default: null },
+      storedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      retainUntil: { type: Date, default: null },
+      retrievedAt: { type: Date, default: null },
+      retrievedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      retrievalReason: { type: String, trim: true, default: '' },
+      disposedAt: { type: Date, default: null },
+      disposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
+    rejection: {
+      reason: { type: String, enum: ['hemolyzed', 'clotted', 'insufficient_quantity', 'mislabeled', null], default: null },
+      comment: { type: String, trim: true, default: '' },
+      rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      rejectedAt: { type: Date, default: null },
+      recollectionRequestedAt: { type: Date, default: null }
+    },
+    // Recollection links between a rejected sample and the one drawn to replace it
+    replaces: { type: String, default: null },
+    replacedBy: { type: String, default: null },
+    statusHistory: [{
+      _id: false,
+      from: { type: String, default: null },
+      to: { type: String, required: true },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      reason: { type: String, trim: true, default: '' },
+      at: { type: Date, default: Date.now }
+    }]
   }],
 
   // Test results captured by lab
@@ -131,9 +246,22 @@ const bookingSchema = new mongoose.Schema({
       label: { type: String, trim: true },
       value: { type: mongoose.Schema.Types.Mixed },
       unit: { type: String, trim: true, default: '' },
+      // Copied from the test's result field when entered
+      loincCode: { type: String, trim: true, default: '' },
+      // The value converted to the field's canonical unit (services/unitService); value/unit stay as entered
+      canonicalValue: { type: Number, default: null },
+      canonicalUnit: { type: String, trim: true, default: '' },
       referenceRange: { type: String, trim: true, default: '' },
       type: { type: String, enum: ['text', 'number', 'boolean'], default: 'text' },
-      required: { type: Boolean, default: false }
+      required: { type: Boolean, default: false },
+      // Computed by services/referenceRangeService when results are entered
+      flag: { type: String, enum: ['', 'L', 'H', 'LL', 'HH'], default: '' },
+      appliedRange: {
+        low: { type: Number, default: null },
+        high: { type: Number, default: null },
+        criticalLow: { type: Number, default: null },
+        criticalHigh: { type: Number, default: null }
+      }
     }],
     // For imaging tests (ECG, X-ray, CT scan etc.)
     resultFile: { type: String, default: null },     // Path to uploaded image/PDF
@@ -143,17 +271,57 @@ const bookingSchema = new mongoose.Schema({
     status: { type: String, enum: ['pending', 'testing', 'completed', 'verified'], default: 'pending' },
     submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     submittedAt: { type: Date, default: null },
+    // Delta-check failures against the patient's previous results (services/deltaCheckService);
+    // any failure means the result needs an independent, commented review
+    deltaChecks: [{
+      _id: false,
+      label: { type: String, trim: true },
+      value: { type: Number },
+      previousValue: { type: Number },
+      unit: { type: String, trim: true, default: '' },
+      previousDate: { type: Date },
+      previousBookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+      change: { type: Number },
+      changePercent: { type: Number, default: null },
+      mode: { type: String, enum: ['absolute', 'percent'] },
+      limit: { type: Number },
+      windowDays: { type: Number, default: null },
+      message: { type: String, trim: true, default: '' }
+    }],
+    secondReviewRequired: { type: Boolean, default: false },
     verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    verifiedAt: { type: Date, default: null }
+    verifiedAt: { type: Date, default: null },
+    // Sign-off decisions; a rejection sends the result back to testing
+    reviews: [{
+      action: { type: String, enum: ['verified', 'rejected'], required: true },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      role: { type: String, default: '' },
+      comment: { type: String, trim: true, default: '' },
+      at: { type: Date, default: Date.now }
+    }]
   }],
 
   // Booking status
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'arrived', 'in_progress', 'sample_collected', 'testing', 'results_entered', 'processing', 'partially_completed', 'report_uploaded', 'result_published', 'completed', 'verified', 'cancelled'],
+    enum: ['pending', 'confirmed', 'arrived', 'in_progress', 'sample_collected', 'testing', 'results_entered', 'processing', 'partially_completed', 'report_uploaded', 'result_published', 'completed', 'verified', 'cancelled', 'no_show'],
     default: 'pending'
   },
 
+  // Every status change, written by services/bookingStateMachine
+  statusHistory: [{
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    role: { type: String, default: 'system' },
+    reason: { type: String, trim: true, default: '' },
+    at: { type: Date, default: Date.now }
+  }],
+
+  // Set when results are released to the patient
+  publishedAt: { type: Date, default: null },
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
   // Additional information
   notes: {
     type: String,
@@ -167,6 +335,21 @@ const bookingSchema = new mongoose.Schema({
     address: String
   },
 
+  // Orders placed by a partner hospital over HL7 (services/hl7Service)
+  externalOrder: {
+    source: { type: String, enum: ['hl7'], default: undefined },
+    partnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'HL7Partner', default: undefined },
+    placerOrderNumber: { type: String, trim: true, default: undefined },
+    orderingProvider: { type: String, trim: true, default: undefined },
+    // Partner order codes per test, echoed back in OBR-4 of the results
+    testCodes: [{
+      _id: false,
+      testId: { type: mongoose.Schema.Types.ObjectId, ref: 'Test' },
+      code: { type: String, trim: true },
+      text: { type: String, trim: true }
+    }]
+  },
+
   // Timestamps
   createdAt: {
     type: Date,
@@ -177,6 +360,21 @@ const bookingSchema = new mongoose.Schema({
     default: Date.now
   },
 
+  // Patient reschedules, most recent last
+  rescheduleCount: {
+    type: Number,
+    default: 0
+  },
+  rescheduleHistory: [{
+    fromDate: { type: Date, required: true },
+    fromTime: { type: String, required: true },
+    toDate: { type: Date, required: true },
+    toTime: { type: String, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reason: { type: String, trim: true, default: '' },
+    at: { type: Date, default: Date.now }
+  }],
+
   // Reminder tracking
   remindersSent: {
     reminder24h: { type: Boolean, default: false },
@@ -202,5 +400,11 @@ bookingSchema.pre('save', function (next) {
 bookingSchema.index({ userId: 1, createdAt: -1 });
 bookingSchema.index({ labId: 1, appointmentDate: 1 });
 bookingSchema.index({ status: 1, appointmentDate: 1 });
+bookingSchema.index({ 'reportSignature.code': 1 }, { unique: true, sparse: true });
+// Barcode scans and analyzer imports look bookings up by sample ID
+bookingSchema.index({ 'samples.sampleId': 1 });
+// Disposal list: stored samples past their retention date
+bookingSchema.index({ 'samples.storage.retainUntil': 1 });
+bookingSchema.index({ 'externalOrder.partnerId': 1, 'externalOrder.placerOrderNumber': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// A result value flagged LL/HH that the lab must act on and document
+const criticalAlertSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  testId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true
+  },
+
+  // The critical value as entered
+  label: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  unit: {
+    type: String,
+    default: ''
+  },
+  flag: {
+    type: String,
+    enum: ['LL', 'HH'],
+    required: true
+  },
+  referenceRange: {
+    type: String,
+    default: ''
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'escalated', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  raisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  escalatedAt: {
+    type: Date,
+    default: null
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Who was told about the value, and how
+  notifications: [{
+    method: { type: String, enum: ['phone', 'whatsapp', 'email'], required: true },
+    recipientType: { type: String, enum: ['patient', 'doctor', 'other'], default: 'patient' },
+    recipientName: { type: String, trim: true, required: true },
+    contact: { type: String, trim: true, default: '' },
+    notes: { type: String, trim: true, default: '' },
+    notifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    notifiedAt: { type: Date, default: Date.now }
+  }],
+
+  // Every action taken on the alert, oldest first
+  history: [{
+    action: {
+      type: String,
+      enum: ['created', 'escalated', 'acknowledged', 'notified', 'resolved'],
+      required: true
+    },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    details: { type: String, default: '' },
+    at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+criticalAlertSchema.index({ labId: 1, status: 1, createdAt: -1 });
+criticalAlertSchema.index({ bookingId: 1, testId: 1, label: 1 });
+criticalAlertSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('CriticalAlert', criticalAlertSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Every HL7 message received or sent, with the acknowledgement exchanged for it
+const hl7MessageSchema = new mongoose.Schema({
+  direction: {
+    type: String,
+    enum: ['inbound', 'outbound'],
+    required: true
+  },
+  transport: {
+    type: String,
+    enum: ['mllp', 'http'],
+    required: true
+  },
+  partnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HL7Partner',
+    default: null
+  },
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    default: null
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  // MSH-9 (e.g. ORM^O01) and MSH-10
+  messageType: {
+    type: String,
+    default: ''
+  },
+  controlId: {
+    type: String,
+    default: ''
+  },
+  raw: {
+    type: String,
+    required: true
+  },
+  // received/processed/rejected for inbound; pending/sent/acknowledged/failed for outbound
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'rejected', 'pending', 'acknowledged', 'failed'],
+    required: true
+  },
+  // MSA-1 of the ACK we sent (inbound) or got back (outbound)
+  ackCode: {
+    type: String,
+    enum: ['', 'AA', 'AE', 'AR', 'CA', 'CE', 'CR'],
+    default: ''
+  },
+  ack: {
+    type: String,
+    default: ''
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  remoteAddress: {
+    type: String,
+    default: ''
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+hl7MessageSchema.index({ labId: 1, createdAt: -1 });
+hl7MessageSchema.index({ partnerId: 1, controlId: 1 });
+hl7MessageSchema.index({ bookingId: 1 });
+
+module.exports = mongoose.model('HL7Message', hl7MessageSchema);
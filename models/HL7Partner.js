@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A hospital system that sends orders to one of our labs over HL7 v2
+const hl7PartnerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Partner name is required'],
+    trim: true
+  },
+  // MSH-4 sending facility the partner identifies itself with
+  facility: {
+    type: String,
+    required: [true, 'Sending facility is required'],
+    trim: true,
+    uppercase: true,
+    unique: true
+  },
+  // MSH-3 sending application (used as the receiving application on results)
+  application: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  // SHA-256 of the key sent in X-HL7-Partner-Key on the HTTP endpoint
+  apiKeyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // MLLP connections are only accepted from these addresses. A partner with
+  // none can only send over HTTP with its API key.
+  allowedIps: [{
+    type: String,
+    trim: true
+  }],
+  // Partner order codes (OBR-4) for tests in the lab's catalogue
+  testCodes: [{
+    _id: false,
+    code: { type: String, required: true, trim: true, uppercase: true },
+    testId: { type: mongoose.Schema.Types.ObjectId, ref: 'Test', required: true }
+  }],
+  // Where ORU^R01 result messages are delivered
+  resultDestination: {
+    transport: { type: String, enum: ['none', 'mllp', 'http'], default: 'none' },
+    host: { type: String, trim: true, default: '' },
+    port: { type: Number, default: null },
+    url: { type: String, trim: true, default: '' }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('HL7Partner', hl7PartnerSchema);
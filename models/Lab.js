@@ -109,6 +109,31 @@ const labSchema = new mongoose.Schema({
       default: 10
     }
   },
+  // Who may verify results before they are published (services/verificationPolicyService)
+  verificationPolicy: {
+    // Verifier must be someone other than the person who entered the result
+    requireSecondVerifier: { type: Boolean, default: true },
+    // Test categories that need a local admin or pathologist sign-off
+    seniorSignOffCategories: {
+      type: [{ type: String, enum: ['blood', 'urine', 'imaging', 'cardiology', 'pathology'] }],
+      default: ['pathology']
+    },
+    // Imaging results need an x-ray technician or radiologist
+    imagingSignOff: { type: Boolean, default: true }
+  },
+  // How long tested samples are kept before disposal (services/sampleStorageService)
+  sampleRetention: {
+    defaultDays: { type: Number, min: 1, default: null },
+    rules: [{
+      _id: false,
+      specimenType: {
+        type: String,
+        enum: ['Blood', 'Serum', 'Plasma', 'Urine', 'Stool', 'Swab', 'Sputum', 'CSF', 'Other'],
+        required: true
+      },
+      days: { type: Number, min: 1, required: true }
+    }]
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Subset of the LOINC table imported by admins (services/loincService)
+const loincCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  longName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  shortName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // The six LOINC axes
+  component: { type: String, trim: true, default: '' },
+  property: { type: String, trim: true, default: '' },
+  timeAspect: { type: String, trim: true, default: '' },
+  system: { type: String, trim: true, default: '' },
+  scale: { type: String, trim: true, default: '' },
+  method: { type: String, trim: true, default: '' },
+  class: { type: String, trim: true, default: '' },
+  // UCUM unit suggested for the code; used as the default canonical unit
+  exampleUcumUnits: { type: String, trim: true, default: '' },
+  status: { type: String, trim: true, default: 'ACTIVE' },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+loincCodeSchema.index({ component: 1 });
+
+module.exports = mongoose.model('LoincCode', loincCodeSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Log of Razorpay webhook deliveries, keyed by event id so retries are processed once
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  // flagged: processed, but needs staff attention (amount mismatch, payment on a closed booking)
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'flagged'],
+    default: 'received'
+  },
+  details: {
+    type: String,
+    default: ''
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ eventId: 1 }, { unique: true });
+paymentEventSchema.index({ bookingId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+
+  // Amounts in INR
+  paidAmount: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  percent: {
+    type: Number,
+    default: 100
+  },
+  policy: {
+    type: String, // Label of the refund policy tier that was applied
+    default: ''
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // requested -> approved/rejected; approved -> processing -> processed/failed
+  status: {
+    type: String,
+    enum: ['requested', 'rejected', 'processing', 'processed', 'failed'],
+    default: 'requested'
+  },
+  method: {
+    type: String,
+    enum: ['razorpay', 'manual'],
+    default: 'razorpay'
+  },
+
+  razorpayPaymentId: {
+    type: String,
+    default: null
+  },
+  razorpayRefundId: {
+    type: String,
+    default: null
+  },
+
+  // null when the system requested it (payment captured on a closed booking)
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ bookingId: 1, createdAt: -1 });
+refundSchema.index({ labId: 1, status: 1, createdAt: -1 });
+refundSchema.index({ userId: 1, createdAt: -1 });
+refundSchema.index({ razorpayRefundId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Refund', refundSchema);
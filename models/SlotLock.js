@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Short-lived lock per lab and appointment day. Booking writes that consume
+// capacity hold this lock so concurrent requests can't overbook a slot.
+const slotLockSchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  date: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  owner: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+slotLockSchema.index({ labId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlotLock', slotLockSchema);
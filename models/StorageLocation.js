@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A rack in one of a lab's fridges/freezers that tested samples are kept in.
+// Positions are numbered 1..positions.
+const storageLocationSchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  // Fridge, freezer or cabinet name as labelled in the lab (e.g. "Fridge 2")
+  fridge: {
+    type: String,
+    required: [true, 'Fridge name is required'],
+    trim: true
+  },
+  rack: {
+    type: String,
+    required: [true, 'Rack name is required'],
+    trim: true
+  },
+  positions: {
+    type: Number,
+    required: [true, 'Number of positions is required'],
+    min: [1, 'A rack needs at least one position']
+  },
+  // Storage temperature as written on the unit, e.g. "2-8 °C"
+  temperature: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+storageLocationSchema.index({ labId: 1, fridge: 1, rack: 1 }, { unique: true });
+
+module.exports = mongoose.model('StorageLocation', storageLocationSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Claim on one position of a storage rack. The unique index is what stops two
+// check-ins taking the same position; the sample's own storage fields remain
+// the record of where it is. A claim whose sample is no longer stored there
+// is stale and can be taken over (services/sampleStorageService).
+const storagePositionSchema = new mongoose.Schema({
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StorageLocation',
+    required: true
+  },
+  position: {
+    type: Number,
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  sampleId: {
+    type: String,
+    required: true
+  },
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+storagePositionSchema.index({ locationId: 1, position: 1 }, { unique: true });
+
+module.exports = mongoose.model('StoragePosition', storagePositionSchema);
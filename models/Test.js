@@ -37,18 +37,67 @@ const testSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Preparation instructions cannot exceed 500 characters']
   },
+  // What the phlebotomist draws (services/specimenService): tests sharing a
+  // container are collected into one tube
+  specimenType: {
+    type: String,
+    enum: ['', 'Blood', 'Serum', 'Plasma', 'Urine', 'Stool', 'Swab', 'Sputum', 'CSF', 'Other'],
+    default: ''
+  },
+  container: {
+    type: String,
+    enum: ['', 'blood_culture', 'citrate', 'plain', 'sst', 'heparin', 'edta', 'fluoride', 'urine_cup', 'stool_container', 'swab'],
+    default: ''
+  },
+  specimenVolume: {
+    type: Number, // mL
+    min: [0, 'Specimen volume cannot be negative'],
+    default: null
+  },
+  // LOINC order code for the test as a whole (optional)
+  loincCode: {
+    type: String,
+    trim: true,
+    default: ''
+  },
   // Result fields define the structure of outputs captured for this test
   resultFields: [
     {
       label: { type: String, trim: true, required: false },
       unit: { type: String, trim: true, default: '' },
+      // LOINC code of the analyte and its UCUM unit; analytes are looked up by code (services/analyteService)
+      loincCode: { type: String, trim: true, default: '' },
+      canonicalUnit: { type: String, trim: true, default: '' },
       referenceRange: { type: String, trim: true, default: '' },
       type: {
         type: String,
         enum: ['text', 'number', 'boolean'],
         default: 'text'
       },
-      required: { type: Boolean, default: false }
+      required: { type: Boolean, default: false },
+      // Default numeric bounds for flagging (L/H) and critical values (LL/HH)
+      low: { type: Number, default: null },
+      high: { type: Number, default: null },
+      criticalLow: { type: Number, default: null },
+      criticalHigh: { type: Number, default: null },
+      // Age/gender-specific overrides; the most specific match wins
+      ranges: [{
+        _id: false,
+        gender: { type: String, enum: ['any', 'male', 'female', 'other'], default: 'any' },
+        ageMin: { type: Number, default: null }, // inclusive, years
+        ageMax: { type: Number, default: null }, // exclusive, years
+        low: { type: Number, default: null },
+        high: { type: Number, default: null },
+        criticalLow: { type: Number, default: null },
+        criticalHigh: { type: Number, default: null }
+      }],
+      // Warn when a result moves more than `limit` (in the field's unit, or
+      // percent) from the patient's previous published result within windowDays
+      deltaCheck: {
+        mode: { type: String, enum: ['', 'absolute', 'percent'], default: '' },
+        limit: { type: Number, default: null },
+        windowDays: { type: Number, default: null } // null = any previous result
+      }
     }
   ],
   image: {
@@ -117,6 +117,24 @@ const userSchema = new mongoose.Schema({
     ref: 'Lab',
     default: null
   },
+  // Clinical sign-off qualifications held by lab staff (see Lab.verificationPolicy)
+  signOffQualifications: [{
+    type: String,
+    enum: ['pathologist', 'radiologist']
+  }],
+  // Patient identifiers from partner systems, e.g. a hospital MRN received over HL7
+  externalIds: [{
+    _id: false,
+    system: { type: String, trim: true, required: true },
+    value: { type: String, trim: true, required: true }
+  }],
+  // Existing account a partner-created patient shares an email with; staff
+  // confirm and link them by hand rather than trusting the partner's email
+  possibleDuplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   // Google OAuth fields
   googleId: {
     type: String,
@@ -241,5 +259,6 @@ userSchema.methods.toJSON = function () {
 
 // Index for faster queries (email is already unique, so no need for separate index)
 userSchema.index({ phone: 1 });
+userSchema.index({ 'externalIds.system': 1, 'externalIds.value': 1 });
 
 module.exports = mongoose.model('User', userSchema);
@@ -367,6 +367,94 @@ router.get('/dashboard-stats', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/no-show-rates
+// @desc    Per-lab no-show rate for appointments in the period (Admin only)
+// @access  Private (Admin only)
+router.get('/no-show-rates', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const { period = '30' } = req.query;
+
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(endDate.getDate() - parseInt(period));
+
+    // Appointments whose outcome is known: the patient came in, or the no-show
+    // job flagged them. Pending/confirmed ones are still undecided (upcoming, or
+    // within the no-show grace period); cancellations don't count either way.
+    const rates = await Booking.aggregate([
+      {
+        $match: {
+          isActive: true,
+          appointmentDate: { $gte: startDate, $lte: endDate },
+          status: { $nin: ['cancelled', 'pending', 'confirmed'] }
+        }
+      },
+      {
+        $group: {
+          _id: '$labId',
+          appointments: { $sum: 1 },
+          noShows: { $sum: { $cond: [{ $eq: ['$status', 'no_show'] }, 1, 0] } }
+        }
+      },
+      {
+        $lookup: {
+          from: 'labs',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'lab'
+        }
+      },
+      { $unwind: '$lab' },
+      {
+        $project: {
+          _id: 0,
+          labId: '$_id',
+          labName: '$lab.name',
+          appointments: 1,
+          noShows: 1,
+          noShowRate: {
+            $round: [{ $multiply: [{ $divide: ['$noShows', '$appointments'] }, 100] }, 1]
+          }
+        }
+      },
+      { $sort: { noShowRate: -1 } }
+    ]);
+
+    const totals = rates.reduce((acc, r) => {
+      acc.appointments += r.appointments;
+      acc.noShows += r.noShows;
+      return acc;
+    }, { appointments: 0, noShows: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        period: parseInt(period),
+        overall: {
+          ...totals,
+          noShowRate: totals.appointments > 0
+            ? Math.round((totals.noShows / totals.appointments) * 1000) / 10
+            : 0
+        },
+        labs: rates
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching no-show rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching no-show rates'
+    });
+  }
+});
+
 // @route   GET /api/admin/reports/export
 // @desc    Export analytics data (Admin only)
 // @access  Private (Admin only)
@@ -0,0 +1,325 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const AnalyzerImport = require('../models/AnalyzerImport');
+const AnalyzerMapping = require('../models/AnalyzerMapping');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const analyzerImportService = require('../services/analyzerImportService');
+const { authenticateToken: auth } = require('../middleware/auth');
+
+const IMPORT_ROLES = ['staff', 'lab_technician', 'local_admin'];
+
+// Raw analyzer files are kept as received
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const dir = 'uploads/analyzer/';
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    cb(null, dir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'analyzer-' + uniqueSuffix + (path.extname(file.originalname) || '.txt'));
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.txt', '.astm', '.dat', '.tsv', ''].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only ASTM (.astm, .txt, .dat) and CSV files are allowed.'), false);
+    }
+  }
+});
+
+// Resolve assignedLab reliably (fallback to DB if not in token)
+const resolveAssignedLab = async (user) => {
+  if (user.assignedLab) return user.assignedLab;
+  const dbUser = await User.findById(user.id).select('assignedLab');
+  return dbUser?.assignedLab;
+};
+
+// Lab staff work within their own lab; sends the error response and returns null otherwise
+const requireLab = async (req, res) => {
+  if (!IMPORT_ROLES.includes(req.user.role)) {
+    res.status(403).json({ success: false, message: 'Access denied' });
+    return null;
+  }
+  const labId = await resolveAssignedLab(req.user);
+  if (!labId) {
+    res.status(400).json({ success: false, message: 'No assigned lab found for your account' });
+    return null;
+  }
+  return labId;
+};
+
+const loadImport = async (req, res) => {
+  const labId = await requireLab(req, res);
+  if (!labId) return null;
+
+  const analyzerImport = await AnalyzerImport.findById(req.params.id);
+  if (!analyzerImport || analyzerImport.labId.toString() !== labId.toString()) {
+    res.status(404).json({ success: false, message: 'Import not found' });
+    return null;
+  }
+  return analyzerImport;
+};
+
+// @route   GET /api/analyzer/mappings
+// @desc    Analyzer test code mappings for the lab
+// @access  Staff, Lab Technician, Local Admin
+router.get('/mappings', auth, async (req, res) => {
+  try {
+    const labId = await requireLab(req, res);
+    if (!labId) return;
+
+    const query = { labId };
+    if (req.query.analyzer !== undefined) query.analyzer = req.query.analyzer;
+
+    const mappings = await AnalyzerMapping.find(query)
+      .populate('testId', 'name')
+      .sort({ analyzer: 1, code: 1 });
+
+    res.json({ success: true, data: mappings });
+  } catch (error) {
+    console.error('Error fetching analyzer mappings:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching analyzer mappings' });
+  }
+});
+
+// @route   POST /api/analyzer/mappings
+// @desc    Create or update the mapping for an analyzer test code
+// @access  Local Admin only
+router.post('/mappings', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'local_admin') {
+      return res.status(403).json({ success: false, message: 'Only local admins can manage analyzer mappings' });
+    }
+    const labId = await requireLab(req, res);
+    if (!labId) return;
+
+    const { analyzer = '', code, testId, label, isActive } = req.body;
+    if (!code || !testId || !label) {
+      return res.status(400).json({ success: false, message: 'code, testId and label are required' });
+    }
+
+    const test = await Test.findById(testId).select('name resultFields');
+    if (!test) {
+      return res.status(404).json({ success: false, message: 'Test not found' });
+    }
+    const field = (test.resultFields || []).find(f => (f.label || '').trim().toLowerCase() === String(label).trim().toLowerCase());
+    if (!field) {
+      return res.status(400).json({ success: false, message: `${test.name} has no result field labelled "${label}"` });
+    }
+
+    const mapping = await AnalyzerMapping.findOneAndUpdate(
+      { labId, analyzer: String(analyzer).trim(), code: String(code).trim().toUpperCase() },
+      {
+        $set: {
+          testId,
+          label: field.label,
+          isActive: isActive !== undefined ? !!isActive : true
+        },
+        $setOnInsert: { createdBy: req.user.id }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({ success: true, message: 'Analyzer mapping saved', data: mapping });
+  } catch (error) {
+    console.error('Error saving analyzer mapping:', error);
+    res.status(500).json({ success: false, message: 'Server error while saving analyzer mapping' });
+  }
+});
+
+// @route   DELETE /api/analyzer/mappings/:id
+// @desc    Remove an analyzer test code mapping
+// @access  Local Admin only
+router.delete('/mappings/:id', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'local_admin') {
+      return res.status(403).json({ success: false, message: 'Only local admins can manage analyzer mappings' });
+    }
+    const labId = await requireLab(req, res);
+    if (!labId) return;
+
+    const mapping = await AnalyzerMapping.findOneAndDelete({ _id: req.params.id, labId });
+    if (!mapping) {
+      return res.status(404).json({ success: false, message: 'Mapping not found' });
+    }
+
+    res.json({ success: true, message: 'Analyzer mapping removed' });
+  } catch (error) {
+    console.error('Error deleting analyzer mapping:', error);
+    res.status(500).json({ success: false, message: 'Server error while deleting analyzer mapping' });
+  }
+});
+
+// @route   POST /api/analyzer/imports
+// @desc    Upload an ASTM or CSV result file and stage its values for review
+// @access  Staff, Lab Technician, Local Admin
+router.post('/imports', auth, upload.single('resultFile'), async (req, res) => {
+  try {
+    const labId = await requireLab(req, res);
+    if (!labId) return;
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    const result = await analyzerImportService.stage({
+      labId,
+      filePath: req.file.path.replace(/\\/g, '/'),
+      originalName: req.file.originalname,
+      format: req.body.format || null,
+      analyzer: req.body.analyzer,
+      uploadedBy: req.user.id
+    });
+    if (!result.success) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const records = result.import.records;
+    res.status(201).json({
+      success: true,
+      message: `${records.filter(r => r.status === 'matched').length} of ${records.length} values matched and staged for review`,
+      data: result.import
+    });
+  } catch (error) {
+    console.error('Error importing analyzer file:', error);
+    if (error.message?.includes('Invalid file type')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error while importing analyzer file' });
+  }
+});
+
+// @route   GET /api/analyzer/imports
+// @desc    Recent analyzer imports for the lab
+// @access  Staff, Lab Technician, Local Admin
+router.get('/imports', auth, async (req, res) => {
+  try {
+    const labId = await requireLab(req, res);
+    if (!labId) return;
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const query = { labId };
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [imports, total] = await Promise.all([
+      AnalyzerImport.find(query)
+        .select('-records')
+        .populate('uploadedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AnalyzerImport.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: imports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching analyzer imports:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching analyzer imports' });
+  }
+});
+
+// @route   GET /api/analyzer/imports/:id
+// @desc    Staged values of an import for technician review
+// @access  Staff, Lab Technician, Local Admin
+router.get('/imports/:id', auth, async (req, res) => {
+  try {
+    const analyzerImport = await loadImport(req, res);
+    if (!analyzerImport) return;
+
+    await analyzerImport.populate([
+      { path: 'records.testId', select: 'name' },
+      { path: 'records.bookingId', select: 'userId status', populate: { path: 'userId', select: 'firstName lastName' } },
+      { path: 'uploadedBy', select: 'firstName lastName' },
+      { path: 'reviewedBy', select: 'firstName lastName' }
+    ]);
+
+    res.json({ success: true, data: analyzerImport });
+  } catch (error) {
+    console.error('Error fetching analyzer import:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching analyzer import' });
+  }
+});
+
+// @route   POST /api/analyzer/imports/:id/apply
+// @desc    Write reviewed values to their bookings (all matched, or the given recordIds)
+// @access  Staff, Lab Technician, Local Admin
+router.post('/imports/:id/apply', auth, async (req, res) => {
+  try {
+    const analyzerImport = await loadImport(req, res);
+    if (!analyzerImport) return;
+
+    const { recordIds } = req.body || {};
+    if (recordIds !== undefined && !Array.isArray(recordIds)) {
+      return res.status(400).json({ success: false, message: 'recordIds must be an array' });
+    }
+
+    const result = await analyzerImportService.apply(analyzerImport, {
+      recordIds: recordIds || null,
+      by: req.user.id,
+      role: req.user.role
+    });
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const applied = result.import.records.filter(r => r.status === 'applied').length;
+    res.json({
+      success: true,
+      message: `${applied} value(s) applied; results are awaiting verification`,
+      data: result.import,
+      criticalAlerts: result.criticalAlerts,
+      deltaWarnings: result.deltaWarnings
+    });
+  } catch (error) {
+    console.error('Error applying analyzer import:', error);
+    res.status(500).json({ success: false, message: 'Server error while applying analyzer import' });
+  }
+});
+
+// @route   POST /api/analyzer/imports/:id/reject
+// @desc    Discard staged values (all matched, or the given recordIds)
+// @access  Staff, Lab Technician, Local Admin
+router.post('/imports/:id/reject', auth, async (req, res) => {
+  try {
+    const analyzerImport = await loadImport(req, res);
+    if (!analyzerImport) return;
+
+    const { recordIds } = req.body || {};
+    if (recordIds !== undefined && !Array.isArray(recordIds)) {
+      return res.status(400).json({ success: false, message: 'recordIds must be an array' });
+    }
+
+    const result = await analyzerImportService.reject(analyzerImport, {
+      recordIds: recordIds || null,
+      by: req.user.id
+    });
+
+    res.json({ success: true, message: 'Staged values rejected', data: result.import });
+  } catch (error) {
+    console.error('Error rejecting analyzer import:', error);
+    res.status(500).json({ success: false, message: 'Server error while rejecting analyzer import' });
+  }
+});
+
+module.exports = router;
@@ -5,8 +5,89 @@ const Lab = require('../models/Lab');
 const User = require('../models/User');
 const Vital = require('../models/Vital');
 const { authenticateToken: auth } = require('../middleware/auth');
-const { razorpay } = require('../config/razorpay');
+const { razorpayConfig, verifyPaymentSignature } = require('../config/razorpay');
 const pushService = require('../services/pushService');
+const slotService = require('../services/slotService');
+const pricingService = require('../services/pricingService');
+const paymentService = require('../services/paymentService');
+const refundService = require('../services/refundService');
+const refundPolicy = require('../config/refundPolicy');
+const reschedulePolicy = require('../config/reschedulePolicy');
+const emailService = require('../services/emailService');
+const referenceRangeService = require('../services/referenceRangeService');
+const criticalAlertService = require('../services/criticalAlertService');
+const reportService = require('../services/reportService');
+const reportSignatureService = require('../services/reportSignatureService');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const resultVersionService = require('../services/resultVersionService');
+const verificationPolicyService = require('../services/verificationPolicyService');
+const resultEntryService = require('../services/resultEntryService');
+const analyteService = require('../services/analyteService');
+const hl7Service = require('../services/hl7Service');
+const noShowScheduler = require('../services/noShowScheduler');
+const labelService = require('../services/labelService');
+
+// @route   GET /api/bookings/rebook/:token
+// @desc    Resolve a rebook link from a missed-appointment notice into booking prefill data
+// @access  Public (signed link)
+router.get('/rebook/:token', async (req, res) => {
+  try {
+    const decoded = noShowScheduler.verifyRebookToken(req.params.token);
+    if (!decoded) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rebook link is invalid or has expired'
+      });
+    }
+
+    const booking = await Booking.findById(decoded.bookingId)
+      .select('labId selectedTests selectedPackages appointmentDate appointmentTime status')
+      .populate('labId', 'name address operatingHours capacity isActive');
+
+    if (!booking || !booking.labId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const lab = booking.labId;
+
+    // Suggest the first day in the next two weeks with an open slot
+    let nextAvailable = null;
+    if (lab.isActive) {
+      for (let i = 0; i < 14 && !nextAvailable; i++) {
+        const day = new Date();
+        day.setUTCDate(day.getUTCDate() + i);
+        const slots = await slotService.getSlots(lab, day);
+        if (slots?.slots.some(s => s.available)) {
+          nextAvailable = {
+            date: slots.date,
+            slots: slots.slots.filter(s => s.available).map(s => s.time)
+          };
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        previousBookingId: booking._id,
+        previousStatus: booking.status,
+        lab: { _id: lab._id, name: lab.name, address: lab.address, isActive: lab.isActive },
+        selectedTests: booking.selectedTests.map(t => ({ testId: t.testId, testName: t.testName })),
+        selectedPackages: booking.selectedPackages.map(p => ({ packageId: p.packageId, packageName: p.packageName })),
+        nextAvailable
+      }
+    });
+  } catch (error) {
+    console.error('Error resolving rebook link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resolving rebook link'
+    });
+  }
+});
 
 // @route   GET /api/bookings/latest-vitals
 // @desc    Get latest vitals summary for dashboard cards (BP/Sugar)
@@ -22,97 +103,26 @@ router.get('/latest-vitals', auth, async (req, res) => {
     let bloodPressure = latestVital?.bloodPressure || null;
     let bloodSugar = latestVital?.bloodSugar || null;
 
-    // 2. If missing, look into Booking test results
+    // 2. If missing, use the latest coded lab results (LOINC)
     if (!bloodPressure || !bloodSugar) {
-      const recentBookings = await Booking.find({
-        userId: req.user.id,
-        status: { $in: ['result_published', 'completed'] },
-        testResults: { $exists: true, $ne: [] }
-      })
-        .sort({ appointmentDate: -1 })
-        .limit(10) // Check last 10 bookings
-        .populate('selectedTests.testId', 'name');
-
-      for (const booking of recentBookings) {
-        // Stop if we found both
-        if (bloodPressure && bloodSugar) break;
-
-        const results = booking.testResults || [];
-
-        // Map test names for easier lookup
-        const testMap = {};
-        if (booking.selectedTests) {
-          booking.selectedTests.forEach(t => {
-            if (t.testId) testMap[t.testId._id.toString()] = t.testName || t.testId.name;
-          });
-        }
-
-        for (const result of results) {
-          const testIdStr = result.testId ? result.testId.toString() : '';
-          const testName = (testMap[testIdStr] || '').toLowerCase();
-
-          console.log(`Checking test result: ${testName}`, result.values);
-
-          // Check for Blood Pressure
-          if (!bloodPressure) {
-            // Strategy 1: Look for explicit "Blood Pressure" or "BP" in test name
-            // AND a value that looks like "120/80" or has "pressure" in label
-            if (testName.includes('pressure') || testName.includes('bp') || testName.includes('vitals')) {
-              const bpValue = result.values.find(v => v.value && (v.label.toLowerCase().includes('pressure') || v.value.toString().includes('/')));
-              if (bpValue) {
-                console.log('Found BP via strategy 1:', bpValue);
-                bloodPressure = {
-                  value: bpValue.value,
-                  unit: bpValue.unit || 'mmHg',
-                  date: booking.appointmentDate
-                };
-              }
-            }
-
-            // Strategy 2: Look for Systolic/Diastolic values specifically
-            if (!bloodPressure) {
-              const systolic = result.values.find(v => v.label.toLowerCase().includes('systolic'));
-              const diastolic = result.values.find(v => v.label.toLowerCase().includes('diastolic'));
-
-              if (systolic && diastolic && systolic.value && diastolic.value) {
-                console.log('Found BP via strategy 2 (systolic/diastolic):', systolic, diastolic);
-                bloodPressure = {
-                  value: `${systolic.value}/${diastolic.value}`,
-                  unit: 'mmHg',
-                  date: booking.appointmentDate
-                };
-              }
-            }
-
-            // Strategy 3: Scan ALL values for "X/Y" pattern where X and Y are numbers (e.g. "120/80")
-            if (!bloodPressure) {
-              const bpPattern = /^\d{2,3}\/\d{2,3}$/;
-              const bpValue = result.values.find(v => v.value && bpPattern.test(v.value.toString()));
-              if (bpValue) {
-                console.log('Found BP via strategy 3 (pattern match):', bpValue);
-                bloodPressure = {
-                  value: bpValue.value,
-                  unit: bpValue.unit || 'mmHg',
-                  date: booking.appointmentDate
-                };
-              }
-            }
-          }
+      const latest = await analyteService.latestFromResults(req.user.id, ['systolicBP', 'diastolicBP', 'bloodPressure', 'glucose']);
+
+      const bp = analyteService.bloodPressureOf(latest);
+      if (!bloodPressure && bp) {
+        bloodPressure = {
+          value: `${bp.systolic}/${bp.diastolic}`,
+          unit: 'mmHg',
+          date: bp.date
+        };
+      }
 
-          // Check for Blood Sugar / Glucose
-          if (!bloodSugar && (testName.includes('sugar') || testName.includes('glucose') || testName.includes('diabetic'))) {
-            const sugarValue = result.values.find(v => v.value); // Simple check for any value if title matches
-            if (sugarValue) {
-              console.log('Found Blood Sugar:', sugarValue);
-              bloodSugar = {
-                value: sugarValue.value,
-                unit: sugarValue.unit || 'mg/dL',
-                type: testName.includes('fasting') ? 'Fasting' : testName.includes('post') ? 'Post-Prandial' : 'Random',
-                date: booking.appointmentDate
-              };
-            }
-          }
-        }
+      if (!bloodSugar && latest.glucose) {
+        bloodSugar = {
+          value: latest.glucose.value,
+          unit: latest.glucose.unit || 'mg/dL',
+          type: analyteService.glucoseType(latest.glucose.code),
+          date: latest.glucose.date
+        };
       }
     }
 
@@ -153,6 +163,14 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
+    const dateKey = slotService.toDateKey(appointmentDate);
+    if (!dateKey || slotService.parseTime(appointmentTime) === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid appointment date or time'
+      });
+    }
+
     // Validate lab exists and is active
     const lab = await Lab.findById(labId);
     if (!lab || !lab.isActive) {
@@ -162,65 +180,26 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
-    // Validate that at least one test or package is selected
-    if ((!selectedTests || selectedTests.length === 0) &&
-      (!selectedPackages || selectedPackages.length === 0)) {
+    // Resolve tests/packages from the lab catalog and price them server-side
+    const pricing = await pricingService.priceBooking(lab, selectedTests, selectedPackages);
+    if (!pricing.success) {
       return res.status(400).json({
         success: false,
-        message: 'At least one test or package must be selected'
+        message: pricing.error
       });
     }
 
-    // Validate that all tests exist in the lab
-    if (selectedTests && selectedTests.length > 0) {
-      console.log('Booking validation:', {
-        totalTests: selectedTests.length,
-        testIds: selectedTests.map(t => t.testId),
-        testNames: selectedTests.map(t => t.testName)
-      });
-
-      // Validate that all tests exist in the lab
-      const availableTestIds = lab.availableTests?.map(test =>
-        typeof test === 'object' ? test._id.toString() : test.toString()
-      ) || [];
-
-      const invalidTests = selectedTests.filter(test =>
-        !availableTestIds.includes(test.testId.toString())
-      );
-
-      if (invalidTests.length > 0) {
-        return res.status(400).json({
-          success: false,
-          message: `The following tests are not available at this lab: ${invalidTests.map(t => t.testName).join(', ')}`
-        });
-      }
-    }
-
-    // Calculate total amount
-    let totalAmount = 0;
-
-    // Add test prices
-    if (selectedTests && selectedTests.length > 0) {
-      totalAmount += selectedTests.reduce((sum, test) => {
-        return sum + (test.price || 0);
-      }, 0);
-    }
-
-    // Add package prices
-    if (selectedPackages && selectedPackages.length > 0) {
-      totalAmount += selectedPackages.reduce((sum, pkg) => sum + (pkg.price || 0), 0);
-    }
-
     // Create booking data
     const bookingData = {
       userId: req.user.id,
       labId,
-      selectedTests: selectedTests || [],
-      selectedPackages: selectedPackages || [],
-      appointmentDate: new Date(appointmentDate),
+      selectedTests: pricing.selectedTests,
+      selectedPackages: pricing.selectedPackages,
+      appointmentDate: new Date(dateKey),
       appointmentTime,
       paymentMethod,
-      totalAmount,
+      totalAmount: pricing.priceBreakdown.total,
+      priceBreakdown: pricing.priceBreakdown,
       notes: notes || '',
       userLocation: userLocation || null,
       status: 'pending'
@@ -245,9 +224,32 @@ router.post('/', auth, async (req, res) => {
       appointmentDate: bookingData.appointmentDate
     });
 
-    // Create booking
+    // Hold the lab/day lock while checking capacity and saving, so concurrent
+    // requests for the same day can't both take the last slot
+    const slotLock = await slotService.acquireLock(lab._id, dateKey);
+    if (!slotLock) {
+      return res.status(409).json({
+        success: false,
+        message: 'This date is being booked by other patients right now. Please try again.'
+      });
+    }
+
     const booking = new Booking(bookingData);
-    await booking.save();
+    bookingStateMachine.initialize(booking, { by: req.user.id, role: req.user.role });
+    try {
+      const slotCheck = await slotService.checkSlot(lab, dateKey, appointmentTime);
+      if (!slotCheck.available) {
+        return res.status(409).json({
+          success: false,
+          message: slotCheck.reason
+        });
+      }
+
+      // Create booking
+      await booking.save();
+    } finally {
+      await slotService.releaseLock(slotLock);
+    }
 
     // Populate the booking with lab details
     await booking.populate('labId', 'name address contact');
@@ -357,12 +359,124 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/bookings/:id/timeline
+// @desc    Status history of a booking
+// @access  Private (Booking owner, staff of the booking's lab, Admin)
+router.get('/:id/timeline', auth, async (req, res) => {
+  try {
+    const { role } = req.user;
+
+    const booking = await Booking.findById(req.params.id)
+      .select('userId labId status statusHistory rescheduleHistory createdAt')
+      .populate('statusHistory.by', 'firstName lastName role')
+      .populate('rescheduleHistory.by', 'firstName lastName role');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (role !== 'admin' && booking.userId.toString() !== req.user.id) {
+      let effectiveAssignedLab = req.user.assignedLab;
+      if (!effectiveAssignedLab && ['staff', 'lab_technician', 'xray_technician', 'local_admin'].includes(role)) {
+        const dbUser = await User.findById(req.user.id).select('assignedLab');
+        effectiveAssignedLab = dbUser?.assignedLab;
+      }
+
+      if (!['staff', 'lab_technician', 'xray_technician', 'local_admin'].includes(role) ||
+        effectiveAssignedLab?.toString() !== booking.labId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+    }
+
+    const timeline = [...(booking.statusHistory || [])]
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    res.json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        status: booking.status,
+        createdAt: booking.createdAt,
+        allowedTransitions: bookingStateMachine.allowedTransitions(booking.status, role),
+        timeline,
+        reschedules: booking.rescheduleHistory || []
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching booking timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching booking timeline'
+    });
+  }
+});
+
+// Cancel a booking and, if it was paid, request a refund under the refund
+// policy (pending admin approval). Patients can only cancel pending or confirmed
+// bookings before the appointment time, and their cancelled bookings are
+// soft-deleted. Returns { error } when the booking cannot be cancelled.
+const cancelBooking = async (booking, { by, role, reason }) => {
+  if (role === 'user') {
+    if (!refundPolicy.refundableStatuses.includes(booking.status)) {
+      return { error: `Booking cannot be cancelled once it is ${booking.status.replace(/_/g, ' ')}` };
+    }
+
+    const appointmentStart = slotService.getAppointmentStart(booking.appointmentDate, booking.appointmentTime) ||
+      new Date(booking.appointmentDate);
+    if (appointmentStart <= new Date()) {
+      return { error: 'Booking cannot be cancelled after the appointment time' };
+    }
+  }
+
+  const transition = bookingStateMachine.transition(booking, 'cancelled', { by, role, reason });
+  if (!transition.success) {
+    return { error: transition.error };
+  }
+
+  if (role === 'user') {
+    booking.isActive = false;
+  }
+  await booking.save();
+
+  let refund = null;
+  if (booking.paymentStatus === 'completed') {
+    const result = await refundService.requestRefund(booking, { requestedBy: by, reason });
+    refund = result.refund || null;
+    if (!result.success) {
+      console.warn(`No refund requested for booking ${booking._id}:`, result.error);
+    }
+  }
+
+  return { refund };
+};
+
 // @route   PUT /api/bookings/:id
-// @desc    Update booking (cancel or reschedule)
+// @desc    Update booking (cancel or edit notes)
 // @access  Private (All authenticated users)
 router.put('/:id', auth, async (req, res) => {
   try {
-    const { status, appointmentDate, appointmentTime, notes } = req.body;
+    const { status, appointmentDate, appointmentTime, notes, reason } = req.body;
+
+    // Moving the appointment goes through slot checks and the reschedule policy
+    if (appointmentDate || appointmentTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/bookings/:id/reschedule to change the appointment date or time'
+      });
+    }
+
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be text'
+      });
+    }
 
     const booking = await Booking.findOne({
       _id: req.params.id,
@@ -377,28 +491,44 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
-    // Only allow certain updates
-    if (status) {
-      if (['cancelled'].includes(status)) {
-        booking.status = status;
-      } else {
+    if (notes !== undefined) {
+      booking.notes = notes;
+    }
+
+    // Cancelling goes through the same checks and refund request as DELETE
+    if (status === 'cancelled') {
+      const cancelled = await cancelBooking(booking, {
+        by: req.user.id,
+        role: 'user',
+        reason: reason?.trim() || 'Cancelled by patient'
+      });
+      if (cancelled.error) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid status update'
+          message: cancelled.error
         });
       }
-    }
-
-    if (appointmentDate) {
-      booking.appointmentDate = new Date(appointmentDate);
-    }
 
-    if (appointmentTime) {
-      booking.appointmentTime = appointmentTime;
+      return res.json({
+        success: true,
+        message: cancelled.refund ? 'Booking cancelled. Your refund request has been submitted for approval.' : 'Booking cancelled successfully',
+        data: { refund: cancelled.refund }
+      });
     }
 
-    if (notes !== undefined) {
-      booking.notes = notes;
+    // Patients have no other status moves; the state machine says why
+    if (status) {
+      const transition = bookingStateMachine.transition(booking, status, {
+        by: req.user.id,
+        role: 'user',
+        reason: reason || ''
+      });
+      if (!transition.success) {
+        return res.status(400).json({
+          success: false,
+          message: transition.error
+        });
+      }
     }
 
     await booking.save();
@@ -419,6 +549,168 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/bookings/:id/reschedule
+// @desc    Move a booking to another slot at the same lab
+// @access  Private (Booking owner)
+router.post('/:id/reschedule', auth, async (req, res) => {
+  try {
+    const { appointmentDate, appointmentTime } = req.body;
+
+    if (req.body.reason !== undefined && typeof req.body.reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be text'
+      });
+    }
+    const reason = (req.body.reason || '').trim();
+
+    if (!appointmentDate || !appointmentTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'New appointment date and time are required'
+      });
+    }
+
+    const newDateKey = slotService.toDateKey(appointmentDate);
+    if (!newDateKey || slotService.parseTime(appointmentTime) === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid appointment date or time'
+      });
+    }
+
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      isActive: true
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!reschedulePolicy.reschedulableStatuses.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Bookings that are ${booking.status} cannot be rescheduled`
+      });
+    }
+
+    if ((booking.rescheduleCount || 0) >= reschedulePolicy.maxReschedules) {
+      return res.status(400).json({
+        success: false,
+        message: `This booking has already been rescheduled the maximum of ${reschedulePolicy.maxReschedules} times`
+      });
+    }
+
+    const currentStart = slotService.getAppointmentStart(booking.appointmentDate, booking.appointmentTime) ||
+      new Date(booking.appointmentDate);
+    const hoursLeft = (currentStart - new Date()) / (1000 * 60 * 60);
+    if (hoursLeft < reschedulePolicy.cutoffHours) {
+      return res.status(400).json({
+        success: false,
+        message: `Appointments can only be rescheduled up to ${reschedulePolicy.cutoffHours} hours before the appointment time`
+      });
+    }
+
+    if (newDateKey === slotService.toDateKey(booking.appointmentDate) &&
+      slotService.parseTime(appointmentTime) === slotService.parseTime(booking.appointmentTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new slot is the same as the current appointment'
+      });
+    }
+
+    const lab = await Lab.findById(booking.labId);
+    if (!lab || !lab.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lab is no longer accepting bookings'
+      });
+    }
+
+    const slotLock = await slotService.acquireLock(lab._id, newDateKey);
+    if (!slotLock) {
+      return res.status(409).json({
+        success: false,
+        message: 'This date is being booked by other patients right now. Please try again.'
+      });
+    }
+
+    const change = {
+      fromDate: booking.appointmentDate,
+      fromTime: booking.appointmentTime,
+      toDate: new Date(newDateKey),
+      toTime: appointmentTime,
+      by: req.user.id,
+      reason,
+      at: new Date()
+    };
+
+    try {
+      const slotCheck = await slotService.checkSlot(lab, newDateKey, appointmentTime, booking._id);
+      if (!slotCheck.available) {
+        return res.status(409).json({
+          success: false,
+          message: slotCheck.reason
+        });
+      }
+
+      booking.appointmentDate = change.toDate;
+      booking.appointmentTime = change.toTime;
+      booking.rescheduleCount = (booking.rescheduleCount || 0) + 1;
+      booking.rescheduleHistory.push(change);
+      booking.remindersSent = { reminder24h: false, reminder1h: false };
+      booking.updatedAt = new Date();
+
+      await booking.save();
+    } finally {
+      await slotService.releaseLock(slotLock);
+    }
+
+    // ── Email patient and lab (non-blocking) ──
+    (async () => {
+      const formatDate = (d) => new Date(d).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' });
+      const patientName = `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || 'Patient';
+      const details = {
+        fromDate: formatDate(change.fromDate),
+        fromTime: change.fromTime,
+        toDate: formatDate(change.toDate),
+        toTime: change.toTime,
+        reason,
+        patientName
+      };
+
+      if (req.user.email) {
+        await emailService.sendRescheduleEmail(req.user.email, req.user.firstName || 'Patient', lab.name, booking._id, details, 'patient');
+      }
+      if (lab.contact?.email) {
+        await emailService.sendRescheduleEmail(lab.contact.email, lab.name, lab.name, booking._id, details, 'lab');
+      }
+    })().catch(err => console.error('Reschedule email failed:', err.message));
+
+    await booking.populate('labId', 'name address contact');
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: {
+        booking,
+        reschedulesRemaining: Math.max(reschedulePolicy.maxReschedules - booking.rescheduleCount, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rescheduling booking'
+    });
+  }
+});
+
 // @route   POST /api/bookings/:id/create-order
 // @desc    Create Razorpay order for a booking
 // @access  Private
@@ -438,20 +730,23 @@ router.post('/:id/create-order', auth, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Already paid' });
     }
 
-    const options = {
-      amount: Math.round(booking.totalAmount * 100), // Razorpay expects amount in paise
-      currency: "INR",
-      receipt: `receipt_${booking._id}`
-    };
+    if (booking.status === 'cancelled') {
+      return res.status(400).json({ success: false, message: 'Cannot pay for a cancelled booking' });
+    }
 
-    const order = await razorpay.orders.create(options);
+    // Reuses the booking's open order so retries don't create duplicate orders
+    const result = await paymentService.getOrCreateOrder(booking);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
 
     res.json({
       success: true,
       data: {
-        orderId: order.id,
-        amount: order.amount,
-        currency: order.currency
+        orderId: result.order.id,
+        amount: result.order.amount,
+        currency: result.order.currency,
+        keyId: razorpayConfig.key_id
       }
     });
   } catch (error) {
@@ -491,16 +786,43 @@ router.post('/:id/payment', auth, async (req, res) => {
         });
       }
 
-      // Upgrade payment method to pay_now if user is paying online
-      booking.paymentMethod = 'pay_now';
+      // Already recorded (e.g. by the webhook) - report success without re-applying
+      if (booking.paymentStatus === 'completed' && booking.razorpayPaymentId === razorpayPaymentId) {
+        await booking.populate('labId', 'name address contact');
+        return res.json({
+          success: true,
+          message: 'Payment already processed',
+          data: booking
+        });
+      }
 
-      // Update Razorpay payment details
-      booking.razorpayOrderId = razorpayOrderId;
-      booking.razorpayPaymentId = razorpayPaymentId;
-      booking.razorpaySignature = razorpaySignature;
-      booking.paymentStatus = 'completed';
-      booking.paidAmount = booking.totalAmount;
-      booking.paymentDate = new Date();
+      if (booking.paymentStatus === 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment has already been processed for this booking'
+        });
+      }
+
+      // The order must be the one we created for this booking
+      if (!booking.razorpayOrderId || booking.razorpayOrderId !== razorpayOrderId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment order does not match this booking'
+        });
+      }
+
+      if (!verifyPaymentSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment verification failed. Invalid signature.'
+        });
+      }
+
+      paymentService.applyCapturedPayment(booking, {
+        orderId: razorpayOrderId,
+        paymentId: razorpayPaymentId,
+        signature: razorpaySignature
+      });
 
       await booking.save();
 
@@ -588,6 +910,14 @@ router.post('/:id/payment', auth, async (req, res) => {
 // @access  Private (All authenticated users)
 router.delete('/:id', auth, async (req, res) => {
   try {
+    const reason = req.body?.reason;
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be text'
+      });
+    }
+
     const booking = await Booking.findOne({
       _id: req.params.id,
       userId: req.user.id,
@@ -601,26 +931,22 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if booking can be cancelled
-    const appointmentDate = new Date(booking.appointmentDate);
-    const now = new Date();
-    const hoursUntilAppointment = (appointmentDate - now) / (1000 * 60 * 60);
-
-    if (hoursUntilAppointment < 24) {
+    const { error, refund } = await cancelBooking(booking, {
+      by: req.user.id,
+      role: 'user',
+      reason: reason?.trim() || 'Cancelled by patient'
+    });
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Booking cannot be cancelled less than 24 hours before appointment'
+        message: error
       });
     }
 
-    // Soft delete
-    booking.isActive = false;
-    booking.status = 'cancelled';
-    await booking.save();
-
     res.json({
       success: true,
-      message: 'Booking cancelled successfully'
+      message: refund ? 'Booking cancelled. Your refund request has been submitted for approval.' : 'Booking cancelled successfully',
+      data: { refund }
     });
   } catch (error) {
     console.error('Error cancelling booking:', error);
@@ -829,7 +1155,8 @@ router.put('/:id/status', auth, async (req, res) => {
     }
 
     // Validate status
-    const validStatuses = ['confirmed', 'arrived', 'sample_collected', 'testing', 'results_entered', 'processing', 'completed', 'result_published'];
+    // completed and result_published are set by the verify and publish steps
+    const validStatuses = ['confirmed', 'arrived', 'sample_collected', 'testing', 'results_entered', 'processing'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -869,8 +1196,17 @@ router.put('/:id/status', auth, async (req, res) => {
     }
 
     // Update the booking status
-    booking.status = status;
-    booking.updatedAt = new Date();
+    const transition = bookingStateMachine.transition(booking, status, {
+      by: req.user.id,
+      role,
+      reason: req.body.reason || ''
+    });
+    if (!transition.success) {
+      return res.status(400).json({
+        success: false,
+        message: transition.error
+      });
+    }
 
     await booking.save();
 
@@ -920,7 +1256,7 @@ const upload = multer({
 })
 
 // @route   POST /api/bookings/:id/upload-report
-// @desc    Upload report for a booking
+// @desc    Upload report for a booking; it is released to the patient through PUT /:id/publish
 // @access  Staff and Local Admin only
 router.post('/:id/upload-report', auth, upload.single('reportFile'), async (req, res) => {
   try {
@@ -944,11 +1280,19 @@ router.post('/:id/upload-report', auth, upload.single('reportFile'), async (req,
       });
     }
 
-    // Check if booking status allows report upload
-    if (!['confirmed', 'sample_collected', 'result_published'].includes(booking.status)) {
+    // Check if booking status allows report upload (published reports change through an amendment)
+    if (!['confirmed', 'sample_collected'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report can only be uploaded for bookings with confirmed or sample_collected status'
+      });
+    }
+
+    // Results entered per test go through verification, not a report upload
+    if ((booking.testResults || []).some(r => r.status !== 'verified')) {
       return res.status(400).json({
         success: false,
-        message: 'Report can only be uploaded for bookings with confirmed, sample_collected, or result_published status'
+        message: 'This booking has results awaiting verification; verify them before uploading a report'
       });
     }
 
@@ -991,32 +1335,28 @@ router.post('/:id/upload-report', auth, upload.single('reportFile'), async (req,
       });
     }
 
-    // Update the booking with report information
+    // Update the booking with report information; publishing signs and versions it
+    const transition = bookingStateMachine.transition(booking, 'completed', {
+      by: req.user.id,
+      role,
+      reason: 'Report uploaded',
+      workflow: true
+    });
+    if (!transition.success) {
+      return res.status(400).json({
+        success: false,
+        message: transition.error
+      });
+    }
+
     booking.reportFile = req.file.path; // Store file path
     booking.reportUploadDate = new Date();
-    booking.status = 'result_published';
-    booking.updatedAt = new Date();
 
     await booking.save();
 
-    // ── Send push notification (non-blocking) ──
-    try {
-      const patient = await User.findById(booking.userId);
-      if (patient) {
-        await pushService.notifyUser(
-          patient,
-          'Lab Results Published',
-          `Your results from ${lab?.name || 'LabMate360'} are now available.`,
-          '/user/dashboard/download-reports'
-        );
-      }
-    } catch (pushErr) {
-      console.error('Push notification failed:', pushErr.message);
-    }
-
     res.json({
       success: true,
-      message: 'Report uploaded successfully',
+      message: 'Report uploaded; publish the booking to release it to the patient',
       data: {
         ...booking.toObject(),
         reportFileName: req.file.filename
@@ -1068,9 +1408,9 @@ router.post('/:id/results', auth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
 
-    // Results can be submitted when confirmed, sample collected, or partially completed
-    if (!['confirmed', 'sample_collected', 'partially_completed', 'result_published'].includes(booking.status)) {
-      return res.status(400).json({ success: false, message: 'Results can only be submitted for confirmed, sample_collected, or partially_completed bookings' });
+    // Results can be submitted once the sample is in, re-submitted after a rejection, or amended after publishing
+    if (!resultEntryService.acceptsResults(booking.status)) {
+      return res.status(400).json({ success: false, message: 'Results can only be submitted for confirmed, sample_collected, testing, partially_completed or results_entered bookings' });
     }
 
     // Resolve assignedLab reliably and authorize
@@ -1083,10 +1423,6 @@ router.post('/:id/results', auth, async (req, res) => {
       return res.status(403).json({ success: false, message: 'Access denied for this lab' });
     }
 
-    // Store results; replace or upsert per testId
-    const byTestId = new Map();
-    (booking.testResults || []).forEach(r => byTestId.set(r.testId.toString(), r));
-
     let { testResults, analyzer } = req.body; // expected array of { testId, values: [...] }
 
     // Support direct array from older frontend
@@ -1098,69 +1434,49 @@ router.post('/:id/results', auth, async (req, res) => {
       return res.status(400).json({ success: false, message: 'testResults must be a non-empty array' });
     }
 
-    testResults.forEach(tr => {
-      if (!tr || !tr.testId || !Array.isArray(tr.values)) return;
-      const cleanValues = tr.values.map(v => ({
-        label: (v.label || '').trim(),
-        value: v.value,
-        unit: (v.unit || '').trim(),
-        referenceRange: (v.referenceRange || '').trim(),
-        type: ['text', 'number', 'boolean'].includes(v.type) ? v.type : 'text',
-        required: !!v.required
-      }));
-      byTestId.set(tr.testId.toString(), {
-        testId: tr.testId,
-        values: cleanValues,
-        status: 'completed',
-        analyzer: analyzer || tr.analyzer || null,
-        submittedBy: req.user.id,
-        submittedAt: new Date()
-      });
-    });
-
-    booking.testResults = Array.from(byTestId.values());
-
-    // Calculate total expected tests (direct tests + tests inside packages)
-    const Package = require('../models/Package');
-    let totalExpectedTests = (booking.selectedTests || []).length;
-    if (booking.selectedPackages && booking.selectedPackages.length > 0) {
-      const packageIds = booking.selectedPackages.map(p => p.packageId);
-      const packages = await Package.find({ _id: { $in: packageIds } }).select('selectedTests');
-      packages.forEach(pkg => {
-        totalExpectedTests += (pkg.selectedTests || []).length;
+    // Changing published results starts an amendment: the published version is
+    // frozen and the corrected results must be verified again before republishing
+    const isAmendment = booking.status === 'result_published';
+    if (isAmendment) {
+      const amendment = resultVersionService.beginAmendment(booking, {
+        reason: req.body.amendmentReason,
+        by: req.user.id
       });
+      if (!amendment.success) {
+        return res.status(400).json({ success: false, message: amendment.error });
+      }
     }
 
-    // Smart status: partially_completed vs results_entered (awaiting verification)
-    const resultsCount = booking.testResults.length;
-    if (resultsCount >= totalExpectedTests) {
-      booking.status = 'results_entered';
-    } else if (resultsCount > 0) {
-      booking.status = 'partially_completed';
+    const entry = await resultEntryService.enterValues(booking, testResults, {
+      by: req.user.id,
+      role,
+      analyzer,
+      reason: isAmendment ? `Results amended: ${booking.amendment.reason}` : 'Results submitted',
+      amendment: isAmendment
+    });
+    if (!entry.success) {
+      return res.status(400).json({ success: false, message: entry.error });
     }
-    booking.updatedAt = new Date();
 
     await booking.save();
 
-    // ── Send push notification if published (non-blocking) ──
-    if (booking.status === 'result_published') {
-      try {
-        const patient = await User.findById(booking.userId);
-        const lab = await Lab.findById(booking.labId);
-        if (patient) {
-          await pushService.notifyUser(
-            patient,
-            'Lab Results Published',
-            `Your results from ${lab?.name || 'LabMate360'} are now available.`,
-            '/user/dashboard/download-reports'
-          );
-        }
-      } catch (pushErr) {
-        console.error('Push notification failed:', pushErr.message);
-      }
+    // ── Raise critical value alerts for the lab (pushed over Socket.IO) ──
+    let criticalAlerts = [];
+    try {
+      criticalAlerts = await criticalAlertService.raiseForBooking(booking, req.user.id);
+    } catch (alertErr) {
+      console.error('Failed to raise critical alerts:', alertErr.message);
     }
 
-    res.json({ success: true, message: 'Results saved successfully', data: booking });
+    res.json({
+      success: true,
+      message: entry.deltaWarnings.length
+        ? `Results saved; ${entry.deltaWarnings.length} delta check warning(s) need a second review`
+        : 'Results saved successfully',
+      data: booking,
+      criticalAlerts,
+      deltaWarnings: entry.deltaWarnings
+    });
   } catch (error) {
     console.error('Error saving results:', error);
     res.status(500).json({ success: false, message: 'Server error while saving results' });
@@ -1210,12 +1526,16 @@ router.post('/:id/upload-test-result/:testId', auth, uploadTestResult.single('re
       return res.status(400).json({ success: false, message: 'No file uploaded. Please select an image or PDF.' });
     }
 
+    if (findings !== undefined && typeof findings !== 'string') {
+      return res.status(400).json({ success: false, message: 'Findings must be text' });
+    }
+
     const booking = await Booking.findById(id);
     if (!booking) {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
 
-    if (!['confirmed', 'sample_collected', 'partially_completed', 'result_published'].includes(booking.status)) {
+    if (!resultEntryService.acceptsResults(booking.status)) {
       return res.status(400).json({ success: false, message: 'Results can only be submitted for active bookings' });
     }
 
@@ -1229,234 +1549,52 @@ router.post('/:id/upload-test-result/:testId', auth, uploadTestResult.single('re
       return res.status(403).json({ success: false, message: 'Access denied for this lab' });
     }
 
-    // Upsert the test result with file
-    const existingIdx = (booking.testResults || []).findIndex(
-      r => r.testId.toString() === testId
-    );
-
-    const resultEntry = {
-      testId: testId,
-      values: [],
-      resultFile: req.file.path.replace(/\\/g, '/'),
-      findings: (findings || '').trim(),
-      status: 'completed',
-      submittedBy: req.user.id,
-      submittedAt: new Date()
-    };
-
-    if (existingIdx >= 0) {
-      booking.testResults[existingIdx] = resultEntry;
-    } else {
-      booking.testResults.push(resultEntry);
-    }
-
-    // Smart status update
-    const PackageModel = require('../models/Package');
-    let totalExpectedTests = (booking.selectedTests || []).length;
-    if (booking.selectedPackages && booking.selectedPackages.length > 0) {
-      const packageIds = booking.selectedPackages.map(p => p.packageId);
-      const packages = await PackageModel.find({ _id: { $in: packageIds } }).select('selectedTests');
-      packages.forEach(pkg => { totalExpectedTests += (pkg.selectedTests || []).length; });
-    }
-
-    const resultsCount = booking.testResults.length;
-    if (resultsCount >= totalExpectedTests) {
-      booking.status = 'processing';
-    } else if (resultsCount > 0) {
-      booking.status = 'partially_completed';
-    }
-    booking.updatedAt = new Date();
-
-    await booking.save();
-
-    // ── Send push notification if published (non-blocking) ──
-    if (booking.status === 'result_published') {
-      try {
-        const patient = await User.findById(booking.userId);
-        const lab = await Lab.findById(booking.labId);
-        if (patient) {
-          await pushService.notifyUser(
-            patient,
-            'Lab Results Published',
-            `Your results from ${lab?.name || 'LabMate360'} are now available.`,
-            '/user/dashboard/download-reports'
-          );
-        }
-      } catch (pushErr) {
-        console.error('Push notification failed:', pushErr.message);
-      }
-    }
-
-    res.json({
-      success: true,
-      message: 'Imaging result uploaded successfully',
-      data: {
-        resultFile: resultEntry.resultFile,
-        findings: resultEntry.findings,
-        status: resultEntry.status
-      }
-    });
-  } catch (error) {
-    console.error('Error uploading test result file:', error);
-    if (error.message?.includes('Invalid file type')) {
-      return res.status(400).json({ success: false, message: error.message });
-    }
-    res.status(500).json({ success: false, message: 'Server error while uploading result' });
-  }
-});
-
-// @route   POST /api/bookings/:id/create-order
-// @desc    Create Razorpay order for a booking
-// @access  Private (All authenticated users)
-router.post('/:id/create-order', auth, async (req, res) => {
-  try {
-    const bookingId = req.params.id;
-
-    // Find booking
-    const booking = await Booking.findOne({
-      _id: bookingId,
-      userId: req.user.id,
-      isActive: true
-    });
-
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
-    }
-
-    // Check if booking is eligible for online payment
-    if (booking.paymentMethod !== 'pay_now') {
-      return res.status(400).json({
-        success: false,
-        message: 'This booking is not eligible for online payment'
-      });
-    }
-
-    // Check if payment is already completed
-    if (booking.paymentStatus === 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment has already been processed for this booking'
+    // Changing published results starts an amendment: the published version is
+    // frozen and the corrected results must be verified again before republishing
+    const isAmendment = booking.status === 'result_published';
+    if (isAmendment) {
+      const amendment = resultVersionService.beginAmendment(booking, {
+        reason: req.body.amendmentReason,
+        by: req.user.id
       });
-    }
-
-    // Create Razorpay order
-    const options = {
-      amount: booking.totalAmount * 100, // Amount in paise
-      currency: 'INR',
-      receipt: `${booking._id.toString().slice(-8)}`, // Use last 8 chars of booking ID
-      notes: {
-        bookingId: booking._id.toString(),
-        userId: booking.userId.toString(),
-        labId: booking.labId.toString()
-      }
-    };
-
-    const order = await razorpay.orders.create(options);
-
-    // Update booking with order ID
-    booking.razorpayOrderId = order.id;
-    await booking.save();
-
-    res.json({
-      success: true,
-      message: 'Order created successfully',
-      data: {
-        orderId: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        booking: booking
+      if (!amendment.success) {
+        return res.status(400).json({ success: false, message: amendment.error });
       }
-    });
-
-  } catch (error) {
-    console.error('Error creating order:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while creating order'
-    });
-  }
-});
-
-// @route   POST /api/bookings/:id/payment
-// @desc    Process Razorpay payment for a booking
-// @access  Private (All authenticated users)
-router.post('/:id/payment', auth, async (req, res) => {
-  try {
-    const { razorpayOrderId, razorpayPaymentId, razorpaySignature } = req.body;
-    const bookingId = req.params.id;
-
-    // Validate required fields
-    if (!razorpayPaymentId || !razorpaySignature) {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment details are required'
-      });
-    }
-
-    // Find booking
-    const booking = await Booking.findOne({
-      _id: bookingId,
-      userId: req.user.id,
-      isActive: true
-    });
-
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
-    }
-
-    // Check if booking is eligible for payment
-    if (booking.paymentMethod !== 'pay_now') {
-      return res.status(400).json({
-        success: false,
-        message: 'This booking is not eligible for online payment'
-      });
-    }
-
-    // Check if payment is already completed
-    if (booking.paymentStatus === 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment has already been processed for this booking'
-      });
     }
 
-    // Verify Razorpay payment signature (optional - for production use)
-    // For now, we'll trust the frontend verification and proceed
-
-    // Update booking with payment details
-    booking.razorpayOrderId = razorpayOrderId;
-    booking.razorpayPaymentId = razorpayPaymentId;
-    booking.razorpaySignature = razorpaySignature;
-    booking.paymentStatus = 'completed';
-    booking.paidAmount = booking.totalAmount;
-    booking.paymentDate = new Date();
-    booking.status = 'confirmed'; // Confirm the booking after successful payment
-    booking.updatedAt = new Date();
+    const entry = await resultEntryService.enterValues(booking, [{
+      testId,
+      values: [],
+      resultFile: req.file.path.replace(/\\/g, '/'),
+      findings: (findings || '').trim()
+    }], {
+      by: req.user.id,
+      role,
+      reason: isAmendment ? `Result file amended: ${booking.amendment.reason}` : 'Result file uploaded',
+      amendment: isAmendment
+    });
+    if (!entry.success) {
+      return res.status(400).json({ success: false, message: entry.error });
+    }
 
     await booking.save();
 
-    // Populate the booking with lab and user details for response
-    await booking.populate('labId', 'name address contact');
-    await booking.populate('userId', 'firstName lastName email phone');
-
+    const resultEntry = booking.testResults.find(r => r.testId.toString() === testId);
     res.json({
       success: true,
-      message: 'Payment processed successfully',
-      data: booking
+      message: 'Imaging result uploaded successfully',
+      data: {
+        resultFile: resultEntry.resultFile,
+        findings: resultEntry.findings,
+        status: resultEntry.status
+      }
     });
-
   } catch (error) {
-    console.error('Error processing payment:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while processing payment'
-    });
+    console.error('Error uploading test result file:', error);
+    if (error.message?.includes('Invalid file type')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error while uploading result' });
   }
 });
 
@@ -1560,7 +1698,7 @@ router.put('/admin/:id/status', auth, async (req, res) => {
       });
     }
 
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -1569,7 +1707,15 @@ router.put('/admin/:id/status', auth, async (req, res) => {
       });
     }
 
-    const validStatuses = ['pending', 'confirmed', 'arrived', 'sample_collected', 'testing', 'results_entered', 'processing', 'completed', 'result_published', 'cancelled'];
+    // completed and result_published are set by the verify and publish steps
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be text'
+      });
+    }
+
+    const validStatuses = ['pending', 'confirmed', 'arrived', 'sample_collected', 'testing', 'results_entered', 'processing', 'cancelled'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -1586,18 +1732,45 @@ router.put('/admin/:id/status', auth, async (req, res) => {
       });
     }
 
-    booking.status = status;
-    booking.updatedAt = new Date();
+    // Cancelling a paid booking requests its refund, as a patient cancellation does
+    let refund = null;
+    if (status === 'cancelled') {
+      const cancelled = await cancelBooking(booking, {
+        by: req.user.id,
+        role: 'admin',
+        reason: reason?.trim() || 'Cancelled by admin'
+      });
+      if (cancelled.error) {
+        return res.status(400).json({
+          success: false,
+          message: cancelled.error
+        });
+      }
+      refund = cancelled.refund;
+    } else {
+      const transition = bookingStateMachine.transition(booking, status, {
+        by: req.user.id,
+        role: 'admin',
+        reason: reason?.trim() || ''
+      });
+      if (!transition.success) {
+        return res.status(400).json({
+          success: false,
+          message: transition.error
+        });
+      }
 
-    await booking.save();
+      await booking.save();
+    }
 
     await booking.populate('userId', 'firstName lastName email phone');
     await booking.populate('labId', 'name address contact');
 
     res.json({
       success: true,
-      message: 'Booking status updated successfully',
-      data: booking
+      message: refund ? 'Booking cancelled. A refund request has been created for approval.' : 'Booking status updated successfully',
+      data: booking,
+      refund
     });
   } catch (error) {
     console.error('Error updating booking status:', error);
@@ -1649,32 +1822,96 @@ router.delete('/admin/:id', auth, async (req, res) => {
   }
 });
 
+// Load a booking's test result for sign-off, enforcing that the reviewer
+// belongs to the booking's lab. Sends the error response itself and returns null.
+const loadResultForReview = async (req, res) => {
+  const { id, testId } = req.params;
+
+  const booking = await Booking.findById(id);
+  if (!booking) {
+    res.status(404).json({ success: false, message: 'Booking not found' });
+    return null;
+  }
+
+  const reviewer = await User.findById(req.user.id).select('role assignedLab signOffQualifications');
+  if (reviewer?.assignedLab?.toString() !== booking.labId.toString()) {
+    res.status(403).json({ success: false, message: 'Access denied for this lab' });
+    return null;
+  }
+
+  const testResult = (booking.testResults || []).find(r => r.testId.toString() === testId);
+  if (!testResult) {
+    res.status(404).json({ success: false, message: 'Test results not found' });
+    return null;
+  }
+
+  return { booking, testResult, reviewer };
+};
+
 // @route   PUT /api/bookings/:id/verify-test/:testId
-// @desc    Verify a test result (Staff/Local Admin only)
-// @access  Private
+// @desc    Verify a test result under the lab's verification policy
+// @access  Private (Staff/Technicians/Local Admin of the booking's lab)
 router.put('/:id/verify-test/:testId', auth, async (req, res) => {
   try {
-    const { id, testId } = req.params;
     const { role } = req.user;
 
-    if (!['staff', 'lab_technician', 'local_admin'].includes(role)) {
+    if (!['staff', 'lab_technician', 'xray_technician', 'local_admin'].includes(role)) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
-    const booking = await Booking.findById(id);
-    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+    if (req.body?.comment !== undefined && typeof req.body.comment !== 'string') {
+      return res.status(400).json({ success: false, message: 'Comment must be text' });
+    }
+
+    const loaded = await loadResultForReview(req, res);
+    if (!loaded) return;
+    const { booking, testResult, reviewer } = loaded;
+
+    if (testResult.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: testResult.status === 'verified'
+          ? 'Test result is already verified'
+          : 'Only submitted results can be verified'
+      });
+    }
 
-    const testResult = (booking.testResults || []).find(r => r.testId.toString() === testId);
-    if (!testResult) return res.status(404).json({ success: false, message: 'Test results not found' });
+    const Test = require('../models/Test');
+    const [test, lab] = await Promise.all([
+      Test.findById(testResult.testId).select('name category'),
+      Lab.findById(booking.labId).select('verificationPolicy')
+    ]);
+    const check = verificationPolicyService.checkVerifier({
+      policy: verificationPolicyService.getPolicy(lab),
+      test,
+      testResult,
+      verifier: reviewer,
+      comment: req.body?.comment
+    });
+    if (!check.allowed) {
+      return res.status(403).json({ success: false, message: check.error });
+    }
 
     testResult.status = 'verified';
     testResult.verifiedBy = req.user.id;
     testResult.verifiedAt = new Date();
+    testResult.reviews.push({
+      action: 'verified',
+      by: req.user.id,
+      role,
+      comment: (req.body?.comment || '').trim()
+    });
 
     // Set to 'completed' (Wait-for-Publish) if ALL test results are now verified
+    // (a booking still waiting on results for other tests keeps its status)
     const allVerified = (booking.testResults || []).every(r => r.status === 'verified');
-    if (allVerified) {
-      booking.status = 'completed';
+    if (allVerified && bookingStateMachine.canTransition(booking.status, 'completed', role, { workflow: true })) {
+      bookingStateMachine.transition(booking, 'completed', {
+        by: req.user.id,
+        role,
+        reason: 'All results verified',
+        workflow: true
+      });
     }
 
     booking.updatedAt = new Date();
@@ -1682,10 +1919,74 @@ router.put('/:id/verify-test/:testId', auth, async (req, res) => {
 
     res.json({ success: true, message: 'Test verified successfully', data: booking });
   } catch (error) {
+    console.error('Error verifying test:', error);
     res.status(500).json({ success: false, message: 'Server error while verifying test' });
   }
 });
 
+// @route   PUT /api/bookings/:id/reject-test/:testId
+// @desc    Reject a submitted result and send it back to testing with a comment
+// @access  Private (Staff/Technicians/Local Admin of the booking's lab)
+router.put('/:id/reject-test/:testId', auth, async (req, res) => {
+  try {
+    const { role } = req.user;
+    const comment = typeof req.body?.comment === 'string' ? req.body.comment.trim() : '';
+
+    if (!['staff', 'lab_technician', 'xray_technician', 'local_admin'].includes(role)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    if (!comment) {
+      return res.status(400).json({ success: false, message: 'A comment is required when rejecting a result' });
+    }
+
+    const loaded = await loadResultForReview(req, res);
+    if (!loaded) return;
+    const { booking, testResult } = loaded;
+
+    if (booking.status === 'result_published') {
+      return res.status(400).json({ success: false, message: 'Published results can only be changed through an amendment' });
+    }
+    if (!['completed', 'verified'].includes(testResult.status)) {
+      return res.status(400).json({ success: false, message: 'Only submitted results can be rejected' });
+    }
+
+    testResult.status = 'testing';
+    testResult.verifiedBy = undefined;
+    testResult.verifiedAt = null;
+    testResult.reviews.push({ action: 'rejected', by: req.user.id, role, comment });
+
+    if (bookingStateMachine.canTransition(booking.status, 'testing', role)) {
+      bookingStateMachine.transition(booking, 'testing', {
+        by: req.user.id,
+        role,
+        reason: `Result rejected: ${comment}`
+      });
+    }
+
+    booking.updatedAt = new Date();
+    await booking.save();
+
+    // Let the person who entered the result know it needs another look
+    if (testResult.submittedBy && testResult.submittedBy.toString() !== req.user.id) {
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`user-${testResult.submittedBy}`).emit('result-rejected', {
+          bookingId: booking._id,
+          testId: testResult.testId,
+          comment,
+          rejectedBy: req.user.id
+        });
+      }
+    }
+
+    res.json({ success: true, message: 'Result sent back to testing', data: booking });
+  } catch (error) {
+    console.error('Error rejecting test:', error);
+    res.status(500).json({ success: false, message: 'Server error while rejecting test' });
+  }
+});
+
 // @route   PUT /api/bookings/:id/publish
 // @desc    Publish verified results to the patient
 // @access  Staff/Local Admin only
@@ -1720,13 +2021,48 @@ router.put('/:id/publish', auth, async (req, res) => {
       });
     }
 
-    booking.status = 'result_published';
+    const isAmendment = resultVersionService.completeAmendment(booking);
+    const transition = bookingStateMachine.transition(booking, 'result_published', {
+      by: req.user.id,
+      role,
+      reason: isAmendment ? `Corrected results published (version ${booking.resultVersion})` : 'Results published',
+      workflow: true
+    });
+    if (!transition.success) {
+      return res.status(400).json({ success: false, message: transition.error });
+    }
     booking.publishedAt = new Date();
     booking.publishedBy = req.user.id;
     booking.updatedAt = new Date();
+    reportSignatureService.sign(booking);
 
     await booking.save();
 
+    // ── Render the PDF report (publishing still succeeds if this fails; it can be regenerated) ──
+    let reportError = null;
+    try {
+      booking.generatedReport = await reportService.generateReport(booking._id, req.user.id);
+    } catch (reportErr) {
+      console.error('Failed to generate PDF report:', reportErr);
+      reportError = 'PDF report could not be generated';
+    }
+
+    // ── Return results to the ordering hospital for HL7 orders (non-blocking) ──
+    if (booking.externalOrder?.partnerId) {
+      hl7Service.sendResults(booking._id).catch(err => console.error('HL7 result delivery failed:', err.message));
+    }
+
+    // ── Corrected results get their own notice instead of the first-publish messages ──
+    if (isAmendment) {
+      resultVersionService.notifyPatient(booking);
+      return res.json({
+        success: true,
+        message: 'Corrected results published to patient successfully',
+        data: booking,
+        ...(reportError && { reportError })
+      });
+    }
+
     // ── Send push notification (non-blocking) ──
     try {
       const patient = await User.findById(booking.userId);
@@ -1781,25 +2117,18 @@ router.put('/:id/publish', auth, async (req, res) => {
 
           // Build values with abnormal flags
           const values = (tr.values || []).map(v => {
-            let isAbnormal = false;
-            let flag = '';
-            if (v.value && v.referenceRange && !isNaN(v.value)) {
-              const parts = (v.referenceRange || '').replace(/\s/g, '').split('-');
-              if (parts.length === 2 && !isNaN(parts[0]) && !isNaN(parts[1])) {
-                const numVal = parseFloat(v.value);
-                const lo = parseFloat(parts[0]);
-                const hi = parseFloat(parts[1]);
-                if (numVal < lo) { isAbnormal = true; flag = 'LOW'; }
-                else if (numVal > hi) { isAbnormal = true; flag = 'HIGH'; }
-              }
-            }
+            // Results entered before flags were stored fall back to the range text
+            const flag = v.flag || referenceRangeService.computeFlag(
+              v.value, referenceRangeService.resolveRange({ referenceRange: v.referenceRange })
+            );
             return {
               label: v.label || '',
               value: v.value,
               unit: v.unit || '',
               referenceRange: v.referenceRange || '',
-              isAbnormal,
-              flag
+              isAbnormal: referenceRangeService.isAbnormal(flag),
+              isCritical: referenceRangeService.isCritical(flag),
+              flag: referenceRangeService.flagLabel(flag)
             };
           });
 
@@ -1852,7 +2181,8 @@ router.put('/:id/publish', auth, async (req, res) => {
     res.json({
       success: true,
       message: 'Results published to patient successfully',
-      data: booking
+      data: booking,
+      ...(reportError && { reportError })
     });
   } catch (error) {
     console.error('Error publishing results:', error);
@@ -1860,6 +2190,183 @@ router.put('/:id/publish', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/bookings/:id/report
+// @desc    Download the PDF report generated at publish time
+// @access  Private (Booking owner once published, staff of the booking's lab, Admin)
+router.get('/:id/report', auth, async (req, res) => {
+  try {
+    const { role } = req.user;
+
+    const booking = await Booking.findById(req.params.id)
+      .select('userId labId status generatedReport isActive');
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    if (role === 'admin') {
+      // Admins can download any report
+    } else if (['staff', 'lab_technician', 'xray_technician', 'local_admin'].includes(role)) {
+      let effectiveAssignedLab = req.user.assignedLab;
+      if (!effectiveAssignedLab) {
+        const dbUser = await User.findById(req.user.id).select('assignedLab');
+        effectiveAssignedLab = dbUser?.assignedLab;
+      }
+      if (effectiveAssignedLab?.toString() !== booking.labId.toString()) {
+        return res.status(403).json({ success: false, message: 'Access denied for this lab' });
+      }
+    } else if (booking.userId.toString() !== req.user.id || booking.status !== 'result_published') {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const file = booking.generatedReport?.file;
+    if (!file || !require('fs').existsSync(file)) {
+      return res.status(404).json({ success: false, message: 'Report has not been generated yet' });
+    }
+
+    res.download(path.resolve(file), `LabReport-${String(booking._id).slice(-8).toUpperCase()}.pdf`);
+  } catch (error) {
+    console.error('Error downloading report:', error);
+    res.status(500).json({ success: false, message: 'Server error while downloading report' });
+  }
+});
+
+// @route   POST /api/bookings/:id/report/regenerate
+// @desc    Re-render the PDF report of a published booking
+// @access  Staff/Local Admin of the booking's lab
+router.post('/:id/report/regenerate', auth, async (req, res) => {
+  try {
+    const { role } = req.user;
+
+    if (!['staff', 'lab_technician', 'local_admin'].includes(role)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const booking = await Booking.findById(req.params.id).select('labId status');
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    let effectiveAssignedLab = req.user.assignedLab;
+    if (!effectiveAssignedLab) {
+      const dbUser = await User.findById(req.user.id).select('assignedLab');
+      effectiveAssignedLab = dbUser?.assignedLab;
+    }
+    if (effectiveAssignedLab?.toString() !== booking.labId.toString()) {
+      return res.status(403).json({ success: false, message: 'Access denied for this lab' });
+    }
+
+    if (booking.status !== 'result_published') {
+      return res.status(400).json({ success: false, message: 'Reports are generated once results are published' });
+    }
+
+    const generatedReport = await reportService.generateReport(booking._id, req.user.id);
+
+    res.json({ success: true, message: 'Report regenerated successfully', data: generatedReport });
+  } catch (error) {
+    console.error('Error regenerating report:', error);
+    res.status(500).json({ success: false, message: 'Server error while regenerating report' });
+  }
+});
+
+// @route   GET /api/bookings/:id/labels?format=svg|zpl
+// @desc    Barcode labels for the booking's samples in use (not rejected or disposed), in one document
+// @access  Staff of the booking's lab
+router.get('/:id/labels', auth, async (req, res) => {
+  try {
+    if (!['staff', 'lab_technician', 'xray_technician', 'local_admin'].includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+    const format = req.query.format || 'svg';
+    if (!['svg', 'zpl'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be svg or zpl' });
+    }
+
+    const booking = await labelService.loadBooking({ _id: req.params.id });
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    let effectiveAssignedLab = req.user.assignedLab;
+    if (!effectiveAssignedLab) {
+      const dbUser = await User.findById(req.user.id).select('assignedLab');
+      effectiveAssignedLab = dbUser?.assignedLab;
+    }
+    if (effectiveAssignedLab?.toString() !== booking.labId.toString()) {
+      return res.status(403).json({ success: false, message: 'Access denied for this lab' });
+    }
+
+    if (!booking.samples?.length) {
+      return res.status(400).json({ success: false, message: 'No samples have been collected for this booking' });
+    }
+
+    const samples = labelService.printableSamples(booking);
+    if (!samples.length) {
+      return res.status(400).json({ success: false, message: 'Every sample on this booking has been rejected or disposed' });
+    }
+
+    const labels = samples.map(sample => labelService.labelData(booking, sample));
+    res.type(format === 'zpl' ? 'text/plain' : 'image/svg+xml')
+      .set('Content-Disposition', `inline; filename="labels-${String(booking._id).slice(-8).toUpperCase()}.${format}"`)
+      .send(labelService.render(labels, format));
+  } catch (error) {
+    console.error('Error rendering booking labels:', error);
+    res.status(500).json({ success: false, message: 'Server error while rendering labels' });
+  }
+});
+
+// @route   GET /api/bookings/:id/result-versions
+// @desc    Published result versions and what each amendment changed
+// @access  Private (Booking owner sees published versions; staff of the booking's lab and Admin also see a pending amendment)
+router.get('/:id/result-versions', auth, async (req, res) => {
+  try {
+    const { role } = req.user;
+
+    const booking = await Booking.findById(req.params.id)
+      .select('userId labId status testResults resultVersion resultVersions amendment publishedAt publishedBy');
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    let isLabSide = role === 'admin';
+    if (['staff', 'lab_technician', 'xray_technician', 'local_admin'].includes(role)) {
+      let effectiveAssignedLab = req.user.assignedLab;
+      if (!effectiveAssignedLab) {
+        const dbUser = await User.findById(req.user.id).select('assignedLab');
+        effectiveAssignedLab = dbUser?.assignedLab;
+      }
+      if (effectiveAssignedLab?.toString() !== booking.labId.toString()) {
+        return res.status(403).json({ success: false, message: 'Access denied for this lab' });
+      }
+      isLabSide = true;
+    } else if (!isLabSide) {
+      const everPublished = booking.status === 'result_published' || booking.resultVersions.length > 0;
+      if (booking.userId.toString() !== req.user.id || !everPublished) {
+        return res.status(403).json({ success: false, message: 'Access denied' });
+      }
+    }
+
+    const history = resultVersionService.history(booking, { includePending: isLabSide });
+
+    // Test names for the ids referenced across all versions
+    const Test = require('../models/Test');
+    const testIds = new Set();
+    [...history.versions, ...(history.current ? [history.current] : [])]
+      .forEach(v => (v.testResults || []).forEach(tr => testIds.add(tr.testId.toString())));
+    const tests = await Test.find({ _id: { $in: [...testIds] } }).select('name');
+
+    res.json({
+      success: true,
+      data: {
+        ...history,
+        tests: Object.fromEntries(tests.map(t => [t._id.toString(), t.name]))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching result versions:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching result versions' });
+  }
+});
+
 // @route   GET /api/bookings/patient/:userId/history
 // @desc    Get a patient's complete booking & health history (Staff only)
 // @access  Private (Staff / Local Admin)
@@ -1957,52 +2464,4 @@ router.put('/:id/confirm-payment', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/bookings/:id/payment
-// @desc    Process online payment for a pay_later booking
-// @access  Private (booking owner)
-router.post('/:id/payment', auth, async (req, res) => {
-  try {
-    const booking = await Booking.findById(req.params.id);
-    if (!booking) {
-      return res.status(404).json({ success: false, message: 'Booking not found' });
-    }
-
-    // Only the booking owner can pay
-    if (booking.userId.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: 'Not authorized to pay for this booking' });
-    }
-
-    // Can't pay for cancelled bookings
-    if (booking.status === 'cancelled') {
-      return res.status(400).json({ success: false, message: 'Cannot pay for a cancelled booking' });
-    }
-
-    // Already paid
-    if (booking.paymentStatus === 'completed') {
-      return res.status(400).json({ success: false, message: 'Payment has already been completed for this booking' });
-    }
-
-    // Process payment (simulated — marks as paid)
-    booking.paymentStatus = 'completed';
-    booking.paymentMethod = 'pay_now'; // upgrade from pay_later to pay_now
-    booking.paidAmount = booking.totalAmount;
-    booking.paymentDate = new Date();
-
-    await booking.save();
-
-    // Populate for response
-    await booking.populate('labId', 'name address contact');
-
-    res.json({
-      success: true,
-      message: 'Payment processed successfully',
-      data: booking
-    });
-
-  } catch (error) {
-    console.error('Error processing payment:', error);
-    res.status(500).json({ success: false, message: 'Server error while processing payment' });
-  }
-});
-
 module.exports = router;
@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const CriticalAlert = require('../models/CriticalAlert');
+const User = require('../models/User');
+const criticalAlertService = require('../services/criticalAlertService');
+const { authenticateToken: auth } = require('../middleware/auth');
+
+const LAB_ROLES = ['staff', 'lab_technician', 'xray_technician', 'local_admin'];
+
+// Resolve assignedLab reliably (fallback to DB if not in token)
+const resolveAssignedLab = async (user) => {
+  if (user.assignedLab) return user.assignedLab;
+  const dbUser = await User.findById(user.id).select('assignedLab');
+  return dbUser?.assignedLab;
+};
+
+// Load an alert the current user is allowed to act on, or send the error response
+const loadAlert = async (req, res) => {
+  const { role } = req.user;
+  if (!LAB_ROLES.includes(role) && role !== 'admin') {
+    res.status(403).json({ success: false, message: 'Access denied' });
+    return null;
+  }
+
+  const alert = await CriticalAlert.findById(req.params.id);
+  if (!alert) {
+    res.status(404).json({ success: false, message: 'Critical alert not found' });
+    return null;
+  }
+
+  if (role !== 'admin') {
+    const assignedLab = await resolveAssignedLab(req.user);
+    if (assignedLab?.toString() !== alert.labId.toString()) {
+      res.status(403).json({ success: false, message: 'Access denied. You can only manage alerts for your assigned lab.' });
+      return null;
+    }
+  }
+
+  return alert;
+};
+
+// @route   GET /api/critical-alerts
+// @desc    List critical alerts (lab staff: own lab, admin: all)
+// @access  Private (Staff, Local Admin, Admin)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { role } = req.user;
+    const { status = 'unresolved', bookingId, page = 1, limit = 50 } = req.query;
+
+    if (!LAB_ROLES.includes(role) && role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const query = {};
+    if (role !== 'admin') {
+      const assignedLab = await resolveAssignedLab(req.user);
+      if (!assignedLab) {
+        return res.status(400).json({ success: false, message: 'No assigned lab found for your account' });
+      }
+      query.labId = assignedLab;
+    } else if (req.query.labId) {
+      query.labId = req.query.labId;
+    }
+
+    if (status === 'unresolved') {
+      query.status = { $in: ['open', 'escalated', 'acknowledged'] };
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+    if (bookingId) query.bookingId = bookingId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [alerts, total] = await Promise.all([
+      CriticalAlert.find(query)
+        .populate('patientId', 'firstName lastName phone email')
+        .populate('testId', 'name')
+        .populate('acknowledgedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CriticalAlert.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: alerts,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching critical alerts:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching critical alerts' });
+  }
+});
+
+// @route   GET /api/critical-alerts/:id
+// @desc    Get a critical alert with its notification and audit history
+// @access  Private (Staff of the alert's lab, Admin)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const alert = await loadAlert(req, res);
+    if (!alert) return;
+
+    await alert.populate([
+      { path: 'patientId', select: 'firstName lastName phone email' },
+      { path: 'testId', select: 'name' },
+      { path: 'notifications.notifiedBy', select: 'firstName lastName role' },
+      { path: 'history.by', select: 'firstName lastName role' }
+    ]);
+
+    res.json({ success: true, data: alert });
+  } catch (error) {
+    console.error('Error fetching critical alert:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching critical alert' });
+  }
+});
+
+// @route   PUT /api/critical-alerts/:id/acknowledge
+// @desc    Acknowledge a critical alert (stops escalation)
+// @access  Private (Staff of the alert's lab)
+router.put('/:id/acknowledge', auth, async (req, res) => {
+  try {
+    const alert = await loadAlert(req, res);
+    if (!alert) return;
+
+    const result = await criticalAlertService.acknowledge(alert, req.user);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, message: 'Critical alert acknowledged', data: result.alert });
+  } catch (error) {
+    console.error('Error acknowledging critical alert:', error);
+    res.status(500).json({ success: false, message: 'Server error while acknowledging critical alert' });
+  }
+});
+
+// @route   POST /api/critical-alerts/:id/notifications
+// @desc    Record who was notified of the critical value and how
+// @access  Private (Staff of the alert's lab)
+router.post('/:id/notifications', auth, async (req, res) => {
+  try {
+    const alert = await loadAlert(req, res);
+    if (!alert) return;
+
+    const { method, recipientType, recipientName, contact, notes } = req.body;
+    const result = await criticalAlertService.recordNotification(alert, req.user, {
+      method, recipientType, recipientName, contact, notes
+    });
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.status(201).json({ success: true, message: 'Notification recorded', data: result.alert });
+  } catch (error) {
+    console.error('Error recording critical alert notification:', error);
+    res.status(500).json({ success: false, message: 'Server error while recording notification' });
+  }
+});
+
+// @route   PUT /api/critical-alerts/:id/resolve
+// @desc    Close a critical alert once the right people have been notified
+// @access  Private (Staff of the alert's lab)
+router.put('/:id/resolve', auth, async (req, res) => {
+  try {
+    const alert = await loadAlert(req, res);
+    if (!alert) return;
+
+    const { note } = req.body;
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ success: false, message: 'Note must be text' });
+    }
+
+    const result = await criticalAlertService.resolve(alert, req.user, (note || '').trim());
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, message: 'Critical alert resolved', data: result.alert });
+  } catch (error) {
+    console.error('Error resolving critical alert:', error);
+    res.status(500).json({ success: false, message: 'Server error while resolving critical alert' });
+  }
+});
+
+module.exports = router;
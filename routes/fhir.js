@@ -0,0 +1,468 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Lab = require('../models/Lab');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const Vital = require('../models/Vital');
+const fhirService = require('../services/fhirService');
+const { authenticateToken: auth } = require('../middleware/auth');
+
+const LAB_ROLES = ['staff', 'lab_technician', 'xray_technician', 'local_admin'];
+const DEFAULT_COUNT = 20;
+const MAX_COUNT = 100;
+
+// Populates needed to map bookings to result resources
+const RESULT_POPULATE = [
+  { path: 'testResults.testId', select: 'name category loincCode resultFields' },
+  { path: 'labId', select: 'name' }
+];
+
+// Resolve assignedLab reliably (fallback to DB if not in token)
+const resolveAssignedLab = async (user) => {
+  if (user.assignedLab) return user.assignedLab;
+  const dbUser = await User.findById(user.id).select('assignedLab');
+  return dbUser?.assignedLab;
+};
+
+const baseUrlOf = (req) => `${req.protocol}://${req.get('host')}`;
+const fhirBaseOf = (req) => `${baseUrlOf(req)}/api/fhir`;
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const send = (res, status, body) => res.status(status).type('application/fhir+json').json(body);
+const fail = (res, status, code, diagnostics) => send(res, status, fhirService.operationOutcome(code, diagnostics));
+
+/**
+ * What the requester may read: patients only their own records, lab staff
+ * the patients and bookings of their lab, admins everything
+ */
+const scopeOf = async (user) => {
+  if (user.role === 'admin') return { all: true };
+  if (LAB_ROLES.includes(user.role)) {
+    const labId = await resolveAssignedLab(user);
+    return labId ? { labId } : { none: true };
+  }
+  return { patientId: user.id };
+};
+
+const bookingScope = (scope) => {
+  if (scope.all) return {};
+  if (scope.labId) return { labId: scope.labId };
+  if (scope.patientId) return { userId: scope.patientId };
+  return { _id: null };
+};
+
+const canSeePatient = async (scope, patientId) => {
+  if (scope.all) return true;
+  if (scope.patientId) return scope.patientId.toString() === patientId.toString();
+  if (scope.labId) return !!(await Booking.exists({ labId: scope.labId, userId: patientId }));
+  return false;
+};
+
+// _count / _offset paging
+const pagingOf = (req) => {
+  const count = Math.min(Math.max(parseInt(req.query._count) || DEFAULT_COUNT, 1), MAX_COUNT);
+  const offset = Math.max(parseInt(req.query._offset) || 0, 0);
+  return { count, offset };
+};
+
+const bundleOf = (req, resources, total, { count, offset }) => fhirService.bundle(resources, {
+  total,
+  count,
+  offset,
+  selfUrl: `${baseUrlOf(req)}${req.originalUrl}`,
+  baseUrl: fhirBaseOf(req)
+});
+
+/**
+ * patient / subject search parameter ("Patient/<id>" or "<id>").
+ * Patients default to themselves. Sends the error response and returns
+ * undefined when the parameter is invalid or out of scope.
+ */
+const patientParam = async (req, res, scope) => {
+  const raw = req.query.patient || req.query.subject;
+  if (!raw) return scope.patientId || null;
+
+  const id = String(raw).replace(/^Patient\//, '');
+  if (!mongoose.isValidObjectId(id)) {
+    fail(res, 400, 'invalid', `Invalid patient reference: ${raw}`);
+    return undefined;
+  }
+  if (!(await canSeePatient(scope, id))) {
+    fail(res, 403, 'forbidden', 'You do not have access to this patient');
+    return undefined;
+  }
+  return id;
+};
+
+// Sends the error response and returns undefined on malformed dates
+const datesParam = (req, res, name = 'date') => {
+  const { dates, error } = fhirService.parseDates(req.query[name]);
+  if (error) {
+    fail(res, 400, 'invalid', error);
+    return undefined;
+  }
+  return dates;
+};
+
+// Test ids named by code tokens: local test ids or LOINC order codes
+const testIdsFromCodes = async (tokens) => {
+  const { test, loinc } = fhirService.SYSTEMS;
+  const ids = tokens
+    .filter(t => (t.system === null || t.system === test) && mongoose.isValidObjectId(t.code))
+    .map(t => t.code);
+  const loincCodes = tokens.filter(t => t.system === null || t.system === loinc).map(t => t.code);
+  if (loincCodes.length) {
+    ids.push(...(await Test.find({ loincCode: { $in: loincCodes } }).distinct('_id')));
+  }
+  return ids;
+};
+
+// @route   GET /api/fhir/metadata
+// @desc    FHIR CapabilityStatement
+// @access  Public
+router.get('/metadata', (req, res) => {
+  send(res, 200, fhirService.capabilityStatement(fhirBaseOf(req)));
+});
+
+// @route   GET /api/fhir/Patient
+// @desc    Search patients (_id, name, birthdate, gender)
+// @access  Private (patients see themselves; lab staff their lab's patients)
+router.get('/Patient', auth, async (req, res) => {
+  try {
+    const scope = await scopeOf(req.user);
+    const dates = datesParam(req, res, 'birthdate');
+    if (!dates) return;
+
+    const and = [{ role: 'user' }];
+    if (scope.patientId) and.push({ _id: scope.patientId });
+    if (scope.labId) and.push({ _id: { $in: await Booking.distinct('userId', { labId: scope.labId }) } });
+    if (scope.none) and.push({ _id: null });
+
+    if (req.query._id) {
+      const ids = String(req.query._id).split(',').filter(id => mongoose.isValidObjectId(id));
+      and.push({ _id: { $in: ids } });
+    }
+    if (req.query.name) {
+      const name = new RegExp(escapeRegex(req.query.name), 'i');
+      and.push({ $or: [{ firstName: name }, { lastName: name }] });
+    }
+    if (req.query.gender) {
+      const gender = req.query.gender === 'unknown' ? 'prefer_not_to_say' : req.query.gender;
+      and.push({ gender });
+    }
+    and.push(...fhirService.dateQuery('dateOfBirth', dates));
+
+    const paging = pagingOf(req);
+    const query = { $and: and };
+    const [users, total] = await Promise.all([
+      User.find(query).select('-password').sort({ createdAt: 1 }).skip(paging.offset).limit(paging.count),
+      User.countDocuments(query)
+    ]);
+
+    send(res, 200, bundleOf(req, users.map(u => fhirService.patient(u)), total, paging));
+  } catch (error) {
+    console.error('FHIR Patient search error:', error);
+    fail(res, 500, 'exception', 'Server error while searching patients');
+  }
+});
+
+// @route   GET /api/fhir/Patient/:id
+// @desc    Read a patient
+// @access  Private (patients see themselves; lab staff their lab's patients)
+router.get('/Patient/:id', auth, async (req, res) => {
+  try {
+    const scope = await scopeOf(req.user);
+    if (!mongoose.isValidObjectId(req.params.id) || !(await canSeePatient(scope, req.params.id))) {
+      return fail(res, 404, 'not-found', `Patient/${req.params.id} not found`);
+    }
+
+    const user = await User.findOne({ _id: req.params.id, role: 'user' }).select('-password');
+    if (!user) return fail(res, 404, 'not-found', `Patient/${req.params.id} not found`);
+
+    send(res, 200, fhirService.patient(user));
+  } catch (error) {
+    console.error('FHIR Patient read error:', error);
+    fail(res, 500, 'exception', 'Server error while reading patient');
+  }
+});
+
+// @route   GET /api/fhir/Organization
+// @desc    Search labs (_id, name)
+// @access  Private
+router.get('/Organization', auth, async (req, res) => {
+  try {
+    const query = { isActive: true };
+    if (req.query._id) {
+      query._id = { $in: String(req.query._id).split(',').filter(id => mongoose.isValidObjectId(id)) };
+    }
+    if (req.query.name) query.name = new RegExp(escapeRegex(req.query.name), 'i');
+
+    const paging = pagingOf(req);
+    const [labs, total] = await Promise.all([
+      Lab.find(query).sort({ name: 1 }).skip(paging.offset).limit(paging.count),
+      Lab.countDocuments(query)
+    ]);
+
+    send(res, 200, bundleOf(req, labs.map(l => fhirService.organization(l)), total, paging));
+  } catch (error) {
+    console.error('FHIR Organization search error:', error);
+    fail(res, 500, 'exception', 'Server error while searching organizations');
+  }
+});
+
+// @route   GET /api/fhir/Organization/:id
+// @desc    Read a lab
+// @access  Private
+router.get('/Organization/:id', auth, async (req, res) => {
+  try {
+    const lab = mongoose.isValidObjectId(req.params.id) ? await Lab.findById(req.params.id) : null;
+    if (!lab) return fail(res, 404, 'not-found', `Organization/${req.params.id} not found`);
+
+    send(res, 200, fhirService.organization(lab));
+  } catch (error) {
+    console.error('FHIR Organization read error:', error);
+    fail(res, 500, 'exception', 'Server error while reading organization');
+  }
+});
+
+// @route   GET /api/fhir/ObservationDefinition
+// @desc    Search the test catalogue (_id, code)
+// @access  Private
+router.get('/ObservationDefinition', auth, async (req, res) => {
+  try {
+    const query = { isActive: true };
+    const ids = [
+      ...String(req.query._id || '').split(',').filter(id => mongoose.isValidObjectId(id)),
+      ...(await testIdsFromCodes(fhirService.parseTokens(req.query.code)))
+    ];
+    if (req.query._id || req.query.code) query._id = { $in: ids };
+
+    const paging = pagingOf(req);
+    const [tests, total] = await Promise.all([
+      Test.find(query).sort({ name: 1 }).skip(paging.offset).limit(paging.count),
+      Test.countDocuments(query)
+    ]);
+
+    send(res, 200, bundleOf(req, tests.map(t => fhirService.observationDefinition(t)), total, paging));
+  } catch (error) {
+    console.error('FHIR ObservationDefinition search error:', error);
+    fail(res, 500, 'exception', 'Server error while searching observation definitions');
+  }
+});
+
+// @route   GET /api/fhir/ObservationDefinition/:id
+// @desc    Read a test definition
+// @access  Private
+router.get('/ObservationDefinition/:id', auth, async (req, res) => {
+  try {
+    const test = mongoose.isValidObjectId(req.params.id) ? await Test.findById(req.params.id) : null;
+    if (!test) return fail(res, 404, 'not-found', `ObservationDefinition/${req.params.id} not found`);
+
+    send(res, 200, fhirService.observationDefinition(test));
+  } catch (error) {
+    console.error('FHIR ObservationDefinition read error:', error);
+    fail(res, 500, 'exception', 'Server error while reading observation definition');
+  }
+});
+
+// @route   GET /api/fhir/ServiceRequest
+// @desc    Search bookings (patient, date, code, status)
+// @access  Private (patient-scoped)
+router.get('/ServiceRequest', auth, async (req, res) => {
+  try {
+    const scope = await scopeOf(req.user);
+    const patientId = await patientParam(req, res, scope);
+    if (patientId === undefined) return;
+    const dates = datesParam(req, res);
+    if (!dates) return;
+
+    const and = [bookingScope(scope), { isActive: { $ne: false } }];
+    if (patientId) and.push({ userId: patientId });
+    and.push(...fhirService.dateQuery('appointmentDate', dates));
+
+    const tokens = fhirService.parseTokens(req.query.code);
+    if (tokens.length) and.push({ 'selectedTests.testId': { $in: await testIdsFromCodes(tokens) } });
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(',')
+        .flatMap(s => fhirService.bookingStatusesFor(s.trim(), Booking.schema.path('status').enumValues));
+      and.push({ status: { $in: statuses } });
+    }
+
+    const paging = pagingOf(req);
+    const query = { $and: and };
+    const [bookings, total] = await Promise.all([
+      Booking.find(query)
+        .populate('selectedTests.testId', 'name loincCode')
+        .populate('labId', 'name')
+        .sort({ appointmentDate: -1 })
+        .skip(paging.offset)
+        .limit(paging.count),
+      Booking.countDocuments(query)
+    ]);
+
+    send(res, 200, bundleOf(req, bookings.map(b => fhirService.serviceRequest(b)), total, paging));
+  } catch (error) {
+    console.error('FHIR ServiceRequest search error:', error);
+    fail(res, 500, 'exception', 'Server error while searching service requests');
+  }
+});
+
+// @route   GET /api/fhir/ServiceRequest/:id
+// @desc    Read a booking
+// @access  Private (patient-scoped)
+router.get('/ServiceRequest/:id', auth, async (req, res) => {
+  try {
+    const scope = await scopeOf(req.user);
+    const booking = mongoose.isValidObjectId(req.params.id)
+      ? await Booking.findOne({ _id: req.params.id, ...bookingScope(scope) })
+        .populate('selectedTests.testId', 'name loincCode')
+        .populate('labId', 'name')
+      : null;
+    if (!booking) return fail(res, 404, 'not-found', `ServiceRequest/${req.params.id} not found`);
+
+    send(res, 200, fhirService.serviceRequest(booking));
+  } catch (error) {
+    console.error('FHIR ServiceRequest read error:', error);
+    fail(res, 500, 'exception', 'Server error while reading service request');
+  }
+});
+
+// @route   GET /api/fhir/Observation
+// @desc    Search published results and vital signs (patient, date, code, category)
+// @access  Private (patient-scoped; staff must give a patient)
+router.get('/Observation', auth, async (req, res) => {
+  try {
+    const scope = await scopeOf(req.user);
+    const patientId = await patientParam(req, res, scope);
+    if (patientId === undefined) return;
+    if (!patientId) return fail(res, 400, 'required', 'The patient search parameter is required');
+    const dates = datesParam(req, res);
+    if (!dates) return;
+
+    const categories = fhirService.parseTokens(req.query.category).map(t => t.code);
+    const wants = (category) => !categories.length || categories.includes(category);
+
+    // Results are derived from published bookings, so filtering happens after mapping
+    let observations = [];
+    if (wants('laboratory') || wants('imaging')) {
+      const bookings = await Booking.find({ ...bookingScope(scope), userId: patientId, status: 'result_published' })
+        .populate(RESULT_POPULATE);
+      observations = bookings.flatMap(b => fhirService.observations(b));
+    }
+    if (wants('vital-signs')) {
+      const vitals = await Vital.find({ userId: patientId }).sort({ createdAt: -1 }).limit(500);
+      observations.push(...vitals.flatMap(v => fhirService.vitalObservations(v)));
+    }
+
+    const tokens = fhirService.parseTokens(req.query.code);
+    observations = observations
+      .filter(o => wants(o.category[0].coding[0].code))
+      .filter(o => fhirService.matchesToken(o, tokens))
+      .filter(o => fhirService.matchesDate(o.effectiveDateTime, dates))
+      .sort((a, b) => new Date(b.effectiveDateTime || 0) - new Date(a.effectiveDateTime || 0));
+
+    const paging = pagingOf(req);
+    send(res, 200, bundleOf(req, observations.slice(paging.offset, paging.offset + paging.count), observations.length, paging));
+  } catch (error) {
+    console.error('FHIR Observation search error:', error);
+    fail(res, 500, 'exception', 'Server error while searching observations');
+  }
+});
+
+// @route   GET /api/fhir/Observation/:id
+// @desc    Read a result value ("<bookingId>-<valueId>") or vital sign ("<vitalId>-<sign>")
+// @access  Private (patient-scoped)
+router.get('/Observation/:id', auth, async (req, res) => {
+  try {
+    const notFound = () => fail(res, 404, 'not-found', `Observation/${req.params.id} not found`);
+    const sep = req.params.id.indexOf('-');
+    const docId = req.params.id.slice(0, Math.max(sep, 0));
+    const part = req.params.id.slice(sep + 1);
+    if (!mongoose.isValidObjectId(docId)) return notFound();
+
+    const scope = await scopeOf(req.user);
+    let observation;
+
+    if (fhirService.VITAL_SIGNS[part]) {
+      const vital = await Vital.findById(docId);
+      if (!vital || !(await canSeePatient(scope, vital.userId))) return notFound();
+      observation = fhirService.vitalObservations(vital).find(o => o.id === req.params.id);
+    } else {
+      const booking = await Booking.findOne({ _id: docId, ...bookingScope(scope), status: 'result_published' })
+        .populate(RESULT_POPULATE);
+      observation = booking && fhirService.observations(booking).find(o => o.id === req.params.id);
+    }
+
+    if (!observation) return notFound();
+    send(res, 200, observation);
+  } catch (error) {
+    console.error('FHIR Observation read error:', error);
+    fail(res, 500, 'exception', 'Server error while reading observation');
+  }
+});
+
+// @route   GET /api/fhir/DiagnosticReport
+// @desc    Search published reports (patient, date, code)
+// @access  Private (patient-scoped)
+router.get('/DiagnosticReport', auth, async (req, res) => {
+  try {
+    const scope = await scopeOf(req.user);
+    const patientId = await patientParam(req, res, scope);
+    if (patientId === undefined) return;
+    const dates = datesParam(req, res);
+    if (!dates) return;
+
+    const and = [bookingScope(scope), { status: 'result_published' }];
+    if (patientId) and.push({ userId: patientId });
+    and.push(...fhirService.dateQuery('appointmentDate', dates));
+
+    const tokens = fhirService.parseTokens(req.query.code);
+    if (tokens.length) and.push({ 'testResults.testId': { $in: await testIdsFromCodes(tokens) } });
+
+    const paging = pagingOf(req);
+    const query = { $and: and };
+    const [bookings, total] = await Promise.all([
+      Booking.find(query)
+        .populate(RESULT_POPULATE)
+        .sort({ publishedAt: -1 })
+        .skip(paging.offset)
+        .limit(paging.count),
+      Booking.countDocuments(query)
+    ]);
+
+    const reports = bookings.map(b => ({
+      ...fhirService.diagnosticReport(b),
+      presentedForm: fhirService.presentedForm(b, baseUrlOf(req))
+    }));
+    send(res, 200, bundleOf(req, reports, total, paging));
+  } catch (error) {
+    console.error('FHIR DiagnosticReport search error:', error);
+    fail(res, 500, 'exception', 'Server error while searching diagnostic reports');
+  }
+});
+
+// @route   GET /api/fhir/DiagnosticReport/:id
+// @desc    Read a published report
+// @access  Private (patient-scoped)
+router.get('/DiagnosticReport/:id', auth, async (req, res) => {
+  try {
+    const scope = await scopeOf(req.user);
+    const booking = mongoose.isValidObjectId(req.params.id)
+      ? await Booking.findOne({ _id: req.params.id, ...bookingScope(scope), status: 'result_published' })
+        .populate(RESULT_POPULATE)
+      : null;
+    if (!booking) return fail(res, 404, 'not-found', `DiagnosticReport/${req.params.id} not found`);
+
+    send(res, 200, {
+      ...fhirService.diagnosticReport(booking),
+      presentedForm: fhirService.presentedForm(booking, baseUrlOf(req))
+    });
+  } catch (error) {
+    console.error('FHIR DiagnosticReport read error:', error);
+    fail(res, 500, 'exception', 'Server error while reading diagnostic report');
+  }
+});
+
+module.exports = router;
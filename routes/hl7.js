@@ -0,0 +1,345 @@
+const express = require('express');
+const router = express.Router();
+const net = require('net');
+const mongoose = require('mongoose');
+const HL7Partner = require('../models/HL7Partner');
+const HL7Message = require('../models/HL7Message');
+const Lab = require('../models/Lab');
+const User = require('../models/User');
+const hl7Service = require('../services/hl7Service');
+const { authenticateToken: auth } = require('../middleware/auth');
+
+const HL7_CONTENT_TYPES = ['application/hl7-v2', 'x-application/hl7-v2+er7', 'text/plain'];
+
+// Resolve assignedLab reliably (fallback to DB if not in token)
+const resolveAssignedLab = async (user) => {
+  if (user.assignedLab) return user.assignedLab;
+  const dbUser = await User.findById(user.id).select('assignedLab');
+  return dbUser?.assignedLab;
+};
+
+// Validate partner fields shared by create and update (current: the partner
+// being updated); returns an error message or null
+const validatePartner = async (body, labId, current = null) => {
+  const { resultDestination, testCodes, allowedIps } = body;
+
+  if (resultDestination) {
+    const { transport = 'none', host, port, url } = resultDestination;
+    if (transport === 'mllp' && (!host || !port)) return 'host and port are required for MLLP result delivery';
+    if (transport === 'http' && !/^https?:\/\//.test(url || '')) return 'A valid url is required for HTTP result delivery';
+  }
+
+  if (allowedIps !== undefined) {
+    if (!Array.isArray(allowedIps)) return 'allowedIps must be an array';
+    const invalid = allowedIps.filter(ip => !net.isIP(String(ip || '').trim()));
+    if (invalid.length) return `Invalid IP address(es): ${invalid.join(', ')}`;
+  }
+
+  // MLLP partners are identified by address, so they need at least one
+  const transport = resultDestination ? (resultDestination.transport || 'none') : current?.resultDestination?.transport;
+  const ips = allowedIps !== undefined ? allowedIps : current?.allowedIps || [];
+  if (transport === 'mllp' && !ips.length) {
+    return 'At least one allowed IP is required for a partner connected over MLLP';
+  }
+
+  if (testCodes !== undefined) {
+    if (!Array.isArray(testCodes)) return 'testCodes must be an array';
+    const lab = await Lab.findById(labId).select('availableTests');
+    const available = (lab?.availableTests || []).map(id => id.toString());
+    const missing = testCodes.filter(c => !c?.code || !available.includes(String(c.testId)));
+    if (missing.length) return 'Each test code needs a code and a test offered by the lab';
+  }
+
+  return null;
+};
+
+// @route   POST /api/hl7/inbound
+// @desc    Receive an HL7 v2 message over HTTP; replies with the HL7 ACK
+// @access  Partner (X-HL7-Partner-Key)
+router.post('/inbound', express.text({ type: HL7_CONTENT_TYPES, limit: '1mb' }), async (req, res) => {
+  try {
+    const apiKey = req.get('X-HL7-Partner-Key');
+    const partner = apiKey
+      ? await HL7Partner.findOne({ apiKeyHash: hl7Service.hashKey(apiKey), isActive: true })
+      : null;
+    if (!partner) {
+      return res.status(401).json({ success: false, message: 'Invalid or missing partner key' });
+    }
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ success: false, message: 'Send the message as application/hl7-v2' });
+    }
+
+    const ack = await hl7Service.handleMessage(req.body, {
+      transport: 'http',
+      remoteAddress: req.ip,
+      partner
+    });
+
+    res.type('application/hl7-v2').send(ack);
+  } catch (error) {
+    console.error('Error receiving HL7 message:', error);
+    res.status(500).json({ success: false, message: 'Server error while receiving HL7 message' });
+  }
+});
+
+// @route   GET /api/hl7/partners
+// @desc    List HL7 partners
+// @access  Admin only
+router.get('/partners', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Access denied. Admin only.' });
+    }
+
+    const query = {};
+    if (req.query.labId) query.labId = req.query.labId;
+
+    const partners = await HL7Partner.find(query)
+      .populate('labId', 'name')
+      .populate('testCodes.testId', 'name')
+      .sort({ name: 1 });
+
+    res.json({ success: true, data: partners });
+  } catch (error) {
+    console.error('Error fetching HL7 partners:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching HL7 partners' });
+  }
+});
+
+// @route   POST /api/hl7/partners
+// @desc    Register a hospital system; the API key is only returned here
+// @access  Admin only
+router.post('/partners', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Access denied. Admin only.' });
+    }
+
+    const { name, facility, application, labId, allowedIps, testCodes, resultDestination } = req.body;
+    if (!name || !facility || !labId) {
+      return res.status(400).json({ success: false, message: 'name, facility and labId are required' });
+    }
+    if (!mongoose.isValidObjectId(labId) || !(await Lab.exists({ _id: labId }))) {
+      return res.status(404).json({ success: false, message: 'Lab not found' });
+    }
+
+    const validationError = await validatePartner(req.body, labId);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const apiKey = hl7Service.generateKey();
+    const partner = await HL7Partner.create({
+      name,
+      facility,
+      application,
+      labId,
+      allowedIps: (allowedIps || []).map(ip => String(ip).trim()),
+      testCodes: testCodes || [],
+      resultDestination,
+      apiKeyHash: hl7Service.hashKey(apiKey),
+      createdBy: req.user.id
+    });
+
+    const data = partner.toObject();
+    delete data.apiKeyHash;
+
+    res.status(201).json({
+      success: true,
+      message: 'HL7 partner created. Store the API key now; it will not be shown again.',
+      data: { ...data, apiKey }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A partner with this sending facility already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    console.error('Error creating HL7 partner:', error);
+    res.status(500).json({ success: false, message: 'Server error while creating HL7 partner' });
+  }
+});
+
+// @route   PUT /api/hl7/partners/:id
+// @desc    Update an HL7 partner
+// @access  Admin only
+router.put('/partners/:id', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Access denied. Admin only.' });
+    }
+
+    const partner = await HL7Partner.findById(req.params.id);
+    if (!partner) {
+      return res.status(404).json({ success: false, message: 'Partner not found' });
+    }
+
+    const validationError = await validatePartner(req.body, partner.labId, partner);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    ['name', 'facility', 'application', 'allowedIps', 'testCodes', 'resultDestination', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) partner[field] = req.body[field];
+    });
+    await partner.save();
+
+    res.json({ success: true, message: 'HL7 partner updated', data: partner });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A partner with this sending facility already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    console.error('Error updating HL7 partner:', error);
+    res.status(500).json({ success: false, message: 'Server error while updating HL7 partner' });
+  }
+});
+
+// @route   POST /api/hl7/partners/:id/rotate-key
+// @desc    Issue a new API key; the old one stops working immediately
+// @access  Admin only
+router.post('/partners/:id/rotate-key', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Access denied. Admin only.' });
+    }
+
+    const apiKey = hl7Service.generateKey();
+    const partner = await HL7Partner.findByIdAndUpdate(
+      req.params.id,
+      { apiKeyHash: hl7Service.hashKey(apiKey) },
+      { new: true }
+    );
+    if (!partner) {
+      return res.status(404).json({ success: false, message: 'Partner not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Store it now; it will not be shown again.',
+      data: { apiKey }
+    });
+  } catch (error) {
+    console.error('Error rotating HL7 partner key:', error);
+    res.status(500).json({ success: false, message: 'Server error while rotating partner key' });
+  }
+});
+
+// @route   GET /api/hl7/messages
+// @desc    HL7 message log (filter by direction, status, partnerId, bookingId)
+// @access  Admin, Local Admin (own lab)
+router.get('/messages', auth, async (req, res) => {
+  try {
+    if (!['admin', 'local_admin'].includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const { direction, status, partnerId, bookingId, labId, page = 1, limit = 50 } = req.query;
+    const query = {};
+    if (req.user.role === 'local_admin') {
+      query.labId = await resolveAssignedLab(req.user);
+    } else if (labId) {
+      query.labId = labId;
+    }
+    if (direction) query.direction = direction;
+    if (status) query.status = status;
+    if (partnerId) query.partnerId = partnerId;
+    if (bookingId) query.bookingId = bookingId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [messages, total] = await Promise.all([
+      HL7Message.find(query)
+        .select('-raw -ack')
+        .populate('partnerId', 'name facility')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      HL7Message.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: messages,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching HL7 messages:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching HL7 messages' });
+  }
+});
+
+// Load a logged message the requester may see; sends the error response and returns null otherwise
+const loadMessage = async (req, res) => {
+  if (!['admin', 'local_admin'].includes(req.user.role)) {
+    res.status(403).json({ success: false, message: 'Access denied' });
+    return null;
+  }
+
+  const message = await HL7Message.findById(req.params.id).populate('partnerId', 'name facility');
+  if (!message) {
+    res.status(404).json({ success: false, message: 'Message not found' });
+    return null;
+  }
+  if (req.user.role === 'local_admin') {
+    const labId = await resolveAssignedLab(req.user);
+    if (!labId || message.labId?.toString() !== labId.toString()) {
+      res.status(404).json({ success: false, message: 'Message not found' });
+      return null;
+    }
+  }
+  return message;
+};
+
+// @route   GET /api/hl7/messages/:id
+// @desc    A logged message with its raw content and ACK
+// @access  Admin, Local Admin (own lab)
+router.get('/messages/:id', auth, async (req, res) => {
+  try {
+    const message = await loadMessage(req, res);
+    if (!message) return;
+
+    res.json({ success: true, data: message });
+  } catch (error) {
+    console.error('Error fetching HL7 message:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching HL7 message' });
+  }
+});
+
+// @route   POST /api/hl7/messages/:id/resend
+// @desc    Retry delivery of an outbound result message that failed
+// @access  Admin, Local Admin (own lab)
+router.post('/messages/:id/resend', auth, async (req, res) => {
+  try {
+    const message = await loadMessage(req, res);
+    if (!message) return;
+
+    if (message.direction !== 'outbound' || message.status !== 'failed') {
+      return res.status(400).json({ success: false, message: 'Only failed outbound messages can be resent' });
+    }
+
+    const partner = await HL7Partner.findById(message.partnerId);
+    if (!partner?.isActive) {
+      return res.status(400).json({ success: false, message: 'The partner is no longer active' });
+    }
+
+    const delivered = await hl7Service.deliver(message, partner);
+    res.json({
+      success: delivered.status === 'acknowledged',
+      message: delivered.status === 'acknowledged' ? 'Message delivered' : `Delivery failed: ${delivered.error}`,
+      data: delivered
+    });
+  } catch (error) {
+    console.error('Error resending HL7 message:', error);
+    res.status(500).json({ success: false, message: 'Server error while resending HL7 message' });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,9 @@ const User = require('../models/User');
 const Test = require('../models/Test');
 const Package = require('../models/Package');
 const { authenticateToken: auth } = require('../middleware/auth');
+const slotService = require('../services/slotService');
+const verificationPolicyService = require('../services/verificationPolicyService');
+const sampleStorageService = require('../services/sampleStorageService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -127,6 +130,48 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// GET /api/labs/:id/slots?date=YYYY-MM-DD - Available appointment slots for a day
+router.get('/:id/slots', auth, async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date query parameter is required'
+      });
+    }
+
+    const lab = await Lab.findById(req.params.id).select('name operatingHours capacity isActive');
+    if (!lab || !lab.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab not found'
+      });
+    }
+
+    const slots = await slotService.getSlots(lab, date);
+    if (!slots) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: slots
+    });
+  } catch (error) {
+    console.error('Error fetching lab slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lab slots',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/labs - Create new lab
 router.post('/', auth, upload.single('image'), async (req, res) => {
   try {
@@ -418,6 +463,159 @@ router.put('/:id', auth, upload.single('image'), async (req, res) => {
   }
 });
 
+// Local admins manage their own lab's policy; admins manage any lab's
+// Resolve assignedLab reliably (fallback to DB if not in token)
+const resolveAssignedLab = async (user) => {
+  if (user.assignedLab) return user.assignedLab;
+  const dbUser = await User.findById(user.id).select('assignedLab');
+  return dbUser?.assignedLab;
+};
+
+const canManageLabPolicy = async (user, labId) => {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'local_admin') return false;
+  return (await resolveAssignedLab(user))?.toString() === labId;
+};
+
+// Admins, and the lab's own staff and local admins, can read its policies
+const canReadLabPolicy = async (user, labId) => {
+  if (user.role === 'admin') return true;
+  if (!['local_admin', 'staff', 'lab_technician', 'xray_technician'].includes(user.role)) return false;
+  return (await resolveAssignedLab(user))?.toString() === labId;
+};
+
+// GET /api/labs/:id/verification-policy - Result sign-off rules for the lab
+router.get('/:id/verification-policy', auth, async (req, res) => {
+  try {
+    if (!(await canReadLabPolicy(req.user, req.params.id))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const lab = await Lab.findById(req.params.id).select('verificationPolicy');
+    if (!lab) {
+      return res.status(404).json({ success: false, message: 'Lab not found' });
+    }
+
+    res.json({
+      success: true,
+      data: verificationPolicyService.getPolicy(lab)
+    });
+  } catch (error) {
+    console.error('Error fetching verification policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch verification policy'
+    });
+  }
+});
+
+// PUT /api/labs/:id/verification-policy - Update result sign-off rules
+router.put('/:id/verification-policy', auth, async (req, res) => {
+  try {
+    if (!(await canManageLabPolicy(req.user, req.params.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the lab\'s local admin can change its verification policy.'
+      });
+    }
+
+    const lab = await Lab.findById(req.params.id);
+    if (!lab || !lab.isActive) {
+      return res.status(404).json({ success: false, message: 'Lab not found' });
+    }
+
+    const { policy, error } = verificationPolicyService.normalizePolicy(
+      req.body || {},
+      verificationPolicyService.getPolicy(lab)
+    );
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    lab.verificationPolicy = policy;
+    lab.updatedBy = req.user.id;
+    await lab.save();
+
+    res.json({
+      success: true,
+      message: 'Verification policy updated successfully',
+      data: verificationPolicyService.getPolicy(lab)
+    });
+  } catch (error) {
+    console.error('Error updating verification policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update verification policy'
+    });
+  }
+});
+
+// GET /api/labs/:id/sample-retention - How long stored samples are kept, per specimen type
+router.get('/:id/sample-retention', auth, async (req, res) => {
+  try {
+    if (!(await canReadLabPolicy(req.user, req.params.id))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const lab = await Lab.findById(req.params.id).select('sampleRetention');
+    if (!lab) {
+      return res.status(404).json({ success: false, message: 'Lab not found' });
+    }
+
+    res.json({
+      success: true,
+      data: sampleStorageService.getRetention(lab)
+    });
+  } catch (error) {
+    console.error('Error fetching sample retention:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sample retention rules'
+    });
+  }
+});
+
+// PUT /api/labs/:id/sample-retention - Update sample retention rules ({ defaultDays, rules: [{ specimenType, days }] })
+router.put('/:id/sample-retention', auth, async (req, res) => {
+  try {
+    if (!(await canManageLabPolicy(req.user, req.params.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the lab\'s local admin can change its sample retention rules.'
+      });
+    }
+
+    const lab = await Lab.findById(req.params.id);
+    if (!lab || !lab.isActive) {
+      return res.status(404).json({ success: false, message: 'Lab not found' });
+    }
+
+    const { retention, error } = sampleStorageService.normalizeRetention(
+      req.body || {},
+      sampleStorageService.getRetention(lab)
+    );
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    lab.sampleRetention = retention;
+    lab.updatedBy = req.user.id;
+    await lab.save();
+
+    res.json({
+      success: true,
+      message: 'Sample retention rules updated successfully',
+      data: sampleStorageService.getRetention(lab)
+    });
+  } catch (error) {
+    console.error('Error updating sample retention:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update sample retention rules'
+    });
+  }
+});
+
 // DELETE /api/labs/:id - Delete lab (soft delete)
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const LoincCode = require('../models/LoincCode');
+const loincService = require('../services/loincService');
+const { authenticateToken: auth } = require('../middleware/auth');
+
+// Roles that code tests and result fields
+const SEARCH_ROLES = ['admin', 'local_admin', 'staff', 'lab_technician', 'xray_technician'];
+
+// Import files are removed once processed
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const dir = 'uploads/loinc/';
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    cb(null, dir);
+  },
+  filename: function (req, file, cb) {
+    cb(null, 'loinc-' + Date.now() + '-' + Math.round(Math.random() * 1E9) + '.csv');
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 200 * 1024 * 1024 }, // 200MB, enough for the full Loinc.csv
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.txt'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+    }
+  }
+});
+
+// @route   POST /api/loinc/import
+// @desc    Import LOINC codes from a CSV file (Loinc.csv or a subset with the same columns)
+// @access  Admin only
+router.post('/import', auth, upload.single('file'), async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      if (req.file) fs.unlink(req.file.path, () => {});
+      return res.status(403).json({ success: false, message: 'Access denied. Admin only.' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    const result = await loincService.importCsv(req.file.path, { importedBy: req.user.id });
+    fs.unlink(req.file.path, () => {});
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.imported} LOINC code(s) imported${result.skipped ? `, ${result.skipped} row(s) skipped` : ''}`,
+      data: { imported: result.imported, skipped: result.skipped, errors: result.errors }
+    });
+  } catch (error) {
+    if (req.file) fs.unlink(req.file.path, () => {});
+    console.error('Error importing LOINC codes:', error);
+    if (error.message?.includes('Invalid file type')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error while importing LOINC codes' });
+  }
+});
+
+// @route   GET /api/loinc/search?q=glucose
+// @desc    Search imported LOINC codes by code prefix or name
+// @access  Admin, Local Admin, Lab Staff
+router.get('/search', auth, async (req, res) => {
+  try {
+    if (!SEARCH_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const codes = await loincService.search(req.query.q, {
+      limit: req.query.limit,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({ success: true, data: codes });
+  } catch (error) {
+    console.error('Error searching LOINC codes:', error);
+    res.status(500).json({ success: false, message: 'Server error while searching LOINC codes' });
+  }
+});
+
+// @route   GET /api/loinc/:code
+// @desc    A single LOINC code
+// @access  Admin, Local Admin, Lab Staff
+router.get('/:code', auth, async (req, res) => {
+  try {
+    if (!SEARCH_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const code = await LoincCode.findOne({ code: req.params.code }).select('-__v');
+    if (!code) {
+      return res.status(404).json({ success: false, message: 'LOINC code not found' });
+    }
+
+    res.json({ success: true, data: code });
+  } catch (error) {
+    console.error('Error fetching LOINC code:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching LOINC code' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const trendService = require('../services/trendService');
+const { authenticateToken: auth } = require('../middleware/auth');
+
+const LAB_ROLES = ['staff', 'lab_technician', 'xray_technician', 'local_admin'];
+
+// Resolve assignedLab reliably (fallback to DB if not in token)
+const resolveAssignedLab = async (user) => {
+  if (user.assignedLab) return user.assignedLab;
+  const dbUser = await User.findById(user.id).select('assignedLab');
+  return dbUser?.assignedLab;
+};
+
+// Patients see their own records; lab staff only patients who have booked at their lab
+const canSeePatient = async (user, patientId) => {
+  if (user.role === 'admin') return true;
+  if (LAB_ROLES.includes(user.role)) {
+    const labId = await resolveAssignedLab(user);
+    return !!labId && !!(await Booking.exists({ labId, userId: patientId }));
+  }
+  return user.id.toString() === patientId.toString();
+};
+
+const dateOrNull = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// @route   GET /api/patients/:userId/trends?analyte=hba1c&from=&to=
+// @desc    One analyte's values across published bookings and vitals, with deltas (lists analytes without ?analyte)
+// @access  Private (the patient, staff of labs the patient has booked at, admin)
+router.get('/:userId/trends', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid patient id' });
+    }
+    if (!(await canSeePatient(req.user, userId))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const from = dateOrNull(req.query.from);
+    const to = dateOrNull(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ success: false, message: 'from and to must be valid dates' });
+    }
+
+    if (!req.query.analyte) {
+      const analytes = await trendService.available(userId, { from, to });
+      return res.json({ success: true, data: { analytes } });
+    }
+
+    const series = await trendService.series(userId, req.query.analyte, { from, to });
+    res.json({ success: true, data: series });
+  } catch (error) {
+    console.error('Error fetching patient trends:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching trends' });
+  }
+});
+
+module.exports = router;
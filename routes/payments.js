@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { verifyWebhookSignature } = require('../config/razorpay');
+const paymentService = require('../services/paymentService');
+
+// @route   POST /api/payments/razorpay/webhook
+// @desc    Razorpay webhook: reconcile payment and refund events
+// @access  Public (authenticated by X-Razorpay-Signature)
+// The signature is computed over the raw body, so this route parses it itself
+router.post('/razorpay/webhook', express.raw({ type: 'application/json', limit: '1mb' }), async (req, res) => {
+  try {
+    const signature = req.headers['x-razorpay-signature'];
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : null;
+
+    if (!verifyWebhookSignature(rawBody, signature)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid JSON payload'
+      });
+    }
+
+    // Razorpay sends a unique id per event; fall back to the payload's entity id
+    const eventId = req.headers['x-razorpay-event-id'] ||
+      `${body.event}:${body.payload?.payment?.entity?.id || body.payload?.refund?.entity?.id || body.created_at}`;
+
+    const result = await paymentService.handleWebhookEvent(eventId, body);
+
+    res.json({
+      success: true,
+      message: result.details || 'Event received',
+      status: result.status
+    });
+  } catch (error) {
+    console.error('Error processing Razorpay webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing webhook'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,8 @@ const axios = require('axios');
 const { authenticateToken: auth } = require('../middleware/auth');
 const Vital = require('../models/Vital');
 const User = require('../models/User');
-const Booking = require('../models/Booking');
+const analyteService = require('../services/analyteService');
+const unitService = require('../services/unitService');
 
 
 const ML_SERVICE_URL = process.env.ML_SERVICE_URL || 'http://localhost:5001';
@@ -40,53 +41,22 @@ async function buildInputData(userId) {
     }
   }
 
-  let bloodSugar = latestManual?.bloodSugar?.value;
-  const cholesterol = latestManual?.cholesterol;
-
-  // Final fallback: scan booking lab results for BP/sugar just like the dashboard does
-  if (!systolicBP || !diastolicBP || !bloodSugar) {
-    const bpPattern = /^\d{2,3}\/\d{2,3}$/;
-    const recentBookings = await Booking.find({
-      userId,
-      status: { $in: ['result_published', 'completed'] },
-      testResults: { $exists: true, $ne: [] }
-    }).sort({ appointmentDate: -1 }).limit(10).populate('selectedTests.testId', 'name');
-
-    for (const booking of recentBookings) {
-      if (systolicBP && diastolicBP && bloodSugar) break;
-      const testMap = {};
-      (booking.selectedTests || []).forEach(t => {
-        if (t.testId) testMap[t.testId._id.toString()] = (t.testName || t.testId.name || '').toLowerCase();
-      });
-
-      for (const result of (booking.testResults || [])) {
-        const testName = testMap[result.testId?.toString()] || '';
-
-        if (!systolicBP || !diastolicBP) {
-          const sys = result.values?.find(v => v.label?.toLowerCase().includes('systolic'));
-          const dia = result.values?.find(v => v.label?.toLowerCase().includes('diastolic'));
-          if (sys && dia) {
-            const s = parseInt(sys.value, 10);
-            const d = parseInt(dia.value, 10);
-            if (!isNaN(s)) systolicBP = s;
-            if (!isNaN(d)) diastolicBP = d;
-          }
-          if (!systolicBP || !diastolicBP) {
-            const bpVal = result.values?.find(v => v.value && bpPattern.test(String(v.value)));
-            if (bpVal) {
-              const [s, d] = String(bpVal.value).split('/').map(n => parseInt(n, 10));
-              if (!isNaN(s)) systolicBP = s;
-              if (!isNaN(d)) diastolicBP = d;
-            }
-          }
-        }
-
-        if (!bloodSugar && (testName.includes('sugar') || testName.includes('glucose') || testName.includes('diabetic'))) {
-          const sugarVal = result.values?.find(v => v.value && !isNaN(parseFloat(v.value)));
-          if (sugarVal) bloodSugar = parseFloat(sugarVal.value);
-        }
-      }
+  // The risk model works in mg/dL; manual sugar readings may be in mmol/L
+  let bloodSugar = latestManual?.bloodSugar
+    ? unitService.convert(latestManual.bloodSugar.value, latestManual.bloodSugar.unit || 'mg/dL', 'mg/dL', 'glucose')
+    : null;
+  let cholesterol = latestManual?.cholesterol;
+
+  // Final fallback: the latest coded lab results (LOINC) for BP / sugar / cholesterol
+  if (!systolicBP || !diastolicBP || !bloodSugar || !cholesterol) {
+    const latest = await analyteService.latestFromResults(userId, ['systolicBP', 'diastolicBP', 'bloodPressure', 'glucose', 'cholesterol']);
+    const bp = analyteService.bloodPressureOf(latest);
+    if ((!systolicBP || !diastolicBP) && bp) {
+      systolicBP = bp.systolic;
+      diastolicBP = bp.diastolic;
     }
+    if (!bloodSugar && latest.glucose?.canonicalValue) bloodSugar = latest.glucose.canonicalValue;
+    if (!cholesterol && latest.cholesterol?.canonicalValue) cholesterol = latest.cholesterol.canonicalValue;
   }
 
   return {
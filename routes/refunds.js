@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const Refund = require('../models/Refund');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const refundPolicy = require('../config/refundPolicy');
+const refundService = require('../services/refundService');
+const { authenticateToken: auth } = require('../middleware/auth');
+
+// Resolve assignedLab reliably (fallback to DB if not in token)
+const resolveAssignedLab = async (user) => {
+  if (user.assignedLab) return user.assignedLab;
+  const dbUser = await User.findById(user.id).select('assignedLab');
+  return dbUser?.assignedLab;
+};
+
+// Admins can review any refund; local admins only their lab's
+const canReview = async (user, refund) => {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'local_admin') return false;
+  const assignedLab = await resolveAssignedLab(user);
+  return assignedLab?.toString() === refund.labId.toString();
+};
+
+// @route   GET /api/refunds/policy
+// @desc    Get the refund policy tiers shown to patients before cancelling
+// @access  Private (All authenticated users)
+router.get('/policy', auth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      tiers: refundPolicy.tiers,
+      refundableStatuses: refundPolicy.refundableStatuses
+    }
+  });
+});
+
+// @route   GET /api/refunds/quote/:bookingId
+// @desc    Preview the refund a cancellation right now would get
+// @access  Private (booking owner)
+router.get('/quote/:bookingId', auth, async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.bookingId, userId: req.user.id });
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    res.json({ success: true, data: refundService.quote(booking) });
+  } catch (error) {
+    console.error('Error quoting refund:', error);
+    res.status(500).json({ success: false, message: 'Server error while calculating refund' });
+  }
+});
+
+// @route   GET /api/refunds
+// @desc    List refunds (admin: all, local_admin: own lab, user: own refunds)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { role } = req.user;
+    const { status, labId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (role === 'admin') {
+      if (labId && labId !== 'all') query.labId = labId;
+    } else if (role === 'local_admin') {
+      const assignedLab = await resolveAssignedLab(req.user);
+      if (!assignedLab) {
+        return res.status(400).json({ success: false, message: 'No assigned lab found for your account' });
+      }
+      query.labId = assignedLab;
+    } else if (role === 'user') {
+      query.userId = req.user.id;
+    } else {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const refunds = await Refund.find(query)
+      .populate('userId', 'firstName lastName email phone')
+      .populate('labId', 'name')
+      .populate('bookingId', 'appointmentDate appointmentTime totalAmount paidAmount paymentStatus status')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Refund.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: refunds,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total: total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching refunds' });
+  }
+});
+
+// @route   PUT /api/refunds/:id/approve
+// @desc    Approve a refund request or retry a failed one (optionally adjusting the amount) and issue it
+// @access  Admin, Local Admin (own lab)
+router.put('/:id/approve', auth, async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ success: false, message: 'Note must be text' });
+    }
+
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) {
+      return res.status(404).json({ success: false, message: 'Refund not found' });
+    }
+
+    if (!(await canReview(req.user, refund))) {
+      return res.status(403).json({ success: false, message: 'Access denied. Only admins and the lab\'s local admin can review refunds.' });
+    }
+
+    const result = await refundService.approve(refund, req.user.id, { amount, note: note?.trim() || '' });
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error, data: result.refund });
+    }
+
+    res.json({
+      success: true,
+      message: result.refund.status === 'processed' ? 'Refund processed successfully' : 'Refund approved and initiated',
+      data: result.refund
+    });
+  } catch (error) {
+    console.error('Error approving refund:', error);
+    res.status(500).json({ success: false, message: 'Server error while approving refund' });
+  }
+});
+
+// @route   PUT /api/refunds/:id/reject
+// @desc    Reject a refund request
+// @access  Admin, Local Admin (own lab)
+router.put('/:id/reject', auth, async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ success: false, message: 'Note must be text' });
+    }
+    if (!note || !note.trim()) {
+      return res.status(400).json({ success: false, message: 'A reason is required to reject a refund' });
+    }
+
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) {
+      return res.status(404).json({ success: false, message: 'Refund not found' });
+    }
+
+    if (!(await canReview(req.user, refund))) {
+      return res.status(403).json({ success: false, message: 'Access denied. Only admins and the lab\'s local admin can review refunds.' });
+    }
+
+    const result = await refundService.reject(refund, req.user.id, note.trim());
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, message: 'Refund request rejected', data: result.refund });
+  } catch (error) {
+    console.error('Error rejecting refund:', error);
+    res.status(500).json({ success: false, message: 'Server error while rejecting refund' });
+  }
+});
+
+module.exports = router;
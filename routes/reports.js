@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const reportSignatureService = require('../services/reportSignatureService');
+
+// "Asha Kumar" -> "A. K."
+const initialsOf = (user) => [user?.firstName, user?.lastName]
+  .filter(Boolean)
+  .map(name => `${name.trim().charAt(0).toUpperCase()}.`)
+  .join(' ');
+
+// @route   GET /api/reports/verify/:code
+// @desc    Check that a published report is genuine and unchanged, or say it is being amended
+// @access  Public (verification code from the printed report)
+router.get('/verify/:code', async (req, res) => {
+  try {
+    const booking = await reportSignatureService.findByCode(req.params.code);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'No report found for this verification code'
+      });
+    }
+
+    await booking.populate([
+      { path: 'labId', select: 'name address.city contact.phone' },
+      { path: 'userId', select: 'firstName lastName' },
+      { path: 'testResults.testId', select: 'name' }
+    ]);
+
+    // The code survives amendments, so older printouts are answered here too
+    const published = booking.status === 'result_published';
+    const amending = !published && !!booking.amendment?.inProgress;
+    const { signatureValid, unchanged } = reportSignatureService.verify(booking);
+
+    let status;
+    if (!signatureValid) status = 'invalid_signature';
+    else if (amending) status = 'amendment_pending';
+    else if (!published) status = 'withdrawn';
+    else status = unchanged ? 'verified' : 'modified_since_publish';
+
+    res.json({
+      success: true,
+      data: {
+        code: booking.reportSignature.code,
+        authentic: signatureValid,
+        unchanged: published && unchanged,
+        status,
+        lab: {
+          name: booking.labId?.name || '',
+          city: booking.labId?.address?.city || '',
+          phone: booking.labId?.contact?.phone || ''
+        },
+        patientInitials: initialsOf(booking.userId),
+        tests: (booking.testResults || []).map(tr => tr.testId?.name).filter(Boolean),
+        // While amending, the last version that was published
+        reportVersion: booking.resultVersion || 1,
+        publishedAt: booking.publishedAt,
+        signedAt: booking.reportSignature.signedAt,
+        algorithm: booking.reportSignature.algorithm,
+        amendmentRequestedAt: amending ? booking.amendment.requestedAt : null,
+        // Printed copies of these versions are out of date
+        supersededVersions: (booking.resultVersions || []).map(v => ({
+          version: v.version,
+          publishedAt: v.publishedAt,
+          supersededAt: v.supersededAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying report'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const StorageLocation = require('../models/StorageLocation');
+const User = require('../models/User');
+const sampleStorageService = require('../services/sampleStorageService');
+const { authenticateToken: auth } = require('../middleware/auth');
+
+const LAB_ROLES = ['staff', 'lab_technician', 'xray_technician', 'local_admin'];
+
+// Resolve assignedLab reliably (fallback to DB if not in token)
+const resolveAssignedLab = async (user) => {
+  if (user.assignedLab) return user.assignedLab;
+  const dbUser = await User.findById(user.id).select('assignedLab');
+  return dbUser?.assignedLab;
+};
+
+// Lab staff work within their own lab; sends the error response and returns null otherwise
+const requireLab = async (req, res) => {
+  if (!LAB_ROLES.includes(req.user.role)) {
+    res.status(403).json({ success: false, message: 'Access denied' });
+    return null;
+  }
+  const labId = await resolveAssignedLab(req.user);
+  if (!labId) {
+    res.status(400).json({ success: false, message: 'No assigned lab found for your account' });
+    return null;
+  }
+  return labId;
+};
+
+// Storage location of the requester's lab by :id; sends 404 and returns null otherwise
+const loadLocation = async (req, res, labId) => {
+  const location = mongoose.isValidObjectId(req.params.id)
+    ? await StorageLocation.findOne({ _id: req.params.id, labId })
+    : null;
+  if (!location) {
+    res.status(404).json({ success: false, message: 'Storage location not found' });
+    return null;
+  }
+  return location;
+};
+
+// @route   GET /api/sample-storage/locations
+// @desc    The lab's fridges/racks with how many positions are taken
+// @access  Local Admin and Staff
+router.get('/locations', auth, async (req, res) => {
+  try {
+    const labId = await requireLab(req, res);
+    if (!labId) return;
+
+    const query = { labId };
+    if (req.query.includeInactive !== 'true') query.isActive = true;
+    const locations = await StorageLocation.find(query).sort({ fridge: 1, rack: 1 });
+
+    const data = await Promise.all(locations.map(async location => {
+      const occupied = await sampleStorageService.occupiedPositions(location._id);
+      return { ...location.toObject(), occupied: occupied.size, free: Math.max(location.positions - occupied.size, 0) };
+    }));
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching storage locations:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching storage locations' });
+  }
+});
+
+// @route   POST /api/sample-storage/locations
+// @desc    Add a rack to one of the lab's fridges ({ fridge, rack, positions, temperature })
+// @access  Local Admin only
+router.post('/locations', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'local_admin') {
+      return res.status(403).json({ success: false, message: 'Only local admins can manage storage locations' });
+    }
+    const labId = await requireLab(req, res);
+    if (!labId) return;
+
+    const { fridge, rack, positions, temperature } = req.body || {};
+    if (!fridge || !rack || !positions) {
+      return res.status(400).json({ success: false, message: 'fridge, rack and positions are required' });
+    }
+
+    const existing = await StorageLocation.findOne({ labId, fridge: String(fridge).trim(), rack: String(rack).trim() });
+    if (existing) {
+      return res.status(400).json({ success: false, message: `${sampleStorageService.locationLabel(existing)} already exists` });
+    }
+
+    const location = await StorageLocation.create({
+      labId,
+      fridge,
+      rack,
+      positions,
+      temperature: temperature || '',
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({ success: true, message: 'Storage location added', data: location });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    console.error('Error creating storage location:', error);
+    res.status(500).json({ success: false, message: 'Server error while creating storage location' });
+  }
+});
+
+// @route   PUT /api/sample-storage/locations/:id
+// @desc    Rename, resize or (de)activate a storage location
+// @access  Local Admin only
+router.put('/locations/:id', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'local_admin') {
+      return res.status(403).json({ success: false, message: 'Only local admins can manage storage locations' });
+    }
+    const labId = await requireLab(req, res);
+    if (!labId) return;
+    const location = await loadLocation(req, res, labId);
+    if (!location) return;
+
+    const { fridge, rack, positions, temperature, isActive } = req.body || {};
+    const occupied = await sampleStorageService.occupiedPositions(location._id);
+
+    if (positions !== undefined) {
+      const highest = Math.max(0, ...occupied.keys());
+      if (Number(positions) < highest) {
+        return res.status(400).json({ success: false, message: `Position ${highest} is in use; the rack can't be made smaller than that` });
+      }
+      location.positions = positions;
+    }
+    if (isActive === false && occupied.size) {
+      return res.status(400).json({ success: false, message: `${occupied.size} sample(s) are still stored here` });
+    }
+
+    if (fridge !== undefined) location.fridge = fridge;
+    if (rack !== undefined) location.rack = rack;
+    if (temperature !== undefined) location.temperature = temperature;
+    if (isActive !== undefined) location.isActive = !!isActive;
+    await location.save();
+
+    res.json({ success: true, message: 'Storage location updated', data: location });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A rack with this name already exists in that fridge' });
+    }
+    console.error('Error updating storage location:', error);
+    res.status(500).json({ success: false, message: 'Server error while updating storage location' });
+  }
+});
+
+// @route   DELETE /api/sample-storage/locations/:id
+// @desc    Retire an empty storage location (kept for the custody history)
+// @access  Local Admin only
+router.delete('/locations/:id', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'local_admin') {
+      return res.status(403).json({ success: false, message: 'Only local admins can manage storage locations' });
+    }
+    const labId = await requireLab(req, res);
+    if (!labId) return;
+    const location = await loadLocation(req, res, labId);
+    if (!location) return;
+
+    const occupied = await sampleStorageService.occupiedPositions(location._id);
+    if (occupied.size) {
+      return res.status(400).json({ success: false, message: `${occupied.size} sample(s) are still stored here` });
+    }
+
+    location.isActive = false;
+    await location.save();
+
+    res.json({ success: true, message: 'Storage location removed' });
+  } catch (error) {
+    console.error('Error removing storage location:', error);
+    res.status(500).json({ success: false, message: 'Server error while removing storage location' });
+  }
+});
+
+// @route   GET /api/sample-storage/locations/:id/contents
+// @desc    Samples in a rack by position
+// @access  Local Admin and Staff
+router.get('/locations/:id/contents', auth, async (req, res) => {
+  try {
+    const labId = await requireLab(req, res);
+    if (!labId) return;
+    const location = await loadLocation(req, res, labId);
+    if (!location) return;
+
+    const occupied = await sampleStorageService.occupiedPositions(location._id);
+    const positions = Array.from({ length: location.positions }, (_, i) => ({
+      position: i + 1,
+      ...(occupied.get(i + 1) || { bookingId: null, sampleId: null })
+    }));
+
+    res.json({ success: true, data: { location, positions } });
+  } catch (error) {
+    console.error('Error fetching storage contents:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching storage contents' });
+  }
+});
+
+// @route   GET /api/sample-storage/disposals?asOf=
+// @desc    Stored samples past their retention period, in fridge/rack/position order
+// @access  Local Admin and Staff
+router.get('/disposals', auth, async (req, res) => {
+  try {
+    const labId = await requireLab(req, res);
+    if (!labId) return;
+
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ success: false, message: 'asOf must be a valid date' });
+    }
+
+    const samples = await sampleStorageService.disposalList(labId, asOf);
+    res.json({ success: true, data: { asOf, count: samples.length, samples } });
+  } catch (error) {
+    console.error('Error fetching disposal list:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching disposal list' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,30 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const AuditLog = require('../models/AuditLog');
-const { v4: uuidv4 } = require('uuid');
+const Package = require('../models/Package');
+const StorageLocation = require('../models/StorageLocation');
+const Test = require('../models/Test');
+const User = require('../models/User');
 const { authenticateToken: auth } = require('../middleware/auth');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const sampleService = require('../services/sampleService');
+const sampleStorageService = require('../services/sampleStorageService');
+const specimenService = require('../services/specimenService');
+const labelService = require('../services/labelService');
+
+const LAB_ROLES = ['staff', 'lab_technician', 'xray_technician', 'local_admin'];
+
+// Test fields sample planning needs
+const SPECIMEN_FIELDS = 'name category specimenType container specimenVolume';
+
+// Resolve assignedLab reliably (fallback to DB if not in token)
+const resolveAssignedLab = async (user) => {
+    if (user.assignedLab) return user.assignedLab;
+    const dbUser = await User.findById(user.id).select('assignedLab');
+    return dbUser?.assignedLab;
+};
 
 // Helper to log audit actions
 const createAuditLog = async (action, bookingId, performedBy, labId, details = '', sampleId = null, testId = null) => {
@@ -15,7 +36,7 @@ const createAuditLog = async (action, bookingId, performedBy, labId, details = '
 };
 
 // @route   POST /api/samples/collect/:bookingId
-// @desc    Generate a sample ID and barcode for a booking, marking tests as sample collected
+// @desc    Draw a booking's tests into typed tubes (one per container) and return the draw list
 // @access  Local Admin and Staff only
 router.post('/collect/:bookingId', auth, async (req, res) => {
     try {
@@ -29,6 +50,14 @@ router.post('/collect/:bookingId', auth, async (req, res) => {
             return res.status(404).json({ success: false, message: 'Booking not found.' });
         }
 
+        // Tubes are drawn once; a rejected tube is replaced through the recollect endpoint
+        if ((booking.samples || []).some(smp => smp.status !== 'rejected')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Samples have already been collected for this booking. Use POST /api/samples/:sampleId/recollect to replace a rejected sample.'
+            });
+        }
+
         // ── Date validation: only allow sample collection on appointment day ──
         const today = new Date();
         today.setHours(0, 0, 0, 0);
@@ -44,8 +73,14 @@ router.post('/collect/:bookingId', auth, async (req, res) => {
 
         if (appointmentDay.getTime() < today.getTime()) {
             // Auto-flag past uncollected bookings as no_show
-            booking.status = 'no_show';
-            booking.updatedAt = new Date();
+            const transition = bookingStateMachine.transition(booking, 'no_show', {
+                by: req.user.id,
+                role,
+                reason: 'Sample not collected on appointment day'
+            });
+            if (!transition.success) {
+                return res.status(400).json({ success: false, message: transition.error });
+            }
             await booking.save();
             await createAuditLog('no_show', booking._id, req.user.id, booking.labId, `Booking auto-flagged as no-show (appointment was ${appointmentDay.toLocaleDateString()})`);
             return res.status(400).json({
@@ -54,54 +89,61 @@ router.post('/collect/:bookingId', auth, async (req, res) => {
             });
         }
 
-        const { sampleType, collectedBy } = req.body;
+        const { sampleType } = req.body;
 
-        // Generate unique sample IDs for EACH test and package
-        const newSamples = [];
-        const timestamp = Date.now().toString().slice(-4);
+        // Tests to draw for: direct tests, then each package's tests
+        const packageIds = (booking.selectedPackages || []).map(p => p.packageId);
+        const [directTests, packages] = await Promise.all([
+            Test.find({ _id: { $in: (booking.selectedTests || []).map(t => t.testId) } }).select(SPECIMEN_FIELDS),
+            Package.find({ _id: { $in: packageIds } }).select('selectedTests').populate('selectedTests', SPECIMEN_FIELDS)
+        ]);
+        const testsById = new Map([...directTests, ...packages.flatMap(p => p.selectedTests || [])].map(t => [t._id.toString(), t]));
+        const items = [
+            ...(booking.selectedTests || []).map(t => ({ test: testsById.get(t.testId?.toString()) })),
+            ...packageIds.flatMap(id => {
+                const pkg = packages.find(p => p._id.toString() === id?.toString());
+                return (pkg?.selectedTests || []).map(test => ({ test, packageId: pkg._id }));
+            })
+        ].filter(item => item.test);
 
-        // Handle Standalone Tests
-        (booking.selectedTests || []).forEach((t, index) => {
-            const shortId = uuidv4().split('-')[0].toUpperCase();
-            newSamples.push({
-                sampleId: `SMP-${shortId}-${timestamp}-${index + 1}`,
-                tests: [t.testId],
-                packages: [],
-                status: 'processing',
-                sampleType: sampleType || 'Blood',
-                collectedAt: new Date(),
-                collectedBy: req.user.id // Default to requester if not provided
-            });
-        });
-
-        // Handle Packages
-        (booking.selectedPackages || []).forEach((p, index) => {
-            const shortId = uuidv4().split('-')[0].toUpperCase();
-            newSamples.push({
-                sampleId: `PKG-${shortId}-${timestamp}-${index + 1}`,
-                tests: [],
-                packages: [p.packageId],
-                status: 'processing',
-                sampleType: sampleType || 'Blood',
-                collectedAt: new Date(),
-                collectedBy: req.user.id
-            });
-        });
+        // One tube per container, in order of draw, each with a typed sample ID
+        const newSamples = specimenService.planTubes(items, { defaultSampleType: sampleType }).map((tube, index) => ({
+            sampleId: sampleService.generateSampleId(tube.prefix, index + 1),
+            tests: tube.tests,
+            packages: tube.packages,
+            status: 'collected',
+            sampleType: tube.sampleType,
+            container: tube.container,
+            volumeMl: tube.volumeMl || null,
+            collectedAt: new Date(),
+            collectedBy: req.user.id,
+            custody: [{ action: 'collected', to: req.user.id, recordedBy: req.user.id, at: new Date() }],
+            statusHistory: [{ from: null, to: 'collected', by: req.user.id, reason: 'Sample collected', at: new Date() }]
+        }));
 
         if (newSamples.length === 0) {
             return res.status(400).json({ success: false, message: 'No tests or packages found to collect.' });
         }
 
+        const transition = bookingStateMachine.transition(booking, 'sample_collected', {
+            by: req.user.id,
+            role,
+            reason: `${newSamples.length} samples collected`
+        });
+        if (!transition.success) {
+            return res.status(400).json({ success: false, message: transition.error });
+        }
+
         booking.samples.push(...newSamples);
-        booking.status = 'sample_collected';
         await booking.save();
 
-        await createAuditLog('sample_collected', booking._id, req.user.id, booking.labId, `${newSamples.length} samples (${sampleType}) collected for booking`);
+        const sampleTypes = [...new Set(newSamples.map(smp => smp.sampleType))].join(', ');
+        await createAuditLog('sample_collected', booking._id, req.user.id, booking.labId, `${newSamples.length} samples (${sampleTypes}) collected for booking`);
 
         res.json({
             success: true,
             message: `${newSamples.length} samples collected and IDs generated.`,
-            data: { samples: newSamples, booking }
+            data: { samples: newSamples, drawList: specimenService.drawList(newSamples, testsById), booking }
         });
     } catch (error) {
         console.error('Error collecting sample:', error);
@@ -116,12 +158,20 @@ router.get('/active/:labId', auth, async (req, res) => {
     try {
         const { labId } = req.params;
 
-        // Fetch bookings that have samples and are not fully verified/cancelled
+        if (!LAB_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'Access denied.' });
+        }
+        const assignedLab = await resolveAssignedLab(req.user);
+        if (assignedLab?.toString() !== labId.toString()) {
+            return res.status(403).json({ success: false, message: 'Access denied for this lab' });
+        }
+
+        // Fetch bookings with samples that are still moving through the lab
         const bookings = await Booking.find({
             labId,
             isActive: true,
-            status: { $in: ['sample_collected', 'processing', 'partially_completed'] },
-            'samples.0': { $exists: true }
+            status: { $nin: ['cancelled', 'no_show'] },
+            'samples.status': { $in: sampleService.activeStatuses }
         })
             .populate('userId', 'firstName lastName')
             .populate('selectedTests.testId', 'name')
@@ -131,7 +181,7 @@ router.get('/active/:labId', auth, async (req, res) => {
         const activeSamples = [];
         bookings.forEach(booking => {
             booking.samples.forEach(sample => {
-                if (sample.status !== 'verified') {
+                if (sampleService.activeStatuses.includes(sample.status)) {
                     activeSamples.push({
                         bookingId: booking._id,
                         patientName: booking.userId ? `${booking.userId.firstName} ${booking.userId.lastName}` : 'Unknown',
@@ -157,4 +207,312 @@ router.get('/active/:labId', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/samples/rejection-reasons
+// @desc    Standard reasons a sample can be rejected for
+// @access  Private
+router.get('/rejection-reasons', auth, (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(sampleService.rejectionReasons).map(([value, label]) => ({ value, label }))
+    });
+});
+
+// @route   GET /api/samples/scan/:sampleId
+// @desc    Resolve a scanned tube to its patient, tests, result fields and pending results
+// @access  Local Admin and Staff of the sample's lab
+router.get('/scan/:sampleId', auth, async (req, res) => {
+    try {
+        if (!LAB_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'Access denied.' });
+        }
+        const labId = await resolveAssignedLab(req.user);
+        if (!labId) {
+            return res.status(400).json({ success: false, message: 'No assigned lab found for your account' });
+        }
+
+        const scanned = await sampleService.scan(labId, req.params.sampleId.trim());
+        if (!scanned) {
+            return res.status(404).json({ success: false, message: 'No sample with this barcode in your lab.' });
+        }
+
+        res.json({ success: true, data: scanned });
+    } catch (error) {
+        console.error('Error scanning sample:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   GET /api/samples/:sampleId/label?format=svg|zpl
+// @desc    Barcode label for a collected sample (SVG, or ZPL for thermal printers)
+// @access  Local Admin and Staff of the sample's lab
+router.get('/:sampleId/label', auth, async (req, res) => {
+    try {
+        if (!LAB_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'Access denied.' });
+        }
+        const format = req.query.format || 'svg';
+        if (!['svg', 'zpl'].includes(format)) {
+            return res.status(400).json({ success: false, message: 'format must be svg or zpl' });
+        }
+
+        const labId = await resolveAssignedLab(req.user);
+        const booking = labId && await labelService.loadBooking({ labId, 'samples.sampleId': req.params.sampleId });
+        const sample = booking?.samples.find(s => s.sampleId === req.params.sampleId);
+        if (!sample) {
+            return res.status(404).json({ success: false, message: 'Sample not found.' });
+        }
+
+        res.type(format === 'zpl' ? 'text/plain' : 'image/svg+xml')
+            .set('Content-Disposition', `inline; filename="${sample.sampleId}.${format}"`)
+            .send(labelService.render([labelService.labelData(booking, sample)], format));
+    } catch (error) {
+        console.error('Error rendering sample label:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Sample in the requester's lab by :sampleId. Sends the error response and
+// returns undefined when it can't be loaded.
+const loadSample = async (req, res) => {
+    if (!LAB_ROLES.includes(req.user.role)) {
+        res.status(403).json({ success: false, message: 'Access denied.' });
+        return undefined;
+    }
+    const labId = await resolveAssignedLab(req.user);
+    if (!labId) {
+        res.status(400).json({ success: false, message: 'No assigned lab found for your account' });
+        return undefined;
+    }
+    const found = await sampleService.findInLab(labId, req.params.sampleId);
+    if (!found) {
+        res.status(404).json({ success: false, message: 'Sample not found.' });
+        return undefined;
+    }
+    return found;
+};
+
+// Save the booking, audit the change and let the lab's screens know
+const saveSampleChange = async (req, booking, sample, details, action = sampleService.auditAction(sample.status)) => {
+    booking.updatedAt = new Date();
+    await booking.save();
+    await createAuditLog(action, booking._id, req.user.id, booking.labId, details, sample.sampleId);
+
+    const io = req.app.get('io');
+    if (io) {
+        io.to(`lab-${booking.labId}`).emit('sample-updated', {
+            bookingId: booking._id,
+            sampleId: sample.sampleId,
+            status: sample.status
+        });
+    }
+};
+
+// Shared handler for the lifecycle steps (receive, assign, ... store, dispose)
+const sampleStep = (apply, describe) => async (req, res) => {
+    try {
+        const loaded = await loadSample(req, res);
+        if (!loaded) return;
+        const { booking, sample } = loaded;
+
+        const result = await apply(sample, { ...(req.body || {}), by: req.user.id }, booking);
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        await saveSampleChange(req, booking, sample, describe(sample));
+        res.json({ success: true, message: `Sample ${sample.sampleId} is now ${sample.status}`, data: sample });
+    } catch (error) {
+        console.error('Error updating sample:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @route   PUT /api/samples/:sampleId/receive
+// @desc    Receive a collected sample in the lab
+// @access  Local Admin and Staff of the sample's lab
+router.put('/:sampleId/receive', auth, sampleStep(
+    (sample, { by }) => sampleService.receive(sample, { by }),
+    (sample) => `Sample ${sample.sampleId} received in lab`
+));
+
+// @route   PUT /api/samples/:sampleId/assign
+// @desc    Assign a received sample to a bench and/or analyzer ({ bench, analyzer })
+// @access  Local Admin and Staff of the sample's lab
+router.put('/:sampleId/assign', auth, sampleStep(
+    (sample, { bench, analyzer, by }) => sampleService.assign(sample, { bench, analyzer, by }),
+    (sample) => `Sample ${sample.sampleId} assigned to ${[sample.bench, sample.analyzer].filter(Boolean).join(' / ')}`
+));
+
+// @route   PUT /api/samples/:sampleId/start
+// @desc    Mark a sample as in process
+// @access  Local Admin and Staff of the sample's lab
+router.put('/:sampleId/start', auth, sampleStep(
+    (sample, { by }) => sampleService.start(sample, { by }),
+    (sample) => `Sample ${sample.sampleId} in process`
+));
+
+// @route   PUT /api/samples/:sampleId/complete
+// @desc    Mark a sample's testing as completed
+// @access  Local Admin and Staff of the sample's lab
+router.put('/:sampleId/complete', auth, sampleStep(
+    (sample, { by }) => sampleService.complete(sample, { by }),
+    (sample) => `Sample ${sample.sampleId} completed`
+));
+
+// @route   PUT /api/samples/:sampleId/reject
+// @desc    Reject a sample with a standard reason ({ reason, comment }) and ask the patient for a new one
+// @access  Local Admin and Staff of the sample's lab
+router.put('/:sampleId/reject', auth, async (req, res) => {
+    try {
+        const loaded = await loadSample(req, res);
+        if (!loaded) return;
+        const { booking, sample } = loaded;
+
+        const { reason, comment } = req.body || {};
+        const result = sampleService.reject(sample, { reason, comment: comment || '', by: req.user.id });
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        await saveSampleChange(req, booking, sample, `Sample ${sample.sampleId} rejected: ${sample.statusHistory[sample.statusHistory.length - 1].reason}`);
+
+        // Recollection request to the patient (non-blocking)
+        sampleService.requestRecollection(booking, sample, req.app.get('io'));
+
+        res.json({ success: true, message: `Sample ${sample.sampleId} rejected; the patient has been asked for a new sample`, data: sample });
+    } catch (error) {
+        console.error('Error rejecting sample:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/samples/:sampleId/recollect
+// @desc    Collect a replacement for a rejected sample
+// @access  Local Admin and Staff of the sample's lab
+router.post('/:sampleId/recollect', auth, async (req, res) => {
+    try {
+        const loaded = await loadSample(req, res);
+        if (!loaded) return;
+        const { booking, sample } = loaded;
+
+        const result = sampleService.recollect(booking, sample, { by: req.user.id });
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        booking.updatedAt = new Date();
+        await booking.save();
+        await createAuditLog('sample_recollected', booking._id, req.user.id, booking.labId, `Sample ${result.sample.sampleId} collected to replace rejected sample ${sample.sampleId}`, result.sample.sampleId);
+
+        res.json({ success: true, message: `Replacement sample ${result.sample.sampleId} collected`, data: result.sample });
+    } catch (error) {
+        console.error('Error recollecting sample:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/samples/:sampleId/handoff
+// @desc    Hand a sample to another member of the lab's staff ({ to, note })
+// @access  Local Admin and Staff of the sample's lab
+router.put('/:sampleId/handoff', auth, async (req, res) => {
+    try {
+        const loaded = await loadSample(req, res);
+        if (!loaded) return;
+        const { booking, sample } = loaded;
+
+        const { to, note } = req.body || {};
+        const recipient = mongoose.isValidObjectId(to) && await User.findOne({
+            _id: to,
+            role: { $in: LAB_ROLES },
+            assignedLab: booking.labId,
+            isActive: true
+        }).select('firstName lastName');
+        if (!recipient) {
+            return res.status(400).json({ success: false, message: 'The sample can only be handed to active staff of this lab' });
+        }
+
+        const result = sampleService.handoff(sample, { to: recipient._id, by: req.user.id, note: note || '' });
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        await saveSampleChange(req, booking, sample, `Sample ${sample.sampleId} handed to ${recipient.firstName} ${recipient.lastName}`, 'sample_handoff');
+        res.json({ success: true, message: `Sample ${sample.sampleId} handed to ${recipient.firstName} ${recipient.lastName}`, data: sample });
+    } catch (error) {
+        console.error('Error handing off sample:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/samples/:sampleId/store
+// @desc    Check a tested sample into storage ({ locationId, position }; first free position when omitted)
+// @access  Local Admin and Staff of the sample's lab
+router.put('/:sampleId/store', auth, sampleStep(
+    async (sample, { locationId, position, by }, booking) => {
+        const location = mongoose.isValidObjectId(locationId)
+            ? await StorageLocation.findOne({ _id: locationId, labId: booking.labId })
+            : null;
+        return sampleStorageService.checkIn(booking, sample, { location, position, by });
+    },
+    (sample) => `Sample ${sample.sampleId} stored at ${sampleStorageService.lastLocation(sample)} until ${sample.storage.retainUntil.toLocaleDateString()}`
+));
+
+// @route   PUT /api/samples/:sampleId/retrieve
+// @desc    Take a stored sample out of storage for repeat testing ({ reason })
+// @access  Local Admin and Staff of the sample's lab
+router.put('/:sampleId/retrieve', auth, sampleStep(
+    (sample, { reason, by }) => sampleStorageService.retrieve(sample, { reason, by }),
+    (sample) => `Sample ${sample.sampleId} retrieved from storage: ${sample.storage.retrievalReason}`
+));
+
+// @route   PUT /api/samples/:sampleId/dispose
+// @desc    Record that a sample has been discarded ({ note })
+// @access  Local Admin and Staff of the sample's lab
+router.put('/:sampleId/dispose', auth, sampleStep(
+    (sample, { note, by }) => sampleStorageService.dispose(sample, { note: note || '', by }),
+    (sample) => `Sample ${sample.sampleId} disposed`
+));
+
+// @route   GET /api/samples/:sampleId/custody
+// @desc    Chain of custody for a sample, with names
+// @access  Local Admin and Staff of the sample's lab
+router.get('/:sampleId/custody', auth, async (req, res) => {
+    try {
+        const loaded = await loadSample(req, res);
+        if (!loaded) return;
+        const { booking, sample } = loaded;
+
+        const custody = sample.custody || [];
+        const userIds = [...new Set(custody.flatMap(c => [c.from, c.to, c.recordedBy]).filter(Boolean).map(String))];
+        const users = await User.find({ _id: { $in: userIds } }).select('firstName lastName role');
+        const person = (id) => {
+            const user = id && users.find(u => u._id.toString() === id.toString());
+            return user ? { _id: user._id, name: `${user.firstName} ${user.lastName}`, role: user.role } : null;
+        };
+
+        res.json({
+            success: true,
+            data: {
+                bookingId: booking._id,
+                sampleId: sample.sampleId,
+                status: sample.status,
+                currentCustodian: person(sampleService.custodianOf(sample)),
+                storage: sample.storage,
+                custody: custody.map(c => ({
+                    action: c.action,
+                    from: person(c.from),
+                    to: person(c.to),
+                    location: c.location,
+                    recordedBy: person(c.recordedBy),
+                    note: c.note,
+                    at: c.at
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching sample custody:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
 const emailService = require('../services/emailService');
+const referenceRangeService = require('../services/referenceRangeService');
 const router = express.Router();
 
 // @route   GET /api/staff
@@ -193,7 +194,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ success: false, message: 'Access denied. Admin role required.' });
     }
 
-    const { firstName, lastName, email, phone, role, department, assignedLab, isActive } = req.body;
+    const { firstName, lastName, email, phone, role, department, assignedLab, isActive, signOffQualifications } = req.body;
     const staffId = req.params.id;
 
     // Check if staff member exists
@@ -234,6 +235,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (department !== undefined) updateFields.department = department;
     if (assignedLab !== undefined) updateFields.assignedLab = assignedLab && assignedLab.trim() !== '' ? assignedLab : null;
     if (isActive !== undefined) updateFields.isActive = isActive;
+    if (Array.isArray(signOffQualifications)) updateFields.signOffQualifications = signOffQualifications;
 
     const updatedStaff = await User.findByIdAndUpdate(
       staffId,
@@ -461,7 +463,7 @@ router.post('/lab/:labId', authenticateToken, async (req, res) => {
       });
     }
 
-    const { firstName, lastName, email, phone, role: staffRole, department, password } = req.body;
+    const { firstName, lastName, email, phone, role: staffRole, department, password, signOffQualifications } = req.body;
 
     // Validation
     if (!firstName || !lastName || !email || !phone || !staffRole || !password) {
@@ -498,6 +500,7 @@ router.post('/lab/:labId', authenticateToken, async (req, res) => {
       password, // Will be hashed by pre-save hook
       role: staffRole,
       department,
+      signOffQualifications: Array.isArray(signOffQualifications) ? signOffQualifications : [],
       assignedLab: labId, // Always assign to the lab the local admin manages
       isEmailVerified: true, // Staff accounts are pre-verified
       isActive: true,
@@ -571,7 +574,7 @@ router.put('/lab/:labId/:staffId', authenticateToken, async (req, res) => {
       });
     }
 
-    const { firstName, lastName, email, phone, role: staffRole, department, isActive } = req.body;
+    const { firstName, lastName, email, phone, role: staffRole, department, isActive, signOffQualifications } = req.body;
 
     // Check if staff member exists and belongs to this lab
     const staff = await User.findById(staffId);
@@ -621,6 +624,7 @@ router.put('/lab/:labId/:staffId', authenticateToken, async (req, res) => {
     if (staffRole) updateFields.role = staffRole;
     if (department !== undefined) updateFields.department = department;
     if (isActive !== undefined) updateFields.isActive = isActive;
+    if (Array.isArray(signOffQualifications)) updateFields.signOffQualifications = signOffQualifications;
 
     const updatedStaff = await User.findByIdAndUpdate(
       staffId,
@@ -753,6 +757,7 @@ router.get('/lab/:labId/dashboard-stats', authenticateToken, async (req, res) =>
     let reportsReadyForVerification = 0;
     let pendingPayments = 0;
     let criticalAlerts = 0;
+    let abnormalResults = 0;
 
     activeBookings.forEach(b => {
       // Pending Payments
@@ -778,15 +783,11 @@ router.get('/lab/:labId/dashboard-stats', authenticateToken, async (req, res) =>
           reportsReadyForVerification += unverifiedTests.length;
         }
 
-        // Logic for critical alerts (dummy check: values outside ref bounds)
-        // In real life, we should parse reference bounds. For now, mark high/low text matches
+        // Critical alerts: values flagged LL/HH against their reference range
         b.testResults.forEach(tr => {
-          tr.values.forEach(v => {
-            // simplified pseudo-critical check
-            if (v.value && typeof v.value === 'string' && (v.value.toLowerCase().includes('high') || v.value.toLowerCase().includes('low') || v.value.toLowerCase().includes('critical'))) {
-              criticalAlerts++;
-            }
-            // Or if it's a number and out of bounds (would require complex string parsing of referenceRange)
+          (tr.values || []).forEach(v => {
+            if (referenceRangeService.isCritical(v.flag)) criticalAlerts++;
+            else if (referenceRangeService.isAbnormal(v.flag)) abnormalResults++;
           });
         });
       }
@@ -801,7 +802,8 @@ router.get('/lab/:labId/dashboard-stats', authenticateToken, async (req, res) =>
         completedSamples,
         reportsReadyForVerification,
         pendingPayments,
-        criticalAlerts
+        criticalAlerts,
+        abnormalResults
       }
     });
 
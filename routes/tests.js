@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const Test = require('../models/Test');
 const { authenticateToken: auth } = require('../middleware/auth');
+const referenceRangeService = require('../services/referenceRangeService');
+const loincService = require('../services/loincService');
+const specimenService = require('../services/specimenService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -118,17 +121,15 @@ router.post('/', auth, upload.single('image'), async (req, res) => {
           ? JSON.parse(req.body.resultFields) 
           : req.body.resultFields;
         if (Array.isArray(parsed)) {
-          resultFields = parsed.map(f => ({
-            label: (f.label || '').trim(),
-            unit: (f.unit || '').trim(),
-            referenceRange: (f.referenceRange || '').trim(),
-            type: ['text', 'number', 'boolean'].includes(f.type) ? f.type : 'text',
-            required: !!f.required
-          }));
+          resultFields = parsed.map(f => referenceRangeService.normalizeResultField(f));
         }
       } catch (e) {
         return res.status(400).json({ success: false, message: 'Invalid resultFields format' });
       }
+      const rangeError = resultFields.map(f => referenceRangeService.validateResultField(f)).find(Boolean);
+      if (rangeError) {
+        return res.status(400).json({ success: false, message: rangeError });
+      }
     }
 
     // Validate required fields
@@ -157,6 +158,19 @@ router.post('/', auth, upload.single('image'), async (req, res) => {
       });
     }
 
+    // Specimen requirements drive tube consolidation at collection
+    const { specimen, error: specimenError } = specimenService.normalizeSpecimen(req.body);
+    if (specimenError) {
+      return res.status(400).json({ success: false, message: specimenError });
+    }
+
+    // Validate LOINC codes (fills in canonical units from the LOINC table)
+    const loincCode = (req.body.loincCode || '').trim();
+    const codeError = await loincService.applyCodes({ loincCode, resultFields });
+    if (codeError) {
+      return res.status(400).json({ success: false, message: codeError });
+    }
+
     // Handle image upload
     let imagePath = null;
     if (req.file) {
@@ -171,6 +185,8 @@ router.post('/', auth, upload.single('image'), async (req, res) => {
       price: priceNum,
       duration: duration.trim(),
       preparation: preparation ? preparation.trim() : '',
+      ...specimen,
+      loincCode,
       resultFields,
       image: imagePath,
       createdBy: req.user.id
@@ -236,19 +252,17 @@ router.put('/:id', auth, upload.single('image'), async (req, res) => {
           ? JSON.parse(req.body.resultFields) 
           : req.body.resultFields;
         if (Array.isArray(raw)) {
-          parsedResultFields = raw.map(f => ({
-            label: (f.label || '').trim(),
-            unit: (f.unit || '').trim(),
-            referenceRange: (f.referenceRange || '').trim(),
-            type: ['text', 'number', 'boolean'].includes(f.type) ? f.type : 'text',
-            required: !!f.required
-          }));
+          parsedResultFields = raw.map(f => referenceRangeService.normalizeResultField(f));
         } else {
           return res.status(400).json({ success: false, message: 'resultFields must be an array' });
         }
       } catch (e) {
         return res.status(400).json({ success: false, message: 'Invalid resultFields format' });
       }
+      const rangeError = parsedResultFields.map(f => referenceRangeService.validateResultField(f)).find(Boolean);
+      if (rangeError) {
+        return res.status(400).json({ success: false, message: rangeError });
+      }
     }
 
     // Find test
@@ -286,6 +300,18 @@ router.put('/:id', auth, upload.single('image'), async (req, res) => {
     if (duration) test.duration = duration.trim();
     if (preparation !== undefined) test.preparation = preparation ? preparation.trim() : '';
     if (parsedResultFields !== null) test.resultFields = parsedResultFields;
+    if (req.body.loincCode !== undefined) test.loincCode = String(req.body.loincCode || '').trim();
+
+    const { specimen, error: specimenError } = specimenService.normalizeSpecimen(req.body);
+    if (specimenError) {
+      return res.status(400).json({ success: false, message: specimenError });
+    }
+    Object.assign(test, specimen);
+
+    const codeError = await loincService.applyCodes(test);
+    if (codeError) {
+      return res.status(400).json({ success: false, message: codeError });
+    }
 
     // Handle image update
     if (req.file) {
@@ -76,6 +76,21 @@ io.on('connection', (socket) => {
     socket.join(`user-${socket.userId}`);
   });
 
+  // Lab staff join their lab's critical alert room (local admins also get escalations)
+  socket.on('join-lab-alerts', async () => {
+    try {
+      const User = require('./models/User');
+      const user = await User.findById(socket.userId).select('role assignedLab');
+      if (!user?.assignedLab || !['staff', 'lab_technician', 'xray_technician', 'local_admin'].includes(user.role)) return;
+      socket.join(`lab-${user.assignedLab}`);
+      if (user.role === 'local_admin') {
+        socket.join(`lab-admins-${user.assignedLab}`);
+      }
+    } catch (err) {
+      console.error('Failed to join lab alerts:', err.message);
+    }
+  });
+
   socket.on('disconnect', () => {
     console.log(`🔌 User disconnected: ${socket.userId}`);
   });
@@ -86,6 +101,8 @@ app.use(cors({
   origin: allowedOrigins,
   credentials: true
 }));
+// Payment webhooks verify signatures over the raw body, so mount them before the JSON parser
+app.use('/api/payments', require('./routes/payments'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -121,6 +138,15 @@ app.use('/api/audit-logs', require('./routes/auditLogs'));
 app.use('/api/samples', require('./routes/samples'));
 app.use('/api/chat', require('./routes/chat'));
 app.use('/api/push', require('./routes/push'));
+app.use('/api/refunds', require('./routes/refunds'));
+app.use('/api/critical-alerts', require('./routes/criticalAlerts'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/analyzer', require('./routes/analyzer'));
+app.use('/api/hl7', require('./routes/hl7'));
+app.use('/api/fhir', require('./routes/fhir'));
+app.use('/api/loinc', require('./routes/loinc'));
+app.use('/api/patients', require('./routes/patients'));
+app.use('/api/sample-storage', require('./routes/sampleStorage'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -172,6 +198,38 @@ server.listen(PORT, () => {
   } catch (err) {
     console.error('Failed to start reminder scheduler:', err.message);
   }
+
+  // Start the no-show detection job
+  try {
+    const noShowScheduler = require('./services/noShowScheduler');
+    noShowScheduler.start();
+  } catch (err) {
+    console.error('Failed to start no-show scheduler:', err.message);
+  }
+
+  // Start critical alert escalation
+  try {
+    const criticalAlertService = require('./services/criticalAlertService');
+    criticalAlertService.start(io);
+  } catch (err) {
+    console.error('Failed to start critical alert escalation:', err.message);
+  }
+
+  // Start the daily sample disposal list
+  try {
+    const sampleStorageService = require('./services/sampleStorageService');
+    sampleStorageService.start(io);
+  } catch (err) {
+    console.error('Failed to start sample disposal scheduler:', err.message);
+  }
+
+  // Start the HL7 MLLP listener for hospital integrations
+  try {
+    const hl7Service = require('./services/hl7Service');
+    hl7Service.start();
+  } catch (err) {
+    console.error('Failed to start HL7 listener:', err.message);
+  }
 });
 
 // Graceful shutdown
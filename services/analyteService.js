@@ -0,0 +1,168 @@
+const Booking = require('../models/Booking');
+const unitService = require('./unitService');
+
+// Analytes the app reads out of lab results, by LOINC code (mass and molar
+// variants alike). Values are compared in canonicalUnit (services/unitService).
+const ANALYTES = {
+    glucose: {
+        label: 'Blood sugar',
+        codes: ['2345-7', '2339-0', '41653-7', '1558-6', '1521-4', '14749-6', '15074-8', '14771-0'],
+        canonicalUnit: 'mg/dL'
+    },
+    systolicBP: { label: 'Systolic blood pressure', codes: ['8480-6'], canonicalUnit: 'mm[Hg]' },
+    diastolicBP: { label: 'Diastolic blood pressure', codes: ['8462-4'], canonicalUnit: 'mm[Hg]' },
+    // Panel codes whose value is entered as "120/80"
+    bloodPressure: { label: 'Blood pressure', codes: ['85354-9', '55284-4'], canonicalUnit: 'mm[Hg]' },
+    cholesterol: { label: 'Total cholesterol', codes: ['2093-3', '14647-2'], canonicalUnit: 'mg/dL' },
+    hdl: { label: 'HDL cholesterol', codes: ['2085-9', '14646-4'], canonicalUnit: 'mg/dL' },
+    ldl: { label: 'LDL cholesterol', codes: ['13457-7', '2089-1', '22748-8'], canonicalUnit: 'mg/dL' },
+    triglycerides: { label: 'Triglycerides', codes: ['2571-8', '14927-8'], canonicalUnit: 'mg/dL' },
+    creatinine: { label: 'Creatinine', codes: ['2160-0', '14682-9'], canonicalUnit: 'mg/dL' },
+    uricAcid: { label: 'Uric acid', codes: ['3084-1', '14933-6'], canonicalUnit: 'mg/dL' },
+    hba1c: { label: 'HbA1c', codes: ['4548-4', '59261-8'], canonicalUnit: '%' },
+    heartRate: { label: 'Heart rate', codes: ['8867-4'], canonicalUnit: '/min' },
+    spo2: { label: 'SpO2', codes: ['59408-5', '2708-6'], canonicalUnit: '%' }
+};
+
+const GLUCOSE_TYPES = {
+    '1558-6': 'Fasting',
+    '14771-0': 'Fasting',
+    '1521-4': 'Post-Prandial'
+};
+
+// Bookings whose results count as the patient's latest values
+const RESULT_STATUSES = ['result_published', 'completed'];
+
+const BP_PATTERN = /^(\d{2,3})\s*\/\s*(\d{2,3})$/;
+
+class AnalyteService {
+    constructor() {
+        this.ANALYTES = ANALYTES;
+    }
+
+    analyteOf(code) {
+        return Object.keys(ANALYTES).find(key => ANALYTES[key].codes.includes(code)) || null;
+    }
+
+    canonicalUnitOf(code) {
+        return ANALYTES[this.analyteOf(code)]?.canonicalUnit || '';
+    }
+
+    /**
+     * Canonical value/unit for a value entered in some unit, using the result
+     * field's canonical unit or else the analyte's. Values that can't be
+     * converted get { canonicalValue: null }.
+     */
+    canonicalize(value, unit, code, fieldCanonicalUnit = '') {
+        const canonicalUnit = fieldCanonicalUnit || this.canonicalUnitOf(code);
+        if (!canonicalUnit) return { canonicalValue: null, canonicalUnit: '' };
+        return {
+            canonicalValue: unitService.convert(value, unit || canonicalUnit, canonicalUnit, this.analyteOf(code)),
+            canonicalUnit: unitService.normalizeUnit(canonicalUnit)
+        };
+    }
+
+    codesFor(keys) {
+        return [].concat(keys).flatMap(key => ANALYTES[key]?.codes || []);
+    }
+
+    /**
+     * LOINC code of a result value: stored on the value since codes were
+     * introduced, otherwise taken from the test's result field of that label
+     */
+    codeOf(value, resultFields = []) {
+        if (value.loincCode) return value.loincCode;
+        const label = (value.label || '').trim().toLowerCase();
+        const field = (resultFields || []).find(f => (f.label || '').trim().toLowerCase() === label);
+        return field?.loincCode || '';
+    }
+
+    /**
+     * Coded values of a booking whose testResults.testId is populated with
+     * resultFields, optionally limited to some analytes
+     */
+    valuesOf(booking, keys = null) {
+        const wanted = keys ? new Set(this.codesFor(keys)) : null;
+        const list = [];
+
+        (booking.testResults || []).forEach(tr => {
+            (tr.values || []).forEach(v => {
+                if (v.value === undefined || v.value === null || v.value === '') return;
+                const code = this.codeOf(v, tr.testId?.resultFields);
+                if (!code || (wanted && !wanted.has(code))) return;
+
+                const numeric = Number(String(v.value).trim());
+                list.push({
+                    analyte: this.analyteOf(code),
+                    code,
+                    label: v.label,
+                    value: v.value,
+                    numeric: Number.isFinite(numeric) ? numeric : null,
+                    unit: v.unit || '',
+                    // Compared in the analyte's unit regardless of what the lab entered
+                    ...this.canonicalize(v.value, v.unit, code),
+                    flag: v.flag || '',
+                    date: booking.appointmentDate,
+                    bookingId: booking._id,
+                    testId: tr.testId?._id || tr.testId
+                });
+            });
+        });
+
+        return list;
+    }
+
+    /**
+     * Most recent lab value of each requested analyte for a patient
+     */
+    async latestFromResults(userId, keys, { limit = 10 } = {}) {
+        const bookings = await Booking.find({
+            userId,
+            status: { $in: RESULT_STATUSES },
+            testResults: { $exists: true, $ne: [] }
+        })
+            .sort({ appointmentDate: -1 })
+            .limit(limit)
+            .populate('testResults.testId', 'name resultFields');
+
+        const latest = {};
+        for (const booking of bookings) {
+            this.valuesOf(booking, keys).forEach(entry => {
+                if (entry.analyte && !latest[entry.analyte]) latest[entry.analyte] = entry;
+            });
+            if ([].concat(keys).every(key => latest[key])) break;
+        }
+        return latest;
+    }
+
+    /**
+     * Systolic/diastolic from latestFromResults output, preferring separate
+     * systolic and diastolic values over a "120/80" panel value
+     */
+    bloodPressureOf(latest) {
+        const { systolicBP, diastolicBP, bloodPressure } = latest;
+        const separate = systolicBP?.canonicalValue && diastolicBP?.canonicalValue
+            ? { systolic: systolicBP.canonicalValue, diastolic: diastolicBP.canonicalValue, date: systolicBP.date }
+            : null;
+
+        const parsed = bloodPressure ? this.parseBloodPressure(bloodPressure.value) : null;
+        const panel = parsed ? { ...parsed, date: bloodPressure.date } : null;
+
+        if (separate && panel) return new Date(panel.date) > new Date(separate.date) ? panel : separate;
+        return separate || panel;
+    }
+
+    /**
+     * { systolic, diastolic } from a "120/80" value, or null
+     */
+    parseBloodPressure(value) {
+        const m = BP_PATTERN.exec(String(value ?? '').trim());
+        return m ? { systolic: Number(m[1]), diastolic: Number(m[2]) } : null;
+    }
+
+    glucoseType(code) {
+        return GLUCOSE_TYPES[code] || 'Random';
+    }
+}
+
+module.exports = new AnalyteService();
@@ -0,0 +1,461 @@
+const fs = require('fs');
+const Booking = require('../models/Booking');
+const Package = require('../models/Package');
+const AnalyzerImport = require('../models/AnalyzerImport');
+const AnalyzerMapping = require('../models/AnalyzerMapping');
+const AuditLog = require('../models/AuditLog');
+const resultEntryService = require('./resultEntryService');
+const criticalAlertService = require('./criticalAlertService');
+
+// ASTM / LIS2-A2 framing characters
+const STX = '\x02';
+const ETX = '\x03';
+const ETB = '\x17';
+
+// Accepted CSV header names (compared lower-case, letters and digits only)
+const CSV_COLUMNS = {
+    sampleId: ['sampleid', 'sample', 'samplebarcode', 'sampleno', 'specimenid', 'specimen', 'barcode', 'sid'],
+    code: ['testcode', 'code', 'test', 'assay', 'assaycode', 'parameter', 'analyte', 'testid'],
+    value: ['result', 'value', 'resultvalue', 'measuredvalue'],
+    unit: ['unit', 'units'],
+    referenceRange: ['referencerange', 'refrange', 'range', 'normalrange'],
+    analyzerFlag: ['flag', 'flags', 'abnormalflag'],
+    analyzer: ['analyzer', 'instrument', 'device'],
+    resultedAt: ['resultedat', 'resultdate', 'datetime', 'date', 'timestamp']
+};
+
+const idOf = (ref) => (ref?._id || ref || '').toString();
+
+const isNumeric = (value) => value !== '' && value !== null && value !== undefined && !isNaN(Number(value));
+
+// ASTM timestamps are YYYYMMDD[HHMMSS]
+const parseAstmDate = (text) => {
+    const m = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/.exec(text || '');
+    if (!m) return null;
+    const [, y, mo, d, h = '00', mi = '00', s = '00'] = m;
+    const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}`);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+const parseDate = (text) => {
+    if (!text) return null;
+    const astm = /^\d{8,14}$/.test(text) ? parseAstmDate(text) : null;
+    if (astm) return astm;
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+class AnalyzerImportService {
+    /**
+     * Guess the file format from its content
+     */
+    detectFormat(text) {
+        const firstLine = (text || '').replace(/^[\s\x04\x05\x06]+/, '').split(/\r\n|\r|\n/)[0] || '';
+        // ASTM messages open with a header record declaring the delimiters: H|\^&
+        return /^\x02?[0-7]?H[|!@#$%*~]\\/.test(firstLine) ? 'astm' : 'csv';
+    }
+
+    /**
+     * Turn LIS2-A2 frames back into ASTM records: strips STX, frame
+     * numbers and checksums, and joins records split across ETB frames.
+     * Unframed files (one record per line) pass through unchanged.
+     */
+    unframeAstm(text) {
+        const records = [];
+        let pending = '';
+
+        text.split(/\r\n|\r|\n/).forEach(rawLine => {
+            const line = rawLine.replace(/[\x04\x05\x06\x15]/g, '');
+            // Empty lines and the "ETX checksum" tail left after splitting on the record's CR
+            if (!line || line.startsWith(ETX)) return;
+
+            if (!line.startsWith(STX)) {
+                records.push(line);
+                return;
+            }
+
+            const body = line.slice(1).replace(/^[0-7]/, '');
+            const etb = body.indexOf(ETB);
+            const etx = body.indexOf(ETX);
+            if (etb !== -1 && (etx === -1 || etb < etx)) {
+                pending += body.slice(0, etb);
+                return;
+            }
+            records.push(pending + (etx !== -1 ? body.slice(0, etx) : body));
+            pending = '';
+        });
+
+        if (pending) records.push(pending);
+        return records;
+    }
+
+    /**
+     * Parse an ASTM E1394 message. Result (R) records are tied to the
+     * specimen ID of the order (O) record they follow.
+     */
+    parseAstm(text) {
+        const lines = this.unframeAstm(text);
+        const header = lines.find(l => l.startsWith('H'));
+        if (!header || header.length < 5) {
+            return { success: false, error: 'ASTM message has no header (H) record' };
+        }
+
+        // Delimiters are declared in the header: H|\^&
+        const fieldSep = header[1];
+        const componentSep = header[3] || '^';
+
+        const fields = (line) => line.split(fieldSep);
+        const components = (field) => (field || '').split(componentSep);
+
+        const headerFields = fields(header);
+        const analyzer = components(headerFields[4])[0] || '';
+
+        const records = [];
+        let specimenId = '';
+
+        lines.forEach(line => {
+            const type = line[0];
+            const f = fields(line);
+
+            if (type === 'O') {
+                // O.3 is the specimen ID the LIS sent (our barcode); O.4 the instrument's own
+                specimenId = (components(f[2])[0] || components(f[3])[0] || '').trim();
+            } else if (type === 'R') {
+                // R.3 universal test ID: ^^^CODE^... (the code is the 4th component)
+                const testId = components(f[2]);
+                const code = (testId[3] || testId.find(c => c && c.trim()) || '').trim();
+                const value = (components(f[3])[0] || '').trim();
+                if (!code) return;
+
+                records.push({
+                    sampleId: specimenId,
+                    code,
+                    value,
+                    unit: (f[4] || '').trim(),
+                    referenceRange: (f[5] || '').trim(),
+                    analyzerFlag: (f[6] || '').trim(),
+                    resultedAt: parseAstmDate(f[12])
+                });
+            }
+        });
+
+        return { success: true, format: 'astm', analyzer, records };
+    }
+
+    splitCsvLine(line, delimiter) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    /**
+     * Parse a vendor CSV export with one result per row. The delimiter
+     * (comma, semicolon or tab) and columns are recognised from the header.
+     */
+    parseCsv(text) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).filter(l => l.trim());
+        if (lines.length < 2) {
+            return { success: false, error: 'CSV file needs a header row and at least one result row' };
+        }
+
+        const delimiter = [',', ';', '\t']
+            .map(d => ({ d, count: lines[0].split(d).length }))
+            .sort((a, b) => b.count - a.count)[0].d;
+
+        const headers = this.splitCsvLine(lines[0], delimiter).map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+        const columns = {};
+        Object.entries(CSV_COLUMNS).forEach(([key, aliases]) => {
+            const index = aliases.map(a => headers.indexOf(a)).find(i => i !== -1);
+            if (index !== undefined) columns[key] = index;
+        });
+
+        const missing = ['sampleId', 'code', 'value'].filter(key => columns[key] === undefined);
+        if (missing.length) {
+            return { success: false, error: `CSV header is missing column(s): ${missing.join(', ')}` };
+        }
+
+        let analyzer = '';
+        const records = lines.slice(1).map(line => {
+            const cells = this.splitCsvLine(line, delimiter);
+            const cell = (key) => (columns[key] !== undefined ? cells[columns[key]] || '' : '');
+            if (!analyzer && cell('analyzer')) analyzer = cell('analyzer');
+
+            // Exports using ; or tab often write decimals with a comma (5,4)
+            const value = delimiter !== ',' && /^-?\d+,\d+$/.test(cell('value'))
+                ? cell('value').replace(',', '.')
+                : cell('value');
+
+            return {
+                sampleId: cell('sampleId'),
+                code: cell('code'),
+                value,
+                unit: cell('unit'),
+                referenceRange: cell('referenceRange'),
+                analyzerFlag: cell('analyzerFlag'),
+                resultedAt: parseDate(cell('resultedAt'))
+            };
+        }).filter(r => r.sampleId || r.code);
+
+        return { success: true, format: 'csv', analyzer, records };
+    }
+
+    parse(text, format = null) {
+        const resolved = format || this.detectFormat(text);
+        if (!['astm', 'csv'].includes(resolved)) {
+            return { success: false, error: 'Format must be astm or csv' };
+        }
+        const parsed = resolved === 'astm' ? this.parseAstm(text) : this.parseCsv(text);
+        if (parsed.success && !parsed.records.length) {
+            return { success: false, error: 'No results found in the file' };
+        }
+        return parsed;
+    }
+
+    /**
+     * Analyzer-specific mappings win over ones that apply to every analyzer
+     */
+    async loadMappings(labId, analyzer) {
+        const mappings = await AnalyzerMapping.find({ labId, isActive: true });
+        const name = (analyzer || '').toLowerCase();
+        const byCode = new Map();
+
+        mappings
+            .filter(m => !m.analyzer || m.analyzer.toLowerCase() === name)
+            .sort((a, b) => (a.analyzer ? 1 : 0) - (b.analyzer ? 1 : 0))
+            .forEach(m => byCode.set(m.code.toUpperCase(), m));
+
+        return byCode;
+    }
+
+    /**
+     * Tests each collected sample was drawn for, keyed by sampleId
+     */
+    async loadSamples(labId, sampleIds) {
+        const bookings = await Booking.find({
+            labId,
+            'samples.sampleId': { $in: sampleIds }
+        }).select('samples labId status');
+
+        const packageIds = new Set();
+        bookings.forEach(b => b.samples.forEach(s => (s.packages || []).forEach(p => packageIds.add(idOf(p)))));
+        const packages = packageIds.size
+            ? await Package.find({ _id: { $in: [...packageIds] } }).select('selectedTests')
+            : [];
+        const testsByPackage = new Map(packages.map(p => [idOf(p._id), (p.selectedTests || []).map(idOf)]));
+
+        const samples = new Map();
+        bookings.forEach(b => b.samples.forEach(s => {
+            // Rejected samples are recollected under a new ID and disposed ones are gone; their results don't count
+            if (!sampleIds.includes(s.sampleId) || ['rejected', 'disposed'].includes(s.status)) return;
+            // Tubes list the package tests drawn into them; older package samples only name the package
+            const tests = new Set((s.tests || []).map(idOf));
+            if (!tests.size) (s.packages || []).forEach(p => (testsByPackage.get(idOf(p)) || []).forEach(t => tests.add(t)));
+            samples.set(s.sampleId, { bookingId: b._id, tests });
+        }));
+        return samples;
+    }
+
+    /**
+     * Parse an uploaded file and stage its values against samples and
+     * mappings. Nothing is written to bookings until the import is applied.
+     */
+    async stage({ labId, filePath, originalName, format, analyzer, uploadedBy }) {
+        const text = fs.readFileSync(filePath, 'utf8');
+        const parsed = this.parse(text, format);
+        if (!parsed.success) return parsed;
+
+        const analyzerName = (analyzer || parsed.analyzer || '').trim();
+        const sampleIds = [...new Set(parsed.records.map(r => r.sampleId).filter(Boolean))];
+        const [mappings, samples] = await Promise.all([
+            this.loadMappings(labId, analyzerName),
+            this.loadSamples(labId, sampleIds)
+        ]);
+
+        const records = parsed.records.map(r => {
+            const sample = samples.get(r.sampleId);
+            const mapping = mappings.get(r.code.toUpperCase());
+            const record = { ...r, code: r.code.toUpperCase() };
+
+            if (!sample) return { ...record, status: 'unknown_sample', error: 'No collected sample with this barcode in your lab' };
+            record.bookingId = sample.bookingId;
+            if (!mapping) return { ...record, status: 'unmapped_code', error: `No mapping for analyzer code ${record.code}` };
+            if (!sample.tests.has(idOf(mapping.testId))) {
+                return { ...record, status: 'test_not_ordered', error: 'Mapped test was not ordered on this sample' };
+            }
+
+            return { ...record, testId: mapping.testId, label: mapping.label, status: 'matched' };
+        });
+
+        const analyzerImport = await AnalyzerImport.create({
+            labId,
+            analyzer: analyzerName,
+            format: parsed.format,
+            file: filePath,
+            originalName: originalName || '',
+            records,
+            uploadedBy
+        });
+
+        return { success: true, import: analyzerImport };
+    }
+
+    /**
+     * Write reviewed values to their bookings. recordIds limits which matched
+     * records are applied; the rest stay staged. Values already on the result
+     * for other fields are kept, and the result goes back through verification.
+     */
+    async apply(analyzerImport, { recordIds = null, by, role }) {
+        const wanted = recordIds ? new Set(recordIds.map(String)) : null;
+        const selected = analyzerImport.records.filter(r =>
+            r.status === 'matched' && (!wanted || wanted.has(r._id.toString()))
+        );
+        if (!selected.length) {
+            return { success: false, error: 'No staged values to apply' };
+        }
+
+        const byBooking = new Map();
+        selected.forEach(r => {
+            const key = idOf(r.bookingId);
+            if (!byBooking.has(key)) byBooking.set(key, []);
+            byBooking.get(key).push(r);
+        });
+
+        const criticalAlerts = [];
+        const deltaWarnings = [];
+        for (const [bookingId, records] of byBooking) {
+            const fail = (error) => records.forEach(r => { r.status = 'failed'; r.error = error; });
+
+            const booking = await Booking.findById(bookingId);
+            if (!booking || idOf(booking.labId) !== idOf(analyzerImport.labId)) {
+                fail('Booking not found');
+                continue;
+            }
+            if (booking.status === 'result_published') {
+                fail('Results are already published; amend them from the booking');
+                continue;
+            }
+            if (!resultEntryService.acceptsResults(booking.status)) {
+                fail(`Results cannot be entered while the booking is ${booking.status}`);
+                continue;
+            }
+
+            // Merge imported values into any values already on each test result
+            const testResults = [];
+            const byTest = new Map();
+            records.forEach(r => {
+                const testId = idOf(r.testId);
+                if (!byTest.has(testId)) {
+                    const existing = (booking.testResults || []).find(tr => idOf(tr.testId) === testId);
+                    const values = new Map((existing?.values || []).map(v => [
+                        (v.label || '').toLowerCase(),
+                        { label: v.label, value: v.value, unit: v.unit, referenceRange: v.referenceRange, type: v.type, required: v.required }
+                    ]));
+                    byTest.set(testId, values);
+                    testResults.push({ testId, values });
+                }
+                byTest.get(testId).set(r.label.toLowerCase(), {
+                    label: r.label,
+                    value: isNumeric(r.value) ? Number(r.value) : r.value,
+                    unit: r.unit,
+                    referenceRange: r.referenceRange,
+                    type: isNumeric(r.value) ? 'number' : 'text'
+                });
+            });
+
+            const entry = await resultEntryService.enterValues(
+                booking,
+                testResults.map(tr => ({ testId: tr.testId, values: [...tr.values.values()] })),
+                {
+                    by,
+                    role,
+                    analyzer: analyzerImport.analyzer || null,
+                    machineResultFile: analyzerImport.file,
+                    reason: `Analyzer import${analyzerImport.analyzer ? ` (${analyzerImport.analyzer})` : ''}`
+                }
+            );
+            if (!entry.success) {
+                fail(entry.error);
+                continue;
+            }
+
+            await booking.save();
+            records.forEach(r => { r.status = 'applied'; r.error = ''; });
+            deltaWarnings.push(...entry.deltaWarnings.map(w => ({ bookingId: booking._id, ...w })));
+
+            try {
+                await AuditLog.create({
+                    action: 'result_entered',
+                    bookingId: booking._id,
+                    performedBy: by,
+                    labId: booking.labId,
+                    details: `${records.length} value(s) imported from analyzer file ${analyzerImport.originalName || analyzerImport.file}`
+                });
+            } catch (error) {
+                console.error('Failed to create audit log:', error);
+            }
+
+            try {
+                criticalAlerts.push(...await criticalAlertService.raiseForBooking(booking, by));
+            } catch (alertErr) {
+                console.error('Failed to raise critical alerts:', alertErr.message);
+            }
+        }
+
+        this.updateStatus(analyzerImport, by);
+        await analyzerImport.save();
+
+        return { success: true, import: analyzerImport, criticalAlerts, deltaWarnings };
+    }
+
+    /**
+     * Drop staged values the technician doesn't want applied
+     */
+    async reject(analyzerImport, { recordIds = null, by }) {
+        const wanted = recordIds ? new Set(recordIds.map(String)) : null;
+        analyzerImport.records.forEach(r => {
+            if (r.status === 'matched' && (!wanted || wanted.has(r._id.toString()))) {
+                r.status = 'rejected';
+            }
+        });
+
+        this.updateStatus(analyzerImport, by);
+        await analyzerImport.save();
+        return { success: true, import: analyzerImport };
+    }
+
+    updateStatus(analyzerImport, by) {
+        const statuses = analyzerImport.records.map(r => r.status);
+        if (statuses.includes('matched')) {
+            analyzerImport.status = statuses.includes('applied') ? 'partially_applied' : 'staged';
+        } else {
+            analyzerImport.status = statuses.includes('applied') ? 'applied' : 'discarded';
+        }
+        analyzerImport.reviewedBy = by;
+        analyzerImport.reviewedAt = new Date();
+    }
+}
+
+module.exports = new AnalyzerImportService();
@@ -0,0 +1,145 @@
+// Allowed booking status transitions. Every route or job that changes
+// booking.status goes through transition() so illegal jumps are rejected and
+// each change lands in booking.statusHistory.
+
+// Full transition graph: from -> allowed next statuses
+const TRANSITIONS = {
+    pending: ['confirmed', 'arrived', 'sample_collected', 'cancelled', 'no_show'],
+    confirmed: ['arrived', 'in_progress', 'sample_collected', 'testing', 'partially_completed', 'results_entered', 'processing', 'completed', 'cancelled', 'no_show'],
+    arrived: ['in_progress', 'sample_collected', 'cancelled'],
+    in_progress: ['sample_collected', 'testing', 'cancelled'],
+    sample_collected: ['testing', 'partially_completed', 'results_entered', 'processing', 'completed', 'cancelled'],
+    testing: ['partially_completed', 'results_entered', 'processing'],
+    partially_completed: ['results_entered', 'processing'],
+    results_entered: ['partially_completed', 'processing', 'testing', 'completed'],
+    processing: ['partially_completed', 'results_entered', 'testing', 'completed'],
+    completed: ['result_published', 'testing'],
+    report_uploaded: ['completed'],
+    verified: ['completed'],
+    result_published: [],
+    no_show: ['confirmed', 'cancelled'],
+    cancelled: []
+};
+
+// Statuses a plain status change can never set; only the workflow that guards
+// them passes { workflow: true }. completed: every result verified (verify-test,
+// or an uploaded report with nothing left to verify). result_published: the
+// publish route, which signs, versions and renders the report.
+const WORKFLOW_STATUSES = {
+    completed: 'A booking is completed once every result has been verified',
+    result_published: 'Results can only be published through the publish step'
+};
+
+// Published results can only be reopened through an amendment
+// (services/resultVersionService), never by a plain status change
+const AMENDMENT_TRANSITIONS = {
+    result_published: ['results_entered', 'partially_completed', 'processing']
+};
+
+const STAFF_ROLES = ['staff', 'lab_technician', 'xray_technician'];
+
+// Per-role restrictions on top of the graph: from -> allowed next statuses.
+// A role missing from this table can't change status at all.
+const ROLE_TRANSITIONS = {
+    // Patients can only cancel before the visit
+    user: {
+        pending: ['cancelled'],
+        confirmed: ['cancelled']
+    },
+    // Lab staff run the operational flow but can't cancel or reinstate
+    staff: Object.fromEntries(
+        Object.entries(TRANSITIONS)
+            .filter(([from]) => !['no_show', 'cancelled'].includes(from))
+            .map(([from, to]) => [from, to.filter(s => s !== 'cancelled')])
+    ),
+    local_admin: TRANSITIONS,
+    admin: TRANSITIONS,
+    // Background jobs and payment callbacks
+    system: {
+        pending: ['confirmed', 'no_show'],
+        confirmed: ['no_show']
+    },
+    // Partner hospitals placing and cancelling orders over HL7
+    partner: {
+        pending: ['confirmed', 'cancelled'],
+        confirmed: ['cancelled']
+    }
+};
+
+class BookingStateMachine {
+    constructor() {
+        this.transitions = TRANSITIONS;
+        this.roleTransitions = ROLE_TRANSITIONS;
+    }
+
+    roleKey(role) {
+        return STAFF_ROLES.includes(role) ? 'staff' : role;
+    }
+
+    /**
+     * Next statuses a role may move a booking to from its current status
+     */
+    allowedTransitions(from, role, { amendment = false, workflow = false } = {}) {
+        if (amendment) {
+            return ['system', 'user', 'partner'].includes(role) ? [] : (AMENDMENT_TRANSITIONS[from] || []);
+        }
+        const table = this.roleTransitions[this.roleKey(role)] || {};
+        const roleAllowed = table[from] || [];
+        const graphAllowed = this.transitions[from] || [];
+        return roleAllowed.filter(s => graphAllowed.includes(s) && (workflow || !WORKFLOW_STATUSES[s]));
+    }
+
+    canTransition(from, to, role, options = {}) {
+        return this.allowedTransitions(from, role, options).includes(to);
+    }
+
+    /**
+     * Apply a status change to the booking document (caller saves it).
+     * Setting the current status again is a no-op.
+     *
+     * @param {Object} booking - Booking document
+     * @param {String} to - target status
+     * @param {Object} actor - { by: userId|null, role, reason, amendment, workflow }
+     * @returns {{ success: boolean, changed?: boolean, error?: string }}
+     */
+    transition(booking, to, { by = null, role = 'system', reason = '', amendment = false, workflow = false } = {}) {
+        const from = booking.status;
+
+        if (from === to) {
+            return { success: true, changed: false };
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(this.transitions, to)) {
+            return { success: false, error: `Unknown booking status: ${to}` };
+        }
+
+        if (!workflow && !amendment && WORKFLOW_STATUSES[to]) {
+            return { success: false, error: WORKFLOW_STATUSES[to] };
+        }
+
+        if (!this.canTransition(from, to, role, { amendment, workflow })) {
+            const allowed = this.allowedTransitions(from, role, { amendment, workflow });
+            return {
+                success: false,
+                error: `Cannot change booking status from ${from} to ${to}` +
+                    (allowed.length ? `. Allowed: ${allowed.join(', ')}` : '')
+            };
+        }
+
+        booking.status = to;
+        booking.updatedAt = new Date();
+        booking.statusHistory = booking.statusHistory || [];
+        booking.statusHistory.push({ from, to, by, role, reason, at: new Date() });
+
+        return { success: true, changed: true };
+    }
+
+    /**
+     * Record the initial status of a new booking
+     */
+    initialize(booking, { by = null, role = 'user', reason = 'Booking created' } = {}) {
+        booking.statusHistory = [{ from: null, to: booking.status, by, role, reason, at: new Date() }];
+    }
+}
+
+module.exports = new BookingStateMachine();
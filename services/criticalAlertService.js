@@ -0,0 +1,228 @@
+const cron = require('node-cron');
+const CriticalAlert = require('../models/CriticalAlert');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const pushService = require('./pushService');
+const referenceRangeService = require('./referenceRangeService');
+
+const NOTIFICATION_METHODS = ['phone', 'whatsapp', 'email'];
+
+class CriticalAlertService {
+    constructor() {
+        this.io = null;
+        // Minutes an alert can stay unacknowledged before the local admin is pulled in
+        this.escalationMinutes = parseInt(process.env.CRITICAL_ALERT_ESCALATION_MINUTES, 10) || 15;
+        this.notificationMethods = NOTIFICATION_METHODS;
+    }
+
+    /**
+     * Start the escalation check. Needs the Socket.IO server for real-time pushes.
+     */
+    start(io) {
+        this.io = io;
+        console.log(`🚨 Critical alert escalation started (after ${this.escalationMinutes} min)`);
+
+        cron.schedule('* * * * *', async () => {
+            try {
+                await this.escalateOverdue();
+            } catch (error) {
+                console.error('Critical alert escalation error:', error);
+            }
+        });
+    }
+
+    labRoom(labId) {
+        return `lab-${labId}`;
+    }
+
+    labAdminRoom(labId) {
+        return `lab-admins-${labId}`;
+    }
+
+    emit(room, event, payload) {
+        if (!this.io) return;
+        this.io.to(room).emit(event, payload);
+    }
+
+    /**
+     * Record an action in the alert's own history and the lab audit log.
+     * Caller saves the alert.
+     */
+    async logEvent(alert, action, by, details = '') {
+        alert.history.push({ action, by, details, at: new Date() });
+
+        try {
+            await AuditLog.create({
+                action: 'critical_alert',
+                bookingId: alert.bookingId,
+                testId: alert.testId,
+                performedBy: by,
+                labId: alert.labId,
+                details: `Critical alert ${action}: ${alert.label} ${alert.value} ${alert.unit} (${alert.flag})${details ? ` - ${details}` : ''}`
+            });
+        } catch (error) {
+            console.error('Failed to create audit log:', error);
+        }
+    }
+
+    /**
+     * Raise alerts for every LL/HH value in the booking's results. Values that
+     * already raised an alert (e.g. other tests being resubmitted) are skipped.
+     */
+    async raiseForBooking(booking, raisedBy) {
+        const created = [];
+
+        for (const tr of booking.testResults || []) {
+            for (const v of tr.values || []) {
+                if (!referenceRangeService.isCritical(v.flag)) continue;
+
+                const existing = await CriticalAlert.findOne({
+                    bookingId: booking._id,
+                    testId: tr.testId,
+                    label: v.label
+                }).sort({ createdAt: -1 });
+                if (existing && String(existing.value) === String(v.value)) continue;
+
+                const alert = new CriticalAlert({
+                    bookingId: booking._id,
+                    labId: booking.labId,
+                    patientId: booking.userId,
+                    testId: tr.testId,
+                    label: v.label,
+                    value: v.value,
+                    unit: v.unit,
+                    flag: v.flag,
+                    referenceRange: v.referenceRange,
+                    raisedBy
+                });
+                await this.logEvent(alert, 'created', raisedBy);
+                await alert.save();
+
+                this.emit(this.labRoom(alert.labId), 'critical-alert', alert);
+                created.push(alert);
+            }
+        }
+
+        return created;
+    }
+
+    async acknowledge(alert, user) {
+        if (!['open', 'escalated'].includes(alert.status)) {
+            return { success: false, error: `Alert is already ${alert.status}` };
+        }
+
+        alert.status = 'acknowledged';
+        alert.acknowledgedBy = user.id;
+        alert.acknowledgedAt = new Date();
+        await this.logEvent(alert, 'acknowledged', user.id);
+        await alert.save();
+
+        this.emit(this.labRoom(alert.labId), 'critical-alert-updated', alert);
+        return { success: true, alert };
+    }
+
+    /**
+     * Record that someone was told about the critical value. Notifying
+     * someone implies the alert has been seen, so it's acknowledged too.
+     */
+    async recordNotification(alert, user, { method, recipientType, recipientName, contact, notes }) {
+        if (alert.status === 'resolved') {
+            return { success: false, error: 'Alert is already resolved' };
+        }
+        if (!NOTIFICATION_METHODS.includes(method)) {
+            return { success: false, error: `Method must be one of: ${NOTIFICATION_METHODS.join(', ')}` };
+        }
+        if (!recipientName || !String(recipientName).trim()) {
+            return { success: false, error: 'Name of the person notified is required' };
+        }
+        if ([contact, notes].some(value => value !== undefined && value !== null && typeof value !== 'string')) {
+            return { success: false, error: 'Contact and notes must be text' };
+        }
+
+        if (alert.status !== 'acknowledged') {
+            alert.status = 'acknowledged';
+            alert.acknowledgedBy = user.id;
+            alert.acknowledgedAt = new Date();
+            await this.logEvent(alert, 'acknowledged', user.id);
+        }
+
+        const entry = {
+            method,
+            recipientType: ['patient', 'doctor', 'other'].includes(recipientType) ? recipientType : 'patient',
+            recipientName: String(recipientName).trim(),
+            contact: (contact || '').trim(),
+            notes: (notes || '').trim(),
+            notifiedBy: user.id,
+            notifiedAt: new Date()
+        };
+        alert.notifications.push(entry);
+        await this.logEvent(alert, 'notified', user.id,
+            `${entry.recipientType} ${entry.recipientName} via ${method}${entry.contact ? ` (${entry.contact})` : ''}`);
+        await alert.save();
+
+        this.emit(this.labRoom(alert.labId), 'critical-alert-updated', alert);
+        return { success: true, alert };
+    }
+
+    async resolve(alert, user, note = '') {
+        if (alert.status === 'resolved') {
+            return { success: false, error: 'Alert is already resolved' };
+        }
+        if (!alert.notifications.length) {
+            return { success: false, error: 'Record who was notified before resolving the alert' };
+        }
+
+        alert.status = 'resolved';
+        alert.resolvedBy = user.id;
+        alert.resolvedAt = new Date();
+        await this.logEvent(alert, 'resolved', user.id, note);
+        await alert.save();
+
+        this.emit(this.labRoom(alert.labId), 'critical-alert-updated', alert);
+        return { success: true, alert };
+    }
+
+    /**
+     * Escalate alerts nobody acknowledged in time to the lab's local admins
+     */
+    async escalateOverdue(now = new Date()) {
+        const cutoff = new Date(now.getTime() - this.escalationMinutes * 60 * 1000);
+        const overdue = await CriticalAlert.find({ status: 'open', createdAt: { $lte: cutoff } });
+
+        for (const alert of overdue) {
+            // Claim it so two instances don't escalate the same alert
+            const claimed = await CriticalAlert.findOneAndUpdate(
+                { _id: alert._id, status: 'open' },
+                { $set: { status: 'escalated', escalatedAt: now } },
+                { new: true }
+            );
+            if (!claimed) continue;
+
+            await this.logEvent(claimed, 'escalated', null,
+                `Not acknowledged within ${this.escalationMinutes} minutes`);
+            await claimed.save();
+
+            this.emit(this.labAdminRoom(claimed.labId), 'critical-alert-escalated', claimed);
+            this.emit(this.labRoom(claimed.labId), 'critical-alert-updated', claimed);
+
+            const admins = await User.find({
+                role: 'local_admin',
+                assignedLab: claimed.labId,
+                isActive: true
+            }).select('pushSubscription');
+            for (const admin of admins) {
+                this.emit(`user-${admin._id}`, 'critical-alert-escalated', claimed);
+                await pushService.notifyUser(
+                    admin,
+                    'Critical Result Not Acknowledged',
+                    `${claimed.label}: ${claimed.value} ${claimed.unit} (${referenceRangeService.flagLabel(claimed.flag)}) needs attention.`,
+                    '/staff/critical-alerts'
+                );
+            }
+        }
+
+        return overdue.length;
+    }
+}
+
+module.exports = new CriticalAlertService();
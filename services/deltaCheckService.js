@@ -0,0 +1,110 @@
+const Booking = require('../models/Booking');
+const analyteService = require('./analyteService');
+const unitService = require('./unitService');
+const trendService = require('./trendService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (n, digits = 1) => Number(n.toFixed(digits));
+const labelKey = (label) => String(label || '').trim().toLowerCase();
+
+class DeltaCheckService {
+    /**
+     * Whether a change breaks a field's delta check. Absolute limits are in
+     * the field's unit.
+     */
+    exceeds(deltaCheck, change, changePercent) {
+        if (deltaCheck.mode === 'percent') return changePercent !== null && Math.abs(changePercent) > deltaCheck.limit;
+        return Math.abs(change) > deltaCheck.limit;
+    }
+
+    /**
+     * Compare submitted values with the patient's previous published results
+     * (same analyte, or same test and field when uncoded) under each result
+     * field's delta check.
+     *
+     * @param {Object} booking - Booking the values are entered on
+     * @param {Array} testResults - [{ testId, values }] with values already flagged
+     * @param {Map} fieldsByTestId - testId -> resultFields
+     * @returns {Promise<Map>} testId -> [delta check failure]
+     */
+    async evaluate(booking, testResults, fieldsByTestId) {
+        const failures = new Map();
+
+        // Fields with a delta check, per test
+        const checks = [];
+        testResults.forEach(tr => {
+            const fields = fieldsByTestId.get(tr.testId.toString()) || [];
+            (tr.values || []).forEach(v => {
+                const field = fields.find(f => labelKey(f.label) === labelKey(v.label));
+                if (!field?.deltaCheck?.mode || !(field.deltaCheck.limit > 0)) return;
+                const code = analyteService.codeOf(v, fields);
+                checks.push({ testId: tr.testId, value: v, field, key: trendService.seriesKeyOf(code, tr.testId, v.label) });
+            });
+        });
+        if (!checks.length) return failures;
+
+        // One query covering the widest window
+        const reference = new Date(booking.appointmentDate || Date.now());
+        const windows = checks.map(c => c.field.deltaCheck.windowDays);
+        const since = windows.every(w => w > 0) ? new Date(reference - Math.max(...windows) * DAY_MS) : null;
+
+        const previousBookings = await Booking.find({
+            userId: booking.userId,
+            _id: { $ne: booking._id },
+            status: 'result_published',
+            testResults: { $exists: true, $ne: [] },
+            appointmentDate: { ...(since ? { $gte: since } : {}), $lte: reference }
+        })
+            .select('appointmentDate labId testResults')
+            .populate('testResults.testId', 'name loincCode resultFields');
+
+        const points = trendService.labPoints(previousBookings)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        checks.forEach(({ testId, value, field, key }) => {
+            const { mode, limit, windowDays } = field.deltaCheck;
+            const earliest = windowDays > 0 ? new Date(reference - windowDays * DAY_MS) : null;
+            const previous = points.find(p => p.key === key && (!earliest || new Date(p.date) >= earliest));
+            if (!previous) return;
+
+            // Compare in the field's unit so absolute limits mean what the test defines
+            const unit = field.unit || value.unit || previous.unit;
+            const analyte = analyteService.analyteOf(value.loincCode || field.loincCode);
+            const current = unitService.convert(value.value, value.unit || unit, unit, analyte);
+            const before = unitService.convert(previous.value, previous.unit || unit, unit, analyte);
+            if (current === null || before === null) return;
+
+            const change = current - before;
+            const changePercent = before !== 0 ? round((change / Math.abs(before)) * 100) : null;
+            if (!this.exceeds(field.deltaCheck, change, changePercent)) return;
+
+            const days = Math.max(0, Math.round((reference - new Date(previous.date)) / DAY_MS));
+            const withUnit = (n) => (unit ? `${n} ${unit}` : `${n}`);
+            const moved = mode === 'percent' ? `${changePercent}%` : withUnit(round(change, 4));
+            const allowed = mode === 'percent' ? `${limit}%` : withUnit(limit);
+            const failure = {
+                label: value.label,
+                value: current,
+                previousValue: before,
+                unit,
+                previousDate: previous.date,
+                previousBookingId: previous.bookingId,
+                change: round(change, 4),
+                changePercent,
+                mode,
+                limit,
+                windowDays: windowDays ?? null,
+                message: `${value.label} changed by ${moved} from ${withUnit(before)} to ${withUnit(current)} in ${days} day(s); limit ${allowed}`
+            };
+
+            const id = testId.toString();
+            if (!failures.has(id)) failures.set(id, []);
+            failures.get(id).push(failure);
+        });
+
+        return failures;
+    }
+}
+
+module.exports = new DeltaCheckService();
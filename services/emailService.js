@@ -688,6 +688,335 @@ class EmailService {
     </body>
     </html>`;
     }
+
+    // Send missed appointment email with a one-click rebook link
+    async sendNoShowEmail(email, firstName, labName, appointmentDate, appointmentTime, rebookUrl) {
+        if (!this.transporter) {
+            console.error('Email service not initialized');
+            return { success: false, error: 'Email service not available' };
+        }
+
+        const mailOptions = {
+            from: { name: 'LabMate360', address: process.env.EMAIL_USER || 'noreply@labmate360.com' },
+            to: email,
+            subject: `We missed you - ${labName || 'LabMate360'}`,
+            html: this.getNoShowTemplate(firstName, labName, appointmentDate, appointmentTime, rebookUrl),
+            text: `Hello ${firstName}, you missed your appointment at ${labName} on ${appointmentDate} at ${appointmentTime}. Rebook the same tests here: ${rebookUrl}`
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('No-show email sent:', result.messageId);
+            return { success: true, messageId: result.messageId };
+        } catch (error) {
+            console.error('Error sending no-show email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    getNoShowTemplate(firstName, labName, appointmentDate, appointmentTime, rebookUrl) {
+        return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+    <body style="font-family: 'Segoe UI', Tahoma, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background: white; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.08); overflow: hidden;">
+            <div style="background: linear-gradient(135deg, #153760, #1e40af); padding: 30px; text-align: center;">
+                <div style="color: white; font-size: 24px; font-weight: bold; margin-bottom: 5px;">LabMate360</div>
+                <div style="color: #93c5fd; font-size: 13px;">Missed Appointment</div>
+            </div>
+            <div style="padding: 30px 35px;">
+                <p>Hello <strong>${firstName}</strong>,</p>
+                <p>We didn't see you at your appointment, so it has been marked as missed. Your tests are still waiting for you &mdash; you can pick a new slot in one click.</p>
+                <div style="background: #f0f9ff; border: 1px solid #bae6fd; border-radius: 8px; padding: 20px; margin: 20px 0;">
+                    <table style="width: 100%; font-size: 14px;">
+                        <tr><td style="padding: 6px 0; color: #6b7280; width: 120px;"><strong>🏥 Lab:</strong></td><td style="color: #1f2937; font-weight: 600;">${labName}</td></tr>
+                        <tr><td style="padding: 6px 0; color: #6b7280;"><strong>📅 Date:</strong></td><td style="color: #1f2937;">${appointmentDate}</td></tr>
+                        <tr><td style="padding: 6px 0; color: #6b7280;"><strong>🕐 Time:</strong></td><td style="color: #1f2937;">${appointmentTime}</td></tr>
+                    </table>
+                </div>
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="${rebookUrl}" style="background: #1e40af; color: white; padding: 12px 30px; border-radius: 8px; text-decoration: none; font-weight: bold; display: inline-block;">Rebook Appointment</a>
+                </div>
+            </div>
+            <div style="text-align: center; padding: 20px; background: #f8fafc; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280;">
+                <p style="margin: 0;">© 2024 LabMate360. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>`;
+    }
+
+    // Send appointment rescheduled email to the patient or the lab
+    async sendRescheduleEmail(email, recipientName, labName, bookingId, change, audience = 'patient') {
+        if (!this.transporter) {
+            console.error('Email service not initialized');
+            return { success: false, error: 'Email service not available' };
+        }
+
+        const shortId = String(bookingId).slice(-8).toUpperCase();
+        const isLab = audience === 'lab';
+
+        const mailOptions = {
+            from: { name: 'LabMate360', address: process.env.EMAIL_USER || 'noreply@labmate360.com' },
+            to: email,
+            subject: isLab
+                ? `Appointment Rescheduled by Patient - Booking ${shortId}`
+                : `Appointment Rescheduled - ${labName || 'LabMate360'}`,
+            html: this.getRescheduleTemplate(recipientName, labName, shortId, change, isLab),
+            text: `Hello ${recipientName}, booking ${shortId} at ${labName} has been moved from ${change.fromDate} ${change.fromTime} to ${change.toDate} ${change.toTime}.${change.reason ? ` Reason: ${change.reason}` : ''}`
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log(`Reschedule email (${audience}) sent:`, result.messageId);
+            return { success: true, messageId: result.messageId };
+        } catch (error) {
+            console.error('Error sending reschedule email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    getRescheduleTemplate(recipientName, labName, shortId, change, isLab) {
+        const intro = isLab
+            ? `A patient (${change.patientName || 'patient'}) has rescheduled their appointment at ${labName}.`
+            : `Your appointment at ${labName} has been rescheduled. Here are the updated details:`;
+
+        return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+    <body style="font-family: 'Segoe UI', Tahoma, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background: white; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.08); overflow: hidden;">
+            <div style="background: linear-gradient(135deg, #153760, #1e40af); padding: 30px; text-align: center;">
+                <div style="color: white; font-size: 24px; font-weight: bold; margin-bottom: 5px;">LabMate360</div>
+                <div style="color: #93c5fd; font-size: 13px;">Appointment Rescheduled</div>
+            </div>
+            <div style="padding: 30px 35px;">
+                <p>Hello <strong>${recipientName}</strong>,</p>
+                <p>${intro}</p>
+                <div style="background: #f0f9ff; border: 1px solid #bae6fd; border-radius: 8px; padding: 20px; margin: 20px 0;">
+                    <table style="width: 100%; font-size: 14px;">
+                        <tr><td style="padding: 6px 0; color: #6b7280; width: 140px;"><strong>Booking ID:</strong></td><td style="color: #1f2937; font-weight: 600;">${shortId}</td></tr>
+                        <tr><td style="padding: 6px 0; color: #6b7280;"><strong>Previous slot:</strong></td><td style="color: #6b7280; text-decoration: line-through;">${change.fromDate} at ${change.fromTime}</td></tr>
+                        <tr><td style="padding: 6px 0; color: #6b7280;"><strong>New slot:</strong></td><td style="color: #1f2937; font-weight: 600;">${change.toDate} at ${change.toTime}</td></tr>
+                        ${change.reason ? `<tr><td style="padding: 6px 0; color: #6b7280;"><strong>Reason:</strong></td><td style="color: #1f2937;">${change.reason}</td></tr>` : ''}
+                    </table>
+                </div>
+            </div>
+            <div style="text-align: center; padding: 20px; background: #f8fafc; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280;">
+                <p style="margin: 0;">© 2024 LabMate360. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>`;
+    }
+
+    // Send refund status update email (requested / approved / rejected / processed / failed)
+    async sendRefundUpdateEmail(email, firstName, labName, bookingId, refund) {
+        if (!this.transporter) {
+            console.error('Email service not initialized');
+            return { success: false, error: 'Email service not available' };
+        }
+
+        const shortId = String(bookingId).slice(-8).toUpperCase();
+        const statusText = {
+            requested: 'Refund Requested',
+            processing: 'Refund Approved',
+            processed: 'Refund Completed',
+            rejected: 'Refund Request Declined',
+            failed: 'Refund Could Not Be Processed'
+        }[refund.status] || 'Refund Update';
+
+        const mailOptions = {
+            from: { name: 'LabMate360', address: process.env.EMAIL_USER || 'noreply@labmate360.com' },
+            to: email,
+            subject: `${statusText} - Booking ${shortId}`,
+            html: this.getRefundUpdateTemplate(firstName, labName, shortId, statusText, refund),
+            text: `Hello ${firstName},\n\n${statusText} for your booking ${shortId} at ${labName || 'LabMate360'}.\nRefund amount: ₹${refund.amount}\n${refund.reviewNote ? `Note: ${refund.reviewNote}\n` : ''}\nBest regards,\nLabMate360 Team`
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log(`Refund update email (${refund.status}) sent:`, result.messageId);
+            return { success: true, messageId: result.messageId };
+        } catch (error) {
+            console.error('Error sending refund update email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    getRefundUpdateTemplate(firstName, labName, shortId, statusText, refund) {
+        const isNegative = ['rejected', 'failed'].includes(refund.status);
+        const badgeBg = isNegative ? '#fef2f2' : '#d1fae5';
+        const badgeColor = isNegative ? '#dc2626' : '#065f46';
+
+        const detail = {
+            requested: 'We have received your cancellation and a refund request has been sent to the lab for approval.',
+            processing: 'Your refund has been approved and sent to our payment partner. It usually reaches your account within 5-7 working days.',
+            processed: 'Your refund has been completed and credited to your original payment method.',
+            rejected: 'Your refund request was reviewed and could not be approved.',
+            failed: 'We could not process your refund automatically. Our team will reach out to you shortly.'
+        }[refund.status] || '';
+
+        return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+    <body style="font-family: 'Segoe UI', Tahoma, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background: white; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.08); overflow: hidden;">
+            <div style="background: linear-gradient(135deg, #153760, #1e40af); padding: 30px; text-align: center;">
+                <div style="color: white; font-size: 24px; font-weight: bold; margin-bottom: 5px;">LabMate360</div>
+                <div style="color: #93c5fd; font-size: 13px;">Refund Update</div>
+            </div>
+            <div style="padding: 30px 35px;">
+                <div style="text-align: center; margin-bottom: 20px;">
+                    <span style="background: ${badgeBg}; color: ${badgeColor}; padding: 8px 20px; border-radius: 20px; font-weight: bold; font-size: 14px; display: inline-block;">
+                        ${statusText}
+                    </span>
+                </div>
+                <p>Hello <strong>${firstName}</strong>,</p>
+                <p>${detail}</p>
+                <div style="background: #f0f9ff; border: 1px solid #bae6fd; border-radius: 8px; padding: 20px; margin: 20px 0;">
+                    <table style="width: 100%; font-size: 14px;">
+                        <tr><td style="padding: 6px 0; color: #6b7280; width: 140px;"><strong>Booking ID:</strong></td><td style="color: #1f2937; font-weight: 600;">${shortId}</td></tr>
+                        <tr><td style="padding: 6px 0; color: #6b7280;"><strong>Lab:</strong></td><td style="color: #1f2937;">${labName || 'LabMate360'}</td></tr>
+                        <tr><td style="padding: 6px 0; color: #6b7280;"><strong>Amount Paid:</strong></td><td style="color: #1f2937;">₹${refund.paidAmount}</td></tr>
+                        <tr><td style="padding: 6px 0; color: #6b7280;"><strong>Refund Amount:</strong></td><td style="color: #1f2937; font-weight: 600;">₹${refund.amount}</td></tr>
+                        ${refund.policy ? `<tr><td style="padding: 6px 0; color: #6b7280;"><strong>Policy:</strong></td><td style="color: #1f2937;">${refund.policy}</td></tr>` : ''}
+                        ${refund.reviewNote ? `<tr><td style="padding: 6px 0; color: #6b7280;"><strong>Note:</strong></td><td style="color: #1f2937;">${refund.reviewNote}</td></tr>` : ''}
+                    </table>
+                </div>
+            </div>
+            <div style="text-align: center; padding: 20px; background: #f8fafc; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280;">
+                <p style="margin: 0;">© 2024 LabMate360. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>`;
+    }
+
+    // Send corrected (amended) report notification
+    async sendCorrectedReportEmail(email, firstName, labName, bookingId, version, reason) {
+        if (!this.transporter) {
+            console.error('Email service not initialized');
+            return { success: false, error: 'Email service not available' };
+        }
+
+        const shortId = String(bookingId).slice(-8).toUpperCase();
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+        const mailOptions = {
+            from: { name: 'LabMate360', address: process.env.EMAIL_USER || 'noreply@labmate360.com' },
+            to: email,
+            subject: `Corrected Report Issued - Booking ${shortId}`,
+            html: this.getCorrectedReportTemplate(firstName, labName, shortId, version, reason, `${frontendUrl}/user/dashboard/download-reports`),
+            text: `Hello ${firstName},\n\n${labName || 'LabMate360'} has issued a corrected report (version ${version}) for your booking ${shortId}.\n${reason ? `Reason for correction: ${reason}\n` : ''}Please refer to the corrected report from now on.\n\nBest regards,\nLabMate360 Team`
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Corrected report email sent:', result.messageId);
+            return { success: true, messageId: result.messageId };
+        } catch (error) {
+            console.error('Error sending corrected report email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    getCorrectedReportTemplate(firstName, labName, shortId, version, reason, reportsUrl) {
+        return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+    <body style="font-family: 'Segoe UI', Tahoma, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background: white; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.08); overflow: hidden;">
+            <div style="background: linear-gradient(135deg, #153760, #1e40af); padding: 30px; text-align: center;">
+                <div style="color: white; font-size: 24px; font-weight: bold; margin-bottom: 5px;">LabMate360</div>
+                <div style="color: #93c5fd; font-size: 13px;">Corrected Report</div>
+            </div>
+            <div style="padding: 30px 35px;">
+                <p>Hello <strong>${firstName}</strong>,</p>
+                <p>${labName || 'LabMate360'} has reviewed your results and issued a corrected report. Please use this version from now on and discard any earlier copy.</p>
+                <div style="background: #fffbeb; border: 1px solid #fde68a; border-radius: 8px; padding: 20px; margin: 20px 0;">
+                    <table style="width: 100%; font-size: 14px;">
+                        <tr><td style="padding: 6px 0; color: #6b7280; width: 140px;"><strong>Booking ID:</strong></td><td style="color: #1f2937; font-weight: 600;">${shortId}</td></tr>
+                        <tr><td style="padding: 6px 0; color: #6b7280;"><strong>Report version:</strong></td><td style="color: #1f2937;">${version}</td></tr>
+                        ${reason ? `<tr><td style="padding: 6px 0; color: #6b7280;"><strong>Reason:</strong></td><td style="color: #1f2937;">${reason}</td></tr>` : ''}
+                    </table>
+                </div>
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="${reportsUrl}" style="background: #1e40af; color: white; padding: 12px 30px; border-radius: 8px; text-decoration: none; font-weight: bold; display: inline-block;">View Corrected Report</a>
+                </div>
+            </div>
+            <div style="text-align: center; padding: 20px; background: #f8fafc; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280;">
+                <p style="margin: 0;">© 2024 LabMate360. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>`;
+    }
+
+    // Ask the patient to come back because a sample was rejected by the lab
+    async sendRecollectionEmail(email, firstName, labName, bookingId, sampleType, reason) {
+        if (!this.transporter) {
+            console.error('Email service not initialized');
+            return { success: false, error: 'Email service not available' };
+        }
+
+        const shortId = String(bookingId).slice(-8).toUpperCase();
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+        const mailOptions = {
+            from: { name: 'LabMate360', address: process.env.EMAIL_USER || 'noreply@labmate360.com' },
+            to: email,
+            subject: `New Sample Needed - Booking ${shortId}`,
+            html: this.getRecollectionTemplate(firstName, labName, shortId, sampleType, reason, `${frontendUrl}/user/dashboard`),
+            text: `Hello ${firstName},\n\n${labName || 'LabMate360'} could not test your ${(sampleType || 'sample').toLowerCase()} sample for booking ${shortId}${reason ? ` (${reason})` : ''}. Please visit the lab again so a new sample can be collected. There is no extra charge.\n\nBest regards,\nLabMate360 Team`
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Recollection email sent:', result.messageId);
+            return { success: true, messageId: result.messageId };
+        } catch (error) {
+            console.error('Error sending recollection email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    getRecollectionTemplate(firstName, labName, shortId, sampleType, reason, dashboardUrl) {
+        return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+    <body style="font-family: 'Segoe UI', Tahoma, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
+        <div style="background: white; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.08); overflow: hidden;">
+            <div style="background: linear-gradient(135deg, #153760, #1e40af); padding: 30px; text-align: center;">
+                <div style="color: white; font-size: 24px; font-weight: bold; margin-bottom: 5px;">LabMate360</div>
+                <div style="color: #93c5fd; font-size: 13px;">New Sample Needed</div>
+            </div>
+            <div style="padding: 30px 35px;">
+                <p>Hello <strong>${firstName}</strong>,</p>
+                <p>${labName || 'LabMate360'} was not able to test one of your samples. Please visit the lab again so a new sample can be collected &mdash; there is no extra charge and your other results are not affected.</p>
+                <div style="background: #fffbeb; border: 1px solid #fde68a; border-radius: 8px; padding: 20px; margin: 20px 0;">
+                    <table style="width: 100%; font-size: 14px;">
+                        <tr><td style="padding: 6px 0; color: #6b7280; width: 140px;"><strong>Booking ID:</strong></td><td style="color: #1f2937; font-weight: 600;">${shortId}</td></tr>
+                        <tr><td style="padding: 6px 0; color: #6b7280;"><strong>Sample:</strong></td><td style="color: #1f2937;">${sampleType || 'Sample'}</td></tr>
+                        ${reason ? `<tr><td style="padding: 6px 0; color: #6b7280;"><strong>Reason:</strong></td><td style="color: #1f2937;">${reason}</td></tr>` : ''}
+                    </table>
+                </div>
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="${dashboardUrl}" style="background: #1e40af; color: white; padding: 12px 30px; border-radius: 8px; text-decoration: none; font-weight: bold; display: inline-block;">View Booking</a>
+                </div>
+            </div>
+            <div style="text-align: center; padding: 20px; background: #f8fafc; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280;">
+                <p style="margin: 0;">© 2024 LabMate360. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>`;
+    }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,554 @@
+// Maps LabMate360 records to FHIR R4 resources for the read-only /api/fhir façade
+const analyteService = require('./analyteService');
+const unitService = require('./unitService');
+const slotService = require('./slotService');
+
+const CODE_SYSTEM_BASE = 'https://labmate360.com/fhir/CodeSystem';
+const SYSTEMS = {
+    patient: 'https://labmate360.com/fhir/patient',
+    test: `${CODE_SYSTEM_BASE}/test`,
+    resultField: `${CODE_SYSTEM_BASE}/result-field`,
+    hl7Facility: 'https://labmate360.com/fhir/hl7-facility',
+    loinc: 'http://loinc.org',
+    ucum: 'http://unitsofmeasure.org',
+    observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+    interpretation: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+    diagnosticService: 'http://terminology.hl7.org/CodeSystem/v2-0074',
+    organizationType: 'http://terminology.hl7.org/CodeSystem/organization-type'
+};
+
+const GENDERS = { male: 'male', female: 'female', other: 'other', prefer_not_to_say: 'unknown' };
+
+const INTERPRETATIONS = {
+    L: 'Low',
+    H: 'High',
+    LL: 'Critical low',
+    HH: 'Critical high',
+    N: 'Normal'
+};
+
+// Test categories to HL7 v2 diagnostic service sections
+const SERVICE_SECTIONS = {
+    blood: { code: 'HM', display: 'Hematology' },
+    urine: { code: 'UR', display: 'Urinalysis' },
+    imaging: { code: 'RAD', display: 'Radiology' },
+    cardiology: { code: 'EC', display: 'Electrocardiac' },
+    pathology: { code: 'SP', display: 'Surgical Pathology' }
+};
+
+// Booking statuses to ServiceRequest.status
+const REQUEST_STATUSES = {
+    pending: 'draft',
+    cancelled: 'revoked',
+    no_show: 'revoked',
+    result_published: 'completed'
+};
+
+// Vital fields exposed as vital-signs Observations, keyed by the id suffix
+const VITAL_SIGNS = {
+    'heart-rate': { loinc: '8867-4', display: 'Heart rate', unit: '/min', ucum: '/min' },
+    spo2: { loinc: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', unit: '%', ucum: '%' },
+    'blood-pressure': { loinc: '85354-9', display: 'Blood pressure panel with all children optional' }
+};
+const BP_COMPONENTS = {
+    systolic: { loinc: '8480-6', display: 'Systolic blood pressure' },
+    diastolic: { loinc: '8462-4', display: 'Diastolic blood pressure' }
+};
+
+const idOf = (ref) => (ref?._id || ref || '').toString();
+const isoDate = (date) => (date ? new Date(date).toISOString().split('T')[0] : undefined);
+const isoDateTime = (date) => (date ? new Date(date).toISOString() : undefined);
+
+// Drop undefined/empty members so resources only carry what we know
+const compact = (obj) => {
+    if (Array.isArray(obj)) {
+        const items = obj.map(compact).filter(v => v !== undefined);
+        return items.length ? items : undefined;
+    }
+    if (obj && typeof obj === 'object' && !(obj instanceof Date)) {
+        const out = {};
+        Object.entries(obj).forEach(([key, value]) => {
+            const v = compact(value);
+            if (v !== undefined) out[key] = v;
+        });
+        return Object.keys(out).length ? out : undefined;
+    }
+    return obj === '' || obj === null ? undefined : obj;
+};
+
+class FhirService {
+    constructor() {
+        this.SYSTEMS = SYSTEMS;
+        this.VITAL_SIGNS = VITAL_SIGNS;
+    }
+
+    reference(type, id, display) {
+        return compact({ reference: `${type}/${idOf(id)}`, display });
+    }
+
+    patient(user) {
+        return compact({
+            resourceType: 'Patient',
+            id: idOf(user),
+            meta: { lastUpdated: isoDateTime(user.updatedAt) },
+            identifier: [
+                { system: SYSTEMS.patient, value: idOf(user) },
+                ...(user.externalIds || []).map(e => ({
+                    use: 'secondary',
+                    type: { text: 'MR' },
+                    system: `${SYSTEMS.hl7Facility}/${e.system}`,
+                    value: e.value
+                }))
+            ],
+            active: user.isActive !== false && !user.isBlocked,
+            name: [{ use: 'official', family: user.lastName, given: [user.firstName], text: [user.firstName, user.lastName].filter(Boolean).join(' ') }],
+            telecom: [
+                user.phone && { system: 'phone', value: user.phone, use: 'mobile' },
+                user.email && { system: 'email', value: user.email }
+            ].filter(Boolean),
+            gender: GENDERS[user.gender] || 'unknown',
+            birthDate: isoDate(user.dateOfBirth),
+            address: user.address ? [{ text: user.address }] : undefined
+        });
+    }
+
+    organization(lab) {
+        const a = lab.address || {};
+        return compact({
+            resourceType: 'Organization',
+            id: idOf(lab),
+            meta: { lastUpdated: isoDateTime(lab.updatedAt) },
+            active: lab.isActive !== false,
+            type: [{ coding: [{ system: SYSTEMS.organizationType, code: 'prov', display: 'Healthcare Provider' }] }],
+            name: lab.name,
+            telecom: [
+                lab.contact?.phone && { system: 'phone', value: lab.contact.phone, use: 'work' },
+                lab.contact?.email && { system: 'email', value: lab.contact.email, use: 'work' },
+                lab.contact?.website && { system: 'url', value: lab.contact.website, use: 'work' }
+            ].filter(Boolean),
+            address: [{
+                line: a.street ? [a.street] : undefined,
+                city: a.city,
+                state: a.state,
+                postalCode: a.zipCode,
+                country: a.country
+            }]
+        });
+    }
+
+    // Local test code, plus the LOINC order code when the test has one
+    testCodings(test) {
+        return [
+            { system: SYSTEMS.test, code: idOf(test), display: test?.name },
+            test?.loincCode && { system: SYSTEMS.loinc, code: test.loincCode }
+        ].filter(Boolean);
+    }
+
+    observationDefinition(test) {
+        return compact({
+            resourceType: 'ObservationDefinition',
+            id: idOf(test),
+            meta: { lastUpdated: isoDateTime(test.updatedAt) },
+            category: [this.serviceCategory(test.category)],
+            code: { coding: this.testCodings(test), text: test.name },
+            permittedDataType: [...new Set((test.resultFields || []).map(f => ({ number: 'Quantity', boolean: 'boolean' }[f.type] || 'string')))],
+            preferredReportName: test.name,
+            quantitativeDetails: (test.resultFields || []).length === 1 && test.resultFields[0].unit
+                ? { unit: { text: test.resultFields[0].unit } }
+                : undefined,
+            qualifiedInterval: (test.resultFields || [])
+                .filter(f => (f.low !== null && f.low !== undefined) || (f.high !== null && f.high !== undefined))
+                .map(f => ({
+                    category: 'reference',
+                    range: {
+                        low: f.low !== null && f.low !== undefined ? { value: f.low, unit: f.unit || undefined } : undefined,
+                        high: f.high !== null && f.high !== undefined ? { value: f.high, unit: f.unit || undefined } : undefined
+                    },
+                    condition: f.label
+                }))
+        });
+    }
+
+    serviceCategory(category) {
+        const section = SERVICE_SECTIONS[category];
+        return compact({
+            coding: section ? [{ system: SYSTEMS.diagnosticService, code: section.code, display: section.display }] : undefined,
+            text: category
+        });
+    }
+
+    serviceRequest(booking) {
+        const tests = (booking.selectedTests || []).map(t => t.testId).filter(Boolean);
+        const status = REQUEST_STATUSES[booking.status] || 'active';
+        return compact({
+            resourceType: 'ServiceRequest',
+            id: idOf(booking),
+            meta: { lastUpdated: isoDateTime(booking.updatedAt) },
+            identifier: booking.externalOrder?.placerOrderNumber
+                ? [{ type: { text: 'Placer order number' }, value: booking.externalOrder.placerOrderNumber }]
+                : undefined,
+            status,
+            intent: 'order',
+            category: [{ coding: [{ system: 'http://snomed.info/sct', code: '108252007', display: 'Laboratory procedure' }] }],
+            code: tests.length === 1 ? { coding: this.testCodings(tests[0]), text: tests[0].name } : { text: 'Laboratory tests' },
+            orderDetail: tests.length > 1 ? tests.map(t => ({ coding: this.testCodings(t), text: t.name })) : undefined,
+            subject: this.reference('Patient', booking.userId, booking.userId?.firstName && `${booking.userId.firstName} ${booking.userId.lastName}`),
+            performer: [this.reference('Organization', booking.labId, booking.labId?.name)],
+            occurrenceDateTime: isoDateTime(this.appointmentStart(booking)),
+            authoredOn: isoDateTime(booking.createdAt),
+            requester: booking.externalOrder?.orderingProvider ? { display: booking.externalOrder.orderingProvider } : undefined,
+            note: booking.notes ? [{ text: booking.notes }] : undefined
+        });
+    }
+
+    // Booking statuses that map to a ServiceRequest.status
+    bookingStatusesFor(requestStatus, bookingStatuses) {
+        return bookingStatuses.filter(s => (REQUEST_STATUSES[s] || 'active') === requestStatus);
+    }
+
+    appointmentStart(booking) {
+        if (!booking.appointmentDate) return null;
+        // Unreadable times fall back to the start of the appointment day
+        return slotService.getAppointmentStart(booking.appointmentDate, booking.appointmentTime) ||
+            slotService.getAppointmentStart(booking.appointmentDate, '00:00');
+    }
+
+    resultStatus(booking) {
+        return (booking.resultVersion || 1) > 1 ? 'amended' : 'final';
+    }
+
+    /**
+     * One Observation per result value of a published booking. Imaging
+     * findings without values become a single narrative Observation.
+     */
+    observations(booking) {
+        const list = [];
+        (booking.testResults || []).forEach(tr => {
+            const values = (tr.values || []).filter(v => v.value !== undefined && v.value !== null && v.value !== '');
+            values.forEach(v => list.push(this.resultObservation(booking, tr, v)));
+            if (!values.length && tr.findings) {
+                list.push(this.resultObservation(booking, tr, { _id: tr._id, label: 'Findings', value: tr.findings, type: 'text' }));
+            }
+        });
+        return list;
+    }
+
+    resultObservation(booking, testResult, value) {
+        const test = testResult.testId;
+        const loincCode = analyteService.codeOf(value, test?.resultFields);
+        const interpretation = value.flag || (this.hasRange(value) && typeof this.numeric(value) === 'number' ? 'N' : '');
+
+        return compact({
+            resourceType: 'Observation',
+            id: `${idOf(booking)}-${idOf(value)}`,
+            meta: { lastUpdated: isoDateTime(booking.publishedAt || booking.updatedAt) },
+            basedOn: [this.reference('ServiceRequest', booking)],
+            status: this.resultStatus(booking),
+            category: [{
+                coding: [{ system: SYSTEMS.observationCategory, code: test?.category === 'imaging' ? 'imaging' : 'laboratory' }]
+            }],
+            code: {
+                coding: [
+                    loincCode && { system: SYSTEMS.loinc, code: loincCode },
+                    { system: SYSTEMS.resultField, code: `${idOf(test)}:${value.label}`, display: value.label }
+                ].filter(Boolean),
+                text: value.label
+            },
+            subject: this.reference('Patient', booking.userId),
+            effectiveDateTime: isoDateTime(this.collectedAt(booking) || testResult.submittedAt),
+            issued: isoDateTime(testResult.verifiedAt || booking.publishedAt),
+            performer: [this.reference('Organization', booking.labId, booking.labId?.name)],
+            ...this.observationValue(value),
+            interpretation: interpretation
+                ? [{ coding: [{ system: SYSTEMS.interpretation, code: interpretation, display: INTERPRETATIONS[interpretation] }] }]
+                : undefined,
+            referenceRange: this.hasRange(value) || value.referenceRange
+                ? [{
+                    low: this.rangeBound(value.appliedRange?.low, value.unit),
+                    high: this.rangeBound(value.appliedRange?.high, value.unit),
+                    text: value.referenceRange || undefined
+                }]
+                : undefined,
+            note: value.label === 'Findings' || !testResult.findings ? undefined : [{ text: testResult.findings }]
+        });
+    }
+
+    collectedAt(booking) {
+        return (booking.samples || []).map(s => s.collectedAt).filter(Boolean).sort((a, b) => a - b)[0] || null;
+    }
+
+    numeric(value) {
+        if (value.type === 'boolean') return null;
+        const n = typeof value.value === 'number' ? value.value : Number(String(value.value).trim());
+        return String(value.value).trim() !== '' && Number.isFinite(n) ? n : null;
+    }
+
+    hasRange(value) {
+        const r = value.appliedRange || {};
+        return (r.low !== null && r.low !== undefined) || (r.high !== null && r.high !== undefined);
+    }
+
+    rangeBound(bound, unit) {
+        return bound === null || bound === undefined ? undefined : { value: bound, unit: unit || undefined };
+    }
+
+    observationValue(value) {
+        if (value.type === 'boolean' || typeof value.value === 'boolean') {
+            return { valueBoolean: value.value === true || String(value.value).toLowerCase() === 'true' };
+        }
+        const n = this.numeric(value);
+        if (n !== null) {
+            const coded = unitService.isKnown(value.unit)
+                ? { system: SYSTEMS.ucum, code: unitService.normalizeUnit(value.unit) }
+                : {};
+            return { valueQuantity: { value: n, unit: value.unit || undefined, ...coded } };
+        }
+        return { valueString: String(value.value) };
+    }
+
+    diagnosticReport(booking) {
+        const tests = (booking.testResults || []).map(tr => tr.testId).filter(Boolean);
+        const categories = [...new Set(tests.map(t => t.category).filter(Boolean))];
+
+        return compact({
+            resourceType: 'DiagnosticReport',
+            id: idOf(booking),
+            meta: { lastUpdated: isoDateTime(booking.publishedAt || booking.updatedAt) },
+            identifier: booking.reportSignature?.code
+                ? [{ type: { text: 'Report verification code' }, value: booking.reportSignature.code }]
+                : undefined,
+            basedOn: [this.reference('ServiceRequest', booking)],
+            status: this.resultStatus(booking),
+            category: categories.length ? categories.map(c => this.serviceCategory(c)) : [this.serviceCategory('blood')],
+            code: tests.length === 1
+                ? { coding: this.testCodings(tests[0]), text: tests[0].name }
+                : { text: 'Laboratory report' },
+            subject: this.reference('Patient', booking.userId),
+            effectiveDateTime: isoDateTime(this.collectedAt(booking) || this.appointmentStart(booking)),
+            issued: isoDateTime(booking.publishedAt),
+            performer: [this.reference('Organization', booking.labId, booking.labId?.name)],
+            result: this.observations(booking).map(o => this.reference('Observation', o.id, o.code.text)),
+            conclusion: (booking.testResults || []).map(tr => tr.findings).filter(Boolean).join('\n') || undefined
+        });
+    }
+
+    /**
+     * The PDF rendered at publish time, served by GET /api/bookings/:id/report
+     */
+    presentedForm(booking, baseUrl) {
+        if (!booking.generatedReport?.file) return undefined;
+        return [{
+            contentType: 'application/pdf',
+            url: `${baseUrl}/api/bookings/${idOf(booking)}/report`,
+            title: 'Lab report',
+            creation: isoDateTime(booking.generatedReport.generatedAt)
+        }];
+    }
+
+    /**
+     * vital-signs Observations recorded on a Vital (PPG or manual)
+     */
+    vitalObservations(vital) {
+        const list = [];
+        const base = (key, extra) => {
+            const sign = VITAL_SIGNS[key];
+            return compact({
+                resourceType: 'Observation',
+                id: `${idOf(vital)}-${key}`,
+                meta: {
+                    lastUpdated: isoDateTime(vital.updatedAt),
+                    profile: ['http://hl7.org/fhir/StructureDefinition/vitalsigns']
+                },
+                status: 'final',
+                category: [{ coding: [{ system: SYSTEMS.observationCategory, code: 'vital-signs', display: 'Vital Signs' }] }],
+                code: { coding: [{ system: SYSTEMS.loinc, code: sign.loinc, display: sign.display }], text: sign.display },
+                subject: this.reference('Patient', vital.userId),
+                effectiveDateTime: isoDateTime(vital.createdAt),
+                method: vital.source === 'ppg' ? { text: 'Camera photoplethysmography (PPG)' } : undefined,
+                note: vital.source === 'ppg' && typeof vital.confidence === 'number'
+                    ? [{ text: `Measurement confidence ${vital.confidence}%` }]
+                    : undefined,
+                ...extra
+            });
+        };
+        const quantity = (value, sign) => ({ value, unit: sign.unit, system: SYSTEMS.ucum, code: sign.ucum });
+
+        if (typeof vital.heartRate === 'number') {
+            list.push(base('heart-rate', { valueQuantity: quantity(vital.heartRate, VITAL_SIGNS['heart-rate']) }));
+        }
+        if (typeof vital.spo2 === 'number') {
+            list.push(base('spo2', { valueQuantity: quantity(vital.spo2, VITAL_SIGNS.spo2) }));
+        }
+
+        let { systolicBP: systolic, diastolicBP: diastolic } = vital;
+        if ((typeof systolic !== 'number' || typeof diastolic !== 'number') && vital.bloodPressure?.value) {
+            [systolic, diastolic] = String(vital.bloodPressure.value).split('/').map(Number);
+        }
+        if (Number.isFinite(systolic) && Number.isFinite(diastolic)) {
+            const mmHg = (value) => ({ value, unit: 'mmHg', system: SYSTEMS.ucum, code: 'mm[Hg]' });
+            list.push(base('blood-pressure', {
+                component: [
+                    { code: { coding: [{ system: SYSTEMS.loinc, code: BP_COMPONENTS.systolic.loinc, display: BP_COMPONENTS.systolic.display }] }, valueQuantity: mmHg(systolic) },
+                    { code: { coding: [{ system: SYSTEMS.loinc, code: BP_COMPONENTS.diastolic.loinc, display: BP_COMPONENTS.diastolic.display }] }, valueQuantity: mmHg(diastolic) }
+                ]
+            }));
+        }
+
+        return list;
+    }
+
+    /**
+     * Token search (code=system|code, code=|code or code=code) against a
+     * resource's code.coding and component codings
+     */
+    matchesToken(resource, tokens) {
+        if (!tokens.length) return true;
+        const codings = [
+            ...(resource.code?.coding || []),
+            ...(resource.component || []).flatMap(c => c.code?.coding || [])
+        ];
+        return tokens.some(({ system, code }) => codings.some(c =>
+            (system === null || c.system === system) && (c.code || '').toLowerCase() === code.toLowerCase()
+        ));
+    }
+
+    parseTokens(values) {
+        return [].concat(values || [])
+            .flatMap(v => String(v).split(','))
+            .map(v => v.trim())
+            .filter(Boolean)
+            .map(v => {
+                const pipe = v.indexOf('|');
+                if (pipe === -1) return { system: null, code: v };
+                return { system: v.slice(0, pipe) || null, code: v.slice(pipe + 1) };
+            })
+            .filter(t => t.code);
+    }
+
+    /**
+     * date search parameters (eq/ne/lt/le/gt/ge prefixes, date or dateTime)
+     * as a list of {prefix, start, end} bounds; returns {error} if malformed
+     */
+    parseDates(values) {
+        const parsed = [];
+        for (const raw of [].concat(values || []).filter(Boolean)) {
+            const m = /^(eq|ne|lt|le|gt|ge)?(\d{4}(?:-\d{2}(?:-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:\d{2})?)?)?)?)$/.exec(String(raw));
+            if (!m) return { error: `Invalid date parameter: ${raw}` };
+            const [, prefix = 'eq', value] = m;
+
+            // A partial date covers its whole period: 2024 = the year, 2024-03 = the month
+            let start, end;
+            if (value.length === 4) {
+                start = new Date(Date.UTC(+value, 0, 1));
+                end = new Date(Date.UTC(+value + 1, 0, 1));
+            } else if (value.length === 7) {
+                const [y, mo] = value.split('-').map(Number);
+                start = new Date(Date.UTC(y, mo - 1, 1));
+                end = new Date(Date.UTC(y, mo, 1));
+            } else if (value.length === 10) {
+                start = new Date(`${value}T00:00:00Z`);
+                end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+            } else {
+                start = new Date(value);
+                end = new Date(start.getTime() + 1000);
+            }
+            if (isNaN(start.getTime())) return { error: `Invalid date parameter: ${raw}` };
+            parsed.push({ prefix, start, end });
+        }
+        return { dates: parsed };
+    }
+
+    matchesDate(date, bounds) {
+        if (!bounds.length) return true;
+        if (!date) return false;
+        const t = new Date(date).getTime();
+        return bounds.every(({ prefix, start, end }) => ({
+            eq: t >= start && t < end,
+            ne: t < start || t >= end,
+            lt: t < start,
+            le: t < end,
+            gt: t >= end,
+            ge: t >= start
+        })[prefix]);
+    }
+
+    // Mongo conditions equivalent to matchesDate, to be combined with $and
+    dateQuery(field, bounds) {
+        return bounds.map(({ prefix, start, end }) => (prefix === 'ne'
+            ? { $or: [{ [field]: { $lt: start } }, { [field]: { $gte: end } }] }
+            : {
+                [field]: {
+                    eq: { $gte: start, $lt: end },
+                    lt: { $lt: start },
+                    le: { $lt: end },
+                    gt: { $gte: end },
+                    ge: { $gte: start }
+                }[prefix]
+            }));
+    }
+
+    bundle(resources, { total, offset, count, selfUrl, baseUrl }) {
+        const page = (o) => {
+            const url = new URL(selfUrl);
+            url.searchParams.set('_offset', String(o));
+            url.searchParams.set('_count', String(count));
+            return url.toString();
+        };
+
+        const link = [{ relation: 'self', url: page(offset) }];
+        if (offset > 0) link.push({ relation: 'previous', url: page(Math.max(0, offset - count)) });
+        if (offset + count < total) link.push({ relation: 'next', url: page(offset + count) });
+
+        return {
+            resourceType: 'Bundle',
+            type: 'searchset',
+            total,
+            link,
+            entry: resources.map(resource => ({
+                fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+                resource,
+                search: { mode: 'match' }
+            }))
+        };
+    }
+
+    operationOutcome(code, diagnostics, severity = 'error') {
+        return {
+            resourceType: 'OperationOutcome',
+            issue: [{ severity, code, diagnostics }]
+        };
+    }
+
+    capabilityStatement(baseUrl) {
+        const resource = (type, params) => ({
+            type,
+            interaction: [{ code: 'read' }, { code: 'search-type' }],
+            searchParam: params.map(([name, type]) => ({ name, type }))
+        });
+
+        return {
+            resourceType: 'CapabilityStatement',
+            status: 'active',
+            date: new Date().toISOString(),
+            kind: 'instance',
+            software: { name: 'LabMate360' },
+            implementation: { description: 'LabMate360 read-only FHIR API', url: baseUrl },
+            fhirVersion: '4.0.1',
+            format: ['json'],
+            rest: [{
+                mode: 'server',
+                security: { description: 'Bearer token issued by POST /api/auth/login. Patients only see their own records.' },
+                resource: [
+                    resource('Patient', [['_id', 'token'], ['name', 'string'], ['birthdate', 'date'], ['gender', 'token']]),
+                    resource('Organization', [['_id', 'token'], ['name', 'string']]),
+                    resource('ObservationDefinition', [['_id', 'token'], ['code', 'token']]),
+                    resource('ServiceRequest', [['patient', 'reference'], ['date', 'date'], ['code', 'token'], ['status', 'token']]),
+                    resource('Observation', [['patient', 'reference'], ['date', 'date'], ['code', 'token'], ['category', 'token']]),
+                    resource('DiagnosticReport', [['patient', 'reference'], ['date', 'date'], ['code', 'token']])
+                ]
+            }]
+        };
+    }
+}
+
+module.exports = new FhirService();
@@ -0,0 +1,681 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const hl7Config = require('../config/hl7');
+const Booking = require('../models/Booking');
+const Lab = require('../models/Lab');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const HL7Partner = require('../models/HL7Partner');
+const HL7Message = require('../models/HL7Message');
+const pricingService = require('./pricingService');
+const bookingStateMachine = require('./bookingStateMachine');
+const slotService = require('./slotService');
+const mllpService = require('./mllpService');
+const analyteService = require('./analyteService');
+
+const ENCODING_CHARACTERS = '^~\\&';
+
+// HL7 table 0357 codes used in ERR-3
+const ERROR_CODES = {
+    requiredFieldMissing: '101',
+    tableValueNotFound: '103',
+    unsupportedMessageType: '200',
+    unknownKey: '204',
+    applicationError: '207'
+};
+
+const SEX_MAP = { M: 'male', F: 'female', O: 'other', A: 'other', U: 'prefer_not_to_say' };
+const SEX_CODES = { male: 'M', female: 'F', other: 'O', prefer_not_to_say: 'U' };
+
+const idOf = (ref) => (ref?._id || ref || '').toString();
+const pad = (n, len = 2) => String(n).padStart(len, '0');
+
+/**
+ * Read access to a parsed ER7 message. Field numbers follow the HL7 spec
+ * (MSH-3 is the sending application, PID-5 the patient name, ...).
+ */
+class ParsedMessage {
+    constructor(segments, separators) {
+        this.segments = segments;
+        this.separators = separators;
+    }
+
+    segment(name) {
+        return this.segments.find(s => s.name === name) || null;
+    }
+
+    all(name) {
+        return this.segments.filter(s => s.name === name);
+    }
+
+    /**
+     * Unescaped value of segment-field[repetition].component (1-based field/component)
+     */
+    value(segment, field, component = 1, repetition = 0) {
+        if (!segment) return '';
+        const raw = segment.fields[field] || '';
+        const rep = raw.split(this.separators.repetition)[repetition] || '';
+        const comp = rep.split(this.separators.component)[component - 1] || '';
+        return this.unescape(comp.split(this.separators.subcomponent)[0]).trim();
+    }
+
+    repetitions(segment, field) {
+        if (!segment) return [];
+        return (segment.fields[field] || '').split(this.separators.repetition).filter(Boolean);
+    }
+
+    unescape(text) {
+        const e = this.separators.escape;
+        if (!e || !text.includes(e)) return text;
+        const map = { F: this.separators.field, S: this.separators.component, T: this.separators.subcomponent, R: this.separators.repetition, E: e, '.br': '\n' };
+        return text.replace(new RegExp(`\\${e}(F|S|T|R|E|\\.br)\\${e}`, 'g'), (m, code) => map[code]);
+    }
+}
+
+class HL7Service {
+    /**
+     * Parse an ER7-encoded message. Returns null if it doesn't start with MSH.
+     */
+    parse(raw) {
+        const lines = String(raw || '').split(/\r\n|\r|\n/).filter(l => l.trim());
+        if (!lines.length || !lines[0].startsWith('MSH') || lines[0].length < 8) return null;
+
+        const separators = {
+            field: lines[0][3],
+            component: lines[0][4],
+            repetition: lines[0][5],
+            escape: lines[0][6],
+            subcomponent: lines[0][7]
+        };
+
+        const segments = lines.map(line => {
+            const fields = line.split(separators.field);
+            // MSH-1 is the field separator itself, so shift MSH fields to keep spec numbering
+            if (fields[0] === 'MSH') fields.splice(1, 0, separators.field);
+            return { name: fields[0], fields };
+        });
+
+        return new ParsedMessage(segments, separators);
+    }
+
+    escape(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\E\\')
+            .replace(/\|/g, '\\F\\')
+            .replace(/\^/g, '\\S\\')
+            .replace(/&/g, '\\T\\')
+            .replace(/~/g, '\\R\\')
+            .replace(/\r\n|\r|\n/g, '\\.br\\');
+    }
+
+    /**
+     * Build a segment from fields numbered from 1; array values are components
+     */
+    segment(name, fields) {
+        const encoded = fields.map(f => (Array.isArray(f) ? f.map(c => this.escape(c)).join('^') : this.escape(f)));
+        while (encoded.length && encoded[encoded.length - 1] === '') encoded.pop();
+        return [name, ...encoded].join('|');
+    }
+
+    /**
+     * MSH segment; fields start at MSH-3
+     */
+    header(fields) {
+        return `MSH|${ENCODING_CHARACTERS}|` + this.segment('', fields).slice(1);
+    }
+
+    formatTimestamp(date) {
+        if (!date) return '';
+        const d = new Date(date);
+        if (isNaN(d.getTime())) return '';
+        return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+            `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}+0000`;
+    }
+
+    parseTimestamp(text) {
+        const m = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?([+-]\d{4})?$/.exec(text || '');
+        if (!m) return null;
+        const [, y, mo, d, h = '00', mi = '00', s = '00', tz] = m;
+        const offset = tz ? `${tz.slice(0, 3)}:${tz.slice(3)}` : '';
+        const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${offset}`);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    newControlId() {
+        return `LM${Date.now()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+    }
+
+    hashKey(apiKey) {
+        return crypto.createHash('sha256').update(String(apiKey || '')).digest('hex');
+    }
+
+    generateKey() {
+        return crypto.randomBytes(24).toString('hex');
+    }
+
+    /**
+     * ACK for a received message. code: AA accepted, AE application error, AR rejected.
+     */
+    buildAck(parsed, code, text = '', errorCode = null) {
+        const msh = parsed?.segment('MSH');
+        const trigger = parsed ? parsed.value(msh, 9, 2) : '';
+        const lines = [
+            this.header([
+                hl7Config.sendingApplication,
+                hl7Config.sendingFacility,
+                parsed ? parsed.value(msh, 3) : '',
+                parsed ? parsed.value(msh, 4) : '',
+                this.formatTimestamp(new Date()),
+                '',
+                ['ACK', trigger, 'ACK'],
+                this.newControlId(),
+                'P',
+                hl7Config.version
+            ]),
+            this.segment('MSA', [code, parsed ? parsed.value(msh, 10) : '', text])
+        ];
+        if (code !== 'AA') {
+            lines.push(this.segment('ERR', ['', '', [errorCode || ERROR_CODES.applicationError, text, 'HL70357'], 'E']));
+        }
+        return lines.join('\r');
+    }
+
+    /**
+     * Entry point for every inbound message (MLLP or HTTP). Logs it, processes
+     * it and returns the ACK to send back. partner is set when the transport
+     * already authenticated the sender (HTTP API key).
+     */
+    async handleMessage(raw, { transport, remoteAddress = '', partner = null }) {
+        const parsed = this.parse(raw);
+        const log = new HL7Message({
+            direction: 'inbound',
+            transport,
+            raw: String(raw || ''),
+            status: 'received',
+            remoteAddress
+        });
+
+        const finish = async (code, text, errorCode = null, extra = {}) => {
+            const ack = this.buildAck(parsed, code, text, errorCode);
+            Object.assign(log, {
+                status: code === 'AA' ? 'processed' : 'rejected',
+                ackCode: code,
+                ack,
+                error: code === 'AA' ? '' : text,
+                ...extra
+            });
+            try {
+                await log.save();
+            } catch (error) {
+                console.error('Failed to log HL7 message:', error.message);
+            }
+            return ack;
+        };
+
+        if (!parsed) {
+            return finish('AR', 'Message must start with an MSH segment', ERROR_CODES.requiredFieldMissing);
+        }
+
+        const msh = parsed.segment('MSH');
+        const messageType = [parsed.value(msh, 9, 1), parsed.value(msh, 9, 2)].filter(Boolean).join('^');
+        const controlId = parsed.value(msh, 10);
+        const facility = parsed.value(msh, 4).toUpperCase();
+        Object.assign(log, { messageType, controlId });
+
+        try {
+            if (!partner) {
+                partner = await HL7Partner.findOne({ facility, isActive: true });
+                if (!partner) {
+                    return finish('AR', `Unknown sending facility ${facility || '(empty)'}`, ERROR_CODES.unknownKey);
+                }
+                // MLLP has no credentials of its own: the sender's address is the check
+                if (!(partner.allowedIps || []).includes(remoteAddress)) {
+                    return finish('AR', `Connections from ${remoteAddress} are not allowed for ${facility}`, ERROR_CODES.unknownKey);
+                }
+            } else if (partner.facility !== facility) {
+                return finish('AR', `MSH-4 ${facility || '(empty)'} does not match the authenticated partner`, ERROR_CODES.unknownKey);
+            }
+            Object.assign(log, { partnerId: partner._id, labId: partner.labId });
+
+            // Partners resend when an ACK is lost; answer with the original ACK
+            if (controlId) {
+                const previous = await HL7Message.findOne({
+                    direction: 'inbound',
+                    partnerId: partner._id,
+                    controlId,
+                    status: 'processed'
+                });
+                if (previous) {
+                    return finish(previous.ackCode, 'Duplicate message; already processed', null, { bookingId: previous.bookingId });
+                }
+            }
+
+            if (messageType !== 'ORM^O01') {
+                return finish('AR', `Unsupported message type ${messageType || '(empty)'}`, ERROR_CODES.unsupportedMessageType);
+            }
+
+            const result = await this.processOrder(parsed, partner);
+            return finish(result.code, result.text, result.errorCode, { bookingId: result.bookingId || null });
+        } catch (error) {
+            console.error('Error processing HL7 message:', error);
+            return finish('AE', 'Internal error while processing the message', ERROR_CODES.applicationError);
+        }
+    }
+
+    /**
+     * ORM^O01: NW creates a booking at the partner's lab, CA cancels it
+     */
+    async processOrder(parsed, partner) {
+        const orc = parsed.segment('ORC');
+        const obrs = parsed.all('OBR');
+        const control = parsed.value(orc, 1).toUpperCase();
+        const placerOrderNumber = parsed.value(orc, 2) || parsed.value(obrs[0], 2);
+
+        if (!placerOrderNumber) {
+            return { code: 'AE', text: 'ORC-2 placer order number is required', errorCode: ERROR_CODES.requiredFieldMissing };
+        }
+
+        const existing = await Booking.findOne({
+            'externalOrder.partnerId': partner._id,
+            'externalOrder.placerOrderNumber': placerOrderNumber
+        });
+
+        if (control === 'CA') {
+            if (!existing) {
+                return { code: 'AE', text: `Order ${placerOrderNumber} not found`, errorCode: ERROR_CODES.unknownKey };
+            }
+            const transition = bookingStateMachine.transition(existing, 'cancelled', {
+                role: 'partner',
+                reason: `Cancelled by ${partner.name} over HL7`
+            });
+            if (!transition.success) {
+                return { code: 'AE', text: transition.error, bookingId: existing._id };
+            }
+            await existing.save();
+            return { code: 'AA', text: `Order ${placerOrderNumber} cancelled`, bookingId: existing._id };
+        }
+
+        if (control && control !== 'NW') {
+            return { code: 'AR', text: `Unsupported order control ${control}`, errorCode: ERROR_CODES.tableValueNotFound };
+        }
+        if (existing) {
+            return { code: 'AA', text: `Order ${placerOrderNumber} already received`, bookingId: existing._id };
+        }
+        if (!obrs.length) {
+            return { code: 'AE', text: 'At least one OBR segment is required', errorCode: ERROR_CODES.requiredFieldMissing };
+        }
+
+        const lab = await Lab.findById(partner.labId);
+        if (!lab || !lab.isActive) {
+            return { code: 'AE', text: 'The partner lab is not active' };
+        }
+
+        // Resolve OBR-4 codes against the lab's catalogue
+        const resolved = await this.resolveTests(parsed, obrs, partner, lab);
+        if (resolved.unknown.length) {
+            return {
+                code: 'AE',
+                text: `Unknown test code(s): ${resolved.unknown.join(', ')}`,
+                errorCode: ERROR_CODES.tableValueNotFound
+            };
+        }
+
+        const pricing = await pricingService.priceBooking(lab, resolved.tests.map(t => ({ testId: t.testId })), []);
+        if (!pricing.success) {
+            return { code: 'AE', text: pricing.error, errorCode: ERROR_CODES.tableValueNotFound };
+        }
+
+        // Requested collection time: TQ1-7, then OBR-7 / OBR-6, then ORC-9; defaults to now
+        const requestedAt = this.parseTimestamp(parsed.value(parsed.segment('TQ1'), 7))
+            || this.parseTimestamp(parsed.value(obrs[0], 7))
+            || this.parseTimestamp(parsed.value(obrs[0], 6))
+            || this.parseTimestamp(parsed.value(orc, 9))
+            || new Date();
+        const { dateKey } = slotService.zonedParts(requestedAt);
+
+        // Partner orders take a slot like any other booking, under the same lab/day lock
+        const slotLock = await slotService.acquireLock(lab._id, dateKey);
+        if (!slotLock) {
+            return {
+                code: 'AE',
+                text: `Bookings for ${dateKey} are being updated; resend the order`,
+                errorCode: ERROR_CODES.applicationError
+            };
+        }
+
+        try {
+            const slot = await this.findSlot(lab, dateKey, requestedAt);
+            if (slot.error) {
+                return { code: 'AE', text: slot.error, errorCode: ERROR_CODES.applicationError };
+            }
+
+            const patient = await this.findOrCreatePatient(parsed, partner);
+            if (patient.error) {
+                return { code: 'AE', text: patient.error, errorCode: ERROR_CODES.requiredFieldMissing };
+            }
+
+            const provider = [parsed.value(orc, 12, 3), parsed.value(orc, 12, 2)].filter(Boolean).join(' ');
+            const notes = parsed.all('NTE').map(nte => parsed.value(nte, 3)).filter(Boolean).join('\n');
+
+            const booking = new Booking({
+                userId: patient.user._id,
+                labId: lab._id,
+                selectedTests: pricing.selectedTests,
+                selectedPackages: [],
+                appointmentDate: new Date(dateKey),
+                appointmentTime: slot.time,
+                // Hospital orders are billed to the hospital, not collected online
+                paymentMethod: 'pay_later',
+                paymentStatus: 'pending',
+                totalAmount: pricing.priceBreakdown.total,
+                priceBreakdown: pricing.priceBreakdown,
+                notes,
+                status: 'pending',
+                externalOrder: {
+                    source: 'hl7',
+                    partnerId: partner._id,
+                    placerOrderNumber,
+                    orderingProvider: provider,
+                    testCodes: resolved.tests
+                }
+            });
+            bookingStateMachine.initialize(booking, { role: 'partner', reason: `Order received from ${partner.name} over HL7` });
+            bookingStateMachine.transition(booking, 'confirmed', { role: 'partner', reason: 'Hospital order' });
+            await booking.save();
+
+            return { code: 'AA', text: `Order ${placerOrderNumber} accepted`, bookingId: booking._id };
+        } finally {
+            await slotService.releaseLock(slotLock);
+        }
+    }
+
+    /**
+     * Slot for a partner order: the requested time when it's still ahead,
+     * otherwise the first open slot left that day. Caller holds the lab/day lock.
+     */
+    async findSlot(lab, dateKey, requestedAt) {
+        if (requestedAt > new Date()) {
+            const time = slotService.formatTime(slotService.zonedParts(requestedAt).minutes);
+            const check = await slotService.checkSlot(lab, dateKey, time);
+            return check.available ? { time } : { error: `${dateKey} ${time}: ${check.reason}` };
+        }
+
+        const grid = await slotService.getSlots(lab, dateKey);
+        const open = grid?.slots.find(s => s.available);
+        return open ? { time: open.time } : { error: `No slots left at ${lab.name} on ${dateKey}` };
+    }
+
+    /**
+     * Match each OBR-4 to a test: the partner's code table first, then a
+     * LOINC (LN) coding, then a Test id, then the test name, all limited to
+     * the lab's available tests
+     */
+    async resolveTests(parsed, obrs, partner, lab) {
+        const labTestIds = (lab.availableTests || []).map(idOf);
+        const labTests = await Test.find({ _id: { $in: labTestIds }, isActive: true }).select('name loincCode');
+        const byName = new Map(labTests.map(t => [t.name.trim().toLowerCase(), idOf(t._id)]));
+        const byLoinc = new Map(labTests.filter(t => t.loincCode).map(t => [t.loincCode, idOf(t._id)]));
+        const partnerCodes = new Map((partner.testCodes || []).map(c => [c.code.toUpperCase(), idOf(c.testId)]));
+
+        const tests = [];
+        const unknown = [];
+        obrs.forEach(obr => {
+            const code = parsed.value(obr, 4, 1);
+            const text = parsed.value(obr, 4, 2);
+
+            // OBR-4.1-3 is the primary coding, OBR-4.4-6 the alternate one
+            const loinc = [[1, 3], [4, 6]]
+                .filter(([, system]) => parsed.value(obr, 4, system).toUpperCase() === 'LN')
+                .map(([codeAt]) => parsed.value(obr, 4, codeAt))[0];
+
+            let testId = partnerCodes.get(code.toUpperCase());
+            if (!testId && loinc) testId = byLoinc.get(loinc);
+            if (!testId && mongoose.isValidObjectId(code) && labTestIds.includes(code)) testId = code;
+            if (!testId) testId = byName.get(text.toLowerCase()) || byName.get(code.toLowerCase());
+
+            if (!testId || !labTestIds.includes(testId)) {
+                unknown.push(code || text || '(empty)');
+            } else if (!tests.some(t => t.testId === testId)) {
+                tests.push({ testId, code, text });
+            }
+        });
+
+        return { tests, unknown };
+    }
+
+    /**
+     * Patient for PID: matched by the partner's MRN; otherwise a patient
+     * account is created so results show up in the patient app too
+     */
+    async findOrCreatePatient(parsed, partner) {
+        const pid = parsed.segment('PID');
+        if (!pid) return { error: 'PID segment is required' };
+
+        const mrn = parsed.value(pid, 3, 1);
+        if (!mrn) return { error: 'PID-3 patient identifier is required' };
+
+        const system = partner.facility;
+        let user = await User.findOne({ externalIds: { $elemMatch: { system, value: mrn } } });
+        if (user) return { user };
+
+        const contacts = parsed.repetitions(pid, 13).map((rep, i) => ({
+            phone: parsed.value(pid, 13, 1, i).replace(/[^\d+]/g, ''),
+            email: parsed.value(pid, 13, 4, i).toLowerCase()
+        }));
+        const email = contacts.map(c => c.email).find(Boolean);
+        const phone = contacts.map(c => c.phone).find(Boolean);
+
+        // Only the partner's MRN identifies a returning patient. An account with
+        // the same email may well be someone else's, so the order goes on a new
+        // patient flagged for staff to link by hand.
+        const duplicate = email ? await User.exists({ email }) : null;
+
+        if (!phone) return { error: 'PID-13 phone number is required for new patients' };
+
+        const dateOfBirth = this.parseTimestamp(parsed.value(pid, 7));
+        user = new User({
+            firstName: parsed.value(pid, 5, 2) || 'Patient',
+            lastName: parsed.value(pid, 5, 1) || mrn,
+            // Patients without an email of their own get a placeholder address until they sign up themselves
+            email: (!duplicate && email) || `${system}.${mrn}`.toLowerCase().replace(/[^a-z0-9.]/g, '') + '@hl7.labmate360.com',
+            phone,
+            gender: SEX_MAP[parsed.value(pid, 8).toUpperCase()],
+            dateOfBirth: dateOfBirth || undefined,
+            password: crypto.randomBytes(18).toString('hex'),
+            role: 'user',
+            externalIds: [{ system, value: mrn }],
+            possibleDuplicateOf: duplicate?._id || null
+        });
+
+        try {
+            await user.save();
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return { error: `Invalid patient details: ${Object.values(error.errors).map(e => e.message).join(', ')}` };
+            }
+            throw error;
+        }
+        return { user };
+    }
+
+    /**
+     * ORU^R01 for a published booking. Corrected versions (amendments) are
+     * sent with result status C.
+     */
+    buildResultMessage(booking, partner) {
+        const patient = booking.userId || {};
+        const status = (booking.resultVersion || 1) > 1 ? 'C' : 'F';
+        const placer = booking.externalOrder?.placerOrderNumber || '';
+        const filler = [String(booking._id), hl7Config.sendingApplication];
+        const mrn = (patient.externalIds || []).find(e => e.system === partner.facility)?.value || String(patient._id || '');
+        const codesByTest = new Map((booking.externalOrder?.testCodes || []).map(c => [idOf(c.testId), c]));
+        const collectedAt = (booking.samples || []).map(s => s.collectedAt).filter(Boolean).sort((a, b) => a - b)[0];
+
+        const lines = [
+            this.header([
+                hl7Config.sendingApplication,
+                hl7Config.sendingFacility,
+                partner.application || '',
+                partner.facility,
+                this.formatTimestamp(new Date()),
+                '',
+                ['ORU', 'R01', 'ORU_R01'],
+                this.newControlId(),
+                'P',
+                hl7Config.version
+            ]),
+            this.segment('PID', [
+                '1',
+                '',
+                [mrn, '', '', partner.facility, 'MR'],
+                '',
+                [patient.lastName || '', patient.firstName || ''],
+                '',
+                patient.dateOfBirth ? this.formatTimestamp(patient.dateOfBirth).slice(0, 8) : '',
+                SEX_CODES[patient.gender] || 'U'
+            ]),
+            this.segment('ORC', ['RE', placer, filler, '', 'CM'])
+        ];
+
+        let obx = 0;
+        (booking.testResults || []).forEach((tr, i) => {
+            const testId = idOf(tr.testId);
+            const ordered = codesByTest.get(testId);
+            const service = ordered
+                ? [ordered.code, ordered.text || tr.testId?.name || '', 'L']
+                : tr.testId?.loincCode
+                    ? [tr.testId.loincCode, tr.testId.name || '', 'LN', testId, tr.testId.name || '', 'L']
+                    : [testId, tr.testId?.name || '', 'L'];
+
+            const obr = [];
+            obr[0] = String(i + 1);
+            obr[1] = placer;
+            obr[2] = filler;
+            obr[3] = service;
+            obr[6] = this.formatTimestamp(collectedAt);
+            obr[21] = this.formatTimestamp(booking.publishedAt || new Date());
+            obr[24] = status;
+            lines.push(this.segment('OBR', Array.from(obr, f => f ?? '')));
+
+            (tr.values || []).forEach(v => {
+                const numeric = v.value !== '' && v.value !== null && !isNaN(Number(v.value));
+                const loinc = analyteService.codeOf(v, tr.testId?.resultFields);
+                lines.push(this.segment('OBX', [
+                    String(++obx),
+                    numeric ? 'NM' : 'ST',
+                    loinc ? [loinc, v.label || '', 'LN', v.label || '', v.label || '', 'L'] : [v.label || '', v.label || '', 'L'],
+                    '',
+                    v.value ?? '',
+                    v.unit || '',
+                    v.referenceRange || '',
+                    v.flag || '',
+                    '',
+                    '',
+                    status,
+                    '',
+                    '',
+                    this.formatTimestamp(tr.verifiedAt || tr.submittedAt)
+                ]));
+            });
+
+            if (tr.findings) {
+                lines.push(this.segment('OBX', [
+                    String(++obx), 'TX', ['FINDINGS', 'Findings', 'L'], '', tr.findings,
+                    '', '', '', '', '', status, '', '', this.formatTimestamp(tr.verifiedAt || tr.submittedAt)
+                ]));
+            }
+        });
+
+        return lines.join('\r');
+    }
+
+    /**
+     * Send the results of an HL7-ordered booking back to the partner. Does
+     * nothing for bookings that didn't come in over HL7.
+     */
+    async sendResults(bookingId) {
+        const booking = await Booking.findById(bookingId)
+            .populate('userId', 'firstName lastName dateOfBirth gender externalIds')
+            .populate('testResults.testId', 'name loincCode resultFields');
+        if (!booking?.externalOrder?.partnerId || booking.status !== 'result_published') return null;
+
+        const partner = await HL7Partner.findById(booking.externalOrder.partnerId);
+        if (!partner?.isActive || partner.resultDestination?.transport === 'none') return null;
+
+        const raw = this.buildResultMessage(booking, partner);
+        const parsed = this.parse(raw);
+        const message = await HL7Message.create({
+            direction: 'outbound',
+            transport: partner.resultDestination.transport,
+            partnerId: partner._id,
+            labId: booking.labId,
+            bookingId: booking._id,
+            messageType: 'ORU^R01',
+            controlId: parsed.value(parsed.segment('MSH'), 10),
+            raw,
+            status: 'pending'
+        });
+
+        return this.deliver(message, partner);
+    }
+
+    /**
+     * Deliver a logged outbound message and record the partner's ACK
+     */
+    async deliver(message, partner) {
+        const destination = partner.resultDestination || {};
+        message.attempts += 1;
+
+        try {
+            let ack;
+            if (destination.transport === 'mllp') {
+                ack = await mllpService.send(destination.host, destination.port, message.raw, hl7Config.ackTimeoutMs);
+            } else if (destination.transport === 'http') {
+                const response = await axios.post(destination.url, message.raw, {
+                    headers: { 'Content-Type': 'application/hl7-v2' },
+                    timeout: hl7Config.ackTimeoutMs,
+                    responseType: 'text'
+                });
+                ack = response.data;
+            } else {
+                throw new Error('Partner has no result destination');
+            }
+
+            const parsedAck = this.parse(ack);
+            const msa = parsedAck?.segment('MSA');
+            const ackCode = parsedAck ? parsedAck.value(msa, 1).toUpperCase() : '';
+
+            message.ack = String(ack || '');
+            message.ackCode = HL7Message.schema.path('ackCode').enumValues.includes(ackCode) ? ackCode : '';
+            message.status = ['AA', 'CA'].includes(ackCode) ? 'acknowledged' : 'failed';
+            message.error = message.status === 'failed'
+                ? (parsedAck?.value(msa, 3) || `Partner replied with ${ackCode || 'an unreadable ACK'}`)
+                : '';
+        } catch (error) {
+            message.status = 'failed';
+            message.error = error.message;
+        }
+
+        await message.save();
+        if (message.status === 'failed') {
+            console.warn(`HL7 result delivery failed (${message.controlId}):`, message.error);
+        }
+        return message;
+    }
+
+    /**
+     * Start the MLLP listener when enabled
+     */
+    start() {
+        if (!hl7Config.mllp.enabled) {
+            console.log('🏥 HL7 MLLP listener disabled (set HL7_MLLP_ENABLED=true to start it)');
+            return;
+        }
+        mllpService.listen(hl7Config.mllp.port, hl7Config.mllp.host, (raw, remoteAddress) =>
+            this.handleMessage(raw, { transport: 'mllp', remoteAddress })
+        );
+    }
+}
+
+module.exports = new HL7Service();
@@ -0,0 +1,203 @@
+// Sample tube labels: Code 128 barcode with patient and sample details, as
+// SVG (browser / office printers) or ZPL (Zebra-compatible thermal printers).
+// Everything is rendered here; no external barcode service is involved.
+
+const Booking = require('../models/Booking');
+
+// Code 128 bar/space widths for symbol values 0-106 (103-105 are the start
+// codes, 106 is stop). Each symbol is 11 modules wide; stop is 13.
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const START_B = 104;
+const STOP = 106;
+const QUIET_ZONE = 10; // modules of white space either side
+
+// Tubes that are no longer in use: their barcodes must not be printed again
+const STALE_SAMPLE_STATUSES = ['rejected', 'disposed'];
+
+// 2" x 1" label
+const LABEL = {
+    svg: { width: 400, height: 200, margin: 12 },
+    zpl: { width: 406, height: 203, margin: 16 } // dots at 203 dpi
+};
+
+const MAX_TESTS_TEXT = 48;
+
+const formatDateTime = (date) => date
+    ? new Date(date).toLocaleString('en-IN', { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : '-';
+
+const fullName = (user) => user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : '';
+
+const escapeXml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+class LabelService {
+    /**
+     * Code 128 (code set B) symbol values for a text, with start, checksum and stop
+     */
+    encodeCode128(text) {
+        const values = [...String(text)].map(ch => {
+            const code = ch.charCodeAt(0);
+            if (code < 32 || code > 126) {
+                throw new Error(`Character "${ch}" cannot be encoded in a Code 128 label`);
+            }
+            return code - 32;
+        });
+
+        const checksum = values.reduce((sum, value, i) => sum + value * (i + 1), START_B) % 103;
+        return [START_B, ...values, checksum, STOP];
+    }
+
+    /**
+     * Bars as [{ x, width }] in modules, quiet zones included in totalModules
+     */
+    barcodeBars(text) {
+        const bars = [];
+        let x = QUIET_ZONE;
+        this.encodeCode128(text).forEach(value => {
+            [...CODE128_PATTERNS[value]].forEach((width, i) => {
+                // Patterns alternate bar, space, bar, ...
+                if (i % 2 === 0) bars.push({ x, width: Number(width) });
+                x += Number(width);
+            });
+        });
+        return { bars, totalModules: x + QUIET_ZONE };
+    }
+
+    /**
+     * Samples on a booking that still need a label: rejected tubes (and the
+     * ones a recollection replaced) and disposed tubes are left out
+     */
+    printableSamples(booking) {
+        return (booking.samples || []).filter(s => !STALE_SAMPLE_STATUSES.includes(s.status) && !s.replacedBy);
+    }
+
+    /**
+     * Printable details of each sample on a booking populated with
+     * userId, samples.tests and samples.packages
+     */
+    labelData(booking, sample) {
+        const patient = booking.userId || {};
+        const age = patient.age ?? patient.calculatedAge;
+        const sex = patient.gender ? patient.gender.charAt(0).toUpperCase() : '';
+        const tests = (sample.tests || []).length ? sample.tests : sample.packages || [];
+
+        return {
+            sampleId: sample.sampleId,
+            patientName: fullName(patient) || 'Unknown patient',
+            ageSex: [age !== null && age !== undefined ? `${age}Y` : '', sex].filter(Boolean).join('/'),
+            sampleType: sample.sampleType || '',
+            tests: truncate(tests.map(t => t?.name).filter(Boolean).join(', '), MAX_TESTS_TEXT),
+            collectedAt: formatDateTime(sample.collectedAt)
+        };
+    }
+
+    /**
+     * One label as an SVG group positioned at offsetY
+     */
+    svgLabel(data, offsetY = 0) {
+        const { width, height, margin } = LABEL.svg;
+        const { bars, totalModules } = this.barcodeBars(data.sampleId);
+        const moduleWidth = Math.min(2, (width - margin * 2) / totalModules);
+        const barcodeX = (width - totalModules * moduleWidth) / 2;
+        const barcodeY = 52;
+        const barcodeHeight = 70;
+
+        const rects = bars.map(bar =>
+            `<rect x="${(barcodeX + bar.x * moduleWidth).toFixed(2)}" y="${barcodeY}" width="${(bar.width * moduleWidth).toFixed(2)}" height="${barcodeHeight}"/>`
+        ).join('');
+        const text = (x, y, size, content, extra = '') =>
+            `<text x="${x}" y="${y}" font-size="${size}"${extra}>${escapeXml(content)}</text>`;
+
+        return `<g transform="translate(0 ${offsetY})" font-family="Arial, Helvetica, sans-serif" fill="#000">` +
+            `<rect width="${width}" height="${height}" fill="#fff" stroke="#ccc"/>` +
+            text(margin, 24, 18, data.patientName, ' font-weight="bold"') +
+            text(width - margin, 24, 16, data.ageSex, ' text-anchor="end"') +
+            text(margin, 44, 14, data.sampleType) +
+            text(width - margin, 44, 12, data.collectedAt, ' text-anchor="end"') +
+            rects +
+            text(width / 2, barcodeY + barcodeHeight + 16, 14, data.sampleId, ' text-anchor="middle" letter-spacing="1"') +
+            text(margin, height - 10, 12, data.tests) +
+            '</g>';
+    }
+
+    /**
+     * SVG document with the labels stacked vertically
+     */
+    renderSvg(labels) {
+        const { width, height } = LABEL.svg;
+        const gap = 10;
+        const total = labels.length * height + Math.max(labels.length - 1, 0) * gap;
+        return '<?xml version="1.0" encoding="UTF-8"?>' +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${total}" viewBox="0 0 ${width} ${total}">` +
+            labels.map((data, i) => this.svgLabel(data, i * (height + gap))).join('') +
+            '</svg>';
+    }
+
+    /**
+     * ZPL field data; ^ and ~ are ZPL command prefixes, so they (and the
+     * escape character itself) are hex-escaped under ^FH
+     */
+    zplField(text) {
+        return `^FH\\^FD${String(text ?? '').replace(/[\\^~]/g, ch => `\\${ch.charCodeAt(0).toString(16).toUpperCase()}`)}^FS`;
+    }
+
+    zplLabel(data) {
+        const { width, height, margin } = LABEL.zpl;
+        // Widest whole-dot module that fits the label (quiet zones excluded)
+        const modules = this.encodeCode128(data.sampleId).length * 11 + 2;
+        const moduleWidth = Math.max(1, Math.min(3, Math.floor((width - margin * 2) / modules)));
+        return [
+            '^XA',
+            '^CI28', // UTF-8 field data
+            `^PW${width}`,
+            `^LL${height}`,
+            `^FO${margin},12^A0N,26,26${this.zplField(data.patientName)}`,
+            `^FO${margin},12^FB${width - margin * 2},1,0,R^A0N,24,24${this.zplField(data.ageSex)}`,
+            `^FO${margin},42^A0N,20,20${this.zplField(data.sampleType)}`,
+            `^FO${margin},42^FB${width - margin * 2},1,0,R^A0N,18,18${this.zplField(data.collectedAt)}`,
+            // Code 128 rendered by the printer, subset B, interpretation line printed below
+            `^FO${margin},68^BY${moduleWidth}^BCN,70,Y,N,N${this.zplField(`>:${data.sampleId}`)}`,
+            `^FO${margin},172^A0N,18,18${this.zplField(data.tests)}`,
+            '^XZ'
+        ].join('\n');
+    }
+
+    renderZpl(labels) {
+        return labels.map(data => this.zplLabel(data)).join('\n');
+    }
+
+    render(labels, format) {
+        return format === 'zpl' ? this.renderZpl(labels) : this.renderSvg(labels);
+    }
+
+    /**
+     * Booking populated for labels
+     */
+    loadBooking(query) {
+        return Booking.findOne(query)
+            .select('userId labId samples')
+            .populate('userId', 'firstName lastName age gender dateOfBirth')
+            .populate('samples.tests', 'name')
+            .populate('samples.packages', 'name');
+    }
+}
+
+module.exports = new LabelService();
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const readline = require('readline');
+const LoincCode = require('../models/LoincCode');
+const analyzerImportService = require('./analyzerImportService');
+
+const BATCH_SIZE = 1000;
+const MAX_REPORTED_ERRORS = 20;
+
+// Accepted header names (lowercased, non-alphanumerics stripped) per field.
+// Matches the official Loinc.csv as well as hand-made subsets.
+const CSV_COLUMNS = {
+    code: ['loincnum', 'loinc', 'loinccode', 'code'],
+    longName: ['longcommonname', 'longname', 'name', 'display'],
+    shortName: ['shortname'],
+    component: ['component'],
+    property: ['property'],
+    timeAspect: ['timeaspct', 'timeaspect'],
+    system: ['system'],
+    scale: ['scaletyp', 'scale'],
+    method: ['methodtyp', 'method'],
+    class: ['class'],
+    exampleUcumUnits: ['exampleucumunits', 'ucumunits', 'unit', 'units'],
+    status: ['status']
+};
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class LoincService {
+    /**
+     * LOINC codes are digits, a dash and a mod-10 check digit (e.g. 2345-7)
+     */
+    isValidCode(code) {
+        const m = /^(\d{1,7})-(\d)$/.exec(String(code || '').trim());
+        if (!m) return false;
+
+        let sum = 0;
+        m[1].split('').reverse().forEach((digit, i) => {
+            const n = Number(digit) * (i % 2 === 0 ? 2 : 1);
+            sum += Math.floor(n / 10) + (n % 10);
+        });
+        return (10 - (sum % 10)) % 10 === Number(m[2]);
+    }
+
+    /**
+     * Import LOINC rows from a CSV file, upserting by code. Streams the file
+     * so the full LOINC table can be loaded as well as a subset.
+     */
+    async importCsv(filePath, { importedBy } = {}) {
+        const input = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+
+        let columns = null;
+        let delimiter = ',';
+        let pending = '';
+        let lineNumber = 0;
+        let recordStart = 0;
+        let batch = [];
+        const summary = { imported: 0, skipped: 0, errors: [] };
+
+        const skip = (line, message) => {
+            summary.skipped++;
+            if (summary.errors.length < MAX_REPORTED_ERRORS) summary.errors.push({ line, message });
+        };
+
+        const flush = async () => {
+            if (!batch.length) return;
+            await LoincCode.bulkWrite(batch, { ordered: false });
+            summary.imported += batch.length;
+            batch = [];
+        };
+
+        for await (const rawLine of input) {
+            lineNumber++;
+            // Quoted fields may span lines; keep reading until the quotes balance
+            if (!pending) recordStart = lineNumber;
+            pending = pending ? `${pending}\n${rawLine}` : rawLine;
+            if ((pending.match(/"/g) || []).length % 2 === 1) continue;
+            const line = pending.replace(/^\uFEFF/, '');
+            pending = '';
+            if (!line.trim()) continue;
+
+            if (!columns) {
+                delimiter = [',', ';', '\t'].sort((a, b) => line.split(b).length - line.split(a).length)[0];
+                const headers = analyzerImportService.splitCsvLine(line, delimiter).map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+                columns = {};
+                Object.entries(CSV_COLUMNS).forEach(([key, aliases]) => {
+                    const index = aliases.map(a => headers.indexOf(a)).find(i => i !== -1);
+                    if (index !== undefined) columns[key] = index;
+                });
+                if (columns.code === undefined || (columns.longName === undefined && columns.shortName === undefined)) {
+                    input.close();
+                    return { success: false, error: 'CSV header needs a LOINC_NUM (or code) column and a LONG_COMMON_NAME (or name) column' };
+                }
+                continue;
+            }
+
+            const cells = analyzerImportService.splitCsvLine(line, delimiter);
+            const row = {};
+            Object.entries(columns).forEach(([key, index]) => {
+                row[key] = (cells[index] || '').trim();
+            });
+
+            if (!this.isValidCode(row.code)) {
+                skip(recordStart, `Invalid LOINC code "${row.code}"`);
+                continue;
+            }
+            row.longName = row.longName || row.shortName;
+            if (!row.longName) {
+                skip(recordStart, `LOINC ${row.code} has no name`);
+                continue;
+            }
+            row.status = (row.status || 'ACTIVE').toUpperCase();
+
+            batch.push({
+                updateOne: {
+                    filter: { code: row.code },
+                    update: { $set: row, $setOnInsert: { importedBy } },
+                    upsert: true
+                }
+            });
+            if (batch.length >= BATCH_SIZE) await flush();
+        }
+
+        if (!columns) return { success: false, error: 'The file is empty' };
+        await flush();
+        return { success: true, ...summary };
+    }
+
+    /**
+     * Search by code prefix or by words in the names/component
+     */
+    async search(q, { limit = 25, includeInactive = false } = {}) {
+        const text = String(q || '').trim();
+        if (!text) return [];
+
+        const query = {};
+        if (/^\d[\d-]*$/.test(text)) {
+            query.code = new RegExp(`^${escapeRegex(text)}`);
+        } else {
+            // Every word must appear in one of the names
+            query.$and = text.split(/\s+/).map(word => {
+                const re = new RegExp(escapeRegex(word), 'i');
+                return { $or: [{ longName: re }, { shortName: re }, { component: re }] };
+            });
+        }
+        if (!includeInactive) query.status = { $nin: ['DEPRECATED', 'DISCOURAGED'] };
+
+        return LoincCode.find(query)
+            .select('-importedBy -__v')
+            .sort({ code: 1 })
+            .limit(Math.min(Math.max(parseInt(limit) || 25, 1), 100));
+    }
+
+    /**
+     * Validate LOINC codes on a test and its normalized result fields. A
+     * field without a canonical unit takes the code's example UCUM unit
+     * when the code is in the imported table. Returns an error message or null.
+     */
+    async applyCodes(test) {
+        const fields = test.resultFields || [];
+        const codes = [test.loincCode, ...fields.map(f => f.loincCode)].filter(Boolean);
+
+        const invalid = codes.find(code => !this.isValidCode(code));
+        if (invalid) return `"${invalid}" is not a valid LOINC code`;
+        if (!codes.length) return null;
+
+        const known = await LoincCode.find({ code: { $in: codes } }).select('code exampleUcumUnits');
+        const unitsByCode = new Map(known.map(k => [k.code, k.exampleUcumUnits]));
+        fields.forEach(f => {
+            if (f.loincCode && !f.canonicalUnit && unitsByCode.get(f.loincCode)) {
+                f.canonicalUnit = unitsByCode.get(f.loincCode);
+            }
+        });
+        return null;
+    }
+}
+
+module.exports = new LoincService();
@@ -0,0 +1,131 @@
+const net = require('net');
+
+// Minimal Lower Layer Protocol framing: <VT> message <FS><CR>
+const VT = '\x0b';
+const FS = '\x1c';
+const CR = '\r';
+
+// Drop idle partner connections after this long
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Largest frame accepted, the same limit as the HTTP inbound route; a
+// connection that goes over it is dropped
+const MAX_FRAME_BYTES = 1024 * 1024;
+
+class MllpService {
+    constructor() {
+        this.server = null;
+    }
+
+    frame(message) {
+        return `${VT}${message}${FS}${CR}`;
+    }
+
+    /**
+     * Pull complete frames out of a connection buffer. Returns the messages
+     * and whatever partial data is left for the next chunk.
+     */
+    extractFrames(buffer) {
+        const messages = [];
+        let rest = buffer;
+
+        for (;;) {
+            const start = rest.indexOf(VT);
+            if (start === -1) return { messages, rest: '' };
+            const end = rest.indexOf(FS, start + 1);
+            if (end === -1) return { messages, rest: rest.slice(start) };
+
+            messages.push(rest.slice(start + 1, end));
+            rest = rest.slice(end + 1);
+            if (rest.startsWith(CR)) rest = rest.slice(1);
+        }
+    }
+
+    /**
+     * Whether a frame, or the start of one still waiting for its end byte,
+     * is over the size limit
+     */
+    exceedsFrameLimit(messages, rest) {
+        return [rest, ...messages].some(data => Buffer.byteLength(data) > MAX_FRAME_BYTES);
+    }
+
+    /**
+     * Listen for partner connections. handler(message, remoteAddress)
+     * resolves to the ACK to send back; messages on one connection are
+     * answered in order.
+     */
+    listen(port, host, handler) {
+        this.server = net.createServer(socket => {
+            const remoteAddress = (socket.remoteAddress || '').replace(/^::ffff:/, '');
+            let buffer = '';
+            let queue = Promise.resolve();
+
+            socket.setEncoding('utf8');
+            socket.setTimeout(IDLE_TIMEOUT_MS, () => socket.end());
+
+            socket.on('data', chunk => {
+                const { messages, rest } = this.extractFrames(buffer + chunk);
+                buffer = rest;
+
+                if (this.exceedsFrameLimit(messages, rest)) {
+                    console.warn(`MLLP frame from ${remoteAddress} is over ${MAX_FRAME_BYTES} bytes; closing connection`);
+                    buffer = '';
+                    socket.destroy();
+                    return;
+                }
+
+                messages.forEach(message => {
+                    queue = queue
+                        .then(() => handler(message, remoteAddress))
+                        .then(ack => {
+                            if (ack && !socket.destroyed) socket.write(this.frame(ack));
+                        })
+                        .catch(error => console.error('MLLP message handling failed:', error));
+                });
+            });
+
+            socket.on('error', error => console.error(`MLLP connection error (${remoteAddress}):`, error.message));
+        });
+
+        this.server.on('error', error => console.error('MLLP server error:', error.message));
+        this.server.listen(port, host, () => {
+            console.log(`🏥 HL7 MLLP listener on ${host}:${port}`);
+        });
+        return this.server;
+    }
+
+    /**
+     * Send one message to a partner's MLLP listener and resolve with their ACK
+     */
+    send(host, port, message, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            let buffer = '';
+            const socket = net.createConnection({ host, port });
+
+            socket.setEncoding('utf8');
+            socket.setTimeout(timeoutMs, () => {
+                socket.destroy();
+                reject(new Error(`No ACK from ${host}:${port} within ${timeoutMs}ms`));
+            });
+
+            socket.on('connect', () => socket.write(this.frame(message)));
+            socket.on('data', chunk => {
+                const { messages, rest } = this.extractFrames(buffer + chunk);
+                buffer = rest;
+                if (this.exceedsFrameLimit(messages, rest)) {
+                    socket.destroy();
+                    reject(new Error(`ACK from ${host}:${port} is over ${MAX_FRAME_BYTES} bytes`));
+                    return;
+                }
+                if (messages.length) {
+                    socket.end();
+                    resolve(messages[0]);
+                }
+            });
+            socket.on('error', reject);
+            socket.on('close', () => reject(new Error(`Connection to ${host}:${port} closed before an ACK was received`)));
+        });
+    }
+}
+
+module.exports = new MllpService();
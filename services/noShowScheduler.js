@@ -0,0 +1,151 @@
+const cron = require('node-cron');
+const jwt = require('jsonwebtoken');
+const Booking = require('../models/Booking');
+const AuditLog = require('../models/AuditLog');
+const emailService = require('./emailService');
+const pushService = require('./pushService');
+const slotService = require('./slotService');
+const bookingStateMachine = require('./bookingStateMachine');
+
+// Bookings still waiting for the patient to turn up
+const AWAITING_STATUSES = ['pending', 'confirmed'];
+
+const REBOOK_TOKEN_TTL = '14d';
+
+class NoShowScheduler {
+    constructor() {
+        // Minutes after the appointment start before a booking counts as missed
+        this.graceMinutes = parseInt(process.env.NO_SHOW_GRACE_MINUTES, 10) || 120;
+        this.schedule = process.env.NO_SHOW_CHECK_CRON || '*/15 * * * *';
+    }
+
+    start() {
+        console.log(`🚫 No-show scheduler started (grace period: ${this.graceMinutes} min)`);
+
+        cron.schedule(this.schedule, async () => {
+            try {
+                await this.markNoShows();
+            } catch (error) {
+                console.error('No-show scheduler error:', error);
+            }
+        });
+    }
+
+    /**
+     * Flag confirmed/pending bookings whose appointment passed the grace period
+     * without any samples being collected
+     */
+    async markNoShows(now = new Date()) {
+        const cutoff = new Date(now.getTime() - this.graceMinutes * 60 * 1000);
+
+        const bookings = await Booking.find({
+            status: { $in: AWAITING_STATUSES },
+            isActive: true,
+            appointmentDate: { $lte: new Date(slotService.zonedParts(cutoff).dateKey + 'T23:59:59.999Z') },
+            'samples.0': { $exists: false }
+        }).populate('userId', 'firstName email pushSubscription').populate('labId', 'name');
+
+        let marked = 0;
+        for (const booking of bookings) {
+            // Without a parseable time, treat the whole appointment day as the window
+            const start = slotService.getAppointmentStart(booking.appointmentDate, booking.appointmentTime) ||
+                slotService.zonedTime(slotService.toDateKey(booking.appointmentDate), 24 * 60);
+            if (start > cutoff) continue;
+
+            try {
+                if (await this.markNoShow(booking)) marked++;
+            } catch (error) {
+                console.error(`❌ Failed to mark booking ${booking._id} as no-show:`, error.message);
+            }
+        }
+
+        if (marked > 0) {
+            console.log(`🚫 Marked ${marked} booking(s) as no-show`);
+        }
+        return marked;
+    }
+
+    async markNoShow(booking) {
+        const transition = bookingStateMachine.transition(booking, 'no_show', {
+            role: 'system',
+            reason: `No sample collected within ${this.graceMinutes} minutes of the appointment`
+        });
+        if (!transition.success || !transition.changed) return false;
+
+        await booking.save();
+
+        try {
+            await AuditLog.create({
+                action: 'no_show',
+                bookingId: booking._id,
+                performedBy: null,
+                labId: booking.labId?._id || booking.labId,
+                details: `Booking automatically marked as no-show (appointment ${slotService.toDateKey(booking.appointmentDate)} ${booking.appointmentTime || ''})`.trim()
+            });
+        } catch (error) {
+            console.error('Failed to create audit log:', error);
+        }
+
+        this.notifyPatient(booking);
+        return true;
+    }
+
+    /**
+     * Signed link that lets the patient rebook the same tests in one click.
+     * The token carries no userId so it can't be used as a login token.
+     */
+    createRebookToken(booking) {
+        return jwt.sign(
+            { purpose: 'rebook', bookingId: booking._id.toString() },
+            process.env.JWT_SECRET,
+            { expiresIn: REBOOK_TOKEN_TTL }
+        );
+    }
+
+    verifyRebookToken(token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            if (decoded.purpose !== 'rebook' || !decoded.bookingId) return null;
+            return decoded;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getRebookUrl(booking) {
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+        return `${frontendUrl}/user/rebook?token=${encodeURIComponent(this.createRebookToken(booking))}`;
+    }
+
+    /**
+     * Email and push the patient about the missed appointment (non-blocking)
+     */
+    notifyPatient(booking) {
+        (async () => {
+            const patient = booking.userId;
+            if (!patient?._id) return;
+
+            const labName = booking.labId?.name || 'LabMate360';
+            const rebookUrl = this.getRebookUrl(booking);
+            const dateStr = new Date(booking.appointmentDate).toLocaleDateString('en-IN', {
+                year: 'numeric', month: 'short', day: 'numeric'
+            });
+
+            if (patient.email) {
+                const result = await emailService.sendNoShowEmail(
+                    patient.email, patient.firstName || 'Patient', labName, dateStr, booking.appointmentTime, rebookUrl
+                );
+                if (!result.success) console.warn('No-show email failed:', result.error);
+            }
+
+            await pushService.notifyUser(
+                patient,
+                'Missed Appointment',
+                `You missed your appointment at ${labName} on ${dateStr}. Tap to rebook.`,
+                rebookUrl
+            );
+        })().catch(err => console.error('No-show notification failed:', err.message));
+    }
+}
+
+module.exports = new NoShowScheduler();
@@ -0,0 +1,236 @@
+const Booking = require('../models/Booking');
+const PaymentEvent = require('../models/PaymentEvent');
+const Refund = require('../models/Refund');
+const { razorpay } = require('../config/razorpay');
+const refundService = require('./refundService');
+const bookingStateMachine = require('./bookingStateMachine');
+
+// A payment captured on a booking in one of these statuses is refunded in full
+const UNPAYABLE_STATUSES = ['cancelled', 'no_show'];
+
+class PaymentService {
+    toPaise(amount) {
+        return Math.round(amount * 100);
+    }
+
+    /**
+     * Return the booking's open Razorpay order, creating one only when there
+     * is none or the existing one no longer matches the booking amount.
+     */
+    async getOrCreateOrder(booking) {
+        const amount = this.toPaise(booking.totalAmount);
+
+        if (booking.razorpayOrderId) {
+            try {
+                const existing = await razorpay.orders.fetch(booking.razorpayOrderId);
+                if (existing.status === 'paid') {
+                    return { success: false, error: 'Payment for this booking has already been received' };
+                }
+                if (existing.amount === amount) {
+                    return { success: true, order: existing, reused: true };
+                }
+            } catch (error) {
+                console.error(`Could not fetch Razorpay order ${booking.razorpayOrderId}:`, error.message || error);
+            }
+        }
+
+        const order = await razorpay.orders.create({
+            amount,
+            currency: 'INR',
+            receipt: `booking_${booking._id}`,
+            notes: {
+                bookingId: booking._id.toString(),
+                userId: booking.userId.toString(),
+                labId: booking.labId.toString()
+            }
+        });
+
+        booking.razorpayOrderId = order.id;
+        await booking.save();
+
+        return { success: true, order, reused: false };
+    }
+
+    /**
+     * Record a successful online payment on the booking
+     */
+    applyCapturedPayment(booking, { orderId, paymentId, signature, amount }) {
+        booking.paymentMethod = 'pay_now';
+        if (orderId) booking.razorpayOrderId = orderId;
+        booking.razorpayPaymentId = paymentId;
+        if (signature) booking.razorpaySignature = signature;
+        booking.paymentStatus = 'completed';
+        booking.paidAmount = amount ?? booking.totalAmount;
+        booking.paymentDate = new Date();
+
+        // Confirm the booking after successful payment
+        if (booking.status === 'pending') {
+            bookingStateMachine.transition(booking, 'confirmed', { role: 'system', reason: 'Payment received' });
+        }
+        booking.updatedAt = new Date();
+    }
+
+    async findBookingForPayment(payment) {
+        if (payment.order_id) {
+            const byOrder = await Booking.findOne({ razorpayOrderId: payment.order_id });
+            if (byOrder) return byOrder;
+        }
+        if (payment.notes?.bookingId) {
+            return Booking.findById(payment.notes.bookingId);
+        }
+        return null;
+    }
+
+    async handlePaymentCaptured(payload) {
+        const payment = payload.payment?.entity || {};
+        const booking = await this.findBookingForPayment(payment);
+        if (!booking) return { status: 'ignored', details: `No booking for order ${payment.order_id}` };
+
+        if (booking.paymentStatus === 'completed' && booking.razorpayPaymentId === payment.id) {
+            return { status: 'ignored', bookingId: booking._id, details: 'Payment already recorded' };
+        }
+
+        const captured = { orderId: payment.order_id, paymentId: payment.id, amount: payment.amount / 100 };
+
+        // The booking was closed before the money arrived: keep the record and hand it all back
+        if (!booking.isActive || UNPAYABLE_STATUSES.includes(booking.status)) {
+            this.applyCapturedPayment(booking, captured);
+            await booking.save();
+
+            const refund = await refundService.requestRefund(booking, {
+                reason: `Payment received after the booking was ${booking.status.replace(/_/g, ' ')}`,
+                full: true
+            });
+            return {
+                status: 'flagged',
+                bookingId: booking._id,
+                details: refund.success
+                    ? `Payment ${payment.id} captured on a ${booking.status} booking; refund ${refund.refund._id} requested`
+                    : `Payment ${payment.id} captured on a ${booking.status} booking; no refund requested: ${refund.error}`
+            };
+        }
+
+        // Leave the booking unpaid for staff to reconcile rather than confirm it on the wrong amount
+        if (payment.amount !== this.toPaise(booking.totalAmount)) {
+            return {
+                status: 'flagged',
+                bookingId: booking._id,
+                details: `Payment ${payment.id} of ${payment.amount} paise does not match the booking total of ${this.toPaise(booking.totalAmount)} paise`
+            };
+        }
+
+        this.applyCapturedPayment(booking, captured);
+        await booking.save();
+
+        return { status: 'processed', bookingId: booking._id, details: `Payment ${payment.id} captured` };
+    }
+
+    async handlePaymentFailed(payload) {
+        const payment = payload.payment?.entity || {};
+        const booking = await this.findBookingForPayment(payment);
+        if (!booking) return { status: 'ignored', details: `No booking for order ${payment.order_id}` };
+
+        // A late failure for an earlier attempt must not undo a completed payment
+        if (booking.paymentStatus === 'completed') {
+            return { status: 'ignored', bookingId: booking._id, details: 'Booking already paid' };
+        }
+
+        booking.paymentStatus = 'failed';
+        booking.updatedAt = new Date();
+        await booking.save();
+
+        return {
+            status: 'processed',
+            bookingId: booking._id,
+            details: `Payment ${payment.id} failed: ${payment.error_description || 'unknown reason'}`
+        };
+    }
+
+    async handleRefundProcessed(payload) {
+        const gatewayRefund = payload.refund?.entity || {};
+
+        // The webhook can beat the approve call saving razorpayRefundId, so also match on our notes
+        const refund = await Refund.findOne({ razorpayRefundId: gatewayRefund.id }) ||
+            (gatewayRefund.notes?.refundId ? await Refund.findById(gatewayRefund.notes.refundId) : null);
+        if (refund) {
+            await refundService.markProcessed(refund);
+            return { status: 'processed', bookingId: refund.bookingId, details: `Refund ${gatewayRefund.id} processed` };
+        }
+
+        // Refunds issued from the Razorpay dashboard have no refund record
+        const booking = await Booking.findOne({ razorpayPaymentId: gatewayRefund.payment_id });
+        if (!booking) return { status: 'ignored', details: `No booking for payment ${gatewayRefund.payment_id}` };
+
+        await refundService.applyRefundToBooking(booking._id, gatewayRefund.amount / 100);
+
+        return { status: 'processed', bookingId: booking._id, details: `Refund ${gatewayRefund.id} processed (no refund record)` };
+    }
+
+    async handleRefundFailed(payload) {
+        const gatewayRefund = payload.refund?.entity || {};
+        const refund = await Refund.findOne({ razorpayRefundId: gatewayRefund.id }) ||
+            (gatewayRefund.notes?.refundId ? await Refund.findById(gatewayRefund.notes.refundId) : null);
+        if (!refund) return { status: 'ignored', details: `No refund record for ${gatewayRefund.id}` };
+        if (refund.status === 'processed') {
+            return { status: 'ignored', bookingId: refund.bookingId, details: 'Refund already processed' };
+        }
+
+        await refundService.markFailed(refund, 'Refund failed at payment gateway');
+        return { status: 'processed', bookingId: refund.bookingId, details: `Refund ${gatewayRefund.id} failed` };
+    }
+
+    /**
+     * Reconcile a verified webhook event. Each event id is processed once:
+     * the event log entry is claimed before any booking is touched.
+     */
+    async handleWebhookEvent(eventId, body) {
+        let logEntry;
+        try {
+            logEntry = await PaymentEvent.create({
+                eventId,
+                event: body.event,
+                status: 'received',
+                payload: body.payload || null
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return { status: 'duplicate', details: 'Event already processed' };
+            }
+            throw error;
+        }
+
+        let result;
+        try {
+            switch (body.event) {
+                case 'payment.captured':
+                    result = await this.handlePaymentCaptured(body.payload || {});
+                    break;
+                case 'payment.failed':
+                    result = await this.handlePaymentFailed(body.payload || {});
+                    break;
+                case 'refund.processed':
+                    result = await this.handleRefundProcessed(body.payload || {});
+                    break;
+                case 'refund.failed':
+                    result = await this.handleRefundFailed(body.payload || {});
+                    break;
+                default:
+                    result = { status: 'ignored', details: `Unhandled event ${body.event}` };
+            }
+        } catch (error) {
+            console.error(`Error handling Razorpay event ${body.event}:`, error);
+            // Release the claim so Razorpay's retry gets another chance
+            await PaymentEvent.deleteOne({ _id: logEntry._id });
+            throw error;
+        }
+
+        logEntry.status = result.status;
+        logEntry.bookingId = result.bookingId || null;
+        logEntry.details = result.details || '';
+        await logEntry.save();
+
+        return result;
+    }
+}
+
+module.exports = new PaymentService();
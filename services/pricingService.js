@@ -0,0 +1,103 @@
+const Test = require('../models/Test');
+const Package = require('../models/Package');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+class PricingService {
+    constructor() {
+        // GST/tax percentage applied on the discounted subtotal
+        this.taxRate = parseFloat(process.env.BOOKING_TAX_RATE) || 0;
+    }
+
+    /**
+     * Accepts either ids or { testId } / { packageId } objects from the client
+     * and returns the unique ids as strings
+     */
+    extractIds(items, key) {
+        if (!Array.isArray(items)) return [];
+        const ids = items
+            .map(item => (item && typeof item === 'object' ? item[key] : item))
+            .filter(Boolean)
+            .map(id => id.toString());
+        return [...new Set(ids)];
+    }
+
+    /**
+     * Resolve selected tests and packages against the lab catalog and
+     * compute the price snapshot stored on the booking. Client-sent prices
+     * are ignored.
+     */
+    async priceBooking(lab, selectedTests, selectedPackages) {
+        const testIds = this.extractIds(selectedTests, 'testId');
+        const packageIds = this.extractIds(selectedPackages, 'packageId');
+
+        if (testIds.length === 0 && packageIds.length === 0) {
+            return { success: false, error: 'At least one test or package must be selected' };
+        }
+
+        const labTestIds = (lab.availableTests || []).map(t => (t._id || t).toString());
+        const labPackageIds = (lab.availablePackages || []).map(p => (p._id || p).toString());
+
+        const tests = testIds.length > 0
+            ? await Test.find({ _id: { $in: testIds }, isActive: true }).select('name price')
+            : [];
+        const packages = packageIds.length > 0
+            ? await Package.find({ _id: { $in: packageIds }, isActive: true }).select('name price discount')
+            : [];
+
+        const testsById = new Map(tests.map(t => [t._id.toString(), t]));
+        const packagesById = new Map(packages.map(p => [p._id.toString(), p]));
+
+        const unavailableTests = testIds.filter(id => !testsById.has(id) || !labTestIds.includes(id));
+        if (unavailableTests.length > 0) {
+            const names = unavailableTests.map(id => testsById.get(id)?.name || id);
+            return { success: false, error: `The following tests are not available at this lab: ${names.join(', ')}` };
+        }
+
+        const unavailablePackages = packageIds.filter(id => !packagesById.has(id) || !labPackageIds.includes(id));
+        if (unavailablePackages.length > 0) {
+            const names = unavailablePackages.map(id => packagesById.get(id)?.name || id);
+            return { success: false, error: `The following packages are not available at this lab: ${names.join(', ')}` };
+        }
+
+        const pricedTests = testIds.map(id => {
+            const test = testsById.get(id);
+            return { testId: test._id, testName: test.name, price: test.price };
+        });
+
+        const pricedPackages = packageIds.map(id => {
+            const pkg = packagesById.get(id);
+            return {
+                packageId: pkg._id,
+                packageName: pkg.name,
+                price: pkg.price,
+                discount: Math.min(pkg.discount || 0, pkg.price)
+            };
+        });
+
+        const subtotal = roundMoney(
+            pricedTests.reduce((sum, t) => sum + t.price, 0) +
+            pricedPackages.reduce((sum, p) => sum + p.price, 0)
+        );
+        const discount = roundMoney(pricedPackages.reduce((sum, p) => sum + p.discount, 0));
+        const tax = roundMoney((subtotal - discount) * this.taxRate / 100);
+        const total = roundMoney(subtotal - discount + tax);
+
+        return {
+            success: true,
+            selectedTests: pricedTests,
+            selectedPackages: pricedPackages,
+            priceBreakdown: {
+                subtotal,
+                discount,
+                taxRate: this.taxRate,
+                tax,
+                total,
+                currency: 'INR',
+                pricedAt: new Date()
+            }
+        };
+    }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,265 @@
+// Structured reference ranges for Test.resultFields and the L/H/LL/HH flags
+// computed from them when results are entered.
+
+const unitService = require('./unitService');
+const analyteService = require('./analyteService');
+
+const FLAG_LABELS = {
+    L: 'LOW',
+    H: 'HIGH',
+    LL: 'CRITICAL LOW',
+    HH: 'CRITICAL HIGH'
+};
+
+const CRITICAL_FLAGS = ['LL', 'HH'];
+
+const GENDERS = ['any', 'male', 'female', 'other'];
+
+const DELTA_CHECK_MODES = ['absolute', 'percent'];
+
+const toNumberOrNull = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+};
+
+class ReferenceRangeService {
+    /**
+     * Parse a legacy free-text range: "70-110", "70 - 110", "<200", ">=40"
+     */
+    parseRangeText(text) {
+        const clean = String(text || '').replace(/\s/g, '');
+        if (!clean) return null;
+
+        const between = clean.match(/^(-?\d+(?:\.\d+)?)-(-?\d+(?:\.\d+)?)/);
+        if (between) {
+            return { low: parseFloat(between[1]), high: parseFloat(between[2]) };
+        }
+        const upper = clean.match(/^<=?(-?\d+(?:\.\d+)?)/);
+        if (upper) return { low: null, high: parseFloat(upper[1]) };
+        const lower = clean.match(/^>=?(-?\d+(?:\.\d+)?)/);
+        if (lower) return { low: parseFloat(lower[1]), high: null };
+
+        return null;
+    }
+
+    /**
+     * Human-readable range text, e.g. "70-110", "<200", ">40"
+     */
+    formatRange(range) {
+        if (!range) return '';
+        const { low, high } = range;
+        if (low !== null && high !== null) return `${low}-${high}`;
+        if (high !== null) return `<${high}`;
+        if (low !== null) return `>${low}`;
+        return '';
+    }
+
+    normalizeRange(r = {}) {
+        return {
+            gender: GENDERS.includes(r.gender) ? r.gender : 'any',
+            ageMin: toNumberOrNull(r.ageMin),
+            ageMax: toNumberOrNull(r.ageMax),
+            low: toNumberOrNull(r.low),
+            high: toNumberOrNull(r.high),
+            criticalLow: toNumberOrNull(r.criticalLow),
+            criticalHigh: toNumberOrNull(r.criticalHigh)
+        };
+    }
+
+    /**
+     * Clean a resultFields entry from the test create/update payload
+     */
+    normalizeResultField(f = {}) {
+        const field = {
+            label: (f.label || '').trim(),
+            unit: (f.unit || '').trim(),
+            loincCode: (f.loincCode || '').trim(),
+            canonicalUnit: (f.canonicalUnit || '').trim(),
+            referenceRange: (f.referenceRange || '').trim(),
+            type: ['text', 'number', 'boolean'].includes(f.type) ? f.type : 'text',
+            required: !!f.required,
+            low: toNumberOrNull(f.low),
+            high: toNumberOrNull(f.high),
+            criticalLow: toNumberOrNull(f.criticalLow),
+            criticalHigh: toNumberOrNull(f.criticalHigh),
+            ranges: Array.isArray(f.ranges) ? f.ranges.map(r => this.normalizeRange(r)) : [],
+            deltaCheck: this.normalizeDeltaCheck(f.deltaCheck)
+        };
+
+        // Keep the display text in sync with the default numeric range
+        if (!field.referenceRange && (field.low !== null || field.high !== null)) {
+            field.referenceRange = this.formatRange(field);
+        }
+
+        return field;
+    }
+
+    normalizeDeltaCheck(d = {}) {
+        const mode = DELTA_CHECK_MODES.includes(d?.mode) ? d.mode : '';
+        return {
+            mode,
+            limit: mode ? toNumberOrNull(d.limit) : null,
+            windowDays: mode ? toNumberOrNull(d.windowDays) : null
+        };
+    }
+
+    /**
+     * Check a normalized field for contradictory bounds. Returns an error message or null.
+     */
+    validateResultField(field) {
+        const check = (r, where) => {
+            if (r.low !== null && r.high !== null && r.low > r.high) {
+                return `${where}: low must not exceed high`;
+            }
+            if (r.criticalLow !== null && r.low !== null && r.criticalLow > r.low) {
+                return `${where}: critical low must not exceed low`;
+            }
+            if (r.criticalHigh !== null && r.high !== null && r.criticalHigh < r.high) {
+                return `${where}: critical high must not be below high`;
+            }
+            if (r.ageMin !== undefined && r.ageMin !== null && r.ageMax !== null && r.ageMin > r.ageMax) {
+                return `${where}: ageMin must not exceed ageMax`;
+            }
+            return null;
+        };
+
+        const label = field.label || 'Result field';
+        const { deltaCheck } = field;
+        if (deltaCheck?.mode && !(deltaCheck.limit > 0)) {
+            return `${label}: delta check limit must be greater than 0`;
+        }
+        if (deltaCheck?.windowDays !== null && deltaCheck?.windowDays !== undefined && !(deltaCheck.windowDays > 0)) {
+            return `${label}: delta check window must be greater than 0 days`;
+        }
+        return check(field, label) ||
+            (field.ranges || []).map((r, i) => check(r, `${label} range ${i + 1}`)).find(Boolean) ||
+            null;
+    }
+
+    /**
+     * Pick the range that applies to a patient: the most specific matching
+     * age/gender range, then the field's own bounds, then its free-text range.
+     */
+    resolveRange(field, patient = {}) {
+        if (!field) return null;
+
+        const age = toNumberOrNull(patient.age);
+        const gender = patient.gender;
+
+        const matches = (field.ranges || []).filter(r => {
+            if (r.gender && r.gender !== 'any' && r.gender !== gender) return false;
+            if (r.ageMin !== null && r.ageMin !== undefined && (age === null || age < r.ageMin)) return false;
+            if (r.ageMax !== null && r.ageMax !== undefined && (age === null || age >= r.ageMax)) return false;
+            return true;
+        });
+
+        // Gender-specific beats "any", age-bounded beats unbounded
+        const specificity = (r) =>
+            (r.gender && r.gender !== 'any' ? 2 : 0) +
+            (r.ageMin !== null && r.ageMin !== undefined ? 1 : 0) +
+            (r.ageMax !== null && r.ageMax !== undefined ? 1 : 0);
+        const best = matches.sort((a, b) => specificity(b) - specificity(a))[0];
+
+        const pick = (src) => ({
+            low: toNumberOrNull(src.low),
+            high: toNumberOrNull(src.high),
+            criticalLow: toNumberOrNull(src.criticalLow),
+            criticalHigh: toNumberOrNull(src.criticalHigh)
+        });
+
+        let range = null;
+        if (best) {
+            // Bounds the matched range leaves out fall back to the field's own
+            const own = pick(best);
+            const base = pick(field);
+            range = {
+                low: own.low ?? base.low,
+                high: own.high ?? base.high,
+                criticalLow: own.criticalLow ?? base.criticalLow,
+                criticalHigh: own.criticalHigh ?? base.criticalHigh
+            };
+        } else if (toNumberOrNull(field.low) !== null || toNumberOrNull(field.high) !== null ||
+            toNumberOrNull(field.criticalLow) !== null || toNumberOrNull(field.criticalHigh) !== null) {
+            range = pick(field);
+        } else {
+            const parsed = this.parseRangeText(field.referenceRange);
+            if (parsed) range = { ...parsed, criticalLow: null, criticalHigh: null };
+        }
+
+        if (!range) return null;
+        return { ...range, text: this.formatRange(range) || field.referenceRange || '' };
+    }
+
+    /**
+     * Flag a single value against a resolved range: '', 'L', 'H', 'LL' or 'HH'
+     */
+    computeFlag(value, range) {
+        if (!range) return '';
+        const num = toNumberOrNull(value);
+        if (num === null || (typeof value === 'string' && isNaN(Number(value.trim())))) return '';
+
+        if (range.criticalLow !== null && range.criticalLow !== undefined && num <= range.criticalLow) return 'LL';
+        if (range.criticalHigh !== null && range.criticalHigh !== undefined && num >= range.criticalHigh) return 'HH';
+        if (range.low !== null && range.low !== undefined && num < range.low) return 'L';
+        if (range.high !== null && range.high !== undefined && num > range.high) return 'H';
+        return '';
+    }
+
+    /**
+     * Flag submitted result values using the test's result field definitions.
+     * Values are matched to fields by label (case-insensitive). Each value
+     * also gets its canonical-unit equivalent (canonicalValue/canonicalUnit).
+     */
+    flagValues(values, resultFields = [], patient = {}) {
+        const fieldsByLabel = new Map(
+            (resultFields || []).map(f => [(f.label || '').trim().toLowerCase(), f])
+        );
+
+        return (values || []).map(v => {
+            const field = fieldsByLabel.get((v.label || '').trim().toLowerCase());
+            let range = field
+                ? this.resolveRange(field, patient)
+                : this.resolveRange({ referenceRange: v.referenceRange }, patient);
+
+            // Field ranges are defined in the field's unit; compare in the unit the value was entered in
+            if (range && field?.unit && v.unit && !unitService.sameUnit(field.unit, v.unit)) {
+                const analyte = analyteService.analyteOf(field.loincCode || v.loincCode);
+                const converted = unitService.convertRange(range, field.unit, v.unit, analyte);
+                if (converted) range = { ...converted, text: this.formatRange(converted) || range.text };
+            }
+
+            const flag = v.type === 'number' || field?.type === 'number' || toNumberOrNull(v.value) !== null
+                ? this.computeFlag(v.value, range)
+                : '';
+
+            const unit = v.unit || field?.unit || '';
+            const loincCode = field?.loincCode || v.loincCode || '';
+            return {
+                ...v,
+                unit,
+                loincCode,
+                referenceRange: range?.text || v.referenceRange || '',
+                flag,
+                appliedRange: range
+                    ? { low: range.low, high: range.high, criticalLow: range.criticalLow, criticalHigh: range.criticalHigh }
+                    : null,
+                ...analyteService.canonicalize(v.value, unit, loincCode, field?.canonicalUnit)
+            };
+        });
+    }
+
+    flagLabel(flag) {
+        return FLAG_LABELS[flag] || '';
+    }
+
+    isAbnormal(flag) {
+        return !!FLAG_LABELS[flag];
+    }
+
+    isCritical(flag) {
+        return CRITICAL_FLAGS.includes(flag);
+    }
+}
+
+module.exports = new ReferenceRangeService();
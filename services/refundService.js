@@ -0,0 +1,284 @@
+const Booking = require('../models/Booking');
+const Refund = require('../models/Refund');
+const User = require('../models/User');
+const Lab = require('../models/Lab');
+const refundPolicy = require('../config/refundPolicy');
+const { createRefund, findRefund } = require('../config/razorpay');
+const emailService = require('./emailService');
+const pushService = require('./pushService');
+const slotService = require('./slotService');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const OPEN_STATUSES = ['requested', 'processing'];
+
+// Refunds an admin can approve: new requests, and ones Razorpay failed to pay out
+const APPROVABLE_STATUSES = ['requested', 'failed'];
+
+class RefundService {
+    /**
+     * Work out what a cancellation right now would refund under the policy.
+     * A full quote skips the policy tiers and refunds everything left.
+     */
+    quote(booking, at = new Date(), { full = false } = {}) {
+        const paidAmount = booking.paidAmount || 0;
+        const alreadyRefunded = booking.refundedAmount || 0;
+        const refundable = roundMoney(paidAmount - alreadyRefunded);
+
+        if (booking.paymentStatus !== 'completed' && booking.paymentStatus !== 'partially_refunded') {
+            return { eligible: false, amount: 0, percent: 0, reason: 'No completed payment on this booking' };
+        }
+        if (refundable <= 0) {
+            return { eligible: false, amount: 0, percent: 0, reason: 'Payment has already been refunded' };
+        }
+        if (full) {
+            return { eligible: true, amount: refundable, percent: 100, policy: 'Full refund' };
+        }
+
+        const start = slotService.getAppointmentStart(booking.appointmentDate, booking.appointmentTime) ||
+            new Date(booking.appointmentDate);
+        const hoursBefore = (start - at) / (1000 * 60 * 60);
+
+        const tier = refundPolicy.tiers.find(t => hoursBefore >= t.minHoursBefore);
+        if (!tier || tier.percent <= 0) {
+            return { eligible: false, amount: 0, percent: 0, hoursBefore, reason: 'Cancellation is outside the refund window' };
+        }
+
+        return {
+            eligible: true,
+            amount: roundMoney(Math.min(refundable, paidAmount * tier.percent / 100)),
+            percent: tier.percent,
+            policy: tier.label || `${tier.percent}% refund`,
+            hoursBefore
+        };
+    }
+
+    async findOpenRefund(bookingId) {
+        return Refund.findOne({ bookingId, status: { $in: OPEN_STATUSES } });
+    }
+
+    /**
+     * Create a refund request for a cancelled booking, pending admin approval
+     */
+    async requestRefund(booking, { requestedBy = null, reason = '', full = false }) {
+        const existing = await this.findOpenRefund(booking._id);
+        if (existing) {
+            return { success: false, error: 'A refund is already in progress for this booking', refund: existing };
+        }
+
+        const quote = this.quote(booking, new Date(), { full });
+        if (!quote.eligible) {
+            return { success: false, error: quote.reason, quote };
+        }
+
+        const refund = await Refund.create({
+            bookingId: booking._id,
+            userId: booking.userId,
+            labId: booking.labId,
+            paidAmount: booking.paidAmount,
+            amount: quote.amount,
+            percent: quote.percent,
+            policy: quote.policy,
+            reason,
+            method: booking.razorpayPaymentId ? 'razorpay' : 'manual',
+            razorpayPaymentId: booking.razorpayPaymentId || null,
+            requestedBy
+        });
+
+        this.notifyPatient(refund);
+
+        return { success: true, refund, quote };
+    }
+
+    /**
+     * What is left to refund on the refund's booking: paid, less what has been
+     * refunded and what other approved refunds are still paying out
+     */
+    async refundableFor(refund) {
+        const booking = await Booking.findById(refund.bookingId).select('paidAmount refundedAmount');
+        const inFlight = await Refund.find({
+            bookingId: refund.bookingId,
+            _id: { $ne: refund._id },
+            status: 'processing'
+        }).select('amount');
+
+        const paid = booking?.paidAmount ?? refund.paidAmount;
+        const refunded = (booking?.refundedAmount || 0) + inFlight.reduce((sum, r) => sum + r.amount, 0);
+        return Math.max(roundMoney(paid - refunded), 0);
+    }
+
+    /**
+     * Move a refund on from the status it was read in. Returns null if another
+     * reviewer got there first.
+     */
+    async claimForReview(refund, status, reviewer, note, extra = {}) {
+        return Refund.findOneAndUpdate(
+            { _id: refund._id, status: refund.status },
+            {
+                $set: {
+                    status,
+                    reviewedBy: reviewer,
+                    reviewedAt: new Date(),
+                    reviewNote: note,
+                    ...extra
+                }
+            },
+            { new: true }
+        );
+    }
+
+    /**
+     * Approve a requested refund, or retry one that failed. Online payments are
+     * refunded through Razorpay; offline (lab counter) payments are recorded as
+     * refunded manually. The amount never exceeds what is left to refund.
+     */
+    async approve(refund, reviewer, { amount, note = '' } = {}) {
+        if (!APPROVABLE_STATUSES.includes(refund.status)) {
+            return { success: false, error: `Refund is already ${refund.status}` };
+        }
+
+        const refundable = await this.refundableFor(refund);
+        if (refundable <= 0) {
+            return { success: false, error: 'Nothing is left to refund on this booking' };
+        }
+
+        const extra = { failureReason: '' };
+        if (amount !== undefined && amount !== null && amount !== '') {
+            const parsed = roundMoney(parseFloat(amount));
+            if (isNaN(parsed) || parsed <= 0 || parsed > refundable) {
+                return { success: false, error: `Refund amount must be between 0 and ${refundable}` };
+            }
+            extra.amount = parsed;
+        } else if (refund.amount > refundable) {
+            extra.amount = refundable;
+        }
+
+        const retry = refund.status === 'failed';
+        const claimed = await this.claimForReview(refund, 'processing', reviewer, note, extra);
+        if (!claimed) {
+            return { success: false, error: 'Refund has already been reviewed' };
+        }
+
+        if (claimed.method === 'manual') {
+            return { success: true, refund: await this.markProcessed(claimed) };
+        }
+
+        try {
+            // A failed attempt may still have reached Razorpay; don't refund twice
+            const earlier = retry ? await findRefund(claimed.razorpayPaymentId, claimed._id.toString()) : null;
+            const gatewayRefund = earlier && earlier.status !== 'failed'
+                ? earlier
+                : await createRefund(claimed.razorpayPaymentId, claimed.amount, {
+                    bookingId: claimed.bookingId.toString(),
+                    refundId: claimed._id.toString()
+                });
+            claimed.razorpayRefundId = gatewayRefund.id;
+            await claimed.save();
+
+            if (gatewayRefund.status === 'processed') {
+                return { success: true, refund: await this.markProcessed(claimed) };
+            }
+            this.notifyPatient(claimed);
+        } catch (error) {
+            const message = error.error?.description || error.message || 'Refund request to Razorpay failed';
+            console.error('Razorpay refund failed:', message);
+            await this.markFailed(claimed, message);
+            return { success: false, error: message, refund: claimed };
+        }
+
+        return { success: true, refund: claimed };
+    }
+
+    async reject(refund, reviewer, note = '') {
+        if (refund.status !== 'requested') {
+            return { success: false, error: `Refund is already ${refund.status}` };
+        }
+
+        const claimed = await this.claimForReview(refund, 'rejected', reviewer, note);
+        if (!claimed) {
+            return { success: false, error: 'Refund has already been reviewed' };
+        }
+
+        this.notifyPatient(claimed);
+
+        return { success: true, refund: claimed };
+    }
+
+    /**
+     * Mark a refund as completed and update the booking's payment state.
+     * Safe to call more than once (API response and webhook both report it).
+     */
+    async markProcessed(refund) {
+        const updated = await Refund.findOneAndUpdate(
+            { _id: refund._id, status: { $ne: 'processed' } },
+            { $set: { status: 'processed', processedAt: new Date() } },
+            { new: true }
+        );
+        if (!updated) return Refund.findById(refund._id);
+
+        await this.applyRefundToBooking(updated.bookingId, updated.amount);
+
+        this.notifyPatient(updated);
+
+        return updated;
+    }
+
+    /**
+     * Add a completed refund to the booking's refunded total
+     */
+    async applyRefundToBooking(bookingId, amount) {
+        const booking = await Booking.findByIdAndUpdate(
+            bookingId,
+            { $inc: { refundedAmount: amount }, $set: { updatedAt: new Date() } },
+            { new: true }
+        );
+        if (!booking) return null;
+
+        booking.paymentStatus = booking.refundedAmount >= booking.paidAmount ? 'refunded' : 'partially_refunded';
+        await booking.save();
+        return booking;
+    }
+
+    async markFailed(refund, reason) {
+        refund.status = 'failed';
+        refund.failureReason = reason;
+        await refund.save();
+
+        this.notifyPatient(refund);
+
+        return refund;
+    }
+
+    /**
+     * Email and push the patient about the refund's current status (non-blocking)
+     */
+    notifyPatient(refund) {
+        (async () => {
+            const patient = await User.findById(refund.userId);
+            if (!patient) return;
+            const lab = await Lab.findById(refund.labId).select('name');
+            const labName = lab?.name || 'LabMate360';
+
+            if (patient.email) {
+                const result = await emailService.sendRefundUpdateEmail(
+                    patient.email, patient.firstName || 'Patient', labName, refund.bookingId, refund
+                );
+                if (!result.success) console.warn('Refund email failed:', result.error);
+            }
+
+            const pushBody = {
+                requested: `Your refund request of ₹${refund.amount} is awaiting approval.`,
+                processing: `Your refund of ₹${refund.amount} has been approved.`,
+                processed: `Your refund of ₹${refund.amount} has been completed.`,
+                rejected: 'Your refund request was declined.',
+                failed: 'Your refund could not be processed. Our team will contact you.'
+            }[refund.status];
+
+            if (pushBody) {
+                await pushService.notifyUser(patient, 'Refund Update', pushBody, '/user/dashboard/bookings');
+            }
+        })().catch(err => console.error('Refund notification failed:', err.message));
+    }
+}
+
+module.exports = new RefundService();
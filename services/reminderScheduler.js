@@ -2,6 +2,7 @@ const cron = require('node-cron');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
 const emailService = require('./emailService');
+const slotService = require('./slotService');
 
 class ReminderScheduler {
     start() {
@@ -38,8 +39,8 @@ class ReminderScheduler {
         const bookings = await Booking.find({
             status: { $in: ['pending', 'confirmed'] },
             appointmentDate: {
-                $gte: new Date(in23h.toISOString().split('T')[0]),
-                $lte: new Date(in24h.toISOString().split('T')[0] + 'T23:59:59.999Z')
+                $gte: new Date(slotService.zonedParts(in23h).dateKey),
+                $lte: new Date(slotService.zonedParts(in24h).dateKey + 'T23:59:59.999Z')
             },
             'remindersSent.reminder24h': { $ne: true },
             isActive: true
@@ -75,7 +76,7 @@ class ReminderScheduler {
 
     async send1hReminders() {
         const now = new Date();
-        const todayStr = now.toISOString().split('T')[0];
+        const todayStr = slotService.zonedParts(now).dateKey;
 
         // Find today's bookings that haven't received 1h reminder
         const bookings = await Booking.find({
@@ -91,12 +92,9 @@ class ReminderScheduler {
         for (const booking of bookings) {
             if (!booking.userId?.email || !booking.appointmentTime) continue;
 
-            // Parse appointment time (e.g., "09:30", "14:00")
-            const [hours, minutes] = booking.appointmentTime.split(':').map(Number);
-            if (isNaN(hours)) continue;
-
-            const apptTime = new Date(booking.appointmentDate);
-            apptTime.setHours(hours, minutes || 0, 0, 0);
+            // Appointment time (e.g., "09:30", "14:00") on the labs' clock
+            const apptTime = slotService.getAppointmentStart(booking.appointmentDate, booking.appointmentTime);
+            if (!apptTime) continue;
 
             const diff = apptTime.getTime() - now.getTime();
             const diffMinutes = diff / (1000 * 60);
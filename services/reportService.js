@@ -0,0 +1,383 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Booking = require('../models/Booking');
+const referenceRangeService = require('./referenceRangeService');
+const reportSignatureService = require('./reportSignatureService');
+
+const REPORTS_DIR = 'uploads/reports/';
+const UPLOADS_DIR = path.resolve('uploads');
+
+const COLORS = {
+    primary: '#153760',
+    muted: '#6b7280',
+    border: '#e5e7eb',
+    abnormal: '#b45309',
+    critical: '#dc2626'
+};
+
+const formatDateTime = (date) => date
+    ? new Date(date).toLocaleString('en-IN', { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : '-';
+
+const formatDate = (date) => date
+    ? new Date(date).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' })
+    : '-';
+
+const fullName = (user) => user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : '';
+
+class ReportService {
+    /**
+     * Load the lab logo as a buffer. Only logos uploaded to this server
+     * (uploads/) are used; remote URLs are never fetched while rendering. A
+     * logo that can't be loaded is left out rather than failing the report.
+     */
+    async loadLogo(image) {
+        if (!image || /^[a-z][a-z0-9+.-]*:/i.test(image)) return null;
+        try {
+            const localPath = path.resolve(image.replace(/^\//, ''));
+            if (!localPath.startsWith(UPLOADS_DIR + path.sep)) return null;
+            if (fs.existsSync(localPath)) return await fs.promises.readFile(localPath);
+        } catch (error) {
+            console.warn('Could not load lab logo for report:', error.message);
+        }
+        return null;
+    }
+
+    async loadBooking(bookingId) {
+        return Booking.findById(bookingId)
+            .populate('userId', 'firstName lastName email phone age gender dateOfBirth')
+            .populate('labId', 'name address contact image')
+            .populate('testResults.testId', 'name category')
+            .populate('testResults.verifiedBy', 'firstName lastName role')
+            .populate('samples.tests', 'name')
+            .populate('samples.packages', 'name')
+            .populate('publishedBy', 'firstName lastName');
+    }
+
+    /**
+     * Render the booking's verified results to a PDF, store it and record it
+     * on the booking. Returns the booking's new generatedReport entry.
+     */
+    async generateReport(bookingId, generatedBy = null) {
+        const booking = await this.loadBooking(bookingId);
+        if (!booking) throw new Error('Booking not found');
+
+        const logo = await this.loadLogo(booking.labId?.image);
+
+        // QR code linking to the public authenticity check
+        let verification = null;
+        if (booking.reportSignature?.code) {
+            const url = reportSignatureService.getVerifyUrl(booking.reportSignature.code);
+            verification = {
+                code: booking.reportSignature.code,
+                url,
+                qr: await QRCode.toBuffer(url, { margin: 1, width: 160 })
+            };
+        }
+
+        if (!fs.existsSync(REPORTS_DIR)) fs.mkdirSync(REPORTS_DIR, { recursive: true });
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const filePath = path.join(REPORTS_DIR, `lab-report-${booking._id}-${uniqueSuffix}.pdf`).replace(/\\/g, '/');
+
+        await this.renderToFile(booking, logo, filePath, verification);
+
+        const previous = booking.generatedReport?.file;
+        const generatedReport = { file: filePath, generatedAt: new Date(), generatedBy };
+        await Booking.updateOne(
+            { _id: booking._id },
+            { $set: { generatedReport, updatedAt: new Date() } }
+        );
+
+        // Only the latest rendering is kept, except files frozen with a superseded version
+        const frozen = (booking.resultVersions || []).some(v => v.reportFile === previous);
+        if (previous && previous !== filePath && !frozen && fs.existsSync(previous)) {
+            fs.unlink(previous, () => {});
+        }
+
+        return generatedReport;
+    }
+
+    renderToFile(booking, logo, filePath, verification = null) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+            const stream = fs.createWriteStream(filePath);
+            stream.on('finish', resolve);
+            stream.on('error', reject);
+            doc.on('error', reject);
+            doc.pipe(stream);
+
+            this.renderHeader(doc, booking.labId, logo);
+            this.renderPatient(doc, booking);
+            this.renderAmendment(doc, booking);
+            this.renderSamples(doc, booking.samples || []);
+            (booking.testResults || []).forEach(tr => this.renderTestResult(doc, tr));
+            if (verification) this.renderVerification(doc, verification);
+            this.renderFooter(doc, booking);
+
+            doc.end();
+        });
+    }
+
+    renderHeader(doc, lab, logo) {
+        const top = doc.y;
+        let textX = doc.page.margins.left;
+
+        if (logo) {
+            try {
+                doc.image(logo, textX, top, { fit: [60, 60] });
+                textX += 72;
+            } catch (error) {
+                // Unsupported image format; carry on without the logo
+            }
+        }
+
+        const address = lab?.address
+            ? [lab.address.street, lab.address.city, lab.address.state, lab.address.zipCode].filter(Boolean).join(', ')
+            : '';
+
+        doc.fillColor(COLORS.primary).font('Helvetica-Bold').fontSize(18)
+            .text(lab?.name || 'LabMate360', textX, top);
+        doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9);
+        if (address) doc.text(address, textX);
+        const contact = [lab?.contact?.phone, lab?.contact?.email].filter(Boolean).join('  |  ');
+        if (contact) doc.text(contact, textX);
+
+        doc.y = Math.max(doc.y, top + 64);
+        doc.moveDown(0.5);
+        this.rule(doc, COLORS.primary, 2);
+        doc.moveDown(0.5);
+        doc.fillColor(COLORS.primary).font('Helvetica-Bold').fontSize(14)
+            .text('LABORATORY REPORT', doc.page.margins.left, doc.y, { align: 'center', width: this.contentWidth(doc) });
+        doc.moveDown(0.8);
+    }
+
+    renderPatient(doc, booking) {
+        const patient = booking.userId || {};
+        const left = doc.page.margins.left;
+        const colWidth = this.contentWidth(doc) / 2;
+        const top = doc.y;
+
+        const age = patient.age ?? patient.calculatedAge;
+        const leftRows = [
+            ['Patient', fullName(patient) || '-'],
+            ['Age / Gender', `${age ?? '-'} / ${patient.gender || '-'}`],
+            ['Date of Birth', formatDate(patient.dateOfBirth)],
+            ['Phone', patient.phone || '-']
+        ];
+        const rightRows = [
+            ['Report ID', String(booking._id).slice(-8).toUpperCase()],
+            ['Appointment', `${formatDate(booking.appointmentDate)} ${booking.appointmentTime || ''}`.trim()],
+            ['Published', formatDateTime(booking.publishedAt || new Date())],
+            ['Published by', fullName(booking.publishedBy) || '-']
+        ];
+
+        const drawRows = (rows, x) => {
+            doc.y = top;
+            rows.forEach(([label, value]) => {
+                const y = doc.y;
+                doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text(label, x, y, { width: 80 });
+                doc.fillColor('#111827').font('Helvetica-Bold').fontSize(9).text(value, x + 82, y, { width: colWidth - 90 });
+                doc.moveDown(0.2);
+            });
+            return doc.y;
+        };
+
+        const bottom = Math.max(drawRows(leftRows, left), drawRows(rightRows, left + colWidth));
+        doc.y = bottom;
+        doc.x = left;
+        doc.moveDown(0.6);
+        this.rule(doc);
+        doc.moveDown(0.6);
+    }
+
+    /**
+     * Banner on corrected reports: which version this is and why the
+     * previous one was replaced
+     */
+    renderAmendment(doc, booking) {
+        const versions = booking.resultVersions || [];
+        if ((booking.resultVersion || 1) <= 1 || !versions.length) return;
+
+        const latest = versions[versions.length - 1];
+        const left = doc.page.margins.left;
+        const width = this.contentWidth(doc);
+        const text = `AMENDED REPORT - Version ${booking.resultVersion}. This report supersedes version ${latest.version} ` +
+            `issued ${formatDateTime(latest.publishedAt)}. Reason: ${latest.amendmentReason}`;
+
+        doc.font('Helvetica-Bold').fontSize(9);
+        const height = doc.heightOfString(text, { width: width - 16 }) + 12;
+        const top = doc.y;
+        doc.save().rect(left, top, width, height).fillAndStroke('#fffbeb', COLORS.abnormal).restore();
+        doc.fillColor(COLORS.abnormal).text(text, left + 8, top + 6, { width: width - 16 });
+        doc.y = top + height;
+        doc.x = left;
+        doc.moveDown(0.8);
+    }
+
+    renderSamples(doc, samples) {
+        if (!samples.length) return;
+
+        this.sectionTitle(doc, 'Samples');
+        this.table(doc, [
+            { header: 'Sample ID', width: 0.34 },
+            { header: 'Type', width: 0.14 },
+            { header: 'Collected', width: 0.22 },
+            { header: 'Tests', width: 0.30 }
+        ], samples.map(s => [
+            s.sampleId,
+            s.sampleType || '-',
+            formatDateTime(s.collectedAt),
+            [...(s.tests || []), ...(s.packages || [])].map(t => t?.name).filter(Boolean).join(', ') || '-'
+        ]));
+        doc.moveDown(0.8);
+    }
+
+    renderTestResult(doc, tr) {
+        if (doc.y > doc.page.height - 160) doc.addPage();
+
+        const testName = tr.testId?.name || 'Test';
+        this.sectionTitle(doc, testName);
+
+        const values = tr.values || [];
+        if (values.length > 0) {
+            const rows = values.map(v => {
+                const flag = v.flag || referenceRangeService.computeFlag(
+                    v.value, referenceRangeService.resolveRange({ referenceRange: v.referenceRange })
+                );
+                return {
+                    cells: [
+                        v.label || '-',
+                        v.value === undefined || v.value === null || v.value === '' ? '-' : String(v.value),
+                        v.unit || '',
+                        v.referenceRange || '',
+                        referenceRangeService.flagLabel(flag)
+                    ],
+                    color: referenceRangeService.isCritical(flag) ? COLORS.critical
+                        : referenceRangeService.isAbnormal(flag) ? COLORS.abnormal : null
+                };
+            });
+
+            this.table(doc, [
+                { header: 'Parameter', width: 0.30 },
+                { header: 'Result', width: 0.16 },
+                { header: 'Unit', width: 0.14 },
+                { header: 'Reference Range', width: 0.22 },
+                { header: 'Flag', width: 0.18 }
+            ], rows.map(r => r.cells), rows.map(r => r.color));
+        }
+
+        if (tr.findings) {
+            doc.moveDown(0.3);
+            doc.fillColor(COLORS.muted).font('Helvetica-Bold').fontSize(9).text('Findings', doc.page.margins.left);
+            doc.fillColor('#111827').font('Helvetica').fontSize(9)
+                .text(tr.findings, { width: this.contentWidth(doc) });
+        }
+        if (tr.resultFile && values.length === 0) {
+            doc.fillColor(COLORS.muted).font('Helvetica-Oblique').fontSize(8)
+                .text('Images are available with the online report.', doc.page.margins.left);
+        }
+
+        doc.moveDown(0.3);
+        const verifier = fullName(tr.verifiedBy);
+        doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8).text(
+            `Verified by ${verifier || '-'}${tr.verifiedBy?.role ? ` (${tr.verifiedBy.role.replace(/_/g, ' ')})` : ''} on ${formatDateTime(tr.verifiedAt)}`,
+            doc.page.margins.left
+        );
+        doc.moveDown(0.8);
+    }
+
+    renderVerification(doc, verification) {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 110) doc.addPage();
+
+        doc.moveDown(0.5);
+        this.rule(doc);
+        doc.moveDown(0.5);
+
+        const left = doc.page.margins.left;
+        const top = doc.y;
+        doc.image(verification.qr, left, top, { fit: [80, 80] });
+        doc.fillColor(COLORS.primary).font('Helvetica-Bold').fontSize(10)
+            .text('Verify this report', left + 92, top + 6);
+        doc.fillColor('#111827').font('Helvetica').fontSize(9)
+            .text(`Scan the QR code or visit ${verification.url}`, left + 92, doc.y + 2, { width: this.contentWidth(doc) - 92 });
+        doc.font('Helvetica-Bold').text(`Verification code: ${verification.code}`, left + 92, doc.y + 2);
+        doc.y = Math.max(doc.y, top + 84);
+        doc.x = left;
+    }
+
+    renderFooter(doc, booking) {
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            // Writing inside the bottom margin would otherwise start a new page
+            const margin = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0;
+            const bottom = doc.page.height - margin + 10;
+            doc.fillColor(COLORS.muted).font('Helvetica').fontSize(7).text(
+                `Electronically generated report - Report ID ${String(booking._id).slice(-8).toUpperCase()} - Page ${i - range.start + 1} of ${range.count}`,
+                doc.page.margins.left,
+                bottom,
+                { width: this.contentWidth(doc), align: 'center', lineBreak: false }
+            );
+            doc.page.margins.bottom = margin;
+        }
+    }
+
+    // ── Drawing helpers ──
+
+    contentWidth(doc) {
+        return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    }
+
+    rule(doc, color = COLORS.border, width = 1) {
+        doc.save()
+            .moveTo(doc.page.margins.left, doc.y)
+            .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+            .lineWidth(width)
+            .strokeColor(color)
+            .stroke()
+            .restore();
+    }
+
+    sectionTitle(doc, title) {
+        doc.fillColor(COLORS.primary).font('Helvetica-Bold').fontSize(11)
+            .text(title, doc.page.margins.left, doc.y);
+        doc.moveDown(0.3);
+    }
+
+    table(doc, columns, rows, rowColors = []) {
+        const left = doc.page.margins.left;
+        const width = this.contentWidth(doc);
+        const widths = columns.map(c => c.width * width);
+
+        const drawRow = (cells, { bold = false, color = '#111827', fill = null } = {}) => {
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+            const height = Math.max(...cells.map((c, i) => doc.heightOfString(String(c), { width: widths[i] - 8 }))) + 8;
+
+            if (doc.y + height > doc.page.height - doc.page.margins.bottom - 20) {
+                doc.addPage();
+            }
+
+            const y = doc.y;
+            if (fill) doc.save().rect(left, y, width, height).fill(fill).restore();
+
+            let x = left;
+            cells.forEach((cell, i) => {
+                doc.fillColor(color).text(String(cell), x + 4, y + 4, { width: widths[i] - 8 });
+                x += widths[i];
+            });
+
+            doc.y = y + height;
+            doc.save().moveTo(left, doc.y).lineTo(left + width, doc.y)
+                .lineWidth(0.5).strokeColor(COLORS.border).stroke().restore();
+        };
+
+        drawRow(columns.map(c => c.header), { bold: true, color: COLORS.primary, fill: '#f0f4fa' });
+        rows.forEach((cells, i) => drawRow(cells, { bold: !!rowColors[i], color: rowColors[i] || '#111827' }));
+        doc.x = left;
+    }
+}
+
+module.exports = new ReportService();
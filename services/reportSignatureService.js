@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+
+// Unambiguous characters for verification codes printed on reports
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+const idOf = (ref) => (ref?._id || ref || '').toString();
+const isoOf = (date) => (date ? new Date(date).toISOString() : null);
+
+class ReportSignatureService {
+    constructor() {
+        this.key = process.env.REPORT_SIGNING_KEY || process.env.JWT_SECRET;
+        this.algorithm = 'HMAC-SHA256';
+    }
+
+    generateCode() {
+        const bytes = crypto.randomBytes(CODE_LENGTH);
+        return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    }
+
+    /**
+     * The published content that the fingerprint covers: result values,
+     * who verified them and when, and who published the booking and when
+     */
+    canonicalPayload(booking) {
+        const results = (booking.testResults || [])
+            .map(tr => ({
+                testId: idOf(tr.testId),
+                values: (tr.values || []).map(v => ({
+                    label: v.label || '',
+                    value: v.value === undefined ? null : v.value,
+                    unit: v.unit || '',
+                    flag: v.flag || ''
+                })),
+                findings: tr.findings || '',
+                resultFile: tr.resultFile || null,
+                verifiedBy: idOf(tr.verifiedBy) || null,
+                verifiedAt: isoOf(tr.verifiedAt)
+            }))
+            .sort((a, b) => a.testId.localeCompare(b.testId));
+
+        return JSON.stringify({
+            bookingId: idOf(booking._id),
+            labId: idOf(booking.labId),
+            userId: idOf(booking.userId),
+            publishedBy: idOf(booking.publishedBy) || null,
+            publishedAt: isoOf(booking.publishedAt),
+            results,
+            // Uploaded whole-report file, when the booking was reported that way
+            ...(booking.reportFile && { reportFile: booking.reportFile })
+        });
+    }
+
+    hash(booking) {
+        return crypto.createHash('sha256').update(this.canonicalPayload(booking)).digest('hex');
+    }
+
+    computeSignature(code, hash, signedAt) {
+        return crypto.createHmac('sha256', this.key)
+            .update(`${code}|${hash}|${isoOf(signedAt)}`)
+            .digest('hex');
+    }
+
+    /**
+     * Fingerprint and sign the booking's published results. Keeps the
+     * existing verification code so printed QR codes stay valid. Caller saves.
+     */
+    sign(booking) {
+        const code = booking.reportSignature?.code || this.generateCode();
+        const hash = this.hash(booking);
+        const signedAt = new Date();
+
+        booking.reportSignature = {
+            code,
+            hash,
+            signature: this.computeSignature(code, hash, signedAt),
+            algorithm: this.algorithm,
+            signedAt
+        };
+        return booking.reportSignature;
+    }
+
+    /**
+     * Check a stored fingerprint: the signature must be ours and the current
+     * result data must still hash to the signed value
+     */
+    verify(booking) {
+        const sig = booking.reportSignature;
+        if (!sig?.code || !sig.hash || !sig.signature) {
+            return { signatureValid: false, unchanged: false };
+        }
+
+        const expected = this.computeSignature(sig.code, sig.hash, sig.signedAt);
+        const signatureValid = expected.length === sig.signature.length &&
+            crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(sig.signature));
+
+        return {
+            signatureValid,
+            unchanged: signatureValid && this.hash(booking) === sig.hash
+        };
+    }
+
+    getVerifyUrl(code) {
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+        return `${frontendUrl}/verify-report/${code}`;
+    }
+
+    async findByCode(code) {
+        return Booking.findOne({ 'reportSignature.code': String(code || '').toUpperCase() });
+    }
+}
+
+module.exports = new ReportSignatureService();
@@ -0,0 +1,128 @@
+const Test = require('../models/Test');
+const Package = require('../models/Package');
+const User = require('../models/User');
+const referenceRangeService = require('./referenceRangeService');
+const deltaCheckService = require('./deltaCheckService');
+const bookingStateMachine = require('./bookingStateMachine');
+
+const VALUE_TYPES = ['text', 'number', 'boolean'];
+
+// Booking statuses results can be entered in. result_published only via an amendment.
+const RESULT_ENTRY_STATUSES = ['confirmed', 'sample_collected', 'testing', 'partially_completed', 'results_entered', 'processing', 'result_published'];
+
+class ResultEntryService {
+    acceptsResults(status) {
+        return RESULT_ENTRY_STATUSES.includes(status);
+    }
+
+    /**
+     * Number of tests the booking expects results for (direct tests + tests inside packages)
+     */
+    async expectedTestCount(booking) {
+        let total = (booking.selectedTests || []).length;
+        if (booking.selectedPackages && booking.selectedPackages.length > 0) {
+            const packageIds = booking.selectedPackages.map(p => p.packageId?._id || p.packageId);
+            const packages = await Package.find({ _id: { $in: packageIds } }).select('selectedTests');
+            packages.forEach(pkg => {
+                total += (pkg.selectedTests || []).length;
+            });
+        }
+        return total;
+    }
+
+    /**
+     * Store entered values on the booking, flag them against the test's
+     * reference ranges, run delta checks against the patient's previous
+     * results and move the booking on to partially_completed /
+     * results_entered. Shared by manual entry, file uploads and analyzer
+     * imports. Caller saves.
+     *
+     * @param {Object} booking - Booking document
+     * @param {Array} testResults - [{ testId, values: [{ label, value, unit, ... }], analyzer?, resultFile?, findings? }]
+     * @param {Object} options - { by, role, analyzer, machineResultFile, reason, amendment }
+     * @returns {Promise<{ success: boolean, error?: string, deltaWarnings?: Array }>}
+     */
+    async enterValues(booking, testResults, {
+        by,
+        role,
+        analyzer = null,
+        machineResultFile = null,
+        reason = 'Results submitted',
+        amendment = false
+    } = {}) {
+        // Store results; replace or upsert per testId
+        const byTestId = new Map();
+        (booking.testResults || []).forEach(r => byTestId.set(r.testId.toString(), r));
+
+        // Test definitions and patient demographics drive the reference ranges and flags
+        const submittedTestIds = testResults.filter(tr => tr && tr.testId).map(tr => tr.testId);
+        const [tests, patient] = await Promise.all([
+            Test.find({ _id: { $in: submittedTestIds } }).select('resultFields'),
+            User.findById(booking.userId).select('age gender dateOfBirth')
+        ]);
+        const fieldsByTestId = new Map(tests.map(t => [t._id.toString(), t.resultFields || []]));
+        const demographics = {
+            age: patient?.age ?? patient?.calculatedAge ?? null,
+            gender: patient?.gender
+        };
+
+        const flagged = testResults
+            .filter(tr => tr && tr.testId && Array.isArray(tr.values))
+            .map(tr => ({
+                ...tr,
+                values: referenceRangeService.flagValues(tr.values.map(v => ({
+                    label: (v.label || '').trim(),
+                    value: v.value,
+                    unit: (v.unit || '').trim(),
+                    referenceRange: (v.referenceRange || '').trim(),
+                    type: VALUE_TYPES.includes(v.type) ? v.type : 'text',
+                    required: !!v.required
+                })), fieldsByTestId.get(tr.testId.toString()), demographics)
+            }));
+
+        const deltaFailures = await deltaCheckService.evaluate(booking, flagged, fieldsByTestId);
+
+        flagged.forEach(tr => {
+            const previous = byTestId.get(tr.testId.toString());
+            const deltaChecks = deltaFailures.get(tr.testId.toString()) || [];
+            byTestId.set(tr.testId.toString(), {
+                testId: tr.testId,
+                values: tr.values,
+                status: 'completed',
+                analyzer: analyzer || tr.analyzer || null,
+                // Raw analyzer output stays attached if the values are later corrected by hand
+                machineResultFile: machineResultFile || previous?.machineResultFile || null,
+                // Imaging results are a report file with the reader's findings
+                resultFile: tr.resultFile || null,
+                findings: tr.findings || '',
+                submittedBy: by,
+                submittedAt: new Date(),
+                deltaChecks,
+                secondReviewRequired: deltaChecks.length > 0,
+                // Keep earlier sign-off decisions (e.g. the rejection that prompted this resubmission)
+                reviews: (previous?.reviews || []).map(r => (r.toObject ? r.toObject() : r))
+            });
+        });
+
+        booking.testResults = Array.from(byTestId.values());
+
+        // Smart status: partially_completed vs results_entered (awaiting verification)
+        const totalExpectedTests = await this.expectedTestCount(booking);
+        const resultsCount = booking.testResults.length;
+        const nextStatus = resultsCount >= totalExpectedTests ? 'results_entered'
+            : resultsCount > 0 ? 'partially_completed' : null;
+        if (nextStatus) {
+            const transition = bookingStateMachine.transition(booking, nextStatus, { by, role, reason, amendment });
+            if (!transition.success) {
+                return { success: false, error: transition.error };
+            }
+        }
+        booking.updatedAt = new Date();
+
+        const deltaWarnings = flagged.flatMap(tr =>
+            (deltaFailures.get(tr.testId.toString()) || []).map(failure => ({ testId: tr.testId, ...failure })));
+        return { success: true, deltaWarnings };
+    }
+}
+
+module.exports = new ResultEntryService();
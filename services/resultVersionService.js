@@ -0,0 +1,183 @@
+const User = require('../models/User');
+const Lab = require('../models/Lab');
+const emailService = require('./emailService');
+const pushService = require('./pushService');
+
+const idOf = (ref) => (ref?._id || ref || '').toString();
+
+const valueKey = (v) => (v.label || '').trim().toLowerCase();
+
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+class ResultVersionService {
+    /**
+     * Copy of the published results as plain data, detached from the live document
+     */
+    snapshotResults(booking) {
+        return (booking.testResults || []).map(tr => {
+            const plain = typeof tr.toObject === 'function' ? tr.toObject() : { ...tr };
+            return JSON.parse(JSON.stringify({ ...plain, testId: idOf(plain.testId) }));
+        });
+    }
+
+    /**
+     * Freeze the currently published version and reopen the booking for
+     * corrected results. Caller applies the new results, the status change
+     * (with { amendment: true }) and saves.
+     */
+    beginAmendment(booking, { reason, by }) {
+        if (booking.status !== 'result_published') {
+            return { success: false, error: 'Only published results can be amended' };
+        }
+        if (!reason || !String(reason).trim()) {
+            return { success: false, error: 'A reason is required to amend published results' };
+        }
+
+        booking.resultVersions.push({
+            version: booking.resultVersion || 1,
+            testResults: this.snapshotResults(booking),
+            publishedAt: booking.publishedAt,
+            publishedBy: booking.publishedBy,
+            reportFile: booking.generatedReport?.file || null,
+            reportHash: booking.reportSignature?.hash || null,
+            reportSignature: booking.reportSignature?.signature || null,
+            amendmentReason: String(reason).trim(),
+            supersededBy: by,
+            supersededAt: new Date()
+        });
+
+        booking.amendment = {
+            inProgress: true,
+            reason: String(reason).trim(),
+            requestedBy: by,
+            requestedAt: new Date()
+        };
+
+        return { success: true };
+    }
+
+    /**
+     * Called when the amended results are published again
+     */
+    completeAmendment(booking) {
+        if (!booking.amendment?.inProgress) return false;
+        booking.resultVersion = (booking.resultVersion || 1) + 1;
+        booking.amendment.inProgress = false;
+        return true;
+    }
+
+    /**
+     * Field-level differences between two sets of test results
+     */
+    diff(before = [], after = []) {
+        const changes = [];
+        const beforeByTest = new Map(before.map(tr => [idOf(tr.testId), tr]));
+        const afterByTest = new Map(after.map(tr => [idOf(tr.testId), tr]));
+        const testIds = new Set([...beforeByTest.keys(), ...afterByTest.keys()]);
+
+        testIds.forEach(testId => {
+            const a = beforeByTest.get(testId);
+            const b = afterByTest.get(testId);
+
+            if (!a || !b) {
+                changes.push({ testId, change: a ? 'test_removed' : 'test_added' });
+                return;
+            }
+
+            const aValues = new Map((a.values || []).map(v => [valueKey(v), v]));
+            const bValues = new Map((b.values || []).map(v => [valueKey(v), v]));
+            new Set([...aValues.keys(), ...bValues.keys()]).forEach(key => {
+                const va = aValues.get(key);
+                const vb = bValues.get(key);
+                const snapshot = (v) => v ? { value: v.value, unit: v.unit || '', flag: v.flag || '' } : null;
+
+                if (!va || !vb || !sameValue(va.value, vb.value) || (va.unit || '') !== (vb.unit || '')) {
+                    changes.push({
+                        testId,
+                        label: (vb || va).label,
+                        change: !va ? 'value_added' : !vb ? 'value_removed' : 'value_changed',
+                        before: snapshot(va),
+                        after: snapshot(vb)
+                    });
+                }
+            });
+
+            if ((a.findings || '') !== (b.findings || '')) {
+                changes.push({ testId, change: 'findings_changed', before: a.findings || '', after: b.findings || '' });
+            }
+            if ((a.resultFile || null) !== (b.resultFile || null)) {
+                changes.push({ testId, change: 'file_replaced', before: a.resultFile || null, after: b.resultFile || null });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Version history with the diff introduced by each amendment. The
+     * unpublished working copy of an amendment in progress is only included
+     * when includePending is set (lab staff).
+     */
+    history(booking, { includePending = false } = {}) {
+        const versions = (booking.resultVersions || []).map(v => (typeof v.toObject === 'function' ? v.toObject() : v));
+        const current = {
+            version: booking.resultVersion || 1,
+            testResults: this.snapshotResults(booking),
+            publishedAt: booking.amendment?.inProgress ? null : booking.publishedAt,
+            publishedBy: booking.amendment?.inProgress ? null : booking.publishedBy,
+            pending: !!booking.amendment?.inProgress
+        };
+
+        const amendments = versions.map((v, i) => {
+            const next = versions[i + 1] || current;
+            if (next.pending && !includePending) return null;
+            return {
+                fromVersion: v.version,
+                toVersion: next.version === v.version ? v.version + 1 : next.version,
+                reason: v.amendmentReason,
+                amendedBy: v.supersededBy,
+                amendedAt: v.supersededAt,
+                pending: !!next.pending,
+                changes: this.diff(v.testResults, next.testResults)
+            };
+        }).filter(Boolean);
+
+        return {
+            currentVersion: current.version,
+            amendmentInProgress: current.pending,
+            versions,
+            current: current.pending && !includePending ? null : current,
+            amendments
+        };
+    }
+
+    /**
+     * Tell the patient a corrected report was issued (non-blocking)
+     */
+    notifyPatient(booking) {
+        (async () => {
+            const patient = await User.findById(idOf(booking.userId));
+            if (!patient) return;
+            const lab = await Lab.findById(idOf(booking.labId)).select('name');
+            const labName = lab?.name || 'LabMate360';
+            const previous = (booking.resultVersions || [])[booking.resultVersions.length - 1];
+
+            if (patient.email) {
+                const result = await emailService.sendCorrectedReportEmail(
+                    patient.email, patient.firstName || 'Patient', labName, booking._id,
+                    booking.resultVersion, previous?.amendmentReason || ''
+                );
+                if (!result.success) console.warn('Corrected report email failed:', result.error);
+            }
+
+            await pushService.notifyUser(
+                patient,
+                'Corrected Report Issued',
+                `${labName} has issued a corrected version of your lab report.`,
+                '/user/dashboard/download-reports'
+            );
+        })().catch(err => console.error('Corrected report notification failed:', err.message));
+    }
+}
+
+module.exports = new ResultVersionService();
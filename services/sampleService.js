@@ -0,0 +1,376 @@
+const { v4: uuidv4 } = require('uuid');
+const Booking = require('../models/Booking');
+const Lab = require('../models/Lab');
+const Package = require('../models/Package');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const pushService = require('./pushService');
+const emailService = require('./emailService');
+
+// Per-sample lifecycle: from -> allowed next statuses. Re-assigning moves a
+// sample to another bench/analyzer; a stored sample can be retrieved for a
+// repeat run and stored again. 'processing', 'partially_completed' and
+// 'verified' are what samples were created/finished with before statuses were
+// tracked; the first two behave like 'collected', 'verified' like 'completed'.
+const TRANSITIONS = {
+    collected: ['received', 'rejected'],
+    processing: ['received', 'rejected'],
+    partially_completed: ['received', 'rejected'],
+    received: ['assigned', 'in_process', 'rejected'],
+    assigned: ['assigned', 'in_process', 'rejected'],
+    in_process: ['completed', 'rejected'],
+    completed: ['stored', 'disposed'],
+    verified: ['stored', 'disposed'],
+    stored: ['retrieved', 'disposed'],
+    retrieved: ['in_process', 'stored', 'disposed'],
+    rejected: [],
+    disposed: []
+};
+
+// Samples still moving through the lab
+const ACTIVE_STATUSES = ['collected', 'processing', 'partially_completed', 'received', 'assigned', 'in_process', 'retrieved'];
+
+// Samples nobody is holding: in storage or gone
+const UNHELD_STATUSES = ['stored', 'disposed'];
+
+const REJECTION_REASONS = {
+    hemolyzed: 'Hemolyzed',
+    clotted: 'Clotted',
+    insufficient_quantity: 'Insufficient quantity',
+    mislabeled: 'Mislabeled'
+};
+
+// Test results still waiting on the bench
+const PENDING_RESULT_STATUSES = ['pending', 'testing'];
+
+const idOf = (ref) => (ref?._id || ref || '').toString();
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Free text from a request body: '' when missing, null when it isn't text
+const textOf = (value) => {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : null;
+};
+
+// AuditLog action recorded for each status
+const AUDIT_ACTIONS = {
+    received: 'sample_received',
+    assigned: 'sample_assigned',
+    in_process: 'sample_in_process',
+    completed: 'sample_completed',
+    rejected: 'sample_rejected',
+    stored: 'sample_stored',
+    retrieved: 'sample_retrieved',
+    disposed: 'sample_disposed'
+};
+
+class SampleService {
+    constructor() {
+        this.transitions = TRANSITIONS;
+        this.activeStatuses = ACTIVE_STATUSES;
+        this.rejectionReasons = REJECTION_REASONS;
+    }
+
+    auditAction(status) {
+        return AUDIT_ACTIONS[status] || 'status_update';
+    }
+
+    /**
+     * Sample ID printed on the barcode, e.g. SMP-1A2B3C4D-5678-1
+     */
+    generateSampleId(prefix, index) {
+        const shortId = uuidv4().split('-')[0].toUpperCase();
+        return `${prefix}-${shortId}-${Date.now().toString().slice(-4)}-${index}`;
+    }
+
+    /**
+     * Booking and sample for a sample ID within a lab, or null
+     */
+    async findInLab(labId, sampleId) {
+        const booking = await Booking.findOne({ labId, 'samples.sampleId': sampleId });
+        const sample = booking?.samples.find(s => s.sampleId === sampleId);
+        return sample ? { booking, sample } : null;
+    }
+
+    /**
+     * Who is physically holding the sample now (null while it's in storage)
+     */
+    custodianOf(sample) {
+        const last = (sample.custody || []).at(-1);
+        if (last) return last.to || null;
+        return sample.receivedBy || sample.collectedBy || null;
+    }
+
+    /**
+     * Append a chain-of-custody entry (caller saves the booking)
+     */
+    recordCustody(sample, { action, from = null, to = null, location = '', by = null, note = '' }) {
+        sample.custody = sample.custody || [];
+        sample.custody.push({ action, from, to, location, recordedBy: by, note: (note || '').trim(), at: new Date() });
+    }
+
+    /**
+     * What a bench technician needs after scanning a tube: the patient, the
+     * tests drawn into it (with the package they came from) and their result
+     * fields, and which results haven't been entered or finished yet.
+     * Returns null when the sample isn't in the lab.
+     */
+    async scan(labId, sampleId) {
+        const booking = await Booking.findOne({ labId, 'samples.sampleId': sampleId })
+            .select('userId labId status appointmentDate appointmentTime selectedTests samples testResults')
+            .populate('userId', 'firstName lastName age gender dateOfBirth phone');
+        const sample = booking?.samples.find(s => s.sampleId === sampleId);
+        if (!sample) return null;
+
+        const packages = await Package.find({ _id: { $in: sample.packages || [] } }).select('name selectedTests');
+        // Tubes list the package tests drawn into them; older package samples only name the package
+        const testIds = new Set((sample.tests || []).map(idOf));
+        if (!testIds.size) packages.forEach(p => (p.selectedTests || []).forEach(t => testIds.add(idOf(t))));
+
+        const tests = await Test.find({ _id: { $in: [...testIds] } })
+            .select('name category specimenType container loincCode resultFields');
+        const directIds = new Set((booking.selectedTests || []).map(t => idOf(t.testId)));
+
+        const scanned = tests.map(test => {
+            const id = idOf(test);
+            const result = (booking.testResults || []).find(tr => idOf(tr.testId) === id);
+            const entered = new Set((result?.values || [])
+                .filter(v => !isBlank(v.value))
+                .map(v => String(v.label || '').trim().toLowerCase()));
+            const status = result?.status || 'pending';
+
+            return {
+                _id: test._id,
+                name: test.name,
+                category: test.category,
+                specimenType: test.specimenType,
+                container: test.container,
+                loincCode: test.loincCode,
+                resultFields: test.resultFields,
+                direct: directIds.has(id),
+                packages: packages
+                    .filter(p => (p.selectedTests || []).some(t => idOf(t) === id))
+                    .map(p => ({ _id: p._id, name: p.name })),
+                resultStatus: status,
+                pending: PENDING_RESULT_STATUSES.includes(status),
+                pendingFields: (test.resultFields || [])
+                    .filter(f => !entered.has(String(f.label || '').trim().toLowerCase()))
+                    .map(f => f.label)
+            };
+        });
+
+        const patient = booking.userId;
+        return {
+            booking: {
+                _id: booking._id,
+                status: booking.status,
+                appointmentDate: booking.appointmentDate,
+                appointmentTime: booking.appointmentTime
+            },
+            patient: patient
+                ? {
+                    _id: patient._id,
+                    firstName: patient.firstName,
+                    lastName: patient.lastName,
+                    age: patient.age ?? patient.calculatedAge ?? null,
+                    gender: patient.gender,
+                    phone: patient.phone
+                }
+                : null,
+            sample,
+            tests: scanned,
+            pendingTests: scanned.filter(t => t.pending).map(t => ({ _id: t._id, name: t.name, resultStatus: t.resultStatus }))
+        };
+    }
+
+    /**
+     * Whether a sample can move to a status, without changing it
+     *
+     * @returns {{ success: boolean, error?: string }}
+     */
+    canTransition(sample, to) {
+        const allowed = TRANSITIONS[sample.status] || [];
+        if (!allowed.includes(to)) {
+            return {
+                success: false,
+                error: `Cannot change sample ${sample.sampleId} from ${sample.status} to ${to}` +
+                    (allowed.length ? `. Allowed: ${allowed.join(', ')}` : '')
+            };
+        }
+        return { success: true };
+    }
+
+    /**
+     * Apply a status change to a sample (caller saves the booking)
+     *
+     * @returns {{ success: boolean, error?: string }}
+     */
+    transition(sample, to, { by = null, reason = '' } = {}) {
+        const check = this.canTransition(sample, to);
+        if (!check.success) return check;
+
+        const from = sample.status;
+        sample.status = to;
+        sample.statusHistory = sample.statusHistory || [];
+        sample.statusHistory.push({ from, to, by, reason, at: new Date() });
+        return { success: true };
+    }
+
+    receive(sample, { by }) {
+        const result = this.transition(sample, 'received', { by, reason: 'Received in lab' });
+        if (!result.success) return result;
+        this.recordCustody(sample, { action: 'received', from: this.custodianOf(sample), to: by, by });
+        sample.receivedAt = new Date();
+        sample.receivedBy = by;
+        return result;
+    }
+
+    assign(sample, { bench, analyzer, by }) {
+        bench = textOf(bench);
+        analyzer = textOf(analyzer);
+        if (bench === null || analyzer === null) {
+            return { success: false, error: 'Bench and analyzer must be text' };
+        }
+        if (!bench && !analyzer) {
+            return { success: false, error: 'A bench or analyzer is required' };
+        }
+
+        const result = this.transition(sample, 'assigned', {
+            by,
+            reason: `Assigned to ${[bench, analyzer].filter(Boolean).join(' / ')}`
+        });
+        if (!result.success) return result;
+        sample.bench = bench;
+        sample.analyzer = analyzer;
+        return result;
+    }
+
+    start(sample, { by }) {
+        const result = this.transition(sample, 'in_process', { by, reason: 'Testing started' });
+        if (!result.success) return result;
+        sample.startedAt = new Date();
+        return result;
+    }
+
+    complete(sample, { by }) {
+        const result = this.transition(sample, 'completed', { by, reason: 'Testing completed' });
+        if (!result.success) return result;
+        sample.completedAt = new Date();
+        return result;
+    }
+
+    /**
+     * Hand a sample to another member of staff (caller checks they work in
+     * the sample's lab and saves the booking)
+     */
+    handoff(sample, { to, by, note = '' }) {
+        if (!to) {
+            return { success: false, error: 'The person receiving the sample is required' };
+        }
+        if (UNHELD_STATUSES.includes(sample.status) || sample.status === 'rejected') {
+            return { success: false, error: `Sample ${sample.sampleId} is ${sample.status} and can't be handed over` };
+        }
+
+        const from = this.custodianOf(sample);
+        if (from && from.toString() === to.toString()) {
+            return { success: false, error: 'Sample is already with this person' };
+        }
+        this.recordCustody(sample, { action: 'handoff', from, to, by, note });
+        return { success: true };
+    }
+
+    reject(sample, { reason, comment = '', by }) {
+        if (typeof reason !== 'string' || !Object.hasOwn(REJECTION_REASONS, reason)) {
+            return { success: false, error: `Rejection reason must be one of: ${Object.keys(REJECTION_REASONS).join(', ')}` };
+        }
+        comment = textOf(comment);
+        if (comment === null) {
+            return { success: false, error: 'Comment must be text' };
+        }
+
+        const text = comment ? `${REJECTION_REASONS[reason]}: ${comment}` : REJECTION_REASONS[reason];
+        const result = this.transition(sample, 'rejected', { by, reason: text });
+        if (!result.success) return result;
+        sample.rejection = {
+            reason,
+            comment,
+            rejectedBy: by,
+            rejectedAt: new Date(),
+            // The patient is asked to come back (requestRecollection) as soon as it's saved
+            recollectionRequestedAt: new Date()
+        };
+        return result;
+    }
+
+    /**
+     * Add a replacement for a rejected sample, drawn into the same container for
+     * the same tests and packages (caller saves the booking). Returns the new sample.
+     */
+    recollect(booking, sample, { by }) {
+        if (sample.status !== 'rejected') {
+            return { success: false, error: 'Only rejected samples can be recollected' };
+        }
+        if (sample.replacedBy) {
+            return { success: false, error: `Sample was already recollected as ${sample.replacedBy}` };
+        }
+
+        const [prefix] = sample.sampleId.split('-');
+        const replacement = {
+            sampleId: this.generateSampleId(prefix, sample.sampleId.split('-').pop()),
+            tests: [...(sample.tests || [])],
+            packages: [...(sample.packages || [])],
+            status: 'collected',
+            sampleType: sample.sampleType,
+            container: sample.container || '',
+            volumeMl: sample.volumeMl ?? null,
+            collectedAt: new Date(),
+            collectedBy: by,
+            replaces: sample.sampleId,
+            custody: [{ action: 'collected', to: by, recordedBy: by, at: new Date() }],
+            statusHistory: [{ from: null, to: 'collected', by, reason: `Recollected for ${sample.sampleId}`, at: new Date() }]
+        };
+
+        booking.samples.push(replacement);
+        sample.replacedBy = replacement.sampleId;
+        return { success: true, sample: booking.samples[booking.samples.length - 1] };
+    }
+
+    /**
+     * Tell the patient a new sample is needed (push, email and in-app).
+     * Failures are logged, never thrown.
+     */
+    async requestRecollection(booking, sample, io = null) {
+        const reason = REJECTION_REASONS[sample.rejection.reason] || '';
+
+        try {
+            const [patient, lab] = await Promise.all([
+                User.findById(booking.userId),
+                Lab.findById(booking.labId).select('name')
+            ]);
+            if (!patient) return;
+
+            if (io) {
+                io.to(`user-${patient._id}`).emit('sample-recollection', {
+                    bookingId: booking._id,
+                    sampleId: sample.sampleId,
+                    sampleType: sample.sampleType,
+                    reason
+                });
+            }
+
+            await pushService.notifyUser(
+                patient,
+                'New Sample Needed',
+                `${lab?.name || 'The lab'} could not test your ${(sample.sampleType || 'sample').toLowerCase()} sample (${reason.toLowerCase()}). Please visit the lab for a new collection.`,
+                '/user/dashboard'
+            );
+            if (patient.email) {
+                await emailService.sendRecollectionEmail(patient.email, patient.firstName, lab?.name, booking._id, sample.sampleType, reason);
+            }
+        } catch (error) {
+            console.error('Failed to request sample recollection:', error.message);
+        }
+    }
+}
+
+module.exports = new SampleService();
@@ -0,0 +1,357 @@
+const cron = require('node-cron');
+const Booking = require('../models/Booking');
+const Lab = require('../models/Lab');
+const StoragePosition = require('../models/StoragePosition');
+const User = require('../models/User');
+const pushService = require('./pushService');
+const sampleService = require('./sampleService');
+const specimenService = require('./specimenService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A position claim younger than this is never treated as stale: the booking
+// that claimed it may still be saving
+const CLAIM_GRACE_MS = 60 * 1000;
+
+// Used for labs that haven't set retention rules
+const DEFAULT_RETENTION = {
+    defaultDays: 7,
+    rules: []
+};
+
+const idOf = (ref) => (ref?._id || ref || '').toString();
+
+const positiveInteger = (value) => {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+class SampleStorageService {
+    constructor() {
+        this.io = null;
+        this.schedule = process.env.SAMPLE_DISPOSAL_CRON || '0 6 * * *';
+    }
+
+    start(io) {
+        this.io = io;
+        console.log('🧊 Sample disposal list scheduled');
+
+        cron.schedule(this.schedule, async () => {
+            try {
+                await this.notifyDisposalsDue();
+            } catch (error) {
+                console.error('Sample disposal scheduler error:', error);
+            }
+        });
+    }
+
+    /**
+     * The lab's retention rules with defaults filled in
+     */
+    getRetention(lab) {
+        const retention = lab?.sampleRetention || {};
+        return {
+            defaultDays: retention.defaultDays || DEFAULT_RETENTION.defaultDays,
+            rules: (retention.rules || []).map(r => ({ specimenType: r.specimenType, days: r.days }))
+        };
+    }
+
+    /**
+     * Validate a retention update from a local admin. rules replaces the
+     * existing list. Returns { retention } or { error }.
+     */
+    normalizeRetention(input = {}, current = DEFAULT_RETENTION) {
+        const retention = { defaultDays: current.defaultDays, rules: [...current.rules] };
+
+        if (input.defaultDays !== undefined) {
+            const days = positiveInteger(input.defaultDays);
+            if (!days) return { error: 'defaultDays must be a whole number of days greater than 0' };
+            retention.defaultDays = days;
+        }
+
+        if (input.rules !== undefined) {
+            if (!Array.isArray(input.rules)) {
+                return { error: 'rules must be an array' };
+            }
+            const rules = [];
+            for (const rule of input.rules) {
+                if (!specimenService.specimenTypes.includes(rule?.specimenType)) {
+                    return { error: `Specimen type must be one of: ${specimenService.specimenTypes.join(', ')}` };
+                }
+                if (rules.some(r => r.specimenType === rule.specimenType)) {
+                    return { error: `More than one rule for ${rule.specimenType}` };
+                }
+                const days = positiveInteger(rule.days);
+                if (!days) return { error: `Retention for ${rule.specimenType} must be a whole number of days greater than 0` };
+                rules.push({ specimenType: rule.specimenType, days });
+            }
+            retention.rules = rules;
+        }
+
+        return { retention };
+    }
+
+    /**
+     * Days a sample of this specimen type is kept after it's first stored
+     */
+    retentionDays(retention, specimenType) {
+        const rule = retention.rules.find(r => r.specimenType === specimenType);
+        return rule ? rule.days : retention.defaultDays;
+    }
+
+    locationLabel(location, position = null) {
+        return [location.fridge, location.rack, position].filter(part => part !== null && part !== undefined && part !== '').join(' / ');
+    }
+
+    /**
+     * Occupied positions in a storage location: position -> { bookingId, sampleId }
+     */
+    async occupiedPositions(locationId) {
+        const bookings = await Booking.find({
+            samples: { $elemMatch: { status: 'stored', 'storage.locationId': locationId } }
+        }).select('samples.sampleId samples.status samples.storage');
+
+        const occupied = new Map();
+        bookings.forEach(b => b.samples.forEach(s => {
+            if (s.status === 'stored' && idOf(s.storage?.locationId) === idOf(locationId)) {
+                occupied.set(s.storage.position, { bookingId: b._id, sampleId: s.sampleId });
+            }
+        }));
+        return occupied;
+    }
+
+    /**
+     * Whether a position claim is still backed by a sample stored there
+     */
+    async claimHeld(claim) {
+        if (Date.now() - claim.claimedAt < CLAIM_GRACE_MS) return true;
+        return !!(await Booking.exists({
+            _id: claim.bookingId,
+            samples: {
+                $elemMatch: {
+                    sampleId: claim.sampleId,
+                    status: 'stored',
+                    'storage.locationId': claim.locationId,
+                    'storage.position': claim.position
+                }
+            }
+        }));
+    }
+
+    /**
+     * Atomically claim a rack position for a sample. A claim left behind by a
+     * sample that has since been retrieved or disposed (or whose save never
+     * went through) is taken over. Returns false if the position is taken.
+     */
+    async claimPosition(location, position, booking, sample) {
+        const holder = { bookingId: booking._id, sampleId: sample.sampleId, claimedAt: new Date() };
+        try {
+            await StoragePosition.create({ locationId: location._id, position, ...holder });
+            return true;
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+
+        const claim = await StoragePosition.findOne({ locationId: location._id, position });
+        if (!claim) return false;
+        const own = claim.sampleId === sample.sampleId && idOf(claim.bookingId) === idOf(booking._id);
+        if (!own && await this.claimHeld(claim)) return false;
+
+        const taken = await StoragePosition.findOneAndUpdate(
+            { _id: claim._id, sampleId: claim.sampleId, claimedAt: claim.claimedAt },
+            { $set: holder }
+        );
+        return !!taken;
+    }
+
+    /**
+     * Check a tested sample into a rack position (the first free one when
+     * no position is given). Retention runs from the first check-in, so a
+     * sample put back after a repeat run keeps its original disposal date.
+     * Caller saves the booking.
+     */
+    async checkIn(booking, sample, { location, position, by }) {
+        if (!location || !location.isActive || idOf(location.labId) !== idOf(booking.labId)) {
+            return { success: false, error: 'Storage location not found' };
+        }
+        const allowed = sampleService.canTransition(sample, 'stored');
+        if (!allowed.success) return allowed;
+
+        const occupied = await this.occupiedPositions(location._id);
+        if (position === undefined || position === null || position === '') {
+            position = null;
+            for (let p = 1; p <= location.positions && !position; p++) {
+                if (!occupied.has(p) && await this.claimPosition(location, p, booking, sample)) position = p;
+            }
+            if (!position) {
+                return { success: false, error: `${this.locationLabel(location)} is full` };
+            }
+        } else {
+            position = positiveInteger(position);
+            if (!position || position > location.positions) {
+                return { success: false, error: `Position must be between 1 and ${location.positions}` };
+            }
+            if (occupied.has(position)) {
+                return { success: false, error: `${this.locationLabel(location, position)} already holds ${occupied.get(position).sampleId}` };
+            }
+            if (!await this.claimPosition(location, position, booking, sample)) {
+                return { success: false, error: `${this.locationLabel(location, position)} was just taken by another sample` };
+            }
+        }
+
+        const label = this.locationLabel(location, position);
+        const from = sampleService.custodianOf(sample);
+        const result = sampleService.transition(sample, 'stored', { by, reason: `Stored at ${label}` });
+        if (!result.success) return result;
+
+        let retainUntil = sample.storage?.retainUntil;
+        if (!retainUntil) {
+            const lab = await Lab.findById(booking.labId).select('sampleRetention');
+            const days = this.retentionDays(this.getRetention(lab), sample.sampleType);
+            retainUntil = new Date(Date.now() + days * DAY_MS);
+        }
+
+        sample.storage.locationId = location._id;
+        sample.storage.position = position;
+        sample.storage.storedAt = new Date();
+        sample.storage.storedBy = by;
+        sample.storage.retainUntil = retainUntil;
+        sampleService.recordCustody(sample, { action: 'stored', from, location: label, by });
+        return { success: true, location: label };
+    }
+
+    /**
+     * Where a stored sample was last put, from its custody trail
+     */
+    lastLocation(sample) {
+        const stored = [...(sample.custody || [])].reverse().find(c => c.action === 'stored');
+        return stored?.location || '';
+    }
+
+    /**
+     * Take a stored sample out for a repeat run (caller saves the booking)
+     */
+    retrieve(sample, { reason, by }) {
+        reason = typeof reason === 'string' ? reason.trim() : '';
+        if (!reason) {
+            return { success: false, error: 'A reason for retrieving the sample is required' };
+        }
+
+        const location = this.lastLocation(sample);
+        const result = sampleService.transition(sample, 'retrieved', { by, reason });
+        if (!result.success) return result;
+
+        sample.storage.locationId = null;
+        sample.storage.position = null;
+        sample.storage.retrievedAt = new Date();
+        sample.storage.retrievedBy = by;
+        sample.storage.retrievalReason = reason;
+        sampleService.recordCustody(sample, { action: 'retrieved', to: by, location, by, note: reason });
+        return result;
+    }
+
+    /**
+     * Discard a sample (caller saves the booking)
+     */
+    dispose(sample, { note = '', by }) {
+        if (typeof note !== 'string') {
+            return { success: false, error: 'Note must be text' };
+        }
+        note = note.trim();
+        const wasStored = sample.status === 'stored';
+        const from = sampleService.custodianOf(sample);
+        const result = sampleService.transition(sample, 'disposed', { by, reason: note || 'Disposed' });
+        if (!result.success) return result;
+
+        sample.storage.locationId = null;
+        sample.storage.position = null;
+        sample.storage.disposedAt = new Date();
+        sample.storage.disposedBy = by;
+        sampleService.recordCustody(sample, {
+            action: 'disposed',
+            from,
+            location: wasStored ? this.lastLocation(sample) : '',
+            by,
+            note
+        });
+        return result;
+    }
+
+    /**
+     * Stored samples whose retention has run out by asOf, ordered fridge by
+     * fridge, rack by rack, so they can be cleared in one walk
+     *
+     * @param {ObjectId|null} labId - One lab, or every lab when null
+     */
+    async disposalList(labId = null, asOf = new Date()) {
+        const bookings = await Booking.find({
+            ...(labId ? { labId } : {}),
+            samples: { $elemMatch: { status: 'stored', 'storage.retainUntil': { $lte: asOf } } }
+        })
+            .select('userId labId samples')
+            .populate('userId', 'firstName lastName')
+            .populate('samples.storage.locationId', 'fridge rack');
+
+        const due = [];
+        bookings.forEach(booking => booking.samples.forEach(sample => {
+            if (sample.status !== 'stored' || !sample.storage?.retainUntil || sample.storage.retainUntil > asOf) return;
+            const location = sample.storage.locationId;
+            due.push({
+                labId: booking.labId,
+                bookingId: booking._id,
+                sampleId: sample.sampleId,
+                sampleType: sample.sampleType,
+                patientName: booking.userId ? `${booking.userId.firstName} ${booking.userId.lastName}` : 'Unknown',
+                fridge: location?.fridge || '',
+                rack: location?.rack || '',
+                position: sample.storage.position,
+                location: location ? this.locationLabel(location, sample.storage.position) : '',
+                storedAt: sample.storage.storedAt,
+                retainUntil: sample.storage.retainUntil,
+                overdueDays: Math.floor((asOf - sample.storage.retainUntil) / DAY_MS)
+            });
+        }));
+
+        return due.sort((a, b) =>
+            a.fridge.localeCompare(b.fridge) || a.rack.localeCompare(b.rack) || (a.position || 0) - (b.position || 0)
+        );
+    }
+
+    /**
+     * Send each lab's admins the day's disposal list
+     */
+    async notifyDisposalsDue(now = new Date()) {
+        const due = await this.disposalList(null, now);
+
+        const byLab = new Map();
+        due.forEach(item => {
+            const id = idOf(item.labId);
+            if (!byLab.has(id)) byLab.set(id, []);
+            byLab.get(id).push(item);
+        });
+
+        for (const [labId, samples] of byLab) {
+            if (this.io) {
+                this.io.to(`lab-admins-${labId}`).emit('sample-disposal-due', { count: samples.length, samples });
+            }
+
+            const admins = await User.find({ role: 'local_admin', assignedLab: labId, isActive: true })
+                .select('pushSubscription');
+            for (const admin of admins) {
+                await pushService.notifyUser(
+                    admin,
+                    'Samples Due for Disposal',
+                    `${samples.length} stored sample(s) have passed their retention period.`,
+                    '/staff/sample-storage'
+                );
+            }
+        }
+
+        if (due.length > 0) {
+            console.log(`🧊 ${due.length} stored sample(s) due for disposal across ${byLab.size} lab(s)`);
+        }
+        return due.length;
+    }
+}
+
+module.exports = new SampleStorageService();
@@ -0,0 +1,297 @@
+const { v4: uuidv4 } = require('uuid');
+const Booking = require('../models/Booking');
+const SlotLock = require('../models/SlotLock');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Bookings in these statuses no longer hold a slot
+const RELEASED_STATUSES = ['cancelled', 'no_show'];
+
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_RETRIES = 20;
+const LOCK_RETRY_DELAY_MS = 100;
+
+// Appointment days are YYYY-MM-DD keys, stored as UTC midnight of that day.
+// Appointment times ("09:30") are wall-clock times on the labs' clock,
+// BOOKING_TIMEZONE (IANA name, e.g. Asia/Kolkata; UTC by default).
+const resolveTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+    } catch (error) {
+        console.warn(`Unknown BOOKING_TIMEZONE "${timeZone}", using UTC`);
+        return 'UTC';
+    }
+};
+
+class SlotService {
+    constructor() {
+        this.intervalMinutes = parseInt(process.env.BOOKING_SLOT_INTERVAL_MINUTES, 10) || 30;
+        this.timeZone = resolveTimeZone(process.env.BOOKING_TIMEZONE || 'UTC');
+        this.clock = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    /**
+     * Normalize an appointment date to its YYYY-MM-DD key
+     */
+    toDateKey(date) {
+        const d = new Date(date);
+        if (isNaN(d.getTime())) return null;
+        return d.toISOString().split('T')[0];
+    }
+
+    /**
+     * Parse "09:30", "9:30 AM" or "02:00 PM" into minutes since midnight
+     */
+    parseTime(time) {
+        if (!time) return null;
+        const match = String(time).trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/);
+        if (!match) return null;
+
+        let hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        const meridiem = match[3]?.toUpperCase();
+
+        if (meridiem) {
+            if (hours < 1 || hours > 12) return null;
+            if (meridiem === 'PM' && hours !== 12) hours += 12;
+            if (meridiem === 'AM' && hours === 12) hours = 0;
+        }
+        if (hours > 23 || minutes > 59) return null;
+
+        return hours * 60 + minutes;
+    }
+
+    formatTime(minutes) {
+        const h = String(Math.floor(minutes / 60)).padStart(2, '0');
+        const m = String(minutes % 60).padStart(2, '0');
+        return `${h}:${m}`;
+    }
+
+    /**
+     * Day key and minutes since midnight of an instant on the labs' clock
+     */
+    zonedParts(date) {
+        const d = new Date(date);
+        if (isNaN(d.getTime())) return null;
+        const parts = Object.fromEntries(this.clock.formatToParts(d).map(p => [p.type, p.value]));
+        return {
+            dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    }
+
+    /**
+     * The instant a wall-clock time on a day key happens on the labs' clock
+     */
+    zonedTime(dateKey, minutes) {
+        const wall = Date.parse(`${dateKey}T00:00:00Z`) + minutes * 60 * 1000;
+        let instant = wall;
+        // Shift by the zone's offset; the second pass settles days the offset changes
+        for (let pass = 0; pass < 2; pass++) {
+            const seen = this.zonedParts(instant);
+            instant -= Date.parse(`${seen.dateKey}T00:00:00Z`) + seen.minutes * 60 * 1000 - wall;
+        }
+        return new Date(instant);
+    }
+
+    /**
+     * Start of an appointment as a Date, or null if date/time can't be parsed
+     */
+    getAppointmentStart(date, time) {
+        const dateKey = this.toDateKey(date);
+        const minutes = this.parseTime(time);
+        if (!dateKey || minutes === null) return null;
+        return this.zonedTime(dateKey, minutes);
+    }
+
+    /**
+     * Operating hours for the weekday of a date key
+     */
+    getDayHours(lab, dateKey) {
+        const day = DAY_NAMES[new Date(dateKey).getUTCDay()];
+        const hours = lab.operatingHours?.[day] || {};
+        return {
+            day,
+            isOpen: !!hours.isOpen,
+            open: this.parseTime(hours.open),
+            close: this.parseTime(hours.close)
+        };
+    }
+
+    /**
+     * Count active bookings for a lab/day, bucketed by hour
+     */
+    async countBookings(labId, dateKey, excludeBookingId = null) {
+        const query = {
+            labId,
+            isActive: true,
+            status: { $nin: RELEASED_STATUSES },
+            appointmentDate: {
+                $gte: new Date(dateKey),
+                $lte: new Date(dateKey + 'T23:59:59.999Z')
+            }
+        };
+        if (excludeBookingId) {
+            query._id = { $ne: excludeBookingId };
+        }
+
+        const bookings = await Booking.find(query).select('appointmentTime');
+
+        const byHour = {};
+        bookings.forEach(b => {
+            const minutes = this.parseTime(b.appointmentTime);
+            if (minutes === null) return;
+            const hour = Math.floor(minutes / 60);
+            byHour[hour] = (byHour[hour] || 0) + 1;
+        });
+
+        return { total: bookings.length, byHour };
+    }
+
+    /**
+     * Compute the slot grid for a lab on a given date
+     */
+    async getSlots(lab, date) {
+        const dateKey = this.toDateKey(date);
+        if (!dateKey) return null;
+
+        const hours = this.getDayHours(lab, dateKey);
+        const dailyCapacity = lab.capacity?.daily ?? 100;
+        const hourlyCapacity = lab.capacity?.hourly ?? 10;
+
+        const result = {
+            date: dateKey,
+            day: hours.day,
+            isOpen: hours.isOpen && hours.open !== null && hours.close !== null && hours.open < hours.close,
+            open: hours.open !== null ? this.formatTime(hours.open) : null,
+            close: hours.close !== null ? this.formatTime(hours.close) : null,
+            capacity: { daily: dailyCapacity, hourly: hourlyCapacity },
+            booked: 0,
+            remaining: 0,
+            slots: []
+        };
+
+        if (!result.isOpen) return result;
+
+        const counts = await this.countBookings(lab._id, dateKey);
+        const dailyRemaining = Math.max(dailyCapacity - counts.total, 0);
+        const now = new Date();
+
+        result.booked = counts.total;
+        result.remaining = dailyRemaining;
+
+        for (let minutes = hours.open; minutes < hours.close; minutes += this.intervalMinutes) {
+            const hourBooked = counts.byHour[Math.floor(minutes / 60)] || 0;
+            const remaining = Math.min(Math.max(hourlyCapacity - hourBooked, 0), dailyRemaining);
+            const time = this.formatTime(minutes);
+            const isPast = this.zonedTime(dateKey, minutes) < now;
+
+            result.slots.push({
+                time,
+                remaining: isPast ? 0 : remaining,
+                available: !isPast && remaining > 0
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Check that a specific date/time can take one more booking.
+     * Callers that go on to save a booking should hold the lab/day lock.
+     */
+    async checkSlot(lab, date, time, excludeBookingId = null) {
+        const dateKey = this.toDateKey(date);
+        const minutes = this.parseTime(time);
+
+        if (!dateKey || minutes === null) {
+            return { available: false, reason: 'Invalid appointment date or time' };
+        }
+
+        const hours = this.getDayHours(lab, dateKey);
+        if (!hours.isOpen || hours.open === null || hours.close === null) {
+            return { available: false, reason: `Lab is closed on ${hours.day}` };
+        }
+
+        if (minutes < hours.open || minutes >= hours.close) {
+            return {
+                available: false,
+                reason: `Lab is open ${this.formatTime(hours.open)}-${this.formatTime(hours.close)} on ${hours.day}`
+            };
+        }
+
+        if (this.getAppointmentStart(dateKey, time) < new Date()) {
+            return { available: false, reason: 'Appointment time is in the past' };
+        }
+
+        const dailyCapacity = lab.capacity?.daily ?? 100;
+        const hourlyCapacity = lab.capacity?.hourly ?? 10;
+        const counts = await this.countBookings(lab._id, dateKey, excludeBookingId);
+
+        if (counts.total >= dailyCapacity) {
+            return { available: false, reason: 'Lab is fully booked for this date' };
+        }
+
+        if ((counts.byHour[Math.floor(minutes / 60)] || 0) >= hourlyCapacity) {
+            return { available: false, reason: 'This time slot is fully booked' };
+        }
+
+        return { available: true };
+    }
+
+    /**
+     * Acquire the lab/day lock. Returns a lock handle, or null if the lock
+     * is still held by another request after retrying.
+     */
+    async acquireLock(labId, date) {
+        const dateKey = this.toDateKey(date);
+        if (!dateKey) return null;
+
+        const owner = uuidv4();
+
+        for (let attempt = 0; attempt < LOCK_RETRIES; attempt++) {
+            const now = new Date();
+            try {
+                await SlotLock.findOneAndUpdate(
+                    {
+                        labId,
+                        date: dateKey,
+                        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+                    },
+                    { $set: { owner, lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) } },
+                    { upsert: true, new: true }
+                );
+                return { labId, date: dateKey, owner };
+            } catch (error) {
+                // Duplicate key means the lock document exists and is held
+                if (error.code !== 11000) throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY_MS));
+        }
+
+        return null;
+    }
+
+    async releaseLock(lock) {
+        if (!lock) return;
+        try {
+            await SlotLock.updateOne(
+                { labId: lock.labId, date: lock.date, owner: lock.owner },
+                { $set: { owner: null, lockedUntil: null } }
+            );
+        } catch (error) {
+            console.error('Failed to release slot lock:', error.message);
+        }
+    }
+}
+
+module.exports = new SlotService();
@@ -0,0 +1,151 @@
+// Specimen containers and how a booking's tests are drawn into them.
+// Tests declare specimenType, container and specimenVolume (mL); tests that
+// share a container are drawn into one tube.
+
+const SPECIMEN_TYPES = ['Blood', 'Serum', 'Plasma', 'Urine', 'Stool', 'Swab', 'Sputum', 'CSF', 'Other'];
+
+// order: CLSI order of draw (blood culture first, fluoride last; non-blood
+// containers after blood). prefix: start of the sample ID printed on the tube.
+const CONTAINERS = {
+    blood_culture: { label: 'Blood culture bottle', cap: 'Yellow/Green', specimenType: 'Blood', prefix: 'BCX', order: 1, capacityMl: 10 },
+    citrate: { label: 'Sodium citrate', cap: 'Light blue', specimenType: 'Plasma', prefix: 'CIT', order: 2, capacityMl: 2.7 },
+    plain: { label: 'Plain serum', cap: 'Red', specimenType: 'Serum', prefix: 'SER', order: 3, capacityMl: 6 },
+    sst: { label: 'Serum separator (SST)', cap: 'Gold', specimenType: 'Serum', prefix: 'SST', order: 4, capacityMl: 5 },
+    heparin: { label: 'Lithium heparin', cap: 'Green', specimenType: 'Plasma', prefix: 'HEP', order: 5, capacityMl: 4 },
+    edta: { label: 'EDTA', cap: 'Lavender', specimenType: 'Blood', prefix: 'EDT', order: 6, capacityMl: 4 },
+    fluoride: { label: 'Sodium fluoride / oxalate', cap: 'Grey', specimenType: 'Plasma', prefix: 'FLU', order: 7, capacityMl: 4 },
+    urine_cup: { label: 'Urine cup', cap: '', specimenType: 'Urine', prefix: 'URN', order: 20, capacityMl: 60 },
+    stool_container: { label: 'Stool container', cap: '', specimenType: 'Stool', prefix: 'STL', order: 21, capacityMl: null },
+    swab: { label: 'Swab tube', cap: '', specimenType: 'Swab', prefix: 'SWB', order: 22, capacityMl: null }
+};
+
+// Specimen type for tests without one, by test category
+const CATEGORY_SPECIMEN_TYPES = { blood: 'Blood', urine: 'Urine', pathology: 'Blood' };
+
+const idOf = (ref) => (ref?._id || ref || '').toString();
+
+class SpecimenService {
+    constructor() {
+        this.containers = CONTAINERS;
+        this.specimenTypes = SPECIMEN_TYPES;
+    }
+
+    /**
+     * Validate the specimen requirements in a test create/update payload.
+     * Only keys present in the input are returned. Returns { specimen } or { error }.
+     */
+    normalizeSpecimen(input = {}) {
+        const specimen = {};
+
+        if (input.container !== undefined) {
+            const container = String(input.container || '').trim();
+            if (container && !CONTAINERS[container]) {
+                return { error: `Container must be one of: ${Object.keys(CONTAINERS).join(', ')}` };
+            }
+            specimen.container = container;
+        }
+
+        if (input.specimenType !== undefined) {
+            const specimenType = String(input.specimenType || '').trim();
+            if (specimenType && !SPECIMEN_TYPES.includes(specimenType)) {
+                return { error: `Specimen type must be one of: ${SPECIMEN_TYPES.join(', ')}` };
+            }
+            specimen.specimenType = specimenType;
+        }
+        if (specimen.container && !specimen.specimenType) {
+            specimen.specimenType = CONTAINERS[specimen.container].specimenType;
+        }
+
+        if (input.specimenVolume !== undefined) {
+            if (input.specimenVolume === null || input.specimenVolume === '') {
+                specimen.specimenVolume = null;
+            } else {
+                const volume = parseFloat(input.specimenVolume);
+                if (isNaN(volume) || volume <= 0) {
+                    return { error: 'Specimen volume must be a positive number of mL' };
+                }
+                specimen.specimenVolume = volume;
+            }
+        }
+
+        return { specimen };
+    }
+
+    /**
+     * Tubes to draw for a booking. Tests sharing a container go into one tube
+     * (a new tube is started when the container's capacity would be
+     * exceeded). Tests without a container keep the old layout: one tube per
+     * direct test and one per package.
+     *
+     * @param {Array} items - [{ test, packageId? }] with test populated
+     *   (name, category, specimenType, container, specimenVolume)
+     * @param {Object} options - { defaultSampleType } for tubes whose tests declare no specimen
+     * @returns {Array} [{ container, prefix, sampleType, tests, packages, volumeMl, order }] in order of draw
+     */
+    planTubes(items, { defaultSampleType = null } = {}) {
+        const tubes = [];
+        const open = new Map(); // grouping key -> tube being filled
+        const drawn = new Map(); // grouping key + test -> tube it's already in
+
+        items.forEach(({ test, packageId = null }) => {
+            const container = CONTAINERS[test.container] ? test.container : '';
+            const key = container || (packageId ? `package:${idOf(packageId)}` : `test:${idOf(test)}`);
+            const volume = test.specimenVolume || 0;
+            const addPackage = (tube) => {
+                if (packageId && !tube.packages.some(p => idOf(p) === idOf(packageId))) tube.packages.push(packageId);
+            };
+
+            // The same test ordered directly and in a package is drawn once
+            const existing = drawn.get(`${key}|${idOf(test)}`);
+            if (existing) return addPackage(existing);
+
+            let tube = open.get(key);
+            const capacity = container ? CONTAINERS[container].capacityMl : null;
+            if (tube && capacity && tube.volumeMl + volume > capacity) tube = null;
+
+            if (!tube) {
+                tube = {
+                    container,
+                    prefix: container ? CONTAINERS[container].prefix : (packageId ? 'PKG' : 'SMP'),
+                    sampleType: test.specimenType ||
+                        (container ? CONTAINERS[container].specimenType : defaultSampleType || CATEGORY_SPECIMEN_TYPES[test.category] || 'Blood'),
+                    tests: [],
+                    packages: [],
+                    volumeMl: 0,
+                    order: container ? CONTAINERS[container].order : 99
+                };
+                tubes.push(tube);
+                open.set(key, tube);
+            }
+
+            addPackage(tube);
+            tube.tests.push(test._id);
+            tube.volumeMl += volume;
+            drawn.set(`${key}|${idOf(test)}`, tube);
+        });
+
+        // Stable sort keeps undeclared tubes in booking order
+        return tubes.sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Phlebotomist's draw list: tubes in order of draw with what goes in them
+     */
+    drawList(samples, testsById) {
+        return samples.map((sample, i) => {
+            const container = CONTAINERS[sample.container];
+            return {
+                step: i + 1,
+                sampleId: sample.sampleId,
+                container: sample.container || '',
+                containerLabel: container?.label || 'Unspecified container',
+                cap: container?.cap || '',
+                sampleType: sample.sampleType,
+                volumeMl: sample.volumeMl || null,
+                tests: (sample.tests || []).map(t => testsById.get(idOf(t))?.name).filter(Boolean)
+            };
+        });
+    }
+}
+
+module.exports = new SpecimenService();
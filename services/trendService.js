@@ -0,0 +1,242 @@
+const Booking = require('../models/Booking');
+const Vital = require('../models/Vital');
+const analyteService = require('./analyteService');
+const unitService = require('./unitService');
+
+// Analytes that can also come from Vital records, with the unit they're stored in
+const VITAL_SOURCES = {
+    heartRate: { unit: '/min', read: (vital) => vital.heartRate },
+    spo2: { unit: '%', read: (vital) => vital.spo2 },
+    cholesterol: { unit: 'mg/dL', read: (vital) => vital.cholesterol },
+    systolicBP: { unit: 'mm[Hg]', read: (vital) => vital.systolicBP ?? analyteService.parseBloodPressure(vital.bloodPressure?.value)?.systolic },
+    diastolicBP: { unit: 'mm[Hg]', read: (vital) => vital.diastolicBP ?? analyteService.parseBloodPressure(vital.bloodPressure?.value)?.diastolic },
+    glucose: {
+        unit: (vital) => vital.bloodSugar?.unit || 'mg/dL',
+        read: (vital) => vital.bloodSugar?.value,
+        date: (vital) => vital.bloodSugar?.date
+    }
+};
+
+const round = (n, digits = 1) => Number(n.toFixed(digits));
+const toNumberOrNull = (value) => {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const n = Number(String(value).trim());
+    return Number.isFinite(n) ? n : null;
+};
+
+class TrendService {
+    /**
+     * Series a result value belongs to: its analyte when the LOINC code is a
+     * known one, the bare LOINC code otherwise, and "<testId>:<label>" for
+     * uncoded fields
+     */
+    seriesKeyOf(code, testId, label) {
+        if (code) return analyteService.analyteOf(code) || code;
+        return `${testId}:${String(label || '').trim().toLowerCase()}`;
+    }
+
+    /**
+     * Series key for the ?analyte= parameter, which may also be a LOINC code
+     * of a known analyte
+     */
+    resolveKey(analyte) {
+        const text = String(analyte || '').trim();
+        if (!text) return null;
+        if (analyteService.ANALYTES[text]) return text;
+        return analyteService.analyteOf(text) || text;
+    }
+
+    /**
+     * Numeric points from published bookings. Panel blood pressures ("120/80")
+     * are split into systolic and diastolic points.
+     */
+    labPoints(bookings) {
+        const points = [];
+
+        bookings.forEach(booking => {
+            (booking.testResults || []).forEach(tr => {
+                const test = tr.testId || {};
+                (tr.values || []).forEach(v => {
+                    const code = analyteService.codeOf(v, test.resultFields);
+                    const key = this.seriesKeyOf(code, test._id || tr.testId, v.label);
+                    const base = {
+                        source: 'lab',
+                        date: booking.appointmentDate,
+                        bookingId: booking._id,
+                        labId: booking.labId?._id || booking.labId,
+                        labName: booking.labId?.name || '',
+                        testId: test._id || tr.testId,
+                        testName: test.name || '',
+                        label: v.label,
+                        loincCode: code
+                    };
+
+                    if (key === 'bloodPressure') {
+                        const bp = analyteService.parseBloodPressure(v.value);
+                        if (!bp) return;
+                        points.push(this.point({ ...base, key: 'systolicBP', value: bp.systolic, unit: 'mm[Hg]', flag: v.flag }));
+                        points.push(this.point({ ...base, key: 'diastolicBP', value: bp.diastolic, unit: 'mm[Hg]', flag: v.flag }));
+                        return;
+                    }
+
+                    const numeric = v.type === 'boolean' ? null : toNumberOrNull(v.value);
+                    if (numeric === null) return;
+
+                    const field = (test.resultFields || []).find(f =>
+                        (f.label || '').trim().toLowerCase() === (v.label || '').trim().toLowerCase());
+                    points.push(this.point({
+                        ...base,
+                        key,
+                        value: numeric,
+                        unit: v.unit || field?.unit || '',
+                        canonicalValue: v.canonicalValue,
+                        canonicalUnit: v.canonicalUnit || field?.canonicalUnit,
+                        referenceRange: v.referenceRange,
+                        appliedRange: v.appliedRange,
+                        flag: v.flag
+                    }));
+                });
+            });
+        });
+
+        return points;
+    }
+
+    vitalPoints(vitals, keys = Object.keys(VITAL_SOURCES)) {
+        const points = [];
+
+        vitals.forEach(vital => {
+            keys.forEach(key => {
+                const source = VITAL_SOURCES[key];
+                const value = toNumberOrNull(source?.read(vital));
+                if (value === null) return;
+
+                points.push(this.point({
+                    source: 'vital',
+                    key,
+                    date: source.date?.(vital) || vital.createdAt,
+                    vitalId: vital._id,
+                    label: analyteService.ANALYTES[key].label,
+                    value,
+                    unit: typeof source.unit === 'function' ? source.unit(vital) : source.unit
+                }));
+            });
+        });
+
+        return points;
+    }
+
+    /**
+     * A trend point: the value as entered plus its canonical equivalent and
+     * the applied reference range in canonical units, for charting
+     */
+    point({ key, value, unit, canonicalValue, canonicalUnit, referenceRange, appliedRange, flag, ...rest }) {
+        const analyte = analyteService.ANALYTES[key] ? key : null;
+        const target = canonicalUnit || (analyte && analyteService.ANALYTES[key].canonicalUnit) || unit;
+        const converted = typeof canonicalValue === 'number'
+            ? canonicalValue
+            : unitService.convert(value, unit || target, target, analyte);
+
+        const hasRange = appliedRange && ['low', 'high', 'criticalLow', 'criticalHigh'].some(b => typeof appliedRange[b] === 'number');
+        const range = hasRange ? unitService.convertRange(appliedRange, unit || target, target, analyte) : null;
+
+        return {
+            key,
+            ...rest,
+            value,
+            unit: unit || '',
+            canonicalValue: converted,
+            canonicalUnit: unitService.normalizeUnit(target),
+            referenceRange: referenceRange || '',
+            range,
+            flag: flag || ''
+        };
+    }
+
+    /**
+     * Change from the previous comparable point of the same series (same
+     * canonical unit)
+     */
+    withDeltas(points) {
+        const previousByKey = new Map();
+        return points.map(p => {
+            if (p.canonicalValue === null) return { ...p, delta: null, deltaPercent: null };
+            const previous = previousByKey.get(p.key);
+            const comparable = previous && previous.canonicalUnit === p.canonicalUnit ? previous : null;
+            previousByKey.set(p.key, p);
+            if (!comparable) return { ...p, delta: null, deltaPercent: null };
+
+            const delta = p.canonicalValue - comparable.canonicalValue;
+            return {
+                ...p,
+                delta: round(delta, 4),
+                deltaPercent: comparable.canonicalValue !== 0 ? round((delta / Math.abs(comparable.canonicalValue)) * 100) : null,
+                daysSincePrevious: round((new Date(p.date) - new Date(comparable.date)) / 86400000)
+            };
+        });
+    }
+
+    async collect(userId, { keys = null, from = null, to = null } = {}) {
+        const date = {};
+        if (from) date.$gte = from;
+        if (to) date.$lte = to;
+        const dated = Object.keys(date).length > 0;
+
+        const bookings = await Booking.find({
+            userId,
+            status: 'result_published',
+            testResults: { $exists: true, $ne: [] },
+            ...(dated ? { appointmentDate: date } : {})
+        })
+            .select('appointmentDate labId testResults')
+            .populate('testResults.testId', 'name loincCode resultFields')
+            .populate('labId', 'name');
+
+        const vitalKeys = Object.keys(VITAL_SOURCES).filter(k => !keys || keys.includes(k));
+        const vitals = vitalKeys.length
+            ? await Vital.find({ userId, ...(dated ? { createdAt: date } : {}) }).sort({ createdAt: 1 })
+            : [];
+
+        return [...this.labPoints(bookings), ...this.vitalPoints(vitals, vitalKeys)]
+            .filter(p => !keys || keys.includes(p.key))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    /**
+     * One analyte's points in date order, with deltas between consecutive
+     * results. Blood pressure returns both systolic and diastolic points.
+     */
+    async series(userId, analyte, options = {}) {
+        const key = this.resolveKey(analyte);
+        const keys = key === 'bloodPressure' ? ['systolicBP', 'diastolicBP'] : [key];
+        const points = this.withDeltas(await this.collect(userId, { ...options, keys }));
+        const last = points[points.length - 1];
+
+        return {
+            key,
+            label: analyteService.ANALYTES[key]?.label || last?.label || key,
+            unit: analyteService.ANALYTES[key]?.canonicalUnit || last?.canonicalUnit || '',
+            count: points.length,
+            points
+        };
+    }
+
+    /**
+     * Every series the patient has, with its latest point, for picking an analyte
+     */
+    async available(userId, options = {}) {
+        const groups = new Map();
+        (await this.collect(userId, options)).forEach(p => {
+            const group = groups.get(p.key) || { key: p.key, count: 0 };
+            group.count++;
+            group.label = analyteService.ANALYTES[p.key]?.label || p.label;
+            group.testName = p.testName || group.testName || '';
+            group.unit = p.canonicalUnit;
+            group.latest = { date: p.date, value: p.value, unit: p.unit, flag: p.flag };
+            groups.set(p.key, group);
+        });
+        return [...groups.values()];
+    }
+}
+
+module.exports = new TrendService();
@@ -0,0 +1,122 @@
+// Unit registry and conversions for lab values. Unit keys are UCUM codes;
+// anything else a lab types ("mg/dl", "mg%", "µmol/l") is mapped onto them.
+
+// factor converts to the dimension's base unit (g/L, mol/L, ...)
+const UNITS = {
+    'g/L': { dimension: 'mass', factor: 1, aliases: ['g/l', 'gm/l'] },
+    'g/dL': { dimension: 'mass', factor: 10, aliases: ['g/dl', 'gm/dl', 'g%', 'gm%'] },
+    'mg/dL': { dimension: 'mass', factor: 0.01, aliases: ['mg/dl', 'mg%', 'mg/100ml'] },
+    'mg/L': { dimension: 'mass', factor: 0.001, aliases: ['mg/l'] },
+    'ug/dL': { dimension: 'mass', factor: 0.00001, aliases: ['ug/dl', 'µg/dl', 'mcg/dl'] },
+    'ng/mL': { dimension: 'mass', factor: 0.000001, aliases: ['ng/ml', 'ug/l', 'µg/l', 'mcg/l'] },
+    'mmol/L': { dimension: 'molar', factor: 0.001, aliases: ['mmol/l', 'mm/l'] },
+    'umol/L': { dimension: 'molar', factor: 0.000001, aliases: ['umol/l', 'µmol/l', 'micromol/l'] },
+    'nmol/L': { dimension: 'molar', factor: 0.000000001, aliases: ['nmol/l'] },
+    '%': { dimension: 'fraction', factor: 1, aliases: ['percent'] },
+    'mmol/mol': { dimension: 'ratio', factor: 1, aliases: [] },
+    'mm[Hg]': { dimension: 'pressure', factor: 1, aliases: ['mmhg', 'mm hg'] },
+    '/min': { dimension: 'rate', factor: 1, aliases: ['bpm', 'beats/min'] }
+};
+
+// g/mol, for converting between mass and molar concentrations of an analyte
+const MOLAR_MASSES = {
+    glucose: 180.16,
+    cholesterol: 386.65,
+    hdl: 386.65,
+    ldl: 386.65,
+    triglycerides: 885.7,
+    creatinine: 113.12,
+    uricAcid: 168.11
+};
+
+// HbA1c is reported in NGSP % or IFCC mmol/mol: mmol/mol = (% - 2.15) * 10.929
+const HBA1C = { offset: 2.15, slope: 10.929 };
+
+const SIGNIFICANT_DIGITS = 4;
+
+const lookup = new Map();
+Object.entries(UNITS).forEach(([code, unit]) => {
+    lookup.set(code.toLowerCase(), code);
+    unit.aliases.forEach(alias => lookup.set(alias, code));
+});
+
+const round = (n) => Number(n.toPrecision(SIGNIFICANT_DIGITS));
+
+class UnitService {
+    /**
+     * UCUM code for a unit as typed, or the trimmed input if unknown
+     */
+    normalizeUnit(unit) {
+        const text = String(unit || '').trim();
+        return lookup.get(text.toLowerCase().replace(/\s+/g, ' ')) || text;
+    }
+
+    isKnown(unit) {
+        return !!UNITS[this.normalizeUnit(unit)];
+    }
+
+    sameUnit(a, b) {
+        return this.normalizeUnit(a) === this.normalizeUnit(b);
+    }
+
+    /**
+     * Convert a value between units. analyte (an analyteService key such as
+     * 'glucose') is needed to cross between mass and molar units.
+     * Returns null when the value isn't numeric or the units don't convert.
+     */
+    convert(value, from, to, analyte = null) {
+        const num = typeof value === 'number' ? value : Number(String(value ?? '').trim());
+        if (value === null || value === undefined || String(value).trim() === '' || !Number.isFinite(num)) return null;
+
+        const fromCode = this.normalizeUnit(from);
+        const toCode = this.normalizeUnit(to);
+        if (fromCode === toCode) return num;
+
+        const a = UNITS[fromCode];
+        const b = UNITS[toCode];
+        if (!a || !b) return null;
+
+        if (a.dimension === b.dimension) {
+            return round(num * a.factor / b.factor);
+        }
+
+        const molarMass = MOLAR_MASSES[analyte];
+        if (molarMass && a.dimension === 'mass' && b.dimension === 'molar') {
+            return round(num * a.factor / molarMass / b.factor);
+        }
+        if (molarMass && a.dimension === 'molar' && b.dimension === 'mass') {
+            return round(num * a.factor * molarMass / b.factor);
+        }
+
+        if (analyte === 'hba1c' && fromCode === '%' && toCode === 'mmol/mol') {
+            return round((num - HBA1C.offset) * HBA1C.slope);
+        }
+        if (analyte === 'hba1c' && fromCode === 'mmol/mol' && toCode === '%') {
+            return round(num / HBA1C.slope + HBA1C.offset);
+        }
+
+        return null;
+    }
+
+    canConvert(from, to, analyte = null) {
+        return this.convert(1, from, to, analyte) !== null;
+    }
+
+    /**
+     * Bounds of a resolved reference range in another unit, or null if the
+     * units don't convert
+     */
+    convertRange(range, from, to, analyte = null) {
+        if (!range || !this.canConvert(from, to, analyte)) return null;
+
+        const bound = (v) => (v === null || v === undefined ? null : this.convert(v, from, to, analyte));
+        return {
+            low: bound(range.low),
+            high: bound(range.high),
+            criticalLow: bound(range.criticalLow),
+            criticalHigh: bound(range.criticalHigh)
+        };
+    }
+}
+
+module.exports = new UnitService();
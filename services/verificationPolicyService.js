@@ -0,0 +1,128 @@
+const TEST_CATEGORIES = ['blood', 'urine', 'imaging', 'cardiology', 'pathology'];
+
+// Used for labs saved before the policy existed
+const DEFAULT_POLICY = {
+    requireSecondVerifier: true,
+    seniorSignOffCategories: ['pathology'],
+    imagingSignOff: true
+};
+
+// Who counts as a qualified signer for each rule: a role, or a sign-off
+// qualification on the user's profile (User.signOffQualifications)
+const SIGN_OFF_RULES = {
+    senior: { roles: ['local_admin'], qualifications: ['pathologist'], label: 'a local admin or pathologist' },
+    imaging: { roles: ['xray_technician'], qualifications: ['radiologist'], label: 'an x-ray technician or radiologist' }
+};
+
+const idOf = (ref) => (ref?._id || ref || '').toString();
+
+class VerificationPolicyService {
+    constructor() {
+        this.categories = TEST_CATEGORIES;
+    }
+
+    /**
+     * The lab's policy with defaults filled in
+     */
+    getPolicy(lab) {
+        const policy = lab?.verificationPolicy || {};
+        return {
+            requireSecondVerifier: policy.requireSecondVerifier ?? DEFAULT_POLICY.requireSecondVerifier,
+            seniorSignOffCategories: Array.isArray(policy.seniorSignOffCategories)
+                ? [...policy.seniorSignOffCategories]
+                : [...DEFAULT_POLICY.seniorSignOffCategories],
+            imagingSignOff: policy.imagingSignOff ?? DEFAULT_POLICY.imagingSignOff
+        };
+    }
+
+    /**
+     * Validate a policy update from a local admin. Returns { policy } or { error }.
+     */
+    normalizePolicy(input = {}, current = DEFAULT_POLICY) {
+        const policy = { ...current };
+
+        for (const key of ['requireSecondVerifier', 'imagingSignOff']) {
+            if (input[key] === undefined) continue;
+            if (typeof input[key] !== 'boolean') {
+                return { error: `${key} must be true or false` };
+            }
+            policy[key] = input[key];
+        }
+
+        if (input.seniorSignOffCategories !== undefined) {
+            if (!Array.isArray(input.seniorSignOffCategories)) {
+                return { error: 'seniorSignOffCategories must be an array' };
+            }
+            const invalid = input.seniorSignOffCategories.filter(c => !TEST_CATEGORIES.includes(c));
+            if (invalid.length) {
+                return { error: `Unknown test categories: ${invalid.join(', ')}` };
+            }
+            policy.seniorSignOffCategories = [...new Set(input.seniorSignOffCategories)];
+        }
+
+        return { policy };
+    }
+
+    isImaging(testResult, test) {
+        if (test?.category === 'imaging') return true;
+        return !!testResult?.resultFile && !(testResult.values || []).length;
+    }
+
+    /**
+     * Sign-off rules that apply to a result under the policy
+     */
+    requiredSignOffs(policy, test, testResult) {
+        const rules = [];
+        if (test?.category && policy.seniorSignOffCategories.includes(test.category)) {
+            rules.push(SIGN_OFF_RULES.senior);
+        }
+        if (policy.imagingSignOff && this.isImaging(testResult, test)) {
+            rules.push(SIGN_OFF_RULES.imaging);
+        }
+        return rules;
+    }
+
+    meetsRule(rule, verifier) {
+        if (rule.roles.includes(verifier.role)) return true;
+        return (verifier.signOffQualifications || []).some(q => rule.qualifications.includes(q));
+    }
+
+    /**
+     * Check whether a user may verify a result.
+     *
+     * @param {Object} params
+     * @param {Object} params.policy - from getPolicy()
+     * @param {Object} params.test - Test with category
+     * @param {Object} params.testResult - booking.testResults entry
+     * @param {Object} params.verifier - User with role and signOffQualifications
+     * @param {string} [params.comment] - Reviewer's comment
+     * @returns {{ allowed: boolean, error?: string }}
+     */
+    checkVerifier({ policy, test, testResult, verifier, comment = '' }) {
+        const isSubmitter = !!testResult.submittedBy && idOf(testResult.submittedBy) === idOf(verifier._id || verifier.id);
+        if (policy.requireSecondVerifier && isSubmitter) {
+            return { allowed: false, error: 'Results must be verified by someone other than the person who entered them' };
+        }
+
+        // A failed delta check needs an independent review whatever the lab's policy
+        if (testResult.secondReviewRequired) {
+            if (isSubmitter) {
+                return { allowed: false, error: 'Results that failed a delta check must be verified by someone other than the person who entered them' };
+            }
+            if (!String(comment || '').trim()) {
+                return { allowed: false, error: 'A comment is required to verify results that failed a delta check' };
+            }
+        }
+
+        // Every applicable rule must be met (e.g. imaging in a senior sign-off category)
+        const missing = this.requiredSignOffs(policy, test, testResult).find(rule => !this.meetsRule(rule, verifier));
+        if (missing) {
+            const what = test?.name ? `${test.name} results` : 'This result';
+            return { allowed: false, error: `${what} must be signed off by ${missing.label}` };
+        }
+
+        return { allowed: true };
+    }
+}
+
+module.exports = new VerificationPolicyService();
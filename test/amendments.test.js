@@ -0,0 +1,163 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const resultVersionService = require('../services/resultVersionService');
+
+const cbcId = new mongoose.Types.ObjectId();
+const xrayId = new mongoose.Types.ObjectId();
+const technician = new mongoose.Types.ObjectId();
+const admin = new mongoose.Types.ObjectId();
+
+const publishedBooking = (fields = {}) => ({
+  status: 'result_published',
+  resultVersion: 1,
+  resultVersions: [],
+  publishedAt: new Date('2099-01-15T10:00:00Z'),
+  publishedBy: technician,
+  generatedReport: { file: 'uploads/reports/report-v1.pdf' },
+  reportSignature: { hash: 'abc123', signature: 'sig-v1' },
+  testResults: [
+    {
+      testId: { _id: cbcId, name: 'CBC' },
+      values: [
+        { label: 'Hemoglobin', value: '9.1', unit: 'g/dL', flag: 'L' },
+        { label: 'WBC', value: '7.2', unit: '10^3/uL', flag: '' }
+      ],
+      findings: ''
+    },
+    { testId: xrayId, values: [], resultFile: 'uploads/test-results/xray-1.png', findings: 'No abnormality detected' }
+  ],
+  ...fields
+});
+
+// Mimics the route: apply corrected results, republish, complete the amendment
+const amend = (booking, reason, correctedResults) => {
+  const result = resultVersionService.beginAmendment(booking, { reason, by: admin });
+  if (!result.success) return result;
+  booking.testResults = correctedResults(booking.testResults);
+  booking.publishedAt = new Date('2099-01-16T09:00:00Z');
+  resultVersionService.completeAmendment(booking);
+  return result;
+};
+
+const correctHemoglobin = (testResults) => {
+  const [cbc, xray] = JSON.parse(JSON.stringify(testResults));
+  cbc.values[0] = { label: 'Hemoglobin', value: '11.9', unit: 'g/dL', flag: 'L' };
+  return [cbc, xray];
+};
+
+describe('amendments', () => {
+  test('only published results can be amended, and only with a reason', () => {
+    assert.deepEqual(
+      resultVersionService.beginAmendment(publishedBooking({ status: 'result_submitted' }), { reason: 'Typo', by: admin }),
+      { success: false, error: 'Only published results can be amended' }
+    );
+    assert.deepEqual(
+      resultVersionService.beginAmendment(publishedBooking(), { reason: '   ', by: admin }),
+      { success: false, error: 'A reason is required to amend published results' }
+    );
+  });
+
+  test('freezes the published version with its report and signature', () => {
+    const booking = publishedBooking();
+
+    resultVersionService.beginAmendment(booking, { reason: ' Transcription error ', by: admin });
+
+    const [frozen] = booking.resultVersions;
+    assert.equal(frozen.version, 1);
+    assert.equal(frozen.reportFile, 'uploads/reports/report-v1.pdf');
+    assert.equal(frozen.reportHash, 'abc123');
+    assert.equal(frozen.reportSignature, 'sig-v1');
+    assert.equal(frozen.amendmentReason, 'Transcription error');
+    assert.equal(frozen.supersededBy, admin);
+    assert.equal(frozen.testResults[0].testId, cbcId.toString());
+    assert.equal(booking.amendment.inProgress, true);
+    assert.equal(booking.amendment.reason, 'Transcription error');
+    assert.equal(booking.amendment.requestedBy, admin);
+  });
+
+  test('the frozen copy does not change when the live results are corrected', () => {
+    const booking = publishedBooking();
+    resultVersionService.beginAmendment(booking, { reason: 'Typo', by: admin });
+
+    booking.testResults[0].values[0].value = '11.9';
+
+    assert.equal(booking.resultVersions[0].testResults[0].values[0].value, '9.1');
+  });
+
+  test('republishing bumps the version once', () => {
+    const booking = publishedBooking();
+
+    amend(booking, 'Typo', correctHemoglobin);
+
+    assert.equal(booking.resultVersion, 2);
+    assert.equal(booking.amendment.inProgress, false);
+    assert.equal(resultVersionService.completeAmendment(booking), false);
+    assert.equal(booking.resultVersion, 2);
+  });
+
+  test('diffs values, findings and replaced files field by field', () => {
+    const before = publishedBooking().testResults;
+    const after = [
+      {
+        testId: cbcId,
+        values: [
+          { label: 'hemoglobin', value: '11.9', unit: 'g/dL', flag: 'L' },
+          { label: 'Platelets', value: '250', unit: '10^3/uL' }
+        ]
+      },
+      { testId: xrayId, values: [], resultFile: 'uploads/test-results/xray-2.png', findings: 'Mild cardiomegaly' }
+    ];
+
+    assert.deepEqual(resultVersionService.diff(before, after), [
+      { testId: cbcId.toString(), label: 'hemoglobin', change: 'value_changed', before: { value: '9.1', unit: 'g/dL', flag: 'L' }, after: { value: '11.9', unit: 'g/dL', flag: 'L' } },
+      { testId: cbcId.toString(), label: 'WBC', change: 'value_removed', before: { value: '7.2', unit: '10^3/uL', flag: '' }, after: null },
+      { testId: cbcId.toString(), label: 'Platelets', change: 'value_added', before: null, after: { value: '250', unit: '10^3/uL', flag: '' } },
+      { testId: xrayId.toString(), change: 'findings_changed', before: 'No abnormality detected', after: 'Mild cardiomegaly' },
+      { testId: xrayId.toString(), change: 'file_replaced', before: 'uploads/test-results/xray-1.png', after: 'uploads/test-results/xray-2.png' }
+    ]);
+  });
+
+  test('reports whole tests added or removed', () => {
+    const [cbc, xray] = publishedBooking().testResults;
+
+    assert.deepEqual(resultVersionService.diff([cbc], [xray]), [
+      { testId: cbcId.toString(), change: 'test_removed' },
+      { testId: xrayId.toString(), change: 'test_added' }
+    ]);
+    assert.deepEqual(resultVersionService.diff([cbc], [cbc]), []);
+  });
+
+  test('history lists each amendment with its changes', () => {
+    const booking = publishedBooking();
+    amend(booking, 'Typo in hemoglobin', correctHemoglobin);
+    amend(booking, 'Radiologist addendum', ([cbc, xray]) => [cbc, { ...xray, findings: 'Mild cardiomegaly' }]);
+
+    const history = resultVersionService.history(booking);
+
+    assert.equal(history.currentVersion, 3);
+    assert.equal(history.amendmentInProgress, false);
+    assert.deepEqual(history.amendments.map(a => [a.fromVersion, a.toVersion, a.reason]), [
+      [1, 2, 'Typo in hemoglobin'],
+      [2, 3, 'Radiologist addendum']
+    ]);
+    assert.deepEqual(history.amendments[0].changes.map(c => c.change), ['value_changed']);
+    assert.deepEqual(history.amendments[1].changes.map(c => c.change), ['findings_changed']);
+  });
+
+  test('an amendment in progress is hidden unless pending versions are asked for', () => {
+    const booking = publishedBooking();
+    resultVersionService.beginAmendment(booking, { reason: 'Typo', by: admin });
+    booking.testResults = correctHemoglobin(booking.testResults);
+
+    const patientView = resultVersionService.history(booking);
+    const staffView = resultVersionService.history(booking, { includePending: true });
+
+    assert.equal(patientView.amendmentInProgress, true);
+    assert.equal(patientView.current, null);
+    assert.deepEqual(patientView.amendments, []);
+    assert.equal(staffView.current.pending, true);
+    assert.equal(staffView.current.publishedAt, null);
+    assert.deepEqual(staffView.amendments.map(a => [a.fromVersion, a.toVersion, a.pending]), [[1, 2, true]]);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const bookingStateMachine = require('../services/bookingStateMachine');
+
+const bookingIn = (status) => ({ status, statusHistory: [] });
+
+describe('booking status transitions', () => {
+  test('records each change in the status history', () => {
+    const booking = bookingIn('pending');
+    const result = bookingStateMachine.transition(booking, 'confirmed', { by: 'u1', role: 'local_admin', reason: 'Checked in' });
+
+    assert.deepEqual(result, { success: true, changed: true });
+    assert.equal(booking.status, 'confirmed');
+    assert.equal(booking.statusHistory.length, 1);
+    const { at, ...entry } = booking.statusHistory[0];
+    assert.ok(at instanceof Date);
+    assert.deepEqual(entry, { from: 'pending', to: 'confirmed', by: 'u1', role: 'local_admin', reason: 'Checked in' });
+  });
+
+  test('setting the current status again is a no-op', () => {
+    const booking = bookingIn('confirmed');
+    const result = bookingStateMachine.transition(booking, 'confirmed', { role: 'staff' });
+
+    assert.deepEqual(result, { success: true, changed: false });
+    assert.equal(booking.statusHistory.length, 0);
+  });
+
+  test('rejects jumps the graph does not allow and lists the allowed ones', () => {
+    const booking = bookingIn('pending');
+    const result = bookingStateMachine.transition(booking, 'testing', { role: 'admin' });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Cannot change booking status from pending to testing\. Allowed: confirmed, arrived/);
+    assert.equal(booking.status, 'pending');
+  });
+
+  test('rejects statuses outside the enum', () => {
+    const result = bookingStateMachine.transition(bookingIn('pending'), 'teleported', { role: 'admin' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Unknown booking status: teleported');
+  });
+
+  test('cancelled and published bookings are final', () => {
+    assert.deepEqual(bookingStateMachine.allowedTransitions('cancelled', 'admin'), []);
+    assert.deepEqual(bookingStateMachine.allowedTransitions('result_published', 'admin'), []);
+  });
+});
+
+describe('role rules', () => {
+  test('patients can only cancel before the visit', () => {
+    assert.deepEqual(bookingStateMachine.allowedTransitions('pending', 'user'), ['cancelled']);
+    assert.deepEqual(bookingStateMachine.allowedTransitions('confirmed', 'user'), ['cancelled']);
+    assert.deepEqual(bookingStateMachine.allowedTransitions('sample_collected', 'user'), []);
+  });
+
+  test('lab staff run the operational flow but cannot cancel or reinstate', () => {
+    for (const role of ['staff', 'lab_technician', 'xray_technician']) {
+      assert.equal(bookingStateMachine.canTransition('confirmed', 'sample_collected', role), true);
+      assert.equal(bookingStateMachine.canTransition('confirmed', 'cancelled', role), false);
+      assert.equal(bookingStateMachine.canTransition('no_show', 'confirmed', role), false);
+    }
+  });
+
+  test('local admins and admins can reinstate a no-show', () => {
+    assert.equal(bookingStateMachine.canTransition('no_show', 'confirmed', 'local_admin'), true);
+    assert.equal(bookingStateMachine.canTransition('no_show', 'confirmed', 'admin'), true);
+  });
+
+  test('background jobs can only confirm or flag a no-show', () => {
+    assert.deepEqual(bookingStateMachine.allowedTransitions('pending', 'system'), ['confirmed', 'no_show']);
+    assert.deepEqual(bookingStateMachine.allowedTransitions('confirmed', 'system'), ['no_show']);
+  });
+
+  test('a role missing from the table cannot change status at all', () => {
+    const result = bookingStateMachine.transition(bookingIn('pending'), 'confirmed', { role: 'stranger' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Cannot change booking status from pending to confirmed');
+  });
+});
+
+describe('workflow and amendment statuses', () => {
+  test('completed and result_published need the workflow that guards them', () => {
+    const booking = bookingIn('results_entered');
+
+    const plain = bookingStateMachine.transition(booking, 'completed', { role: 'admin' });
+    assert.equal(plain.success, false);
+    assert.equal(plain.error, 'A booking is completed once every result has been verified');
+    assert.equal(bookingStateMachine.allowedTransitions('results_entered', 'admin').includes('completed'), false);
+
+    const workflow = bookingStateMachine.transition(booking, 'completed', { role: 'staff', workflow: true });
+    assert.equal(workflow.success, true);
+
+    const publish = bookingStateMachine.transition(booking, 'result_published', { role: 'admin' });
+    assert.equal(publish.error, 'Results can only be published through the publish step');
+    assert.equal(bookingStateMachine.transition(booking, 'result_published', { role: 'staff', workflow: true }).success, true);
+  });
+
+  test('published results reopen only through an amendment by lab roles', () => {
+    const booking = bookingIn('result_published');
+
+    assert.equal(bookingStateMachine.transition(booking, 'results_entered', { role: 'staff' }).success, false);
+    assert.deepEqual(bookingStateMachine.allowedTransitions('result_published', 'user', { amendment: true }), []);
+    assert.deepEqual(bookingStateMachine.allowedTransitions('result_published', 'system', { amendment: true }), []);
+
+    const amended = bookingStateMachine.transition(booking, 'results_entered', { role: 'staff', amendment: true });
+    assert.equal(amended.success, true);
+    assert.equal(booking.status, 'results_entered');
+  });
+
+  test('initialize records the starting status', () => {
+    const booking = bookingIn('pending');
+    bookingStateMachine.initialize(booking, { by: 'u1' });
+
+    assert.equal(booking.statusHistory.length, 1);
+    assert.equal(booking.statusHistory[0].from, null);
+    assert.equal(booking.statusHistory[0].to, 'pending');
+    assert.equal(booking.statusHistory[0].role, 'user');
+  });
+});
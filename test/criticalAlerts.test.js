@@ -0,0 +1,191 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CriticalAlert = require('../models/CriticalAlert');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const pushService = require('../services/pushService');
+const criticalAlertService = require('../services/criticalAlertService');
+
+['log', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+const labId = new mongoose.Types.ObjectId();
+const testId = new mongoose.Types.ObjectId();
+const technician = { id: new mongoose.Types.ObjectId() };
+
+const newAlert = (fields = {}) => new CriticalAlert({
+  bookingId: new mongoose.Types.ObjectId(),
+  labId,
+  patientId: new mongoose.Types.ObjectId(),
+  testId,
+  label: 'Potassium',
+  value: '6.8',
+  unit: 'mmol/L',
+  flag: 'HH',
+  raisedBy: technician.id,
+  ...fields
+});
+
+describe('critical alerts', () => {
+  let emitted;
+  let audits;
+  let saved;
+
+  beforeEach(() => {
+    emitted = [];
+    audits = [];
+    saved = [];
+    criticalAlertService.io = { to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) };
+    mock.method(CriticalAlert.prototype, 'save', async function () { saved.push(this); return this; });
+    mock.method(AuditLog, 'create', async (entry) => { audits.push(entry); return entry; });
+    mock.method(pushService, 'notifyUser', async () => ({ success: true }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    criticalAlertService.io = null;
+  });
+
+  describe('raising', () => {
+    const booking = {
+      _id: new mongoose.Types.ObjectId(),
+      labId,
+      userId: new mongoose.Types.ObjectId(),
+      testResults: [{
+        testId,
+        values: [
+          { label: 'Potassium', value: '6.8', unit: 'mmol/L', flag: 'HH', referenceRange: '3.5-5.1' },
+          { label: 'Sodium', value: '150', unit: 'mmol/L', flag: 'H' },
+          { label: 'Glucose', value: '35', unit: 'mg/dL', flag: 'LL' }
+        ]
+      }]
+    };
+
+    test('raises one alert per LL/HH value and pushes it to the lab', async () => {
+      mock.method(CriticalAlert, 'findOne', () => ({ sort: async () => null }));
+
+      const created = await criticalAlertService.raiseForBooking(booking, technician.id);
+
+      assert.deepEqual(created.map(a => [a.label, a.flag, a.status]), [['Potassium', 'HH', 'open'], ['Glucose', 'LL', 'open']]);
+      assert.equal(saved.length, 2);
+      assert.deepEqual(emitted.map(e => [e.room, e.event]), [[`lab-${labId}`, 'critical-alert'], [`lab-${labId}`, 'critical-alert']]);
+      assert.equal(created[0].history[0].action, 'created');
+      assert.equal(audits[0].details, 'Critical alert created: Potassium 6.8 mmol/L (HH)');
+    });
+
+    test('does not raise the same value twice when results are resubmitted', async () => {
+      mock.method(CriticalAlert, 'findOne', ({ label }) => ({
+        sort: async () => (label === 'Potassium' ? { value: '6.8' } : { value: '40' })
+      }));
+
+      const created = await criticalAlertService.raiseForBooking(booking, technician.id);
+
+      assert.deepEqual(created.map(a => a.label), ['Glucose']);
+    });
+  });
+
+  describe('escalation', () => {
+    const admins = [{ _id: new mongoose.Types.ObjectId() }, { _id: new mongoose.Types.ObjectId() }];
+    let adminQuery;
+
+    beforeEach(() => {
+      mock.method(User, 'find', (query) => {
+        adminQuery = query;
+        return { select: async () => admins };
+      });
+    });
+
+    test('escalates alerts left unacknowledged past the window to the lab\'s local admins', async () => {
+      const now = new Date('2099-01-15T10:30:00Z');
+      const alert = newAlert();
+      let overdueQuery;
+      mock.method(CriticalAlert, 'find', async (query) => { overdueQuery = query; return [alert]; });
+      mock.method(CriticalAlert, 'findOneAndUpdate', async (filter, update) => Object.assign(alert, update.$set));
+
+      const count = await criticalAlertService.escalateOverdue(now);
+
+      assert.equal(count, 1);
+      assert.equal(criticalAlertService.escalationMinutes, 15);
+      assert.equal(overdueQuery.status, 'open');
+      assert.equal(overdueQuery.createdAt.$lte.toISOString(), '2099-01-15T10:15:00.000Z');
+      assert.equal(alert.status, 'escalated');
+      assert.equal(alert.escalatedAt, now);
+      assert.equal(alert.history.at(-1).action, 'escalated');
+      assert.deepEqual(adminQuery, { role: 'local_admin', assignedLab: labId, isActive: true });
+      assert.deepEqual(emitted.map(e => e.room), [
+        `lab-admins-${labId}`,
+        `lab-${labId}`,
+        `user-${admins[0]._id}`,
+        `user-${admins[1]._id}`
+      ]);
+      assert.equal(pushService.notifyUser.mock.callCount(), 2);
+      assert.equal(pushService.notifyUser.mock.calls[0].arguments[2], 'Potassium: 6.8 mmol/L (CRITICAL HIGH) needs attention.');
+    });
+
+    test('skips alerts another instance claimed first', async () => {
+      mock.method(CriticalAlert, 'find', async () => [newAlert()]);
+      mock.method(CriticalAlert, 'findOneAndUpdate', async () => null);
+
+      await criticalAlertService.escalateOverdue();
+
+      assert.equal(saved.length, 0);
+      assert.equal(emitted.length, 0);
+      assert.equal(pushService.notifyUser.mock.callCount(), 0);
+    });
+  });
+
+  describe('acknowledgement and resolution', () => {
+    test('acknowledging stops escalation; only open or escalated alerts can be acknowledged', async () => {
+      const alert = newAlert({ status: 'escalated' });
+
+      const first = await criticalAlertService.acknowledge(alert, technician);
+      const again = await criticalAlertService.acknowledge(alert, technician);
+
+      assert.equal(first.success, true);
+      assert.equal(alert.status, 'acknowledged');
+      assert.equal(alert.acknowledgedBy, technician.id);
+      assert.deepEqual(again, { success: false, error: 'Alert is already acknowledged' });
+    });
+
+    test('recording a notification acknowledges the alert', async () => {
+      const alert = newAlert();
+
+      const result = await criticalAlertService.recordNotification(alert, technician, {
+        method: 'phone', recipientType: 'doctor', recipientName: ' Dr. Mehta ', contact: '9876543210'
+      });
+
+      assert.equal(result.success, true);
+      assert.equal(alert.status, 'acknowledged');
+      assert.equal(alert.notifications[0].recipientName, 'Dr. Mehta');
+      assert.deepEqual(alert.history.map(h => h.action), ['acknowledged', 'notified']);
+      assert.match(audits.at(-1).details, /doctor Dr\. Mehta via phone \(9876543210\)/);
+    });
+
+    test('rejects incomplete notification records', async () => {
+      const alert = newAlert();
+      const record = (fields) => criticalAlertService.recordNotification(alert, technician, { method: 'phone', recipientName: 'Asha', ...fields });
+
+      assert.match((await record({ method: 'pager' })).error, /Method must be one of: phone, whatsapp, email/);
+      assert.equal((await record({ recipientName: ' ' })).error, 'Name of the person notified is required');
+      assert.equal((await record({ notes: { text: 'x' } })).error, 'Contact and notes must be text');
+      assert.equal(alert.status, 'open');
+    });
+
+    test('an alert can only be resolved once someone has been notified', async () => {
+      const alert = newAlert({ status: 'acknowledged' });
+
+      assert.deepEqual(await criticalAlertService.resolve(alert, technician), {
+        success: false,
+        error: 'Record who was notified before resolving the alert'
+      });
+
+      await criticalAlertService.recordNotification(alert, technician, { method: 'whatsapp', recipientName: 'Asha' });
+      const resolved = await criticalAlertService.resolve(alert, technician, 'Patient advised to visit ER');
+
+      assert.equal(resolved.success, true);
+      assert.equal(alert.status, 'resolved');
+      assert.match(audits.at(-1).details, /- Patient advised to visit ER$/);
+      assert.equal((await criticalAlertService.resolve(alert, technician)).error, 'Alert is already resolved');
+    });
+  });
+});
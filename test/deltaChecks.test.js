@@ -0,0 +1,117 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const deltaCheckService = require('../services/deltaCheckService');
+
+['log', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+const userId = new mongoose.Types.ObjectId();
+const chemistryId = new mongoose.Types.ObjectId();
+const urineId = new mongoose.Types.ObjectId();
+
+const potassium = { label: 'Potassium', unit: 'mmol/L', loincCode: '2823-3', deltaCheck: { mode: 'absolute', limit: 1, windowDays: 7 } };
+const glucose = { label: 'Glucose', unit: 'mg/dL', loincCode: '2345-7', deltaCheck: { mode: 'percent', limit: 50, windowDays: null } };
+const sodium = { label: 'Sodium', unit: 'mmol/L', loincCode: '2951-2', deltaCheck: { mode: '', limit: null, windowDays: null } };
+const specificGravity = { label: 'Specific gravity', unit: '', deltaCheck: { mode: 'absolute', limit: 0.01, windowDays: 30 } };
+
+const fieldsByTestId = new Map([
+  [chemistryId.toString(), [potassium, glucose, sodium]],
+  [urineId.toString(), [specificGravity]]
+]);
+
+const booking = { _id: new mongoose.Types.ObjectId(), userId, appointmentDate: new Date('2099-01-15T00:00:00Z') };
+
+const published = (date, testId, resultFields, values) => ({
+  _id: new mongoose.Types.ObjectId(),
+  appointmentDate: new Date(date),
+  labId: new mongoose.Types.ObjectId(),
+  testResults: [{ testId: { _id: testId, name: 'Panel', resultFields }, values }]
+});
+
+describe('delta checks', () => {
+  let previous;
+  let query;
+
+  beforeEach(() => {
+    previous = [];
+    mock.method(Booking, 'find', (filter) => {
+      query = filter;
+      return { select: () => ({ populate: async () => previous }) };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const evaluate = (testId, values) => deltaCheckService.evaluate(booking, [{ testId, values }], fieldsByTestId);
+
+  test('flags a change past the absolute limit against the latest result in the window', async () => {
+    previous = [
+      published('2099-01-05', chemistryId, [potassium], [{ label: 'Potassium', value: '6.5', unit: 'mmol/L' }]),
+      published('2099-01-13', chemistryId, [potassium], [{ label: 'Potassium', value: '4.1', unit: 'mmol/L' }])
+    ];
+
+    const failures = await evaluate(chemistryId, [{ label: 'Potassium', value: '6.8', unit: 'mmol/L' }]);
+    const [failure] = failures.get(chemistryId.toString());
+
+    assert.equal(failure.previousValue, 4.1);
+    assert.equal(failure.value, 6.8);
+    assert.equal(failure.change, 2.7);
+    assert.equal(failure.previousBookingId, previous[1]._id);
+    assert.equal(failure.message, 'Potassium changed by 2.7 mmol/L from 4.1 mmol/L to 6.8 mmol/L in 2 day(s); limit 1 mmol/L');
+  });
+
+  test('only asks for the patient\'s other published results in the window', async () => {
+    await evaluate(chemistryId, [{ label: 'Potassium', value: '6.8', unit: 'mmol/L' }]);
+
+    assert.equal(query.userId, userId);
+    assert.deepEqual(query._id, { $ne: booking._id });
+    assert.equal(query.status, 'result_published');
+    assert.equal(query.appointmentDate.$gte.toISOString(), '2099-01-08T00:00:00.000Z');
+    assert.equal(query.appointmentDate.$lte.toISOString(), '2099-01-15T00:00:00.000Z');
+  });
+
+  test('passes changes within the limit and ignores results outside the window', async () => {
+    previous = [published('2099-01-01', chemistryId, [potassium], [{ label: 'Potassium', value: '4.1', unit: 'mmol/L' }])];
+    assert.equal((await evaluate(chemistryId, [{ label: 'Potassium', value: '6.8', unit: 'mmol/L' }])).size, 0);
+
+    previous = [published('2099-01-14', chemistryId, [potassium], [{ label: 'Potassium', value: '4.1', unit: 'mmol/L' }])];
+    assert.equal((await evaluate(chemistryId, [{ label: 'Potassium', value: '5.0', unit: 'mmol/L' }])).size, 0);
+  });
+
+  test('compares percent changes in the field\'s unit whatever unit either value was entered in', async () => {
+    previous = [published('2098-06-01', chemistryId, [glucose], [{ label: 'Glucose', value: '5', unit: 'mmol/L', loincCode: '2345-7' }])];
+
+    const failures = await evaluate(chemistryId, [{ label: 'Glucose', value: '180', unit: 'mg/dL' }]);
+    const [failure] = failures.get(chemistryId.toString());
+
+    assert.equal(failure.previousValue, 90.08);
+    assert.equal(failure.unit, 'mg/dL');
+    assert.equal(failure.changePercent, 99.8);
+    assert.match(failure.message, /limit 50%$/);
+    // No window on this field, so every earlier result is in range
+    assert.equal(query.appointmentDate.$gte, undefined);
+  });
+
+  test('matches uncoded fields by test and label', async () => {
+    previous = [published('2099-01-10', urineId, [specificGravity], [{ label: 'Specific gravity', value: '1.010' }])];
+
+    const failures = await evaluate(urineId, [{ label: 'specific gravity', value: '1.030' }]);
+    assert.equal(failures.get(urineId.toString())[0].change, 0.02);
+
+    const otherTest = await deltaCheckService.evaluate(booking, [{ testId: chemistryId, values: [{ label: 'Specific gravity', value: '1.030' }] }],
+      new Map([[chemistryId.toString(), [specificGravity]]]));
+    assert.equal(otherTest.size, 0);
+  });
+
+  test('skips fields without a delta check, text values and first results', async () => {
+    assert.equal((await evaluate(chemistryId, [{ label: 'Sodium', value: '150', unit: 'mmol/L' }])).size, 0);
+    assert.equal(Booking.find.mock.callCount(), 0);
+
+    previous = [published('2099-01-13', chemistryId, [potassium], [{ label: 'Potassium', value: '4.1', unit: 'mmol/L' }])];
+    assert.equal((await evaluate(chemistryId, [{ label: 'Potassium', value: 'hemolysed', unit: 'mmol/L' }])).size, 0);
+
+    previous = [];
+    assert.equal((await evaluate(chemistryId, [{ label: 'Potassium', value: '6.8', unit: 'mmol/L' }])).size, 0);
+  });
+});
@@ -0,0 +1,378 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const { once } = require('node:events');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Lab = require('../models/Lab');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const HL7Partner = require('../models/HL7Partner');
+const HL7Message = require('../models/HL7Message');
+const pricingService = require('../services/pricingService');
+const slotService = require('../services/slotService');
+const mllpService = require('../services/mllpService');
+const hl7Service = require('../services/hl7Service');
+
+// Models are stubbed in-process; the MLLP traffic goes over a real local socket.
+// Service logging is silenced so it doesn't mix with the test runner's output.
+['log', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+const labId = new mongoose.Types.ObjectId();
+const testId = new mongoose.Types.ObjectId();
+const openDay = { isOpen: true, open: '00:00', close: '23:59' };
+const lab = {
+  _id: labId,
+  name: 'City Lab',
+  isActive: true,
+  availableTests: [testId],
+  capacity: { daily: 100, hourly: 10 },
+  operatingHours: Object.fromEntries(
+    ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].map(day => [day, openDay])
+  )
+};
+const partner = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'General Hospital',
+  facility: 'GENHOSP',
+  application: 'HIS',
+  labId,
+  isActive: true,
+  allowedIps: ['127.0.0.1'],
+  testCodes: [{ code: 'CBC', testId }],
+  resultDestination: { transport: 'mllp' }
+};
+
+const hl7Timestamp = (date) => hl7Service.formatTimestamp(date);
+
+const ormMessage = ({ controlId = 'MSG0001', placer = 'ORD1001', facility = 'GENHOSP', requestedAt, control = 'NW' } = {}) => [
+  `MSH|^~\\&|HIS|${facility}|LABMATE360|LABMATE360|${hl7Timestamp(new Date())}||ORM^O01|${controlId}|P|2.5.1`,
+  'PID|1||MRN42^^^GENHOSP^MR||Rao^Asha||19850214|F|||||9876543210^^^asha@example.com',
+  `ORC|${control}|${placer}|||||||${hl7Timestamp(requestedAt)}`,
+  'OBR|1|ORD1001||CBC^Complete Blood Count^L',
+  'NTE|1||Fasting sample'
+].join('\r');
+
+const ackOf = (raw) => {
+  const ack = hl7Service.parse(raw);
+  const msa = ack.segment('MSA');
+  return {
+    code: ack.value(msa, 1),
+    controlId: ack.value(msa, 2),
+    text: ack.value(msa, 3),
+    errorCode: ack.value(ack.segment('ERR'), 3)
+  };
+};
+
+describe('HL7 parsing', () => {
+  test('keeps spec field numbering and unescapes values', () => {
+    const parsed = hl7Service.parse('MSH|^~\\&|HIS|GENHOSP|||20260101||ORM^O01|C1|P|2.5.1\rPID|1||M1||Rao^Asha\rNTE|1||A\\F\\B\\.br\\C');
+
+    assert.equal(parsed.value(parsed.segment('MSH'), 4), 'GENHOSP');
+    assert.equal(parsed.value(parsed.segment('MSH'), 9, 2), 'O01');
+    assert.equal(parsed.value(parsed.segment('MSH'), 10), 'C1');
+    assert.equal(parsed.value(parsed.segment('PID'), 5, 2), 'Asha');
+    assert.equal(parsed.value(parsed.segment('NTE'), 3), 'A|B\nC');
+  });
+
+  test('rejects messages that do not start with MSH', () => {
+    assert.equal(hl7Service.parse('PID|1||M1'), null);
+    assert.equal(hl7Service.parse(''), null);
+  });
+
+  test('reads timestamps with and without an offset', () => {
+    assert.equal(hl7Service.parseTimestamp('20260315093000+0530').toISOString(), '2026-03-15T04:00:00.000Z');
+    assert.equal(hl7Service.parseTimestamp('20260315').getTime(), new Date('2026-03-15T00:00:00').getTime());
+    assert.equal(hl7Service.parseTimestamp('not a date'), null);
+  });
+});
+
+describe('MLLP framing', () => {
+  test('splits frames and keeps a partial one for the next chunk', () => {
+    const chunk = mllpService.frame('ONE') + mllpService.frame('TWO') + '\x0bTHR';
+    const { messages, rest } = mllpService.extractFrames(chunk);
+
+    assert.deepEqual(messages, ['ONE', 'TWO']);
+    assert.deepEqual(mllpService.extractFrames(rest + 'EE\x1c\r').messages, ['THREE']);
+  });
+});
+
+describe('ACK building', () => {
+  const parsed = hl7Service.parse(ormMessage({ requestedAt: new Date() }));
+
+  test('AA carries the original control id and no ERR segment', () => {
+    const raw = hl7Service.buildAck(parsed, 'AA', 'Order accepted');
+
+    assert.deepEqual(ackOf(raw), { code: 'AA', controlId: 'MSG0001', text: 'Order accepted', errorCode: '' });
+    assert.equal(hl7Service.parse(raw).value(hl7Service.parse(raw).segment('MSH'), 5), 'HIS');
+    assert.equal(hl7Service.parse(raw).segment('ERR'), null);
+  });
+
+  test('AE and AR carry an HL7 table 0357 error code', () => {
+    assert.equal(ackOf(hl7Service.buildAck(parsed, 'AE', 'Unknown test code(s): X', '103')).errorCode, '103');
+    assert.equal(ackOf(hl7Service.buildAck(null, 'AR', 'Message must start with an MSH segment')).errorCode, '207');
+  });
+});
+
+describe('MLLP listener', () => {
+  let server;
+  let port;
+  let saved;
+  let patients;
+  let dayBookings;
+
+  const send = (message) => mllpService.send('127.0.0.1', port, message, 2000).then(ackOf);
+
+  before(async () => {
+    server = mllpService.listen(0, '127.0.0.1', (raw, remoteAddress) =>
+      hl7Service.handleMessage(raw, { transport: 'mllp', remoteAddress })
+    );
+    await once(server, 'listening');
+    port = server.address().port;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    saved = [];
+    patients = [];
+    dayBookings = 0;
+    mock.method(HL7Partner, 'findOne', async ({ facility }) => (facility === partner.facility ? partner : null));
+    mock.method(HL7Message, 'findOne', async () => null);
+    mock.method(HL7Message.prototype, 'save', async function () { return this; });
+    mock.method(Booking, 'findOne', async () => null);
+    mock.method(Booking.prototype, 'save', async function () { saved.push(this); return this; });
+    mock.method(Lab, 'findById', async () => lab);
+    mock.method(Test, 'find', () => ({ select: async () => [{ _id: testId, name: 'Complete Blood Count' }] }));
+    mock.method(User, 'findOne', async () => null);
+    mock.method(User, 'exists', async () => null);
+    mock.method(User.prototype, 'save', async function () { patients.push(this); return this; });
+    mock.method(pricingService, 'priceBooking', async () => ({
+      success: true,
+      selectedTests: [{ testId, testName: 'Complete Blood Count', price: 400 }],
+      priceBreakdown: { subtotal: 400, total: 400 }
+    }));
+    mock.method(slotService, 'acquireLock', async (lockLabId, date) => ({ labId: lockLabId, date, owner: 'test' }));
+    mock.method(slotService, 'releaseLock', async () => {});
+    mock.method(slotService, 'countBookings', async () => ({ total: dayBookings, byHour: {} }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('accepts an order from an allow-listed partner and books the requested slot', async () => {
+    const requestedAt = new Date(Date.UTC(2099, 0, 15, 10, 30));
+    const ack = await send(ormMessage({ requestedAt }));
+
+    assert.equal(ack.code, 'AA', ack.text);
+    assert.equal(ack.controlId, 'MSG0001');
+    assert.equal(saved.length, 1);
+
+    const booking = saved[0];
+    assert.equal(booking.status, 'confirmed');
+    assert.equal(slotService.toDateKey(booking.appointmentDate), '2099-01-15');
+    assert.equal(booking.appointmentTime, '10:30');
+    assert.equal(booking.externalOrder.placerOrderNumber, 'ORD1001');
+    assert.equal(booking.notes, 'Fasting sample');
+    assert.equal(slotService.releaseLock.mock.callCount(), 1);
+  });
+
+  test('answers several frames on one connection in order', async () => {
+    const requestedAt = new Date(Date.UTC(2099, 0, 15, 10, 30));
+    const client = net.createConnection({ host: '127.0.0.1', port });
+    await once(client, 'connect');
+
+    let buffer = '';
+    const acks = [];
+    client.setEncoding('utf8');
+    client.on('data', chunk => {
+      const { messages, rest } = mllpService.extractFrames(buffer + chunk);
+      buffer = rest;
+      acks.push(...messages);
+    });
+
+    client.write(
+      mllpService.frame(ormMessage({ controlId: 'A1', placer: 'P1', requestedAt })) +
+      mllpService.frame(ormMessage({ controlId: 'A2', placer: 'P2', requestedAt }))
+    );
+    while (acks.length < 2) await once(client, 'data');
+    client.end();
+
+    assert.deepEqual(acks.map(a => ackOf(a).controlId), ['A1', 'A2']);
+    assert.deepEqual(acks.map(a => ackOf(a).code), ['AA', 'AA']);
+  });
+
+  test('returns AE when the day is fully booked', async () => {
+    dayBookings = lab.capacity.daily;
+    const ack = await send(ormMessage({ requestedAt: new Date(Date.UTC(2099, 0, 15, 10, 30)) }));
+
+    assert.equal(ack.code, 'AE');
+    assert.match(ack.text, /fully booked/);
+    assert.equal(ack.errorCode, '207');
+    assert.equal(saved.length, 0);
+    assert.equal(slotService.releaseLock.mock.callCount(), 1);
+  });
+
+  test('rejects an unknown sending facility', async () => {
+    const ack = await send(ormMessage({ facility: 'NOBODY', requestedAt: new Date() }));
+
+    assert.equal(ack.code, 'AR');
+    assert.equal(ack.errorCode, '204');
+    assert.equal(saved.length, 0);
+  });
+
+  test('rejects a known facility connecting from an address that is not allow-listed', async () => {
+    mock.method(HL7Partner, 'findOne', async () => ({ ...partner, allowedIps: [] }));
+    const ack = await send(ormMessage({ requestedAt: new Date() }));
+
+    assert.equal(ack.code, 'AR');
+    assert.match(ack.text, /not allowed/);
+    assert.equal(saved.length, 0);
+  });
+
+  test('books a returning patient by the partner MRN', async () => {
+    const existing = new User({ firstName: 'Asha', lastName: 'Rao', email: 'asha@example.com', phone: '9876543210', password: 'x'.repeat(12) });
+    mock.method(User, 'findOne', async (query) => (query.externalIds?.$elemMatch?.value === 'MRN42' ? existing : null));
+
+    const ack = await send(ormMessage({ requestedAt: new Date(Date.UTC(2099, 0, 15, 10, 30)) }));
+
+    assert.equal(ack.code, 'AA', ack.text);
+    assert.equal(String(saved[0].userId), String(existing._id));
+    assert.equal(patients.length, 0);
+  });
+
+  test('does not attach an order to another account with the same email', async () => {
+    const accountId = new mongoose.Types.ObjectId();
+    mock.method(User, 'exists', async ({ email }) => (email === 'asha@example.com' ? { _id: accountId } : null));
+
+    const ack = await send(ormMessage({ requestedAt: new Date(Date.UTC(2099, 0, 15, 10, 30)) }));
+
+    assert.equal(ack.code, 'AA', ack.text);
+    assert.equal(patients.length, 1);
+    const [patient] = patients;
+    assert.notEqual(String(patient._id), String(accountId));
+    assert.equal(patient.email, 'genhosp.mrn42@hl7.labmate360.com');
+    assert.equal(String(patient.possibleDuplicateOf), String(accountId));
+    assert.deepEqual(patient.externalIds.map(e => [e.system, e.value]), [['GENHOSP', 'MRN42']]);
+    assert.equal(String(saved[0].userId), String(patient._id));
+  });
+
+  test('drops a connection whose frame grows past the size limit', async () => {
+    const client = net.createConnection({ host: '127.0.0.1', port });
+    await once(client, 'connect');
+    client.on('error', () => {});
+
+    client.write('\x0b' + 'A'.repeat(1024 * 1024 + 1));
+    await once(client, 'close');
+
+    assert.equal(saved.length, 0);
+  });
+
+  test('rejects a frame that is not an HL7 message', async () => {
+    const ack = await send('hello');
+
+    assert.equal(ack.code, 'AR');
+    assert.equal(ack.errorCode, '101');
+  });
+});
+
+describe('ORU^R01 results', () => {
+  const patientId = new mongoose.Types.ObjectId();
+  const booking = {
+    _id: new mongoose.Types.ObjectId(),
+    labId,
+    userId: {
+      _id: patientId,
+      firstName: 'Asha',
+      lastName: 'Rao',
+      gender: 'female',
+      dateOfBirth: new Date('1985-02-14T00:00:00Z'),
+      externalIds: [{ system: 'GENHOSP', value: 'MRN42' }]
+    },
+    externalOrder: { partnerId: partner._id, placerOrderNumber: 'ORD1001', testCodes: [{ testId, code: 'CBC', text: 'Complete Blood Count' }] },
+    samples: [{ collectedAt: new Date('2099-01-15T10:40:00Z') }],
+    publishedAt: new Date('2099-01-15T14:00:00Z'),
+    testResults: [{
+      testId: { _id: testId, name: 'Complete Blood Count', resultFields: [{ label: 'Hemoglobin', loincCode: '718-7' }] },
+      values: [
+        { label: 'Hemoglobin', value: '13.5', unit: 'g/dL', referenceRange: '12-15', flag: '' },
+        { label: 'Comment', value: 'Mild anisocytosis', unit: '', referenceRange: '', flag: '' }
+      ],
+      verifiedAt: new Date('2099-01-15T13:00:00Z')
+    }]
+  };
+
+  test('maps the booking to PID, ORC, OBR and OBX segments', () => {
+    const oru = hl7Service.parse(hl7Service.buildResultMessage(booking, partner));
+    const [hemoglobin, comment] = oru.all('OBX');
+
+    assert.equal(oru.value(oru.segment('MSH'), 9), 'ORU');
+    assert.equal(oru.value(oru.segment('MSH'), 5), 'HIS');
+    assert.equal(oru.value(oru.segment('MSH'), 6), 'GENHOSP');
+    assert.equal(oru.value(oru.segment('PID'), 3), 'MRN42');
+    assert.equal(oru.value(oru.segment('PID'), 8), 'F');
+    assert.equal(oru.value(oru.segment('ORC'), 2), 'ORD1001');
+    assert.equal(oru.value(oru.segment('OBR'), 4), 'CBC');
+    assert.equal(oru.value(oru.segment('OBR'), 7), '20990115104000+0000');
+    assert.equal(oru.value(oru.segment('OBR'), 25), 'F');
+
+    assert.equal(oru.value(hemoglobin, 2), 'NM');
+    assert.equal(oru.value(hemoglobin, 3, 1), '718-7');
+    assert.equal(oru.value(hemoglobin, 3, 3), 'LN');
+    assert.equal(oru.value(hemoglobin, 5), '13.5');
+    assert.equal(oru.value(hemoglobin, 6), 'g/dL');
+    assert.equal(oru.value(comment, 2), 'ST');
+    assert.equal(oru.value(comment, 11), 'F');
+  });
+
+  test('marks amended results as corrected', () => {
+    const oru = hl7Service.parse(hl7Service.buildResultMessage({ ...booking, resultVersion: 2 }, partner));
+
+    assert.equal(oru.value(oru.segment('OBR'), 25), 'C');
+    oru.all('OBX').forEach(obx => assert.equal(oru.value(obx, 11), 'C'));
+  });
+
+  describe('delivery over MLLP', () => {
+    let server;
+    let reply;
+    let received;
+
+    before(async () => {
+      server = mllpService.listen(0, '127.0.0.1', raw => {
+        received = raw;
+        return hl7Service.buildAck(hl7Service.parse(raw), reply, reply === 'AA' ? '' : 'Patient not found');
+      });
+      await once(server, 'listening');
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const deliver = () => {
+      const raw = hl7Service.buildResultMessage(booking, partner);
+      const message = new HL7Message({ direction: 'outbound', transport: 'mllp', raw, status: 'pending' });
+      mock.method(message, 'save', async () => message);
+      const destination = { transport: 'mllp', host: '127.0.0.1', port: server.address().port };
+      return hl7Service.deliver(message, { ...partner, resultDestination: destination });
+    };
+
+    afterEach(() => mock.restoreAll());
+
+    test('records the partner ACK', async () => {
+      reply = 'AA';
+      const message = await deliver();
+
+      assert.equal(received, message.raw);
+      assert.equal(message.status, 'acknowledged');
+      assert.equal(message.ackCode, 'AA');
+      assert.equal(message.attempts, 1);
+    });
+
+    test('marks the message failed when the partner answers AE', async () => {
+      reply = 'AE';
+      const message = await deliver();
+
+      assert.equal(message.status, 'failed');
+      assert.equal(message.ackCode, 'AE');
+      assert.equal(message.error, 'Patient not found');
+    });
+  });
+});
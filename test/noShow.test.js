@@ -0,0 +1,134 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test_jwt_secret';
+
+const Booking = require('../models/Booking');
+const AuditLog = require('../models/AuditLog');
+const noShowScheduler = require('../services/noShowScheduler');
+
+['log', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+// BOOKING_TIMEZONE is unset, so appointment times are UTC wall-clock times
+const NOW = new Date('2099-01-15T14:00:00Z');
+
+const bookingAt = (appointmentTime, fields = {}) => {
+  const booking = {
+    _id: new mongoose.Types.ObjectId(),
+    labId: new mongoose.Types.ObjectId(),
+    appointmentDate: new Date('2099-01-15'),
+    appointmentTime,
+    status: 'confirmed',
+    statusHistory: [],
+    ...fields
+  };
+  booking.save = mock.fn(async () => booking);
+  return booking;
+};
+
+describe('no-show detection', () => {
+  let found;
+  let query;
+  let audits;
+
+  beforeEach(() => {
+    found = [];
+    audits = [];
+    mock.method(Booking, 'find', (filter) => {
+      query = filter;
+      return { populate: () => ({ populate: async () => found }) };
+    });
+    mock.method(AuditLog, 'create', async (entry) => { audits.push(entry); return entry; });
+    mock.method(noShowScheduler, 'notifyPatient', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('looks only at active, uncollected bookings still waiting for the patient', async () => {
+    await noShowScheduler.markNoShows(NOW);
+
+    assert.deepEqual(query.status, { $in: ['pending', 'confirmed'] });
+    assert.equal(query.isActive, true);
+    assert.deepEqual(query['samples.0'], { $exists: false });
+    assert.equal(query.appointmentDate.$lte.toISOString(), '2099-01-15T23:59:59.999Z');
+  });
+
+  test('flags bookings whose grace period has passed and leaves the rest', async () => {
+    const missed = bookingAt('11:30');
+    const withinGrace = bookingAt('12:30');
+    const later = bookingAt('16:00', { status: 'pending' });
+    found = [missed, withinGrace, later];
+
+    const marked = await noShowScheduler.markNoShows(NOW);
+
+    assert.equal(noShowScheduler.graceMinutes, 120);
+    assert.equal(marked, 1);
+    assert.equal(missed.status, 'no_show');
+    assert.equal(missed.statusHistory[0].role, 'system');
+    assert.match(missed.statusHistory[0].reason, /within 120 minutes/);
+    assert.equal(missed.save.mock.callCount(), 1);
+    assert.equal(withinGrace.status, 'confirmed');
+    assert.equal(later.status, 'pending');
+    assert.equal(withinGrace.save.mock.callCount(), 0);
+  });
+
+  test('records an audit entry and tells the patient', async () => {
+    const missed = bookingAt('09:00');
+    found = [missed];
+
+    await noShowScheduler.markNoShows(NOW);
+
+    assert.equal(audits.length, 1);
+    assert.equal(audits[0].action, 'no_show');
+    assert.equal(audits[0].performedBy, null);
+    assert.equal(audits[0].details, 'Booking automatically marked as no-show (appointment 2099-01-15 09:00)');
+    assert.equal(noShowScheduler.notifyPatient.mock.calls[0].arguments[0], missed);
+  });
+
+  test('waits for the end of the day when the appointment time cannot be read', async () => {
+    const today = bookingAt('sometime');
+    const yesterday = bookingAt('sometime', { appointmentDate: new Date('2099-01-14') });
+    found = [today, yesterday];
+
+    const marked = await noShowScheduler.markNoShows(NOW);
+
+    assert.equal(marked, 1);
+    assert.equal(today.status, 'confirmed');
+    assert.equal(yesterday.status, 'no_show');
+  });
+
+  test('one failed save does not stop the rest of the run', async () => {
+    const failing = bookingAt('09:00');
+    failing.save = mock.fn(async () => { throw new Error('write failed'); });
+    const missed = bookingAt('10:00');
+    found = [failing, missed];
+
+    const marked = await noShowScheduler.markNoShows(NOW);
+
+    assert.equal(marked, 1);
+    assert.equal(missed.status, 'no_show');
+  });
+});
+
+describe('rebook links', () => {
+  test('carry a rebook-only token for the booking', () => {
+    const booking = { _id: new mongoose.Types.ObjectId() };
+    const url = new URL(noShowScheduler.getRebookUrl(booking));
+    const decoded = noShowScheduler.verifyRebookToken(url.searchParams.get('token'));
+
+    assert.equal(url.pathname, '/user/rebook');
+    assert.equal(decoded.bookingId, String(booking._id));
+    assert.equal(decoded.userId, undefined);
+  });
+
+  test('refuse tokens minted for anything else', () => {
+    const loginToken = jwt.sign({ userId: 'u1' }, process.env.JWT_SECRET);
+    const forged = jwt.sign({ purpose: 'rebook', bookingId: 'b1' }, 'another secret');
+
+    assert.equal(noShowScheduler.verifyRebookToken(loginToken), null);
+    assert.equal(noShowScheduler.verifyRebookToken(forged), null);
+    assert.equal(noShowScheduler.verifyRebookToken('garbage'), null);
+  });
+});
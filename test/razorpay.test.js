@@ -0,0 +1,505 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { once } = require('node:events');
+const express = require('express');
+const mongoose = require('mongoose');
+
+// Razorpay calls go to a local stand-in of its API (RAZORPAY_API_URL); models are
+// stubbed in-process. Service logging is silenced so it doesn't mix with the
+// test runner's output.
+['log', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+const KEY_SECRET = 'test_key_secret';
+const WEBHOOK_SECRET = 'test_webhook_secret';
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+/**
+ * Minimal Razorpay API: orders and payment refunds, with every request recorded
+ */
+const createStandIn = () => {
+  const state = { orders: new Map(), refunds: [], requests: [], failRefunds: false };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const data = body ? JSON.parse(body) : {};
+      state.requests.push({ method: req.method, url: req.url, data, authorization: req.headers.authorization });
+
+      const reply = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+      const badRequest = (description) => reply(400, { error: { code: 'BAD_REQUEST_ERROR', description } });
+
+      let match;
+      if (req.method === 'POST' && req.url === '/v1/orders') {
+        const order = { id: `order_${state.orders.size + 1}`, entity: 'order', status: 'created', ...data };
+        state.orders.set(order.id, order);
+        return reply(200, order);
+      }
+      if (req.method === 'GET' && (match = req.url.match(/^\/v1\/orders\/([^/?]+)$/))) {
+        const order = state.orders.get(match[1]);
+        return order ? reply(200, order) : badRequest('The id provided does not exist');
+      }
+      if (req.method === 'POST' && (match = req.url.match(/^\/v1\/payments\/([^/]+)\/refund$/))) {
+        if (state.failRefunds) return badRequest('The payment has been fully refunded already');
+        const refund = { id: `rfnd_${state.refunds.length + 1}`, entity: 'refund', payment_id: match[1], status: 'pending', ...data };
+        state.refunds.push(refund);
+        return reply(200, refund);
+      }
+      if (req.method === 'GET' && (match = req.url.match(/^\/v1\/payments\/([^/?]+)\/refunds(\?.*)?$/))) {
+        const items = state.refunds.filter(r => r.payment_id === match[1]);
+        return reply(200, { entity: 'collection', count: items.length, items });
+      }
+      badRequest(`No stand-in for ${req.method} ${req.url}`);
+    });
+  });
+
+  return { server, state };
+};
+
+const standIn = createStandIn();
+
+let razorpayConfig;
+let Booking;
+let Refund;
+let PaymentEvent;
+let paymentService;
+let refundService;
+let paymentsRouter;
+
+before(async () => {
+  standIn.server.listen(0, '127.0.0.1');
+  await once(standIn.server, 'listening');
+
+  process.env.RAZORPAY_API_URL = `http://127.0.0.1:${standIn.server.address().port}`;
+  process.env.RAZORPAY_KEY_ID = 'rzp_test_key';
+  process.env.RAZORPAY_KEY_SECRET = KEY_SECRET;
+  process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+  razorpayConfig = require('../config/razorpay');
+  Booking = require('../models/Booking');
+  Refund = require('../models/Refund');
+  PaymentEvent = require('../models/PaymentEvent');
+  paymentService = require('../services/paymentService');
+  refundService = require('../services/refundService');
+  paymentsRouter = require('../routes/payments');
+});
+
+after(() => new Promise(resolve => standIn.server.close(resolve)));
+
+beforeEach(() => {
+  standIn.state.orders.clear();
+  standIn.state.refunds = [];
+  standIn.state.requests = [];
+  standIn.state.failRefunds = false;
+});
+
+afterEach(() => mock.restoreAll());
+
+const newBooking = (fields = {}) => {
+  const booking = new Booking({
+    userId: new mongoose.Types.ObjectId(),
+    labId: new mongoose.Types.ObjectId(),
+    appointmentDate: new Date('2099-01-15'),
+    appointmentTime: '10:30',
+    paymentMethod: 'pay_now',
+    paymentStatus: 'pending',
+    totalAmount: 499.5,
+    status: 'pending',
+    ...fields
+  });
+  mock.method(booking, 'save', async () => booking);
+  return booking;
+};
+
+describe('signature verification', () => {
+  test('accepts the checkout signature of order_id|payment_id', () => {
+    const signature = hmac(KEY_SECRET, 'order_1|pay_1');
+
+    assert.equal(razorpayConfig.verifyPaymentSignature('order_1', 'pay_1', signature), true);
+    assert.equal(razorpayConfig.verifyPaymentSignature('order_1', 'pay_2', signature), false);
+    assert.equal(razorpayConfig.verifyPaymentSignature('order_1', 'pay_1', signature.slice(1)), false);
+    assert.equal(razorpayConfig.verifyPaymentSignature('order_1', 'pay_1', undefined), false);
+  });
+
+  test('checks webhook bodies against the webhook secret', () => {
+    const body = Buffer.from(JSON.stringify({ event: 'payment.captured' }));
+
+    assert.equal(razorpayConfig.verifyWebhookSignature(body, hmac(WEBHOOK_SECRET, body)), true);
+    assert.equal(razorpayConfig.verifyWebhookSignature(body, hmac(KEY_SECRET, body)), false);
+    assert.equal(razorpayConfig.verifyWebhookSignature(Buffer.from('{}'), hmac(WEBHOOK_SECRET, body)), false);
+  });
+});
+
+describe('order creation', () => {
+  test('creates one order per booking and reuses it', async () => {
+    const booking = newBooking();
+
+    const first = await paymentService.getOrCreateOrder(booking);
+    const second = await paymentService.getOrCreateOrder(booking);
+
+    assert.equal(first.reused, false);
+    assert.equal(first.order.amount, 49950);
+    assert.equal(first.order.receipt, `booking_${booking._id}`);
+    assert.equal(booking.razorpayOrderId, first.order.id);
+    assert.equal(second.reused, true);
+    assert.equal(second.order.id, first.order.id);
+    assert.equal(standIn.state.requests.filter(r => r.method === 'POST').length, 1);
+
+    const expectedAuth = 'Basic ' + Buffer.from(`rzp_test_key:${KEY_SECRET}`).toString('base64');
+    assert.equal(standIn.state.requests[0].authorization, expectedAuth);
+  });
+
+  test('replaces the order when the booking amount changed', async () => {
+    const booking = newBooking();
+    const first = await paymentService.getOrCreateOrder(booking);
+
+    booking.totalAmount = 599;
+    const second = await paymentService.getOrCreateOrder(booking);
+
+    assert.equal(second.reused, false);
+    assert.notEqual(second.order.id, first.order.id);
+    assert.equal(second.order.amount, 59900);
+  });
+
+  test('replaces an order Razorpay no longer knows about', async () => {
+    const booking = newBooking({ razorpayOrderId: 'order_missing' });
+    const result = await paymentService.getOrCreateOrder(booking);
+
+    assert.equal(result.success, true);
+    assert.equal(result.reused, false);
+    assert.notEqual(booking.razorpayOrderId, 'order_missing');
+  });
+
+  test('refuses a new order once the existing one is paid', async () => {
+    const booking = newBooking();
+    const { order } = await paymentService.getOrCreateOrder(booking);
+    standIn.state.orders.get(order.id).status = 'paid';
+
+    const result = await paymentService.getOrCreateOrder(booking);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /already been received/);
+  });
+});
+
+describe('webhook', () => {
+  let app;
+  let server;
+  let bookings;
+  let refunds;
+  let events;
+
+  const post = (body, { signature, eventId } = {}) => {
+    const raw = JSON.stringify(body);
+    return fetch(`http://127.0.0.1:${server.address().port}/api/payments/razorpay/webhook`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': signature ?? hmac(WEBHOOK_SECRET, raw),
+        ...(eventId && { 'X-Razorpay-Event-Id': eventId })
+      },
+      body: raw
+    }).then(async res => ({ status: res.status, body: await res.json() }));
+  };
+
+  const paymentEvent = (event, booking, extra = {}) => ({
+    event,
+    payload: {
+      payment: {
+        entity: { id: 'pay_1', order_id: booking.razorpayOrderId, amount: 49950, status: event.split('.')[1], ...extra }
+      }
+    }
+  });
+
+  before(async () => {
+    app = express();
+    app.use('/api/payments', paymentsRouter);
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    bookings = [];
+    refunds = [];
+    events = new Set();
+
+    mock.method(PaymentEvent, 'create', async ({ eventId }) => {
+      if (events.has(eventId)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      events.add(eventId);
+      return { _id: eventId, save: async () => {} };
+    });
+    mock.method(PaymentEvent, 'deleteOne', async ({ _id }) => { events.delete(_id); });
+    mock.method(Booking, 'findOne', async (query) => bookings.find(b =>
+      Object.entries(query).every(([key, value]) => b[key] === value)
+    ) || null);
+    mock.method(Booking, 'findById', async (id) => bookings.find(b => String(b._id) === String(id)) || null);
+    mock.method(Booking, 'findByIdAndUpdate', async (id, update) => {
+      const booking = bookings.find(b => String(b._id) === String(id));
+      if (booking) booking.refundedAmount = (booking.refundedAmount || 0) + update.$inc.refundedAmount;
+      return booking || null;
+    });
+    mock.method(Refund, 'findOne', async ({ razorpayRefundId }) => refunds.find(r => r.razorpayRefundId === razorpayRefundId) || null);
+    mock.method(Refund, 'findById', async (id) => refunds.find(r => String(r._id) === String(id)) || null);
+    mock.method(Refund, 'findOneAndUpdate', async ({ _id }, update) => {
+      const refund = refunds.find(r => String(r._id) === String(_id) && r.status !== 'processed');
+      if (refund) Object.assign(refund, update.$set);
+      return refund || null;
+    });
+    mock.method(refundService, 'notifyPatient', () => {});
+  });
+
+  test('rejects a body whose signature does not match', async () => {
+    const booking = newBooking({ razorpayOrderId: 'order_1' });
+    bookings.push(booking);
+
+    const res = await post(paymentEvent('payment.captured', booking), { signature: hmac('wrong secret', '{}') });
+
+    assert.equal(res.status, 400);
+    assert.equal(booking.paymentStatus, 'pending');
+    assert.equal(events.size, 0);
+  });
+
+  test('payment.captured completes the payment and confirms the booking once', async () => {
+    const booking = newBooking({ razorpayOrderId: 'order_1' });
+    bookings.push(booking);
+
+    const first = await post(paymentEvent('payment.captured', booking), { eventId: 'evt_1' });
+    const retry = await post(paymentEvent('payment.captured', booking), { eventId: 'evt_1' });
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.status, 'processed');
+    assert.equal(booking.paymentStatus, 'completed');
+    assert.equal(booking.paidAmount, 499.5);
+    assert.equal(booking.razorpayPaymentId, 'pay_1');
+    assert.equal(booking.status, 'confirmed');
+    assert.equal(retry.body.status, 'duplicate');
+    assert.equal(booking.save.mock.callCount(), 1);
+  });
+
+  test('payment.captured for the wrong amount is flagged and leaves the booking unpaid', async () => {
+    const booking = newBooking({ razorpayOrderId: 'order_1' });
+    bookings.push(booking);
+
+    const res = await post(paymentEvent('payment.captured', booking, { amount: 100 }));
+
+    assert.equal(res.body.status, 'flagged');
+    assert.match(res.body.message, /does not match the booking total of 49950 paise/);
+    assert.equal(booking.paymentStatus, 'pending');
+    assert.equal(booking.status, 'pending');
+    assert.equal(booking.save.mock.callCount(), 0);
+  });
+
+  test('payment.captured on a cancelled booking records the payment and requests a full refund', async () => {
+    const booking = newBooking({ razorpayOrderId: 'order_1', status: 'cancelled', isActive: false, appointmentDate: new Date('2000-01-15') });
+    bookings.push(booking);
+    const created = [];
+    mock.method(Refund, 'create', async (fields) => { created.push(fields); return { _id: 'refund_1', ...fields }; });
+
+    const res = await post(paymentEvent('payment.captured', booking));
+
+    assert.equal(res.body.status, 'flagged');
+    assert.match(res.body.message, /refund refund_1 requested/);
+    assert.equal(booking.paymentStatus, 'completed');
+    assert.equal(booking.paidAmount, 499.5);
+    assert.equal(booking.status, 'cancelled');
+    assert.equal(created.length, 1);
+    assert.equal(created[0].amount, 499.5);
+    assert.equal(created[0].percent, 100);
+    assert.equal(created[0].requestedBy, null);
+  });
+
+  test('payment.failed marks an unpaid booking failed', async () => {
+    const booking = newBooking({ razorpayOrderId: 'order_1' });
+    bookings.push(booking);
+
+    const res = await post(paymentEvent('payment.failed', booking, { error_description: 'Card declined' }));
+
+    assert.equal(res.body.status, 'processed');
+    assert.match(res.body.message, /Card declined/);
+    assert.equal(booking.paymentStatus, 'failed');
+    assert.equal(booking.status, 'pending');
+  });
+
+  test('a late payment.failed does not undo a completed payment', async () => {
+    const booking = newBooking({ razorpayOrderId: 'order_1', paymentStatus: 'completed', paidAmount: 499.5 });
+    bookings.push(booking);
+
+    const res = await post(paymentEvent('payment.failed', booking, { id: 'pay_0' }));
+
+    assert.equal(res.body.status, 'ignored');
+    assert.equal(booking.paymentStatus, 'completed');
+  });
+
+  test('refund.processed completes the refund and updates the booking total', async () => {
+    const booking = newBooking({ razorpayPaymentId: 'pay_1', paymentStatus: 'completed', paidAmount: 499.5, status: 'cancelled' });
+    const refund = { _id: new mongoose.Types.ObjectId(), bookingId: booking._id, amount: 249.75, status: 'processing', razorpayRefundId: 'rfnd_1' };
+    bookings.push(booking);
+    refunds.push(refund);
+
+    const body = { event: 'refund.processed', payload: { refund: { entity: { id: 'rfnd_1', payment_id: 'pay_1', amount: 24975 } } } };
+    const first = await post(body, { eventId: 'evt_r1' });
+    const second = await post(body, { eventId: 'evt_r2' });
+
+    assert.equal(first.body.status, 'processed');
+    assert.equal(second.body.status, 'processed');
+    assert.equal(refund.status, 'processed');
+    assert.equal(booking.refundedAmount, 249.75);
+    assert.equal(booking.paymentStatus, 'partially_refunded');
+  });
+
+  test('refund.processed without a refund record still reaches the booking', async () => {
+    const booking = newBooking({ razorpayPaymentId: 'pay_1', paymentStatus: 'completed', paidAmount: 499.5, status: 'cancelled' });
+    bookings.push(booking);
+
+    const body = { event: 'refund.processed', payload: { refund: { entity: { id: 'rfnd_dash', payment_id: 'pay_1', amount: 49950 } } } };
+    const res = await post(body);
+
+    assert.equal(res.body.status, 'processed');
+    assert.equal(booking.refundedAmount, 499.5);
+    assert.equal(booking.paymentStatus, 'refunded');
+  });
+
+  test('an event the handler fails on is released for Razorpay to retry', async () => {
+    const unsaved = newBooking({ razorpayOrderId: 'order_1' });
+    bookings.push(unsaved);
+    mock.method(unsaved, 'save', async () => { throw new Error('write failed'); });
+
+    const failed = await post(paymentEvent('payment.captured', unsaved), { eventId: 'evt_2' });
+
+    // The retry reads the booking as it is stored, without the failed write
+    const booking = newBooking({ _id: unsaved._id, razorpayOrderId: 'order_1' });
+    bookings.splice(0, 1, booking);
+    const retried = await post(paymentEvent('payment.captured', booking), { eventId: 'evt_2' });
+
+    assert.equal(failed.status, 500);
+    assert.equal(retried.body.status, 'processed');
+    assert.equal(booking.paymentStatus, 'completed');
+  });
+});
+
+describe('refund approval', () => {
+  let claimable;
+  let booking;
+  let inFlight;
+
+  const newRefund = (fields = {}) => {
+    const refund = new Refund({
+      bookingId: booking._id,
+      userId: booking.userId,
+      labId: booking.labId,
+      paidAmount: 499.5,
+      amount: 249.75,
+      percent: 50,
+      method: 'razorpay',
+      razorpayPaymentId: 'pay_1',
+      status: 'requested',
+      ...fields
+    });
+    mock.method(refund, 'save', async () => refund);
+    return refund;
+  };
+
+  const reviewer = new mongoose.Types.ObjectId();
+  const refundRequests = () => standIn.state.requests.filter(r => r.method === 'POST' && r.url === '/v1/payments/pay_1/refund');
+
+  beforeEach(() => {
+    booking = newBooking({ paymentStatus: 'completed', paidAmount: 499.5, refundedAmount: 0, status: 'cancelled' });
+    inFlight = [];
+    mock.method(refundService, 'notifyPatient', () => {});
+    mock.method(Booking, 'findById', () => ({ select: async () => booking }));
+    mock.method(Refund, 'find', () => ({ select: async () => inFlight }));
+    mock.method(Refund, 'findOneAndUpdate', async (query, update) => {
+      const refund = query._id === claimable?._id && claimable.status === query.status ? claimable : null;
+      if (refund) Object.assign(refund, update.$set);
+      return refund;
+    });
+  });
+
+  test('sends the approved amount to Razorpay in paise', async () => {
+    claimable = newRefund();
+    const result = await refundService.approve(claimable, reviewer, { note: 'ok' });
+
+    const [request] = refundRequests();
+    assert.equal(result.success, true);
+    assert.equal(request.data.amount, 24975);
+    assert.equal(request.data.notes.refundId, String(claimable._id));
+    assert.equal(claimable.status, 'processing');
+    assert.match(claimable.razorpayRefundId, /^rfnd_/);
+  });
+
+  test('records a refund Razorpay refuses as failed', async () => {
+    standIn.state.failRefunds = true;
+    claimable = newRefund();
+    const result = await refundService.approve(claimable, reviewer);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'The payment has been fully refunded already');
+    assert.equal(claimable.status, 'failed');
+    assert.equal(claimable.failureReason, 'The payment has been fully refunded already');
+  });
+
+  test('caps the refund at what has not been refunded yet', async () => {
+    booking.refundedAmount = 400;
+    claimable = newRefund();
+    const result = await refundService.approve(claimable, reviewer);
+
+    assert.equal(result.success, true);
+    assert.equal(claimable.amount, 99.5);
+    assert.equal(refundRequests()[0].data.amount, 9950);
+  });
+
+  test('counts other approved refunds that are still paying out', async () => {
+    inFlight = [{ amount: 300 }];
+    claimable = newRefund();
+
+    const over = await refundService.approve(claimable, reviewer, { amount: 250 });
+    assert.equal(over.success, false);
+    assert.equal(over.error, 'Refund amount must be between 0 and 199.5');
+
+    inFlight = [{ amount: 499.5 }];
+    const none = await refundService.approve(claimable, reviewer);
+    assert.equal(none.success, false);
+    assert.equal(none.error, 'Nothing is left to refund on this booking');
+    assert.equal(refundRequests().length, 0);
+  });
+
+  test('a failed refund can be approved again', async () => {
+    standIn.state.failRefunds = true;
+    claimable = newRefund();
+    await refundService.approve(claimable, reviewer);
+
+    standIn.state.failRefunds = false;
+    const result = await refundService.approve(claimable, reviewer, { note: 'Retrying' });
+
+    assert.equal(result.success, true);
+    assert.equal(claimable.status, 'processing');
+    assert.equal(claimable.failureReason, '');
+    assert.equal(refundRequests().length, 2);
+  });
+
+  test('a retry reuses a refund that reached Razorpay despite the error', async () => {
+    claimable = newRefund({ status: 'failed', failureReason: 'timeout of 10000ms exceeded' });
+    standIn.state.refunds.push({ id: 'rfnd_earlier', payment_id: 'pay_1', amount: 24975, status: 'pending', notes: { refundId: String(claimable._id) } });
+
+    const result = await refundService.approve(claimable, reviewer);
+
+    assert.equal(result.success, true);
+    assert.equal(claimable.razorpayRefundId, 'rfnd_earlier');
+    assert.equal(refundRequests().length, 0);
+  });
+
+  test('processed and rejected refunds cannot be approved', async () => {
+    for (const status of ['processing', 'processed', 'rejected']) {
+      const result = await refundService.approve(newRefund({ status }), reviewer);
+      assert.equal(result.error, `Refund is already ${status}`);
+    }
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const referenceRangeService = require('../services/referenceRangeService');
+const unitService = require('../services/unitService');
+
+const potassium = {
+  label: 'Potassium',
+  unit: 'mmol/L',
+  type: 'number',
+  low: 3.5,
+  high: 5.1,
+  criticalLow: 2.5,
+  criticalHigh: 6.5
+};
+
+const hemoglobin = {
+  label: 'Hemoglobin',
+  unit: 'g/dL',
+  type: 'number',
+  low: 12,
+  high: 17,
+  ranges: [
+    { gender: 'male', ageMin: null, ageMax: null, low: 13.5, high: 17.5 },
+    { gender: 'female', ageMin: null, ageMax: null, low: 12, high: 15.5 },
+    { gender: 'any', ageMin: null, ageMax: 12, low: 11, high: 14.5 },
+    { gender: 'female', ageMin: 65, ageMax: null, low: 11.5 }
+  ]
+};
+
+const glucose = { label: 'Glucose', unit: 'mg/dL', loincCode: '2345-7', type: 'number', low: 70, high: 110, criticalHigh: 400 };
+
+describe('flags', () => {
+  const range = referenceRangeService.resolveRange(potassium);
+
+  test('L and H outside the normal range, nothing inside it', () => {
+    assert.equal(referenceRangeService.computeFlag('3.4', range), 'L');
+    assert.equal(referenceRangeService.computeFlag('3.5', range), '');
+    assert.equal(referenceRangeService.computeFlag(4.2, range), '');
+    assert.equal(referenceRangeService.computeFlag('5.1', range), '');
+    assert.equal(referenceRangeService.computeFlag('5.2', range), 'H');
+  });
+
+  test('LL and HH at or beyond the critical limits', () => {
+    assert.equal(referenceRangeService.computeFlag('2.5', range), 'LL');
+    assert.equal(referenceRangeService.computeFlag('1.9', range), 'LL');
+    assert.equal(referenceRangeService.computeFlag('6.5', range), 'HH');
+    assert.equal(referenceRangeService.computeFlag('8', range), 'HH');
+  });
+
+  test('text values and missing ranges are never flagged', () => {
+    assert.equal(referenceRangeService.computeFlag('hemolysed', range), '');
+    assert.equal(referenceRangeService.computeFlag('4.2 approx', range), '');
+    assert.equal(referenceRangeService.computeFlag('', range), '');
+    assert.equal(referenceRangeService.computeFlag('9', null), '');
+  });
+
+  test('labels and severity', () => {
+    assert.deepEqual(['L', 'H', 'LL', 'HH', ''].map(f => referenceRangeService.flagLabel(f)), ['LOW', 'HIGH', 'CRITICAL LOW', 'CRITICAL HIGH', '']);
+    assert.deepEqual(['L', 'H', 'LL', 'HH', ''].map(f => referenceRangeService.isAbnormal(f)), [true, true, true, true, false]);
+    assert.deepEqual(['L', 'H', 'LL', 'HH', ''].map(f => referenceRangeService.isCritical(f)), [false, false, true, true, false]);
+  });
+});
+
+describe('range resolution', () => {
+  test('picks the most specific age and gender range', () => {
+    const of = (patient) => referenceRangeService.resolveRange(hemoglobin, patient);
+
+    assert.equal(of({ age: 30, gender: 'male' }).text, '13.5-17.5');
+    assert.equal(of({ age: 30, gender: 'female' }).text, '12-15.5');
+    assert.equal(of({ age: 8, gender: 'male' }).text, '13.5-17.5');
+    assert.equal(of({ age: 8, gender: 'other' }).text, '11-14.5');
+    assert.equal(of({ age: 70, gender: 'female' }).text, '11.5-17');
+    assert.equal(of({}).text, '12-17');
+  });
+
+  test('falls back to the free-text range of older tests', () => {
+    assert.deepEqual(referenceRangeService.parseRangeText('70 - 110 mg/dL'), { low: 70, high: 110 });
+    assert.deepEqual(referenceRangeService.parseRangeText('<200'), { low: null, high: 200 });
+    assert.deepEqual(referenceRangeService.parseRangeText('>=40'), { low: 40, high: null });
+    assert.equal(referenceRangeService.parseRangeText('Negative'), null);
+
+    const range = referenceRangeService.resolveRange({ referenceRange: '<200' });
+    assert.equal(referenceRangeService.computeFlag('240', range), 'H');
+  });
+
+  test('rejects contradictory bounds', () => {
+    const field = (f) => referenceRangeService.validateResultField(referenceRangeService.normalizeResultField(f));
+
+    assert.equal(field(potassium), null);
+    assert.equal(field({ label: 'K', low: 5, high: 3 }), 'K: low must not exceed high');
+    assert.equal(field({ label: 'K', low: 3, criticalLow: 4 }), 'K: critical low must not exceed low');
+    assert.equal(field({ label: 'K', high: 5, criticalHigh: 4 }), 'K: critical high must not be below high');
+    assert.equal(field({ label: 'K', ranges: [{ ageMin: 18, ageMax: 12 }] }), 'K range 1: ageMin must not exceed ageMax');
+  });
+});
+
+describe('flagging entered values', () => {
+  test('matches values to result fields by label and records the applied range', () => {
+    const [value] = referenceRangeService.flagValues([{ label: ' potassium ', value: '6.8', unit: '' }], [potassium]);
+
+    assert.equal(value.flag, 'HH');
+    assert.equal(value.unit, 'mmol/L');
+    assert.equal(value.referenceRange, '3.5-5.1');
+    assert.deepEqual(value.appliedRange, { low: 3.5, high: 5.1, criticalLow: 2.5, criticalHigh: 6.5 });
+  });
+
+  test('compares a value entered in another unit in that unit', () => {
+    const [normal, high] = referenceRangeService.flagValues([
+      { label: 'Glucose', value: '5.6', unit: 'mmol/L' },
+      { label: 'Glucose', value: '7.0', unit: 'mmol/l' }
+    ], [glucose]);
+
+    assert.equal(normal.flag, '');
+    assert.equal(normal.referenceRange, '3.885-6.106');
+    assert.equal(normal.canonicalValue, 100.9);
+    assert.equal(normal.canonicalUnit, 'mg/dL');
+    assert.equal(high.flag, 'H');
+  });
+
+  test('uses the value\'s own range text when no field matches', () => {
+    const [value] = referenceRangeService.flagValues([{ label: 'Ferritin', value: '12', unit: 'ng/mL', referenceRange: '20-250' }], [potassium]);
+
+    assert.equal(value.flag, 'L');
+    assert.equal(value.referenceRange, '20-250');
+  });
+});
+
+describe('unit conversion', () => {
+  test('maps typed units onto UCUM codes', () => {
+    assert.equal(unitService.normalizeUnit('mg/dl'), 'mg/dL');
+    assert.equal(unitService.normalizeUnit('µmol/l'), 'umol/L');
+    assert.equal(unitService.sameUnit('g%', 'g/dL'), true);
+    assert.equal(unitService.normalizeUnit('cells/hpf'), 'cells/hpf');
+  });
+
+  test('converts within a dimension and across mass/molar for known analytes', () => {
+    assert.equal(unitService.convert('15', 'g/dL', 'g/L'), 150);
+    assert.equal(unitService.convert('5.6', 'mmol/L', 'mg/dL', 'glucose'), 100.9);
+    assert.equal(unitService.convert('200', 'mg/dL', 'mmol/L', 'cholesterol'), 5.173);
+    assert.equal(unitService.convert('7', '%', 'mmol/mol', 'hba1c'), 53.01);
+  });
+
+  test('refuses conversions it cannot make', () => {
+    assert.equal(unitService.convert('5.6', 'mmol/L', 'mg/dL'), null);
+    assert.equal(unitService.convert('high', 'mg/dL', 'g/L'), null);
+    assert.equal(unitService.convert('', 'mg/dL', 'g/L'), null);
+    assert.equal(unitService.convertRange({ low: 1, high: 2 }, 'mg/dL', 'mm[Hg]'), null);
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const sampleService = require('../services/sampleService');
+
+const collector = new mongoose.Types.ObjectId();
+const technician = new mongoose.Types.ObjectId();
+const testId = new mongoose.Types.ObjectId();
+
+const collectedSample = (fields = {}) => ({
+  sampleId: 'SMP-1A2B3C4D-5678-1',
+  status: 'collected',
+  sampleType: 'Blood',
+  container: 'EDTA (lavender)',
+  volumeMl: 3,
+  tests: [testId],
+  packages: [],
+  collectedBy: collector,
+  custody: [],
+  statusHistory: [],
+  ...fields
+});
+
+describe('sample lifecycle', () => {
+  test('walks a sample from collection to disposal', () => {
+    const sample = collectedSample();
+
+    assert.equal(sampleService.receive(sample, { by: technician }).success, true);
+    assert.equal(sampleService.assign(sample, { bench: ' Hematology ', analyzer: 'XN-1000', by: technician }).success, true);
+    assert.equal(sampleService.start(sample, { by: technician }).success, true);
+    assert.equal(sampleService.complete(sample, { by: technician }).success, true);
+    assert.equal(sampleService.transition(sample, 'stored', { by: technician }).success, true);
+    assert.equal(sampleService.transition(sample, 'retrieved', { by: technician }).success, true);
+    assert.equal(sampleService.transition(sample, 'in_process', { by: technician }).success, true);
+    assert.equal(sampleService.transition(sample, 'completed', { by: technician }).success, true);
+    assert.equal(sampleService.transition(sample, 'disposed', { by: technician }).success, true);
+
+    assert.deepEqual(sample.statusHistory.map(h => h.to), [
+      'received', 'assigned', 'in_process', 'completed', 'stored', 'retrieved', 'in_process', 'completed', 'disposed'
+    ]);
+    assert.equal(sample.statusHistory[0].from, 'collected');
+    assert.equal(sample.statusHistory[1].reason, 'Assigned to Hematology / XN-1000');
+    assert.equal(sample.bench, 'Hematology');
+    assert.equal(sample.receivedBy, technician);
+  });
+
+  test('refuses to skip steps and names the allowed next statuses', () => {
+    const sample = collectedSample();
+
+    assert.deepEqual(sampleService.canTransition(sample, 'in_process'), {
+      success: false,
+      error: 'Cannot change sample SMP-1A2B3C4D-5678-1 from collected to in_process. Allowed: received, rejected'
+    });
+    assert.equal(sampleService.start(sample, { by: technician }).success, false);
+    assert.equal(sample.status, 'collected');
+    assert.equal(sample.statusHistory.length, 0);
+  });
+
+  test('rejected and disposed samples are final', () => {
+    for (const status of ['rejected', 'disposed']) {
+      const result = sampleService.canTransition(collectedSample({ status }), 'received');
+      assert.equal(result.error, `Cannot change sample SMP-1A2B3C4D-5678-1 from ${status} to received`);
+    }
+  });
+
+  test('statuses from before tracking behave like collected and completed', () => {
+    assert.equal(sampleService.canTransition(collectedSample({ status: 'processing' }), 'received').success, true);
+    assert.equal(sampleService.canTransition(collectedSample({ status: 'partially_completed' }), 'rejected').success, true);
+    assert.equal(sampleService.canTransition(collectedSample({ status: 'verified' }), 'stored').success, true);
+    assert.equal(sampleService.canTransition(collectedSample({ status: 'verified' }), 'in_process').success, false);
+  });
+
+  test('receiving hands custody from the collector to the technician', () => {
+    const sample = collectedSample();
+
+    sampleService.receive(sample, { by: technician });
+
+    assert.equal(sample.custody[0].from, collector);
+    assert.equal(sample.custody[0].to, technician);
+    assert.equal(sampleService.custodianOf(sample), technician);
+  });
+
+  test('assigning needs a bench or analyzer given as text', () => {
+    const received = () => collectedSample({ status: 'received' });
+
+    assert.equal(sampleService.assign(received(), { bench: ' ', by: technician }).error, 'A bench or analyzer is required');
+    assert.equal(sampleService.assign(received(), { bench: { $ne: '' }, by: technician }).error, 'Bench and analyzer must be text');
+    assert.equal(sampleService.assign(received(), { analyzer: 42, by: technician }).success, true);
+  });
+});
+
+describe('rejection and recollection', () => {
+  test('records why a sample was rejected', () => {
+    const sample = collectedSample({ status: 'received' });
+
+    const result = sampleService.reject(sample, { reason: 'hemolyzed', comment: ' Pink serum ', by: technician });
+
+    assert.equal(result.success, true);
+    assert.equal(sample.status, 'rejected');
+    assert.equal(sample.statusHistory[0].reason, 'Hemolyzed: Pink serum');
+    assert.equal(sample.rejection.comment, 'Pink serum');
+    assert.ok(sample.rejection.recollectionRequestedAt instanceof Date);
+  });
+
+  test('only known reasons and text comments are accepted', () => {
+    const sample = collectedSample();
+
+    assert.match(sampleService.reject(sample, { reason: 'dropped', by: technician }).error, /must be one of: hemolyzed, clotted/);
+    assert.match(sampleService.reject(sample, { reason: 'toString', by: technician }).error, /must be one of/);
+    assert.equal(sampleService.reject(sample, { reason: 'clotted', comment: ['x'], by: technician }).error, 'Comment must be text');
+    assert.equal(sample.status, 'collected');
+  });
+
+  test('a recollected sample keeps the tests, container and volume of the one it replaces', () => {
+    const rejected = collectedSample({ status: 'rejected' });
+    const booking = { samples: [rejected] };
+
+    const { success, sample } = sampleService.recollect(booking, rejected, { by: collector });
+
+    assert.equal(success, true);
+    assert.equal(booking.samples.length, 2);
+    assert.match(sample.sampleId, /^SMP-[0-9A-F]{8}-\d{4}-1$/);
+    assert.notEqual(sample.sampleId, rejected.sampleId);
+    assert.equal(sample.status, 'collected');
+    assert.deepEqual(sample.tests, [testId]);
+    assert.equal(sample.container, 'EDTA (lavender)');
+    assert.equal(sample.volumeMl, 3);
+    assert.equal(sample.replaces, rejected.sampleId);
+    assert.equal(rejected.replacedBy, sample.sampleId);
+    assert.equal(sampleService.custodianOf(sample), collector);
+  });
+
+  test('only an unreplaced rejected sample can be recollected', () => {
+    const booking = { samples: [] };
+
+    assert.equal(sampleService.recollect(booking, collectedSample(), { by: collector }).error, 'Only rejected samples can be recollected');
+    assert.equal(
+      sampleService.recollect(booking, collectedSample({ status: 'rejected', replacedBy: 'SMP-9F8E7D6C-1234-1' }), { by: collector }).error,
+      'Sample was already recollected as SMP-9F8E7D6C-1234-1'
+    );
+    assert.equal(booking.samples.length, 0);
+  });
+
+  test('older samples without a container or volume recollect with blanks', () => {
+    const rejected = collectedSample({ status: 'rejected', container: undefined, volumeMl: undefined });
+
+    const { sample } = sampleService.recollect({ samples: [rejected] }, rejected, { by: collector });
+
+    assert.equal(sample.container, '');
+    assert.equal(sample.volumeMl, null);
+  });
+});
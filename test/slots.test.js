@@ -0,0 +1,197 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Slot times are read on the labs' clock; run on one that isn't UTC
+process.env.BOOKING_TIMEZONE = 'Asia/Kolkata';
+
+const Booking = require('../models/Booking');
+const SlotLock = require('../models/SlotLock');
+const slotService = require('../services/slotService');
+
+['log', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+const weekday = { isOpen: true, open: '09:00', close: '12:00' };
+const lab = {
+  _id: new mongoose.Types.ObjectId(),
+  capacity: { daily: 5, hourly: 2 },
+  operatingHours: {
+    sunday: { isOpen: false },
+    monday: weekday,
+    tuesday: weekday,
+    wednesday: weekday,
+    thursday: weekday,
+    friday: weekday,
+    saturday: weekday
+  }
+};
+
+// 2099-01-15 is a Thursday, 2099-01-18 a Sunday
+const THURSDAY = '2099-01-15';
+const SUNDAY = '2099-01-18';
+
+describe('dates and times', () => {
+  test('parses 24-hour and 12-hour times', () => {
+    assert.equal(slotService.parseTime('09:30'), 570);
+    assert.equal(slotService.parseTime('9:30 AM'), 570);
+    assert.equal(slotService.parseTime('02:00 PM'), 840);
+    assert.equal(slotService.parseTime('12:15 am'), 15);
+    assert.equal(slotService.parseTime('24:00'), null);
+    assert.equal(slotService.parseTime('13:00 PM'), null);
+    assert.equal(slotService.parseTime('soon'), null);
+  });
+
+  test('normalizes dates to day keys and rejects unparseable ones', () => {
+    assert.equal(slotService.toDateKey('2099-01-15'), THURSDAY);
+    assert.equal(slotService.toDateKey(new Date('2099-01-15T00:00:00Z')), THURSDAY);
+    assert.equal(slotService.toDateKey('not a date'), null);
+  });
+
+  test('reads appointment times on the BOOKING_TIMEZONE clock', () => {
+    assert.equal(slotService.timeZone, 'Asia/Kolkata');
+    assert.equal(slotService.getAppointmentStart(THURSDAY, '10:30').toISOString(), '2099-01-15T05:00:00.000Z');
+    assert.deepEqual(slotService.zonedParts(new Date('2099-01-14T20:00:00Z')), { dateKey: THURSDAY, minutes: 90 });
+    assert.equal(slotService.getAppointmentStart(THURSDAY, 'noon'), null);
+  });
+});
+
+describe('slot availability', () => {
+  let booked;
+  let queries;
+
+  beforeEach(() => {
+    booked = [];
+    queries = [];
+    mock.method(Booking, 'find', (query) => {
+      queries.push(query);
+      return { select: async () => booked.map(appointmentTime => ({ appointmentTime })) };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('counts only active bookings that still hold a slot', async () => {
+    const excluded = new mongoose.Types.ObjectId();
+    await slotService.countBookings(lab._id, THURSDAY, excluded);
+
+    assert.equal(queries[0].isActive, true);
+    assert.deepEqual(queries[0].status, { $nin: ['cancelled', 'no_show'] });
+    assert.deepEqual(queries[0]._id, { $ne: excluded });
+    assert.equal(queries[0].appointmentDate.$gte.toISOString(), '2099-01-15T00:00:00.000Z');
+  });
+
+  test('lays out the day in slot intervals with the remaining hourly capacity', async () => {
+    booked = ['09:00', '09:30', '10:30'];
+    const day = await slotService.getSlots(lab, THURSDAY);
+
+    assert.equal(day.isOpen, true);
+    assert.equal(day.booked, 3);
+    assert.equal(day.remaining, 2);
+    assert.deepEqual(day.slots.map(s => s.time), ['09:00', '09:30', '10:00', '10:30', '11:00', '11:30']);
+    assert.deepEqual(day.slots.map(s => s.remaining), [0, 0, 1, 1, 2, 2]);
+    assert.deepEqual(day.slots.map(s => s.available), [false, false, true, true, true, true]);
+  });
+
+  test('caps every slot at what is left of the daily capacity', async () => {
+    booked = ['09:00', '09:30', '10:00', '10:30', '11:00'];
+    const day = await slotService.getSlots(lab, THURSDAY);
+
+    assert.equal(day.remaining, 0);
+    assert.equal(day.slots.some(s => s.available), false);
+  });
+
+  test('reports closed days without counting bookings', async () => {
+    const day = await slotService.getSlots(lab, SUNDAY);
+
+    assert.equal(day.isOpen, false);
+    assert.deepEqual(day.slots, []);
+    assert.equal(queries.length, 0);
+  });
+
+  test('offers no slots in the past', async () => {
+    const day = await slotService.getSlots(lab, '2000-01-10');
+
+    assert.equal(day.isOpen, true);
+    assert.equal(day.slots.some(s => s.available), false);
+  });
+
+  test('checkSlot explains why a slot cannot be booked', async () => {
+    assert.deepEqual(await slotService.checkSlot(lab, SUNDAY, '10:00'), { available: false, reason: 'Lab is closed on sunday' });
+    assert.deepEqual(await slotService.checkSlot(lab, THURSDAY, '12:00'), { available: false, reason: 'Lab is open 09:00-12:00 on thursday' });
+    assert.deepEqual(await slotService.checkSlot(lab, '2000-01-10', '10:00'), { available: false, reason: 'Appointment time is in the past' });
+    assert.deepEqual(await slotService.checkSlot(lab, 'someday', '10:00'), { available: false, reason: 'Invalid appointment date or time' });
+
+    booked = ['10:00', '10:30'];
+    assert.deepEqual(await slotService.checkSlot(lab, THURSDAY, '10:15'), { available: false, reason: 'This time slot is fully booked' });
+    assert.deepEqual(await slotService.checkSlot(lab, THURSDAY, '11:00'), { available: true });
+
+    booked = ['09:00', '09:30', '10:00', '10:30', '11:00'];
+    assert.deepEqual(await slotService.checkSlot(lab, THURSDAY, '11:30'), { available: false, reason: 'Lab is fully booked for this date' });
+  });
+});
+
+describe('lab/day lock', () => {
+  const locks = new Map();
+
+  // Emulates the upsert on the unique { labId, date } index: a held lock
+  // doesn't match the filter, so the upsert collides with it
+  beforeEach(() => {
+    locks.clear();
+    mock.method(SlotLock, 'findOneAndUpdate', async (filter, update) => {
+      const key = `${filter.labId}:${filter.date}`;
+      const held = locks.get(key);
+      if (held && held.lockedUntil && held.lockedUntil >= filter.$or[1].lockedUntil.$lt) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      locks.set(key, { ...update.$set });
+      return locks.get(key);
+    });
+    mock.method(SlotLock, 'updateOne', async (filter, update) => {
+      const key = `${filter.labId}:${filter.date}`;
+      if (locks.get(key)?.owner === filter.owner) locks.set(key, { ...update.$set });
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('hands the lock to one request at a time', async () => {
+    const first = await slotService.acquireLock(lab._id, THURSDAY);
+    const second = await slotService.acquireLock(lab._id, THURSDAY);
+
+    assert.equal(first.date, THURSDAY);
+    assert.equal(second, null);
+
+    await slotService.releaseLock(first);
+    const third = await slotService.acquireLock(lab._id, THURSDAY);
+    assert.ok(third);
+    assert.notEqual(third.owner, first.owner);
+  });
+
+  test('locks each day separately', async () => {
+    const thursday = await slotService.acquireLock(lab._id, THURSDAY);
+    const friday = await slotService.acquireLock(lab._id, '2099-01-16');
+
+    assert.ok(thursday);
+    assert.ok(friday);
+  });
+
+  test('takes over a lock whose holder never released it', async () => {
+    locks.set(`${lab._id}:${THURSDAY}`, { owner: 'crashed', lockedUntil: new Date(Date.now() - 1000) });
+
+    const lock = await slotService.acquireLock(lab._id, THURSDAY);
+    assert.ok(lock);
+    assert.equal(locks.get(`${lab._id}:${THURSDAY}`).owner, lock.owner);
+  });
+
+  test('releasing someone else\'s lock leaves it held', async () => {
+    const lock = await slotService.acquireLock(lab._id, THURSDAY);
+    await slotService.releaseLock({ ...lock, owner: 'someone-else' });
+
+    assert.equal(locks.get(`${lab._id}:${THURSDAY}`).owner, lock.owner);
+  });
+
+  test('refuses a lock for an unparseable date', async () => {
+    assert.equal(await slotService.acquireLock(lab._id, 'someday'), null);
+    assert.equal(SlotLock.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const verificationPolicyService = require('../services/verificationPolicyService');
+
+const submitter = { _id: new mongoose.Types.ObjectId(), role: 'lab_technician' };
+const colleague = { _id: new mongoose.Types.ObjectId(), role: 'lab_technician' };
+const localAdmin = { _id: new mongoose.Types.ObjectId(), role: 'local_admin' };
+const pathologist = { _id: new mongoose.Types.ObjectId(), role: 'staff', signOffQualifications: ['pathologist'] };
+const radiographer = { _id: new mongoose.Types.ObjectId(), role: 'xray_technician' };
+
+const bloodTest = { name: 'CBC', category: 'blood' };
+const biopsy = { name: 'Biopsy', category: 'pathology' };
+const chestXray = { name: 'Chest X-ray', category: 'imaging' };
+
+const resultBy = (user, fields = {}) => ({ submittedBy: user._id, values: [{ label: 'Hb', value: '13' }], ...fields });
+
+const check = (policy, testDef, verifier, fields = {}, comment) => verificationPolicyService.checkVerifier({
+  policy,
+  test: testDef,
+  testResult: resultBy(submitter, fields),
+  verifier,
+  comment
+});
+
+describe('verification policy', () => {
+  const defaults = verificationPolicyService.getPolicy({});
+
+  test('labs without a policy get the defaults', () => {
+    assert.deepEqual(defaults, { requireSecondVerifier: true, seniorSignOffCategories: ['pathology'], imagingSignOff: true });
+    assert.deepEqual(
+      verificationPolicyService.getPolicy({ verificationPolicy: { requireSecondVerifier: false, seniorSignOffCategories: [] } }),
+      { requireSecondVerifier: false, seniorSignOffCategories: [], imagingSignOff: true }
+    );
+  });
+
+  test('validates policy updates', () => {
+    assert.deepEqual(
+      verificationPolicyService.normalizePolicy({ imagingSignOff: false, seniorSignOffCategories: ['pathology', 'blood', 'blood'] }),
+      { policy: { requireSecondVerifier: true, imagingSignOff: false, seniorSignOffCategories: ['pathology', 'blood'] } }
+    );
+    assert.deepEqual(verificationPolicyService.normalizePolicy({ requireSecondVerifier: 'yes' }), { error: 'requireSecondVerifier must be true or false' });
+    assert.deepEqual(verificationPolicyService.normalizePolicy({ seniorSignOffCategories: 'blood' }), { error: 'seniorSignOffCategories must be an array' });
+    assert.deepEqual(verificationPolicyService.normalizePolicy({ seniorSignOffCategories: ['dental'] }), { error: 'Unknown test categories: dental' });
+  });
+
+  test('the person who entered a result cannot verify it under the two-person rule', () => {
+    assert.deepEqual(check(defaults, bloodTest, submitter), {
+      allowed: false,
+      error: 'Results must be verified by someone other than the person who entered them'
+    });
+    assert.deepEqual(check(defaults, bloodTest, colleague), { allowed: true });
+
+    const singleVerifier = { ...defaults, requireSecondVerifier: false };
+    assert.deepEqual(check(singleVerifier, bloodTest, submitter), { allowed: true });
+  });
+
+  test('recognizes the submitter by id whether or not the user is populated', () => {
+    const result = verificationPolicyService.checkVerifier({
+      policy: defaults,
+      test: bloodTest,
+      testResult: { submittedBy: { _id: submitter._id } },
+      verifier: { id: submitter._id.toString(), role: 'lab_technician' }
+    });
+    assert.equal(result.allowed, false);
+  });
+
+  test('senior sign-off categories need a local admin or pathologist', () => {
+    assert.deepEqual(check(defaults, biopsy, colleague), { allowed: false, error: 'Biopsy results must be signed off by a local admin or pathologist' });
+    assert.deepEqual(check(defaults, biopsy, localAdmin), { allowed: true });
+    assert.deepEqual(check(defaults, biopsy, pathologist), { allowed: true });
+  });
+
+  test('imaging needs an x-ray technician or radiologist unless the lab turns it off', () => {
+    assert.deepEqual(check(defaults, chestXray, colleague), { allowed: false, error: 'Chest X-ray results must be signed off by an x-ray technician or radiologist' });
+    assert.deepEqual(check(defaults, chestXray, radiographer), { allowed: true });
+    assert.deepEqual(check(defaults, chestXray, { ...colleague, signOffQualifications: ['radiologist'] }), { allowed: true });
+    assert.deepEqual(check({ ...defaults, imagingSignOff: false }, chestXray, colleague), { allowed: true });
+  });
+
+  test('a file-only result counts as imaging whatever the test category', () => {
+    const fileOnly = { values: [], resultFile: 'uploads/test-results/ecg.pdf' };
+    assert.equal(check(defaults, { name: 'ECG', category: 'cardiology' }, colleague, fileOnly).allowed, false);
+    assert.equal(check(defaults, { name: 'ECG', category: 'cardiology' }, radiographer, fileOnly).allowed, true);
+  });
+
+  test('every applicable rule must be met', () => {
+    const policy = { ...defaults, seniorSignOffCategories: ['imaging'] };
+    assert.match(check(policy, chestXray, localAdmin).error, /x-ray technician or radiologist/);
+    assert.match(check(policy, chestXray, radiographer).error, /local admin or pathologist/);
+    assert.deepEqual(check(policy, chestXray, { ...radiographer, signOffQualifications: ['pathologist'] }), { allowed: true });
+  });
+
+  test('a failed delta check needs another verifier and a comment even without the two-person rule', () => {
+    const policy = { ...defaults, requireSecondVerifier: false };
+    const flagged = { secondReviewRequired: true };
+
+    assert.match(check(policy, bloodTest, submitter, flagged, 'Rechecked').error, /failed a delta check must be verified by someone other/);
+    assert.deepEqual(check(policy, bloodTest, colleague, flagged, '  '), { allowed: false, error: 'A comment is required to verify results that failed a delta check' });
+    assert.deepEqual(check(policy, bloodTest, colleague, flagged, 'Repeat sample confirms'), { allowed: true });
+  });
+});